@@ -0,0 +1,142 @@
+// --- Access tokens and scopes ---
+// Every HTTP route and the /ws upgrade require a token. Tokens come from
+// EDITOR_TOKENS_FILE (JSON list with per-token scopes), EDITOR_TOKEN (one
+// full-access token), or are generated at startup and printed to the console.
+//
+// A token is accepted from the `editor_token` cookie (set by /login), an
+// `Authorization: Bearer` header, or a `?token=` query parameter.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// read      list/read/search files, git status/diff/log, preview
+// edit      write, rename, delete, git stage/commit/checkout, clientAction,
+//           preview files
+// terminal  spawn and drive PTY sessions
+// rpc-eval  run arbitrary JS in editor tabs (clientEval)
+const SCOPES = ['read', 'edit', 'terminal', 'rpc-eval'];
+
+const COOKIE_NAME = 'editor_token';
+const COOKIE_MAX_AGE_S = 30 * 24 * 60 * 60;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+function normalizeEntry(entry, index) {
+  if (!entry || typeof entry.token !== 'string' || entry.token.length < 16) {
+    throw new AuthError(`Token #${index + 1}: "token" must be a string of at least 16 characters`);
+  }
+  const scopes = entry.scopes || SCOPES;
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new AuthError(`Token #${index + 1}: unknown scope(s) ${unknown.join(', ')}`);
+  return { name: entry.name || `token-${index + 1}`, scopes: [...new Set(scopes)], digest: digest(entry.token) };
+}
+
+/**
+ * Build the token list from the environment.
+ * @returns {{ tokens: object[], generated: string | null }} `generated` is the
+ *   startup token when none was configured.
+ */
+function loadTokens(env = process.env) {
+  if (env.EDITOR_TOKENS_FILE) {
+    const list = JSON.parse(fs.readFileSync(env.EDITOR_TOKENS_FILE, 'utf8'));
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new AuthError(`${env.EDITOR_TOKENS_FILE}: expected a non-empty JSON array`);
+    }
+    return { tokens: list.map(normalizeEntry), generated: null };
+  }
+  if (env.EDITOR_TOKEN) {
+    return { tokens: [normalizeEntry({ token: env.EDITOR_TOKEN, name: 'owner' }, 0)], generated: null };
+  }
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { tokens: [normalizeEntry({ token, name: 'owner' }, 0)], generated: token };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (_) { /* malformed value */ }
+  }
+  return cookies;
+}
+
+function tokenCookie(token) {
+  return `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${COOKIE_MAX_AGE_S}`;
+}
+
+function clearedTokenCookie() {
+  return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+/**
+ * @param {object[]} tokens - From loadTokens().
+ */
+function createAuth(tokens) {
+  // Compare digests in constant time so response timing leaks nothing
+  function lookup(token) {
+    if (!token) return null;
+    const d = digest(token);
+    const found = tokens.find(t => crypto.timingSafeEqual(t.digest, d));
+    return found ? { name: found.name, scopes: found.scopes } : null;
+  }
+
+  // Token presented with a request (IncomingMessage), and where it came from
+  function tokenFrom(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return { token: header.slice(7).trim(), source: 'header' };
+    const url = new URL(req.url, 'http://localhost');
+    const query = url.searchParams.get('token');
+    if (query) return { token: query, source: 'query' };
+    const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (cookie) return { token: cookie, source: 'cookie' };
+    return { token: null, source: null };
+  }
+
+  /**
+   * Identity for a request, or null.
+   * The cookie is sent by the browser whatever page opened the connection,
+   * so a cookie-authenticated WebSocket must also come from our own origin.
+   */
+  function authenticate(req, { checkOrigin = false } = {}) {
+    const { token, source } = tokenFrom(req);
+    const identity = lookup(token);
+    if (!identity) return null;
+    if (checkOrigin && source === 'cookie' && req.headers.origin) {
+      let originHost;
+      try { originHost = new URL(req.headers.origin).host; } catch (_) { return null; }
+      if (originHost !== req.headers.host) return null;
+    }
+    return { ...identity, token, source };
+  }
+
+  return { lookup, authenticate };
+}
+
+function hasScope(identity, scope) {
+  return !!identity && identity.scopes.includes(scope);
+}
+
+module.exports = {
+  SCOPES,
+  COOKIE_NAME,
+  AuthError,
+  loadTokens,
+  createAuth,
+  hasScope,
+  parseCookies,
+  tokenCookie,
+  clearedTokenCookie,
+};
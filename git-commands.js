@@ -0,0 +1,322 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+// --- Git commands ---
+// Thin wrappers around the git CLI for the git* WebSocket handlers. Every
+// command runs at the repository top level; paths going in and out are
+// relative to the workspace, which may be a subdirectory of the repository
+// (`prefix` is the workspace's path inside it, e.g. 'packages/app/').
+
+const GIT_TIMEOUT_MS = 30000;
+const GIT_MAX_BUFFER = 32 * 1024 * 1024;
+
+class GitError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function runGit(cwd, args, { input, allowFailure = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, {
+      cwd,
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: GIT_MAX_BUFFER,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_EDITOR: 'true', LC_ALL: 'C' },
+    }, (err, stdout, stderr) => {
+      if (err && !allowFailure) {
+        const message = (stderr || '').trim() || err.message;
+        reject(new GitError(message, err.code === 'ENOENT' ? 'ENOGIT' : 'EGIT'));
+        return;
+      }
+      resolve({ stdout, stderr, exitCode: err ? err.code : 0 });
+    });
+    if (input != null) child.stdin.end(input);
+  });
+}
+
+// Refs and branch names come from the client; never let one pass as an option
+function checkRef(ref) {
+  if (!ref || typeof ref !== 'string' || ref.startsWith('-') || /[\s~^:?*[\\]/.test(ref)) {
+    throw new GitError(`Invalid ref: ${ref}`, 'EINVAL');
+  }
+  return ref;
+}
+
+/**
+ * Locate the repository containing a workspace.
+ * @returns {Promise<{ top: string, prefix: string } | null>} null if not in a repository
+ */
+async function openRepo(workspacePath) {
+  const { stdout, exitCode } = await runGit(workspacePath, ['rev-parse', '--show-toplevel', '--show-prefix'], { allowFailure: true });
+  if (exitCode !== 0) return null;
+  const [top, prefix = ''] = stdout.split('\n');
+  return { top, prefix };
+}
+
+async function requireRepo(workspacePath) {
+  const repo = await openRepo(workspacePath);
+  if (!repo) throw new GitError('Not a git repository', 'ENOTREPO');
+  return repo;
+}
+
+// Workspace-relative path <-> repository path. Paths come from the client:
+// one that leaves the workspace ('../other') is refused.
+function toRepoPath(repo, relPath) {
+  if (typeof relPath !== 'string') throw new GitError('Invalid path', 'EINVAL');
+  const normalized = path.posix.normalize(relPath.replace(/^\/+/, '') || '.');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw new GitError(`Path is outside the workspace: ${relPath}`, 'EINVAL');
+  }
+  return normalized === '.' ? repo.prefix || '.' : repo.prefix + normalized;
+}
+function fromRepoPath(repo, repoPath) {
+  return repoPath.startsWith(repo.prefix) ? repoPath.slice(repo.prefix.length) : null;
+}
+function workspacePathspec(repo, paths) {
+  if (paths && paths.length) return paths.map(p => toRepoPath(repo, p));
+  return [repo.prefix || '.'];
+}
+
+async function hasHead(repo) {
+  const { exitCode } = await runGit(repo.top, ['rev-parse', '--verify', '-q', 'HEAD'], { allowFailure: true });
+  return exitCode === 0;
+}
+
+const STATUS_NAMES = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+
+// `git status --porcelain=v1 -z --branch` -> branch info and per-file state
+function parseStatus(repo, out) {
+  const records = out.split('\0');
+  const result = { branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    if (!rec) continue;
+    if (rec.startsWith('## ')) {
+      const head = rec.slice(3).replace(/^(No commits yet on|Initial commit on) /, '');
+      const m = /^(.*?)(?:\.\.\.(\S+))?(?: \[(.*)\])?$/.exec(head);
+      if (m) {
+        result.branch = m[1].startsWith('HEAD (') ? null : m[1]; // detached
+        result.upstream = m[2] || null;
+        const ahead = /ahead (\d+)/.exec(m[3] || '');
+        const behind = /behind (\d+)/.exec(m[3] || '');
+        result.ahead = ahead ? +ahead[1] : 0;
+        result.behind = behind ? +behind[1] : 0;
+      }
+      continue;
+    }
+    const x = rec[0];
+    const y = rec[1];
+    const repoPath = rec.slice(3);
+    let origPath = null;
+    if (x === 'R' || x === 'C') origPath = records[++i];
+    const relativePath = fromRepoPath(repo, repoPath);
+    if (relativePath == null) continue;
+
+    let status;
+    if (x === '?') status = 'untracked';
+    else if (x === 'U' || y === 'U' || (x === 'A' && y === 'A') || (x === 'D' && y === 'D')) status = 'conflicted';
+    else status = STATUS_NAMES[x !== ' ' ? x : y] || 'modified';
+
+    result.files.push({
+      relativePath,
+      origPath: origPath != null ? fromRepoPath(repo, origPath) : undefined,
+      index: x,
+      worktree: y,
+      status,
+      staged: x !== ' ' && x !== '?' && status !== 'conflicted',
+      unstaged: y !== ' ',
+    });
+  }
+  return result;
+}
+
+async function status(workspacePath) {
+  const repo = await openRepo(workspacePath);
+  if (!repo) return { isRepo: false, files: [] };
+  const { stdout } = await runGit(repo.top, [
+    'status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all', '--', repo.prefix || '.',
+  ]);
+  return { isRepo: true, ...parseStatus(repo, stdout) };
+}
+
+// Unified diff -> [{ relativePath, header, binary, hunks: [{ header, oldStart, oldLines, newStart, newLines, text }] }].
+// `header` + one hunk's `text` is a patch `git apply` accepts on its own.
+function parseDiff(repo, out) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  for (const line of out.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = { relativePath: null, header: line + '\n', binary: false, hunks: [] };
+      hunk = null;
+      files.push(file);
+      const m = / b\/(.*)$/.exec(line);
+      if (m) file.relativePath = fromRepoPath(repo, m[1]);
+      continue;
+    }
+    if (!file) continue;
+    const m = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (m) {
+      hunk = {
+        header: line,
+        oldStart: +m[1], oldLines: m[2] != null ? +m[2] : 1,
+        newStart: +m[3], newLines: m[4] != null ? +m[4] : 1,
+        text: line + '\n',
+      };
+      file.hunks.push(hunk);
+    } else if (hunk) {
+      if (line !== '') hunk.text += line + '\n'; // '' only after the final newline
+    } else {
+      if (line.startsWith('Binary files ')) file.binary = true;
+      const plus = /^\+\+\+ b\/(.*)$/.exec(line);
+      if (plus) file.relativePath = fromRepoPath(repo, plus[1]);
+      file.header += line + '\n';
+    }
+  }
+  return files.filter(f => f.relativePath != null);
+}
+
+async function diff(workspacePath, { relativePath, staged, contextLines } = {}) {
+  const repo = await requireRepo(workspacePath);
+  const args = ['diff', '--no-color', '--no-ext-diff', `-U${contextLines == null ? 3 : Math.max(0, Math.min(Number(contextLines) || 0, 20))}`];
+  if (staged) args.push('--cached');
+  args.push('--', ...workspacePathspec(repo, relativePath ? [relativePath] : null));
+  const { stdout } = await runGit(repo.top, args);
+  return { diff: stdout, files: parseDiff(repo, stdout) };
+}
+
+// Stage whole paths, or a patch (one or more hunks from diff()).
+async function stage(workspacePath, { paths, patch } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (patch) {
+    await runGit(repo.top, ['apply', '--cached', '--whitespace=nowarn', '-'], { input: patch });
+  } else {
+    await runGit(repo.top, ['add', '-A', '--', ...workspacePathspec(repo, paths)]);
+  }
+}
+
+// Unstage whole paths, or a patch taken from a staged diff().
+async function unstage(workspacePath, { paths, patch } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (patch) {
+    await runGit(repo.top, ['apply', '--cached', '--reverse', '--whitespace=nowarn', '-'], { input: patch });
+  } else if (await hasHead(repo)) {
+    await runGit(repo.top, ['reset', '-q', 'HEAD', '--', ...workspacePathspec(repo, paths)]);
+  } else {
+    // Nothing committed yet: there is no HEAD to reset to
+    await runGit(repo.top, ['rm', '-r', '-q', '--cached', '--ignore-unmatch', '--', ...workspacePathspec(repo, paths)]);
+  }
+}
+
+async function commit(workspacePath, { message, amend, all } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (!message || !message.trim()) throw new GitError('Commit message is empty', 'EINVAL');
+  const args = ['commit', '-q', '-F', '-'];
+  if (amend) args.push('--amend');
+  if (all) args.push('-a');
+  await runGit(repo.top, args, { input: message });
+  const { stdout } = await runGit(repo.top, ['log', '-1', '--format=%H%x1f%s']);
+  const [hash, subject] = stdout.trim().split('\x1f');
+  return { hash, subject };
+}
+
+const LOG_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%D', '%s'].join('%x1f') + '%x1e';
+
+async function log(workspacePath, { relativePath, limit, skip, ref } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (!(await hasHead(repo))) return { commits: [] };
+  const args = ['log', `--format=${LOG_FORMAT}`, `-n${Math.max(1, Math.min(Number(limit) || 50, 1000))}`];
+  if (skip) args.push(`--skip=${Math.max(0, Number(skip) || 0)}`);
+  if (ref) args.push(checkRef(ref));
+  args.push('--', ...workspacePathspec(repo, relativePath ? [relativePath] : null));
+  const { stdout } = await runGit(repo.top, args);
+  const commits = stdout.split('\x1e').map(s => s.trim()).filter(Boolean).map(rec => {
+    const [hash, shortHash, author, email, date, refs, subject] = rec.split('\x1f');
+    return { hash, shortHash, author, email, date, refs: refs ? refs.split(', ') : [], subject };
+  });
+  return { commits };
+}
+
+// List branches; with `create`, first create `name` (at `startPoint`)
+async function branch(workspacePath, { create, name, startPoint } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (create) {
+    const args = ['branch', checkRef(name)];
+    if (startPoint) args.push(checkRef(startPoint));
+    await runGit(repo.top, args);
+  }
+  const { stdout } = await runGit(repo.top, [
+    'for-each-ref', '--format=%(HEAD)%1f%(refname)%1f%(refname:short)%1f%(upstream:short)%1f%(objectname:short)',
+    'refs/heads', 'refs/remotes',
+  ]);
+  const branches = stdout.split('\n').filter(Boolean).map(line => {
+    const [head, refname, short, upstream, hash] = line.split('\x1f');
+    return {
+      name: short,
+      current: head === '*',
+      remote: refname.startsWith('refs/remotes/'),
+      upstream: upstream || null,
+      hash,
+    };
+  }).filter(b => !b.name.endsWith('/HEAD'));
+  const current = branches.find(b => b.current);
+  return { branches, current: current ? current.name : null };
+}
+
+async function checkout(workspacePath, { ref, create } = {}) {
+  const repo = await requireRepo(workspacePath);
+  const args = create ? ['checkout', '-q', '-b', checkRef(ref)] : ['checkout', '-q', checkRef(ref), '--'];
+  await runGit(repo.top, args);
+}
+
+// `git blame --line-porcelain` -> one entry per line
+async function blame(workspacePath, { relativePath, ref } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (!relativePath) throw new GitError('Missing relativePath', 'EINVAL');
+  const args = ['blame', '--line-porcelain'];
+  if (ref) args.push(checkRef(ref));
+  args.push('--', toRepoPath(repo, relativePath));
+  const { stdout } = await runGit(repo.top, args);
+
+  const lines = [];
+  let entry = null;
+  for (const line of stdout.split('\n')) {
+    if (entry === null) {
+      const m = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+      if (m) entry = { hash: m[1], line: +m[2] };
+      continue;
+    }
+    if (line.startsWith('\t')) {
+      entry.text = line.slice(1);
+      lines.push(entry);
+      entry = null;
+    } else if (line.startsWith('author ')) {
+      entry.author = line.slice(7);
+    } else if (line.startsWith('author-time ')) {
+      entry.time = +line.slice(12) * 1000;
+    } else if (line.startsWith('summary ')) {
+      entry.summary = line.slice(8);
+    }
+  }
+  return { lines };
+}
+
+/**
+ * Contents of a file at a revision (default HEAD).
+ * @returns {Promise<{ content: string, exists: boolean }>} exists is false when
+ *   the path is not in that revision (untracked, new, or no commits yet)
+ */
+async function show(workspacePath, { relativePath, ref = 'HEAD' } = {}) {
+  const repo = await requireRepo(workspacePath);
+  if (!relativePath) throw new GitError('Missing relativePath', 'EINVAL');
+  const spec = `${checkRef(ref)}:${toRepoPath(repo, relativePath)}`;
+  const { stdout, exitCode } = await runGit(repo.top, ['cat-file', 'blob', spec], { allowFailure: true });
+  return exitCode === 0 ? { content: stdout, exists: true } : { content: '', exists: false };
+}
+
+module.exports = {
+  GitError, openRepo, status, diff, stage, unstage, commit, log, branch, checkout, blame, show,
+  parseStatus, parseDiff,
+};
@@ -0,0 +1,199 @@
+const path = require('path');
+const fs = require('fs');
+
+// --- Workspace ignore rules ---
+// gitignore-style matching shared by workspace scanning, the fs watcher and
+// search. Rules come from, in increasing precedence:
+//   1. built-in defaults (node_modules, the .trash that deleteFile moves to)
+//   2. .git/info/exclude
+//   3. every .gitignore from the workspace root down to the entry's directory
+//   4. .editorignore at the workspace root (project-level, editor only)
+// The last matching rule wins, so a deeper .gitignore or .editorignore can
+// re-include with `!pattern`. As in git, nothing below an ignored directory
+// can be re-included.
+//
+// Paths are workspace-relative and '/'-separated. Dot-entries are not handled
+// here; callers skip them outright as before.
+
+const DEFAULT_PATTERNS = ['node_modules/', '/.trash/'];
+const PROJECT_IGNORE_FILE = '.editorignore';
+
+// Translate one glob (already stripped of `!`, leading and trailing `/`) to a
+// regex source. `*` and `?` never cross a '/', `**` may.
+function globToRegexSource(glob) {
+  let out = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) {
+            out += '.*';
+          } else {
+            out += '(?:.*/)?';
+            i++; // swallow the following '/'
+          }
+          i++;
+          continue;
+        }
+      }
+      out += '[^/]*';
+      while (glob[i + 1] === '*') i++;
+    } else if (ch === '?') {
+      out += '[^/]';
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        out += '\\[';
+        continue;
+      }
+      let cls = glob.slice(i + 1, close);
+      if (cls[0] === '!') cls = '^' + cls.slice(1);
+      out += '[' + cls.replace(/\\/g, '\\\\') + ']';
+      i = close;
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      out += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      out += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return out;
+}
+
+/**
+ * Compile one line of an ignore file. Returns null for blanks and comments.
+ * @returns {{ regex: RegExp, negate: boolean, dirOnly: boolean } | null}
+ */
+function compilePattern(line) {
+  // Trailing spaces are dropped unless escaped
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+  if (!pattern) return null;
+
+  // A slash anywhere but the end anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+  const source = globToRegexSource(pattern);
+  const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+  return { regex, negate, dirOnly };
+}
+
+function parseIgnoreText(text, base) {
+  const rules = [];
+  for (const line of text.split(/\r?\n/)) {
+    const rule = compilePattern(line);
+    if (rule) rules.push({ ...rule, base });
+  }
+  return rules;
+}
+
+function readIgnoreFile(filePath, base) {
+  try {
+    return parseIgnoreText(fs.readFileSync(filePath, 'utf-8'), base);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Matcher for one workspace. Ignore files are read lazily and cached per
+ * directory; call invalidate() when one of them changes on disk.
+ */
+function createIgnoreMatcher(workspaceRoot) {
+  const root = path.resolve(workspaceRoot);
+  const dirRules = new Map(); // dir relative path ('' = root) -> .gitignore rules
+  let rootRules = null; // { before, after } — rules that bracket the .gitignore chain
+
+  function getRootRules() {
+    if (!rootRules) {
+      rootRules = {
+        before: [
+          ...parseIgnoreText(DEFAULT_PATTERNS.join('\n'), ''),
+          ...readIgnoreFile(path.join(root, '.git', 'info', 'exclude'), ''),
+        ],
+        after: readIgnoreFile(path.join(root, PROJECT_IGNORE_FILE), ''),
+      };
+    }
+    return rootRules;
+  }
+
+  function getDirRules(dirRel) {
+    if (!dirRules.has(dirRel)) {
+      dirRules.set(dirRel, readIgnoreFile(path.join(root, dirRel, '.gitignore'), dirRel));
+    }
+    return dirRules.get(dirRel);
+  }
+
+  // Decide a single path without looking at its ancestors
+  function matchesSelf(relPath, isDir) {
+    const parts = relPath.split('/');
+    const chain = [getRootRules().before];
+    for (let i = 0; i < parts.length; i++) chain.push(getDirRules(parts.slice(0, i).join('/')));
+    chain.push(getRootRules().after);
+
+    let ignored = false;
+    for (const rules of chain) {
+      for (const rule of rules) {
+        if (rule.dirOnly && !isDir) continue;
+        const rel = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+        if (rule.regex.test(rel)) ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  }
+
+  /**
+   * Whether a workspace-relative path is ignored, either itself or through
+   * one of its parent directories.
+   */
+  function isIgnored(relPath, isDir) {
+    const parts = relPath.split(/[\\/]/).filter(Boolean);
+    for (let i = 1; i <= parts.length; i++) {
+      const last = i === parts.length;
+      if (matchesSelf(parts.slice(0, i).join('/'), last ? !!isDir : true)) return true;
+    }
+    return false;
+  }
+
+  // Forget cached rules after an ignore file in `dirRel` changed ('' = root)
+  function invalidate(dirRel) {
+    dirRules.delete(dirRel || '');
+    if (!dirRel) rootRules = null;
+  }
+
+  return { root, isIgnored, invalidate };
+}
+
+// One matcher per workspace root, shared by every connection
+const matchers = new Map();
+
+function getIgnoreMatcher(workspaceRoot) {
+  const root = path.resolve(workspaceRoot);
+  if (!matchers.has(root)) matchers.set(root, createIgnoreMatcher(root));
+  return matchers.get(root);
+}
+
+// True for file names whose change should reset cached rules (the watcher
+// handles .git/info/exclude on its own)
+function isIgnoreFileName(name) {
+  return name === '.gitignore' || name === PROJECT_IGNORE_FILE;
+}
+
+module.exports = { getIgnoreMatcher, createIgnoreMatcher, compilePattern, isIgnoreFileName, PROJECT_IGNORE_FILE };
@@ -0,0 +1,260 @@
+// --- PTY sessions ---
+// Terminal processes belong to the server, not to the WebSocket that started
+// them. When the client goes away (page reload, dropped connection) the
+// session is only detached; a client can attach to it again by id and gets
+// the recent output replayed from a bounded scrollback buffer. A session
+// nobody is attached to is killed after an idle timeout.
+//
+// What a session runs comes from a named profile: shell, arguments,
+// environment overrides and a working directory relative to the workspace.
+
+const fs = require('fs');
+const pty = require('node-pty');
+
+function log(...args) { console.log('[PTY]', ...args); }
+
+const DEFAULT_SCROLLBACK = 256 * 1024;
+const DEFAULT_IDLE_MINUTES = 30;
+
+function defaultProfile(env = process.env) {
+  return { name: 'default', shell: env.SHELL || '/bin/bash', args: [], env: {}, cwd: '' };
+}
+
+let config = { scrollback: DEFAULT_SCROLLBACK, idleTimeoutMs: DEFAULT_IDLE_MINUTES * 60 * 1000, profiles: [defaultProfile()] };
+
+// sessionId -> session
+const sessions = new Map();
+
+function normalizeProfile(entry, index) {
+  const where = `terminal profile ${index}`;
+  if (!entry || typeof entry.name !== 'string' || !entry.name) throw new Error(`${where}: "name" is required`);
+  if (typeof entry.shell !== 'string' || !entry.shell) throw new Error(`${where} (${entry.name}): "shell" is required`);
+  if (entry.args !== undefined && (!Array.isArray(entry.args) || entry.args.some(a => typeof a !== 'string'))) {
+    throw new Error(`${where} (${entry.name}): "args" must be an array of strings`);
+  }
+  if (entry.env !== undefined && (typeof entry.env !== 'object' || Array.isArray(entry.env))) {
+    throw new Error(`${where} (${entry.name}): "env" must be an object`);
+  }
+  return {
+    name: entry.name,
+    shell: entry.shell,
+    args: entry.args || [],
+    env: entry.env || {},
+    cwd: typeof entry.cwd === 'string' ? entry.cwd : '',
+  };
+}
+
+/**
+ * Read the limits and profiles from the environment.
+ * - EDITOR_TERM_SCROLLBACK: characters of output kept per session
+ * - EDITOR_TERM_IDLE_MINUTES: how long a detached session lives (0 = forever)
+ * - EDITOR_TERM_PROFILES: JSON file with an array of
+ *   `{ name, shell, args?, env?, cwd? }`. `env` values override the server's
+ *   environment (null removes a variable); `cwd` is relative to the workspace.
+ *   A built-in `default` profile runs $SHELL unless the file defines one.
+ * @returns {{ scrollback: number, idleTimeoutMs: number, profiles: object[] }}
+ */
+function loadConfig(env = process.env) {
+  const scrollback = Number(env.EDITOR_TERM_SCROLLBACK);
+  const idleMinutes = Number(env.EDITOR_TERM_IDLE_MINUTES);
+  let profiles = [];
+  if (env.EDITOR_TERM_PROFILES) {
+    const list = JSON.parse(fs.readFileSync(env.EDITOR_TERM_PROFILES, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${env.EDITOR_TERM_PROFILES}: expected a JSON array`);
+    profiles = list.map(normalizeProfile);
+  }
+  if (!profiles.some(p => p.name === 'default')) profiles.unshift(defaultProfile(env));
+  return {
+    scrollback: env.EDITOR_TERM_SCROLLBACK && scrollback >= 0 ? scrollback : DEFAULT_SCROLLBACK,
+    idleTimeoutMs: (env.EDITOR_TERM_IDLE_MINUTES && idleMinutes >= 0 ? idleMinutes : DEFAULT_IDLE_MINUTES) * 60 * 1000,
+    profiles,
+  };
+}
+
+// Profile by name ('default' when omitted), or null
+function getProfile(name) {
+  return config.profiles.find(p => p.name === (name || 'default')) || null;
+}
+
+// Names and commands for the client's profile menu
+function listProfiles() {
+  return config.profiles.map(({ name, shell, args, cwd }) => ({ name, shell, args, cwd }));
+}
+
+// The server's environment with a profile's overrides applied
+function profileEnv(profile, base = process.env) {
+  const env = { ...base };
+  for (const [key, value] of Object.entries(profile.env)) {
+    if (value === null) delete env[key];
+    else env[key] = String(value);
+  }
+  env.TERM = 'xterm-256color';
+  return env;
+}
+
+function configure(options) {
+  config = { ...config, ...options };
+}
+
+function send(session, msg) {
+  if (session.ws && session.ws.readyState === 1) session.ws.send(JSON.stringify(msg));
+}
+
+function record(session, data) {
+  session.output.push(data);
+  session.outputLength += data.length;
+  while (session.outputLength > config.scrollback && session.output.length) {
+    const excess = session.outputLength - config.scrollback;
+    if (session.output[0].length <= excess) {
+      session.outputLength -= session.output.shift().length;
+    } else {
+      session.output[0] = session.output[0].slice(excess);
+      session.outputLength -= excess;
+    }
+  }
+}
+
+function remove(session) {
+  clearTimeout(session.idleTimer);
+  if (sessions.get(session.id) === session) sessions.delete(session.id);
+}
+
+function startIdleTimer(session) {
+  clearTimeout(session.idleTimer);
+  if (!config.idleTimeoutMs) return;
+  session.detachedAt = Date.now();
+  session.idleTimer = setTimeout(() => {
+    log('Idle session removed:', session.id);
+    if (!session.exited) session.proc.kill();
+    remove(session);
+  }, config.idleTimeoutMs);
+  if (session.idleTimer.unref) session.idleTimer.unref();
+}
+
+/**
+ * Start a profile's shell attached to `ws`.
+ * @param {string} id
+ * @param {{ ws: object, owner: string|null, profile: object, cwd: string, cols: number, rows: number }} opts
+ */
+function spawn(id, { ws, owner, profile, cwd, cols, rows }) {
+  if (sessions.has(id)) throw new Error(`Session ${id} already exists`);
+  const { shell, args } = profile;
+  const proc = pty.spawn(shell, args, { name: 'xterm-256color', cols, rows, cwd, env: profileEnv(profile) });
+  const session = {
+    id, proc, owner, profile: profile.name, shell, cwd, cols, rows,
+    ws, createdAt: Date.now(), detachedAt: null, idleTimer: null,
+    output: [], outputLength: 0, exited: false, exitCode: null,
+  };
+  sessions.set(id, session);
+
+  proc.onData((data) => {
+    record(session, data);
+    send(session, { type: 'termData', sessionId: id, data });
+  });
+
+  proc.onExit(({ exitCode }) => {
+    session.exited = true;
+    session.exitCode = exitCode;
+    log('Exited:', id, 'code:', exitCode);
+    if (session.ws) {
+      send(session, { type: 'termExit', sessionId: id, exitCode });
+      remove(session);
+    }
+    // Detached: kept until someone attaches and sees the exit, or it idles out
+  });
+
+  log('Spawned:', id, `${profile.name} (${[shell, ...args].join(' ')})`, 'at', cwd);
+  return session;
+}
+
+function get(id) {
+  return sessions.get(id) || null;
+}
+
+/**
+ * Attach `ws` to a session, taking it over from any other client.
+ * @returns {{ scrollback: string }} Output recorded so far.
+ */
+function attach(session, ws) {
+  if (session.ws && session.ws !== ws) {
+    send(session, { type: 'termDetached', sessionId: session.id, reason: 'attached elsewhere' });
+  }
+  clearTimeout(session.idleTimer);
+  session.ws = ws;
+  session.detachedAt = null;
+  const scrollback = session.output.join('');
+  if (session.exited) remove(session);
+  log('Attached:', session.id);
+  return { scrollback };
+}
+
+// Detach every session of a closing client
+function detachAll(ws) {
+  for (const session of sessions.values()) {
+    if (session.ws !== ws) continue;
+    session.ws = null;
+    startIdleTimer(session);
+    log('Detached:', session.id);
+  }
+}
+
+function kill(session) {
+  if (!session.exited) session.proc.kill();
+  remove(session);
+  log('Killed:', session.id);
+}
+
+function resize(session, cols, rows) {
+  if (session.exited) return;
+  session.cols = cols;
+  session.rows = rows;
+  session.proc.resize(cols, rows);
+}
+
+// The shell's current directory (Linux /proc), else where it started
+async function currentCwd(session) {
+  if (session.exited) return session.cwd;
+  try {
+    return await fs.promises.readlink(`/proc/${session.proc.pid}/cwd`);
+  } catch (_) {
+    return session.cwd;
+  }
+}
+
+function describe(session) {
+  return {
+    sessionId: session.id,
+    pid: session.proc.pid,
+    profile: session.profile,
+    shell: session.shell,
+    cwd: session.cwd,
+    cols: session.cols,
+    rows: session.rows,
+    createdAt: session.createdAt,
+    attached: !!session.ws,
+    detachedAt: session.detachedAt,
+    expiresAt: !session.ws && config.idleTimeoutMs ? session.detachedAt + config.idleTimeoutMs : null,
+    exited: session.exited,
+    exitCode: session.exitCode,
+  };
+}
+
+// Sessions started by `owner` (a token name)
+function list(owner) {
+  return [...sessions.values()].filter(s => s.owner === owner).map(describe);
+}
+
+module.exports = {
+  loadConfig,
+  configure,
+  getProfile,
+  listProfiles,
+  spawn,
+  get,
+  attach,
+  detachAll,
+  kill,
+  resize,
+  currentCwd,
+  list,
+};
@@ -0,0 +1,314 @@
+// --- Preview bridge ---
+// Loaded first in every HTML page of the web preview (the editor injects the
+// <script> tag, see src/preview-console-plugin.js). Forwards console calls,
+// uncaught errors and fetch/XHR activity to the editor's Preview Console
+// with postMessage, and applies live updates sent by src/preview-live.js:
+// stylesheet swaps, reloads that keep the scroll position, and DOM patches.
+(function () {
+    if (window.__previewBridge || window.parent === window) return;
+    window.__previewBridge = true;
+
+    const MAX_TEXT = 10000;
+    const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+    const FRAME_RE = /((?:https?|file):\/\/[^\s()]+?):(\d+):(\d+)/;
+    const SCROLL_KEY = '__previewScroll';
+    // The bridge sits at the top of the preview, so workspace-relative paths
+    // resolve against its own URL
+    const BASE = document.currentScript ? new URL('.', document.currentScript.src).href : location.href;
+
+    function post(entry) {
+        entry.__previewBridge = 1;
+        entry.time = Date.now();
+        entry.page = location.pathname;
+        try {
+            window.parent.postMessage(entry, location.origin);
+        } catch (_) { /* parent gone */ }
+    }
+
+    function describe(value, depth) {
+        depth = depth || 0;
+        if (typeof value === 'string') return depth ? JSON.stringify(value) : value;
+        if (value === null || value === undefined || typeof value !== 'object' && typeof value !== 'function') return String(value);
+        if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}()`;
+        if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+        if (value instanceof Node) return `<${(value.nodeName || '').toLowerCase()}>`;
+        if (depth > 2) return Array.isArray(value) ? '[…]' : '{…}';
+        try {
+            if (Array.isArray(value)) return `[${value.slice(0, 100).map(v => describe(v, depth + 1)).join(', ')}${value.length > 100 ? ', …' : ''}]`;
+            const keys = Object.keys(value);
+            const body = keys.slice(0, 50).map(k => `${k}: ${describe(value[k], depth + 1)}`).join(', ');
+            return `{${body}${keys.length > 50 ? ', …' : ''}}`;
+        } catch (_) {
+            return Object.prototype.toString.call(value);
+        }
+    }
+
+    function clip(text) {
+        return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT) + '…' : text;
+    }
+
+    // First stack frame outside this script: where console.x was called
+    function callSite(stack) {
+        for (const line of String(stack || '').split('\n')) {
+            if (line.indexOf('preview-bridge.js') !== -1) continue;
+            const m = line.match(FRAME_RE);
+            if (m) return { url: m[1], line: Number(m[2]), column: Number(m[3]) };
+        }
+        return null;
+    }
+
+    for (const level of LEVELS) {
+        const original = console[level];
+        if (typeof original !== 'function') continue;
+        console[level] = function (...args) {
+            const stack = new Error().stack;
+            post({
+                kind: 'console',
+                level,
+                text: clip(args.map(a => describe(a)).join(' ')),
+                source: callSite(stack),
+                stack: level === 'error' || level === 'warn' ? stack : null,
+            });
+            return original.apply(this, args);
+        };
+    }
+
+    // Capture phase, to also see resources that failed to load
+    window.addEventListener('error', (event) => {
+        const target = event.target;
+        if (target && target !== window) {
+            const url = target.src || target.href;
+            if (url) post({ kind: 'error', text: `Failed to load <${target.nodeName.toLowerCase()}> ${url}`, source: null, stack: null });
+            return;
+        }
+        post({
+            kind: 'error',
+            text: clip(event.message || 'Error'),
+            source: event.filename ? { url: event.filename, line: event.lineno, column: event.colno } : null,
+            stack: event.error && event.error.stack ? event.error.stack : null,
+        });
+    }, true);
+
+    window.addEventListener('unhandledrejection', (event) => {
+        const reason = event.reason;
+        post({
+            kind: 'error',
+            text: clip(`Unhandled promise rejection: ${reason instanceof Error ? `${reason.name}: ${reason.message}` : describe(reason)}`),
+            source: reason instanceof Error ? callSite(reason.stack) : null,
+            stack: reason instanceof Error ? reason.stack : null,
+        });
+    });
+
+    function postRequest(transport, method, url, start, status, error) {
+        post({
+            kind: 'network',
+            transport,
+            method: (method || 'GET').toUpperCase(),
+            url: String(url),
+            status,
+            ok: !error && status >= 200 && status < 400,
+            duration: Math.round(performance.now() - start),
+            error: error || null,
+        });
+    }
+
+    if (typeof window.fetch === 'function') {
+        const originalFetch = window.fetch;
+        window.fetch = function (input, init) {
+            const start = performance.now();
+            const request = input instanceof Request ? input : null;
+            const method = (init && init.method) || (request && request.method);
+            const url = request ? request.url : new URL(input, location.href).href;
+            return originalFetch.apply(this, arguments).then((res) => {
+                postRequest('fetch', method, url, start, res.status, null);
+                return res;
+            }, (err) => {
+                postRequest('fetch', method, url, start, 0, err && err.message ? err.message : String(err));
+                throw err;
+            });
+        };
+    }
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.open = function (method, url) {
+        this.__bridgeRequest = { method, url: new URL(url, location.href).href };
+        return originalOpen.apply(this, arguments);
+    };
+    XMLHttpRequest.prototype.send = function () {
+        const info = this.__bridgeRequest;
+        if (info) {
+            const start = performance.now();
+            this.addEventListener('loadend', () => {
+                postRequest('xhr', info.method, info.url, start, this.status, this.status === 0 ? 'Request failed' : null);
+            });
+        }
+        return originalSend.apply(this, arguments);
+    };
+
+    // --- Live updates ---
+
+    function bare(url) {
+        return String(url).split(/[?#]/)[0];
+    }
+
+    function sheetImports(sheet, target, depth) {
+        let rules;
+        try {
+            rules = sheet.cssRules;
+        } catch (_) {
+            return false;
+        }
+        for (const rule of rules) {
+            const child = rule.styleSheet;
+            if (!child || depth > 5) continue;
+            if ((child.href && bare(child.href) === target) || sheetImports(child, target, depth + 1)) return true;
+        }
+        return false;
+    }
+
+    // Re-fetch the stylesheets that are (or @import) the changed file. The
+    // old <link> stays until the new one has loaded, so nothing flashes.
+    function swapStylesheet(path) {
+        const target = new URL(path, BASE).href;
+        for (const link of document.querySelectorAll('link[rel~="stylesheet"][href]')) {
+            if (link.__replaced) continue;
+            if (bare(link.href) !== target && !(link.sheet && sheetImports(link.sheet, target, 0))) continue;
+            const url = new URL(link.href);
+            url.searchParams.set('t', Date.now());
+            if (link.__loading) {
+                // Still replacing an older version: just fetch the newest
+                link.href = url.href;
+                continue;
+            }
+            const next = link.cloneNode();
+            next.href = url.href;
+            next.__loading = true;
+            link.__replaced = true;
+            next.onload = next.onerror = () => {
+                next.__loading = false;
+                link.remove();
+            };
+            link.after(next);
+        }
+    }
+
+    function reloadKeepingScroll() {
+        try {
+            sessionStorage.setItem(SCROLL_KEY, JSON.stringify({ path: location.pathname, x: window.scrollX, y: window.scrollY }));
+        } catch (_) { /* storage disabled */ }
+        location.reload();
+    }
+
+    function restoreScroll() {
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(SCROLL_KEY));
+            sessionStorage.removeItem(SCROLL_KEY);
+        } catch (_) { /* storage disabled */ }
+        if (!saved || saved.path !== location.pathname) return;
+        const apply = () => window.scrollTo(saved.x, saved.y);
+        if (document.readyState === 'complete') apply();
+        else window.addEventListener('load', apply, { once: true });
+    }
+
+    function morphAttributes(from, to) {
+        for (const { name } of [...from.attributes]) {
+            if (!to.hasAttribute(name)) from.removeAttribute(name);
+        }
+        for (const { name, value } of [...to.attributes]) {
+            if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+        }
+    }
+
+    function morphNode(from, to) {
+        if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) {
+            from.replaceWith(document.importNode(to, true));
+        } else if (from.nodeType === Node.ELEMENT_NODE) {
+            morphAttributes(from, to);
+            morphChildren(from, to);
+        } else if (from.nodeValue !== to.nodeValue) {
+            from.nodeValue = to.nodeValue;
+        }
+    }
+
+    function sameKind(a, b) {
+        return !!a && !!b && a.nodeType === b.nodeType && a.nodeName === b.nodeName && (a.id || '') === (b.id || '');
+    }
+
+    // Next sibling, skipping whitespace between elements
+    function nextMeaningful(node) {
+        let next = node.nextSibling;
+        while (next && next.nodeType === Node.TEXT_NODE && !next.nodeValue.trim()) next = next.nextSibling;
+        return next;
+    }
+
+    // Update `from` in place to match `to`, morphdom style: nodes are reused
+    // where they line up (or share an id), so focus, typed input and
+    // listeners on unchanged elements survive. Looking one node ahead keeps
+    // a single inserted or removed element from shifting everything after it.
+    function morphChildren(from, to) {
+        let cursor = from.firstChild;
+        for (const toChild of [...to.childNodes]) {
+            let match = cursor;
+            const keyed = toChild.id ? [...from.children].find(c => c.id === toChild.id) : null;
+            if (keyed) {
+                if (keyed !== cursor) from.insertBefore(keyed, cursor);
+                match = keyed;
+            } else if (cursor && !sameKind(cursor, toChild)) {
+                const nextTo = nextMeaningful(toChild);
+                if (cursor.id || sameKind(cursor, nextTo)) match = null; // toChild is new
+                else if (sameKind(nextMeaningful(cursor), toChild)) {
+                    // cursor was removed
+                    const removed = cursor;
+                    cursor = nextMeaningful(cursor);
+                    while (removed.nextSibling !== cursor) removed.nextSibling.remove();
+                    removed.remove();
+                    match = cursor;
+                }
+            }
+            if (!match) {
+                from.insertBefore(document.importNode(toChild, true), cursor);
+                continue;
+            }
+            cursor = match === cursor ? cursor.nextSibling : cursor;
+            morphNode(match, toChild);
+        }
+        while (cursor) {
+            const next = cursor.nextSibling;
+            cursor.remove();
+            cursor = next;
+        }
+    }
+
+    // Patch this page with its edited source. Body, title and inline <style>
+    // blocks are updated; scripts do not run again.
+    function patchPage(path, html) {
+        if (bare(location.href) !== new URL(path, BASE).href) return;
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const oldStyles = document.head.querySelectorAll('style');
+        const newStyles = doc.head.querySelectorAll('style');
+        if (oldStyles.length !== newStyles.length) {
+            reloadKeepingScroll();
+            return;
+        }
+        oldStyles.forEach((style, i) => {
+            if (style.textContent !== newStyles[i].textContent) style.textContent = newStyles[i].textContent;
+        });
+        if (document.title !== doc.title) document.title = doc.title;
+        morphAttributes(document.body, doc.body);
+        morphChildren(document.body, doc.body);
+    }
+
+    window.addEventListener('message', (event) => {
+        const msg = event.data;
+        if (event.source !== window.parent || event.origin !== location.origin || !msg || msg.__previewLive !== 1) return;
+        if (msg.type === 'css') swapStylesheet(msg.path);
+        else if (msg.type === 'patch') patchPage(msg.path, msg.html);
+        else if (msg.type === 'reload') reloadKeepingScroll();
+    });
+
+    restoreScroll();
+    post({ kind: 'load', url: location.href });
+    window.parent.postMessage({ __previewLive: 1, type: 'ready', url: location.href }, location.origin);
+})();
@@ -1,11 +1,12 @@
 // Service Worker for serving files dynamically (offline-capable)
-let files = new Map(); // Store all files by filename
+let files = new Map(); // Store all files by workspace-relative path
 
 // Utility function to get MIME type from file extension
 function getMimeType(fileName) {
     const extension = fileName.split('.').pop().toLowerCase();
     switch (extension) {
         case 'js':
+        case 'mjs':
             return 'application/javascript';
         case 'css':
             return 'text/css';
@@ -14,6 +15,8 @@ function getMimeType(fileName) {
             return 'text/html';
         case 'json':
             return 'application/json';
+        case 'svg':
+            return 'image/svg+xml';
         case 'txt':
             return 'text/plain';
         default:
@@ -38,6 +41,9 @@ self.addEventListener('message', (event) => {
     const { type, fileName, content } = event.data;
     
     switch (type) {
+        case 'clearFiles':
+            files.clear();
+            break;
         case 'updateFile':
             files.set(fileName, content || '');
             console.log(`[ServiceWorker] File content updated for ${fileName}`);
@@ -62,7 +68,7 @@ self.addEventListener('fetch', (event) => {
     // Check if this is a preview request
     if (pathname.includes('/preview/')) {
         // Remove the preview prefix to get the file path
-        let filePath = pathname.substring(pathname.indexOf('/preview/') + 9);
+        let filePath = decodeURIComponent(pathname.substring(pathname.indexOf('/preview/') + 9));
         
         // If requesting index.html or empty path, serve the main HTML file
         if (filePath === 'index.html' || filePath === '') {
@@ -0,0 +1,112 @@
+// --- Allowed roots ---
+// Server-side allow-list of directories the editor may read or write.
+// Configured with `--root <dir>` (repeatable) or EDITOR_ROOTS (a
+// path.delimiter-separated list); without either, the directory the server
+// was started in. A workspace can only be opened inside them, so it adds
+// nothing of its own.
+//
+// Paths are compared after resolving symlinks, so a link inside a root can't
+// reach a file outside it.
+
+const fs = require('fs');
+const path = require('path');
+
+class ForbiddenPathError extends Error {
+  constructor(target) {
+    super(`Forbidden: ${target} is outside the allowed roots`);
+    this.name = 'ForbiddenPathError';
+    this.code = 'forbidden';
+  }
+}
+
+let configuredRoots = [];
+
+/**
+ * Real path of `target`. Missing trailing segments (a file about to be
+ * created) are resolved against their deepest existing ancestor.
+ */
+function realpathLoose(target) {
+  const resolved = path.resolve(target);
+  const missing = [];
+  let current = resolved;
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync(current), ...missing);
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+      const parent = path.dirname(current);
+      if (parent === current) return resolved;
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+}
+
+/**
+ * Read the configured roots from the command line and environment.
+ * @returns {string[]} Absolute real paths.
+ */
+function loadRoots(argv = process.argv.slice(2), env = process.env) {
+  const dirs = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--root' && argv[i + 1]) dirs.push(argv[++i]);
+    else if (argv[i].startsWith('--root=')) dirs.push(argv[i].slice('--root='.length));
+  }
+  if (!dirs.length && env.EDITOR_ROOTS) {
+    dirs.push(...env.EDITOR_ROOTS.split(path.delimiter).filter(Boolean));
+  }
+  if (!dirs.length) dirs.push(process.cwd());
+
+  return dirs.map((dir) => {
+    let real;
+    try {
+      real = fs.realpathSync(path.resolve(dir));
+    } catch (err) {
+      throw new Error(`Root ${dir}: ${err.code === 'ENOENT' ? 'no such directory' : err.message}`);
+    }
+    if (!fs.statSync(real).isDirectory()) throw new Error(`Root ${dir}: not a directory`);
+    return real;
+  });
+}
+
+function setRoots(dirs) {
+  configuredRoots = [...new Set(dirs)];
+}
+
+function getRoots() {
+  return configuredRoots.slice();
+}
+
+function isAllowed(target) {
+  const real = realpathLoose(target);
+  return configuredRoots.some(root => isInside(root, real));
+}
+
+/**
+ * Throw a ForbiddenPathError (and log it) unless `target` is inside an
+ * allowed root.
+ * @param {string} target - Absolute or cwd-relative path.
+ * @param {string} [context] - Who asked, for the log line.
+ * @returns {string} The resolved (not real) path.
+ */
+function assertAllowed(target, context) {
+  const resolved = path.resolve(target);
+  if (!isAllowed(resolved)) {
+    console.warn('[Roots] Blocked', context ? `${context}:` : '', resolved);
+    throw new ForbiddenPathError(resolved);
+  }
+  return resolved;
+}
+
+module.exports = {
+  ForbiddenPathError,
+  loadRoots,
+  setRoots,
+  getRoots,
+  isAllowed,
+  assertAllowed,
+};
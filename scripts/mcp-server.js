@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+// --- MCP server ---
+// Model Context Protocol server on stdio that drives a connected editor tab.
+// It joins /ws as an agent client and relays every tool call as a
+// clientAction (see docs/client-api.md).
+//
+//   node scripts/mcp-server.js [--target <clientId>]
+//
+// Tools are derived from the object createClientApi builds: one per method or
+// getter of files, tabs, workspace, layout and any other namespace, named
+// `files_getContent` and so on. Parameter types come from PARAM_SCHEMAS and
+// descriptions from docs/client-api.md. Open files and dirty buffers are
+// published as `editor://file/<path>` resources.
+//
+// stdout carries the protocol only; logs go to stderr. Same RPC_URL /
+// RPC_TOKEN as rpc.js. The WebSocket is opened on first use and reopened
+// after it drops, so the server can start before the editor does.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createClientApi } = require('../src/client-api');
+const { endpointFromEnv, connect, resultOf } = require('./rpc-client');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'html-editor', version: require('../package.json').version };
+const DOCS_PATH = path.join(__dirname, '..', 'docs', 'client-api.md');
+const RESOURCE_PREFIX = 'editor://file/';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+function log(...args) { console.error('[mcp]', ...args); }
+
+// --- Tool catalogue ---
+
+const FILE_REF = { type: 'string', description: 'File id (item-…) or workspace-relative path' };
+
+// Schema for each parameter name used in window.app signatures. Names not
+// listed here accept any JSON value.
+const PARAM_SCHEMAS = {
+  fileIdOrPath: FILE_REF,
+  fileIdOrTabId: { type: 'string', description: 'File id, workspace-relative path or tab id' },
+  original: FILE_REF,
+  modified: FILE_REF,
+  content: { type: 'string', description: 'Full file content' },
+  name: { type: 'string', description: 'File name' },
+  newName: { type: 'string', description: 'New file name (same directory)' },
+  parentPath: { type: ['string', 'null'], description: 'Workspace-relative directory; the root when omitted' },
+  destPath: { type: 'string', description: 'Workspace-relative destination path' },
+  offset: { type: 'integer', minimum: 0, description: 'Byte offset' },
+  length: { type: 'integer', minimum: 0, description: 'Number of bytes' },
+  path: { type: 'string', description: 'Absolute directory path on the server' },
+  opts: { type: 'object', description: 'Options' },
+  target: { type: 'object', description: 'Where to move the tab' },
+  config: { type: 'object', description: 'Layout config, as returned by layout_save' },
+  componentType: { type: 'string', description: 'Registered GoldenLayout component type' },
+  state: { type: 'object', description: 'Component state' },
+  title: { type: ['string', 'null'], description: 'Tab title' },
+  contentItemId: { type: ['string', 'null'], description: 'Tab id; generated when omitted' },
+  base: { type: 'string', enum: ['saved', 'head'], description: 'What the diff gutter compares against' },
+  position: { type: 'object', description: 'Zero-based { row, column }' },
+  range: { type: 'object', description: '{ start, end }, each a zero-based { row, column }' },
+  text: { type: 'string', description: 'Text to insert' },
+  edits: { type: 'array', items: { type: 'object' }, description: 'Edits as [{ range, text }]; ranges refer to the text before the edits and must not overlap' },
+  row: { type: 'integer', minimum: 0, description: 'Zero-based line number' },
+  decorationId: { type: 'string', description: 'Id returned by editor_addDecoration' },
+};
+
+// Parameter names and defaults from a method's source, e.g.
+// `create(name, content = '', parentPath = null)`
+function parseParams(fn) {
+  const source = fn.toString();
+  const open = source.indexOf('(');
+  let depth = 0;
+  let close = open;
+  for (; close < source.length; close++) {
+    if (source[close] === '(') depth++;
+    else if (source[close] === ')' && --depth === 0) break;
+  }
+  const list = source.slice(open + 1, close).trim();
+  if (!list) return [];
+  return list.split(',').map((part) => {
+    const [name, def] = part.split('=').map(s => s.trim());
+    if (def === undefined) return { name, optional: false };
+    let defaultValue = null;
+    try { defaultValue = JSON.parse(def.replace(/'/g, '"')); } catch (_) { /* not a literal */ }
+    return { name, optional: true, defaultValue };
+  });
+}
+
+// `### \`getContent(fileIdOrPath): string | null\`` headings and the text
+// below them, keyed by 'files.getContent'
+function readMethodDocs() {
+  const docs = new Map();
+  let text;
+  try {
+    text = fs.readFileSync(DOCS_PATH, 'utf8');
+  } catch (err) {
+    log('No method docs:', err.message);
+    return docs;
+  }
+  let namespace = null;
+  let current = null;
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    // Code samples and rules stay out of the descriptions
+    if (line.startsWith('```')) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || line.trim() === '---') continue;
+    const section = line.match(/^## `app\.(\w+)`/);
+    if (section || line.startsWith('## ')) {
+      namespace = section ? section[1] : null;
+      current = null;
+      continue;
+    }
+    const heading = line.match(/^### `(\w+)(.*?)`/);
+    if (heading) {
+      current = namespace ? { signature: heading[1] + heading[2], lines: [] } : null;
+      if (current) docs.set(`${namespace}.${heading[1]}`, current);
+      continue;
+    }
+    if (current) current.lines.push(line.trim());
+  }
+  for (const [key, entry] of docs) {
+    docs.set(key, { signature: entry.signature, text: entry.lines.join(' ').replace(/\s+/g, ' ').trim() });
+  }
+  return docs;
+}
+
+function buildTools() {
+  // Methods only close over ctx, so an empty one is enough to list them
+  const app = createClientApi({});
+  const docs = readMethodDocs();
+  const tools = [];
+  for (const [namespace, obj] of Object.entries(app)) {
+    if (!obj || typeof obj !== 'object') continue;
+    for (const key of Object.getOwnPropertyNames(obj)) {
+      if (key.startsWith('_')) continue;
+      const desc = Object.getOwnPropertyDescriptor(obj, key);
+      const isGetter = typeof desc.get === 'function';
+      if (!isGetter && typeof desc.value !== 'function') continue;
+
+      const method = `${namespace}.${key}`;
+      const params = isGetter ? [] : parseParams(desc.value);
+      const properties = {};
+      for (const p of params) properties[p.name] = PARAM_SCHEMAS[p.name] || { description: p.name };
+      const doc = docs.get(method);
+      // `maximize(fileIdOrTabId?)`: the docs can mark a parameter optional
+      // that the code treats as undefined-tolerant without a default
+      if (doc) {
+        for (const p of params) {
+          if (doc.signature.includes(`${p.name}?`)) p.optional = true;
+        }
+      }
+      const signature = doc ? doc.signature : `${key}(${params.map(p => p.name + (p.optional ? '?' : '')).join(', ')})`;
+      tools.push({
+        name: `${namespace}_${key}`,
+        description: `window.app.${namespace}.${signature}${isGetter ? ' (read-only)' : ''}${doc && doc.text ? ` — ${doc.text}` : ''}`,
+        inputSchema: {
+          type: 'object',
+          properties,
+          required: params.filter(p => !p.optional).map(p => p.name),
+          additionalProperties: false,
+        },
+        method,
+        params,
+      });
+    }
+  }
+  return tools;
+}
+
+// Positional arguments for a tool call; gaps before a given argument are
+// filled with the method's default so `{ name, parentPath }` skips `content`
+function toArgs(tool, input = {}) {
+  const missing = tool.params.filter(p => !p.optional && input[p.name] === undefined);
+  if (missing.length) throw Object.assign(new Error(`Missing argument(s): ${missing.map(p => p.name).join(', ')}`), { rpcCode: INVALID_PARAMS });
+  let last = -1;
+  tool.params.forEach((p, i) => { if (input[p.name] !== undefined) last = i; });
+  return tool.params.slice(0, last + 1).map(p => (input[p.name] !== undefined ? input[p.name] : p.defaultValue));
+}
+
+// --- Editor connection ---
+
+function createEditorLink({ target }) {
+  let connection = null;
+
+  function getConnection() {
+    if (!connection) {
+      connection = connect({ ...endpointFromEnv(), idPrefix: `mcp-${process.pid}` }).then(async (conn) => {
+        conn.closed.then(() => {
+          log('Editor connection closed');
+          connection = null;
+        });
+        await conn.request({ type: 'register', role: 'agent', userAgent: `mcp-server.js (node ${process.version})` });
+        log('Connected to the editor');
+        return conn;
+      });
+      connection.catch(() => { connection = null; });
+    }
+    return connection;
+  }
+
+  return {
+    async call(method, args = []) {
+      const conn = await getConnection();
+      const request = { type: 'clientAction', method, args };
+      if (target) request.target = target;
+      return resultOf(await conn.request(request));
+    },
+    async close() {
+      const conn = connection && await connection.catch(() => null);
+      if (conn) conn.close();
+    },
+  };
+}
+
+// --- Resources ---
+
+function mimeTypeOf(name) {
+  const ext = name.split('.').pop().toLowerCase();
+  const types = {
+    html: 'text/html', htm: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript', mjs: 'text/javascript', cjs: 'text/javascript',
+    json: 'application/json',
+    md: 'text/markdown',
+    svg: 'image/svg+xml',
+    xml: 'application/xml',
+  };
+  return types[ext] || 'text/plain';
+}
+
+// Files open in a tab, plus any with unsaved changes
+async function listResources(editor) {
+  const [files, tabs] = await Promise.all([editor.call('files.list'), editor.call('tabs.list')]);
+  const open = new Set(tabs.map(t => t.fileId).filter(Boolean));
+  return files
+    .filter(f => open.has(f.id) || f.dirty)
+    .filter(f => !f.viewType)
+    .map(f => ({
+      uri: RESOURCE_PREFIX + encodeURI(f.path || f.id),
+      name: f.path || f.name,
+      description: [open.has(f.id) && 'open in a tab', f.dirty && 'unsaved changes'].filter(Boolean).join(', '),
+      mimeType: mimeTypeOf(f.name),
+    }));
+}
+
+async function readResource(editor, uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_PREFIX)) {
+    throw Object.assign(new Error(`Unknown resource: ${uri}`), { rpcCode: RESOURCE_NOT_FOUND });
+  }
+  const ref = decodeURI(uri.slice(RESOURCE_PREFIX.length));
+  // The buffer as the editor has it, including unsaved edits
+  const text = await editor.call('files.read', [ref]);
+  if (text === null || text === undefined) {
+    throw Object.assign(new Error(`Resource not found: ${uri}`), { rpcCode: RESOURCE_NOT_FOUND });
+  }
+  return { contents: [{ uri, mimeType: mimeTypeOf(ref), text }] };
+}
+
+// --- Protocol ---
+
+function formatResult(value) {
+  if (value === undefined) return 'null';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value, null, 2);
+}
+
+function createServer({ target }) {
+  const tools = buildTools();
+  const toolsByName = new Map(tools.map(t => [t.name, t]));
+  const editor = createEditorLink({ target });
+
+  const methods = {
+    initialize(params = {}) {
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false }, resources: { listChanged: false } },
+        serverInfo: SERVER_INFO,
+        instructions: 'Drives the HTML editor open in a browser tab. File arguments take a workspace-relative path or a file id from files_list.',
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return { tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+    },
+
+    async 'tools/call'(params = {}) {
+      const tool = toolsByName.get(params.name);
+      if (!tool) throw Object.assign(new Error(`Unknown tool: ${params.name}`), { rpcCode: INVALID_PARAMS });
+      const args = toArgs(tool, params.arguments);
+      try {
+        const result = await editor.call(tool.method, args);
+        return { content: [{ type: 'text', text: formatResult(result) }] };
+      } catch (err) {
+        // Failures of the call itself are tool results the model can see
+        return { content: [{ type: 'text', text: err.message }], isError: true };
+      }
+    },
+
+    async 'resources/list'() {
+      return { resources: await listResources(editor) };
+    },
+
+    'resources/templates/list'() {
+      return {
+        resourceTemplates: [{
+          uriTemplate: `${RESOURCE_PREFIX}{path}`,
+          name: 'Workspace file',
+          description: 'Any file in the open workspace by its relative path, with unsaved edits',
+        }],
+      };
+    },
+
+    'resources/read'(params = {}) {
+      return readResource(editor, params.uri);
+    },
+  };
+
+  async function handle(msg) {
+    if (!msg || msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+      if (msg && msg.id !== undefined && msg.method === undefined) return null; // a response; we send no requests
+      return { jsonrpc: '2.0', id: msg && msg.id !== undefined ? msg.id : null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+    const isNotification = msg.id === undefined;
+    const fn = methods[msg.method];
+    if (!fn) {
+      if (isNotification) return null; // notifications/initialized, cancelled, …
+      return { jsonrpc: '2.0', id: msg.id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${msg.method}` } };
+    }
+    try {
+      const result = await fn(msg.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: msg.id, result };
+    } catch (err) {
+      log(`${msg.method} failed:`, err.message);
+      if (isNotification) return null;
+      return { jsonrpc: '2.0', id: msg.id, error: { code: err.rpcCode || INTERNAL_ERROR, message: err.message } };
+    }
+  }
+
+  return { handle, tools, close: () => editor.close() };
+}
+
+function parseArgs(argv) {
+  const opts = { target: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target' && argv[i + 1]) opts.target = argv[++i];
+    else if (argv[i].startsWith('--target=')) opts.target = argv[i].slice('--target='.length);
+    else if (argv[i] === '-h' || argv[i] === '--help') opts.help = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    log(err.message);
+    process.exitCode = 2;
+    return;
+  }
+  if (opts.help) {
+    console.error('Usage: node scripts/mcp-server.js [--target <clientId>]\nSpeaks MCP on stdin/stdout; see docs/client-api.md.');
+    return;
+  }
+
+  const server = createServer(opts);
+  log(`Serving ${server.tools.length} tools on stdio`);
+  const send = (msg) => { if (msg) process.stdout.write(JSON.stringify(msg) + '\n'); };
+
+  // Replies still being worked out; stdin closing waits for them
+  const inFlight = new Set();
+  const track = (promise) => {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise));
+  };
+
+  const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch (_) {
+      send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    // Batches are allowed by older protocol versions
+    if (Array.isArray(msg)) {
+      track(Promise.all(msg.map(server.handle)).then(replies => {
+        const out = replies.filter(Boolean);
+        if (out.length) send(out);
+      }));
+    } else {
+      track(server.handle(msg).then(send));
+    }
+  });
+  rl.on('close', async () => {
+    await Promise.allSettled([...inFlight]);
+    await server.close();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { buildTools, createServer };
@@ -0,0 +1,98 @@
+// --- RPC client ---
+// WebSocket connection to the editor's /ws relay, shared by the command line
+// (rpc.js) and the MCP server (mcp-server.js). Endpoint and token come from
+// RPC_URL and RPC_TOKEN (or EDITOR_TOKEN, as used by the server).
+
+const WebSocket = require('ws');
+
+const DEFAULT_URL = 'ws://localhost:3000/ws';
+
+class RpcConnectError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RpcConnectError';
+  }
+}
+
+// A clientAction/clientEval reply that carries an error
+class RpcCallError extends Error {
+  constructor(message, remoteStack) {
+    super(message);
+    this.name = 'RpcCallError';
+    this.remoteStack = remoteStack;
+  }
+}
+
+function endpointFromEnv(env = process.env) {
+  return { url: env.RPC_URL || DEFAULT_URL, token: env.RPC_TOKEN || env.EDITOR_TOKEN || null };
+}
+
+/**
+ * Open the socket and resolve once it is ready.
+ * @param {{ url: string, token?: string, idPrefix?: string }} endpoint
+ * @returns {Promise<{ request: Function, send: Function, onMessage: Function, closed: Promise, close: Function }>}
+ */
+function connect({ url, token, idPrefix = `rpc-${process.pid}` }) {
+  return new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const ws = new WebSocket(url, { headers });
+    const pending = new Map();
+    const listeners = new Set();
+    let nextId = 1;
+    let markClosed;
+    const closed = new Promise((res) => { markClosed = res; });
+
+    ws.on('unexpected-response', (req, res) => {
+      const hint = res.statusCode === 401 ? ' (set RPC_TOKEN to an access token)' : '';
+      reject(new RpcConnectError(`Connection refused by ${url}: HTTP ${res.statusCode}${hint}`));
+    });
+    ws.on('error', (err) => reject(new RpcConnectError(`Cannot connect to ${url}: ${err.message}`)));
+    ws.on('close', () => {
+      for (const { reject: fail } of pending.values()) fail(new RpcConnectError('Connection closed'));
+      pending.clear();
+      markClosed();
+    });
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data); } catch (_) { return; }
+      if (msg.id && pending.has(msg.id)) {
+        const entry = pending.get(msg.id);
+        pending.delete(msg.id);
+        entry.resolve(msg);
+        return;
+      }
+      for (const fn of listeners) fn(msg);
+    });
+
+    ws.on('open', () => resolve({
+      // Resolves with the reply carrying the same id
+      request(msg) {
+        const id = `${idPrefix}-${nextId++}`;
+        return new Promise((res, rej) => {
+          pending.set(id, { resolve: res, reject: rej });
+          ws.send(JSON.stringify({ ...msg, id }));
+        });
+      },
+      // Fire and forget, for messages that get no reply
+      send(msg) { ws.send(JSON.stringify(msg)); },
+      onMessage(fn) { listeners.add(fn); },
+      closed,
+      close() { ws.close(); },
+    }));
+  });
+}
+
+// Unwrap a clientAction/clientEval reply, or throw its error
+function resultOf(reply) {
+  if (reply.error) throw new RpcCallError(reply.error, reply.stack);
+  return reply.result;
+}
+
+module.exports = {
+  DEFAULT_URL,
+  RpcConnectError,
+  RpcCallError,
+  endpointFromEnv,
+  connect,
+  resultOf,
+};
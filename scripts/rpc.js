@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// --- RPC command line ---
+// Drives `window.app` in a connected editor tab over the /ws relay
+// (clientAction / clientEval, see docs/client-api.md).
+//
+//   node scripts/rpc.js call <method> [jsonArg...]
+//   node scripts/rpc.js eval <code> | eval -f <file> | eval -   (stdin)
+//   node scripts/rpc.js list
+//   node scripts/rpc.js clients
+//   node scripts/rpc.js watch [event...]
+//
+// Endpoint: RPC_URL (default ws://localhost:3000/ws). Token: RPC_TOKEN, or
+// EDITOR_TOKEN as used by the server.
+
+const fs = require('fs');
+const { RpcConnectError, RpcCallError, endpointFromEnv, connect, resultOf } = require('./rpc-client');
+
+const USAGE = `Usage: node scripts/rpc.js [options] <command> [args]
+
+Commands:
+  call <method> [jsonArg...]   Call a window.app method; each arg is a JSON literal
+  eval <code>                  Run JS in the editor tab (app is in scope)
+  eval -f <file> | eval -      ...with the code read from a file or stdin
+  list                         Shortcut for: call tabs.list
+  clients                      List connected clients (ids for --target)
+  watch [event...]             Print editor events as they happen (Ctrl-C to stop)
+
+Options:
+  --target <clientId>          Client to send to: an id from 'clients', 'focused'
+                               (the browser tab focused last, default) or 'broadcast'
+  --json                       Print compact JSON (one line per result/event)
+  --pretty                     Print indented JSON, strings quoted (default: strings raw)
+  --wait-for-client[=<sec>]    Wait until a browser tab is connected (no limit by default)
+  -h, --help                   Show this help
+
+Environment:
+  RPC_URL      WebSocket endpoint (default ws://localhost:3000/ws)
+  RPC_TOKEN    Access token (falls back to EDITOR_TOKEN)
+
+Exit codes: 0 success, 1 the call failed, 2 usage error, 3 could not connect.`;
+
+const EXIT_OK = 0;
+const EXIT_RPC_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_CONNECT = 3;
+
+// How long `watch` waits for the server to acknowledge the subscription
+const SUBSCRIBE_TIMEOUT_MS = 5000;
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { output: 'default', target: null, waitForClient: false, waitSeconds: 0, file: null };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg === '--json') opts.output = 'json';
+    else if (arg === '--pretty') opts.output = 'pretty';
+    else if (arg === '--target') {
+      if (!argv[i + 1]) throw new CliError('--target needs a client id', EXIT_USAGE);
+      opts.target = argv[++i];
+    } else if (arg.startsWith('--target=')) opts.target = arg.slice('--target='.length);
+    else if (arg === '--wait-for-client') opts.waitForClient = true;
+    else if (arg.startsWith('--wait-for-client=')) {
+      opts.waitForClient = true;
+      opts.waitSeconds = Number(arg.slice('--wait-for-client='.length));
+      if (!(opts.waitSeconds > 0)) throw new CliError('--wait-for-client needs a positive number of seconds', EXIT_USAGE);
+    } else if (arg === '-f' || arg === '--file') {
+      if (!argv[i + 1]) throw new CliError(`${arg} needs a file name`, EXIT_USAGE);
+      opts.file = argv[++i];
+    } else if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    } else if (arg.startsWith('--')) throw new CliError(`Unknown option: ${arg}`, EXIT_USAGE);
+    else positional.push(arg);
+  }
+  return { opts, command: positional[0], args: positional.slice(1) };
+}
+
+function parseJsonArgs(args) {
+  return args.map((arg, i) => {
+    try {
+      return JSON.parse(arg);
+    } catch (_) {
+      throw new CliError(`Argument ${i + 1} is not valid JSON: ${arg}\n(strings need quotes, e.g. '"README.md"')`, EXIT_USAGE);
+    }
+  });
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function evalSource(opts, args) {
+  if (opts.file) {
+    try {
+      return fs.readFileSync(opts.file, 'utf8');
+    } catch (err) {
+      throw new CliError(`Cannot read ${opts.file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`, EXIT_USAGE);
+    }
+  }
+  if (args[0] === '-' || (args.length === 0 && !process.stdin.isTTY)) return readStdin();
+  if (args.length === 0) throw new CliError('eval needs code, -f <file> or - for stdin', EXIT_USAGE);
+  return args.join(' ');
+}
+
+function format(value, output) {
+  if (output === 'json') return JSON.stringify(value === undefined ? null : value);
+  if (value === undefined) return '';
+  if (typeof value === 'string' && output !== 'pretty') return value;
+  return JSON.stringify(value, null, 2);
+}
+
+function clientsOf(reply) {
+  if (!reply.success) throw new CliError(reply.error || 'listClients failed', EXIT_RPC_ERROR);
+  return reply.clients.map(c => ({ ...c, self: c.id === reply.self }));
+}
+
+// Resolve once a browser tab has registered
+async function waitForClient(conn, opts) {
+  const wanted = (client) => client.role === 'browser';
+  let found;
+  const arrived = new Promise((resolve) => { found = resolve; });
+  conn.onMessage((msg) => {
+    if (msg.type === 'event' && msg.event === 'client.registered' && wanted(msg.data)) found();
+  });
+  await conn.request({ type: 'subscribe', events: ['client.registered'] });
+  const list = await conn.request({ type: 'listClients' });
+  if ((list.clients || []).some(wanted)) return;
+
+  process.stderr.write('Waiting for a browser tab to connect...\n');
+  const timers = [];
+  const waits = [arrived, conn.closed.then(() => { throw new RpcConnectError('Connection closed'); })];
+  if (opts.waitSeconds) {
+    waits.push(new Promise((resolve, reject) => timers.push(setTimeout(
+      () => reject(new CliError(`No browser tab connected within ${opts.waitSeconds}s`, EXIT_CONNECT)),
+      opts.waitSeconds * 1000))));
+  }
+  try {
+    await Promise.race(waits);
+  } finally {
+    timers.forEach(clearTimeout);
+  }
+}
+
+async function watch(conn, events, opts) {
+  conn.onMessage((msg) => {
+    if (msg.type !== 'event') return;
+    if (opts.output === 'json') {
+      console.log(JSON.stringify(msg));
+    } else {
+      const time = new Date(msg.time || Date.now()).toISOString().slice(11, 23);
+      const source = msg.source ? ` [${msg.source}]` : '';
+      console.log(`${time} ${msg.event}${source}${msg.data === undefined ? '' : ' ' + JSON.stringify(msg.data)}`);
+    }
+  });
+  const ack = await Promise.race([
+    conn.request({ type: 'subscribe', events: events.length ? events : ['*'] }),
+    new Promise(resolve => setTimeout(() => resolve(null), SUBSCRIBE_TIMEOUT_MS)),
+  ]);
+  if (!ack) throw new CliError('The server did not acknowledge the subscription (does it support `subscribe`?)', EXIT_RPC_ERROR);
+  if (ack.success === false) throw new CliError(ack.error || 'Subscription refused', EXIT_RPC_ERROR);
+  process.stderr.write(`Watching ${events.length ? events.join(', ') : 'all events'} (Ctrl-C to stop)\n`);
+  // Run until interrupted or the server goes away
+  await Promise.race([conn.closed, new Promise(resolve => process.once('SIGINT', resolve))]);
+}
+
+async function main(argv) {
+  const { opts, command, args } = parseArgs(argv);
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return opts.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  // Build the request before connecting so usage errors don't need a server
+  let request;
+  switch (command) {
+    case 'call':
+      if (!args[0]) throw new CliError('call needs a method, e.g. workspace.path', EXIT_USAGE);
+      request = { type: 'clientAction', method: args[0], args: parseJsonArgs(args.slice(1)) };
+      break;
+    case 'list':
+      request = { type: 'clientAction', method: 'tabs.list', args: [] };
+      break;
+    case 'eval':
+      request = { type: 'clientEval', code: await evalSource(opts, args) };
+      break;
+    case 'clients':
+      request = { type: 'listClients' };
+      break;
+    case 'watch':
+      break;
+    default:
+      throw new CliError(`Unknown command: ${command}`, EXIT_USAGE);
+  }
+  if (opts.target && request && request.type !== 'listClients') request.target = opts.target;
+
+  const conn = await connect({ ...endpointFromEnv(), idPrefix: `cli-${process.pid}` });
+  try {
+    await conn.request({ type: 'register', role: 'agent', userAgent: `rpc.js (node ${process.version})` });
+    if (opts.waitForClient) await waitForClient(conn, opts);
+    if (command === 'watch') {
+      await watch(conn, args, opts);
+      return EXIT_OK;
+    }
+    const reply = await conn.request(request);
+    const result = request.type === 'listClients' ? clientsOf(reply) : resultOf(reply);
+    const text = format(result, opts.output);
+    if (text !== '') console.log(text);
+    return EXIT_OK;
+  } finally {
+    conn.close();
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    if (err instanceof CliError) {
+      console.error(err.exitCode === EXIT_USAGE ? `${err.message}\nRun with --help for usage.` : `Error: ${err.message}`);
+      process.exitCode = err.exitCode;
+    } else if (err instanceof RpcCallError) {
+      console.error(`Error: ${err.message}`);
+      if (err.remoteStack) console.error(err.remoteStack);
+      process.exitCode = EXIT_RPC_ERROR;
+    } else if (err instanceof RpcConnectError) {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = EXIT_CONNECT;
+    } else {
+      console.error(err.stack || err.message);
+      process.exitCode = EXIT_RPC_ERROR;
+    }
+  },
+);
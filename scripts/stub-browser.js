@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// --- Stub browser client ---
+// Stands in for an editor tab when testing RPC agents (rpc.js, the MCP
+// server) without a real browser: connects to /ws, registers as a browser
+// and answers clientAction/clientEval with the real window.app
+// (src/client-api.js) over an in-memory project and a one-stack layout.
+//
+//   node scripts/stub-browser.js [dir]
+//
+// With a directory, its text files (dot-entries and node_modules skipped)
+// are loaded as the project; saving only clears the dirty flag, nothing is
+// written back. File and tab events are published like a real tab. Same
+// RPC_URL / RPC_TOKEN as rpc.js.
+
+const fs = require('fs');
+const path = require('path');
+const { createClientApi } = require('../src/client-api');
+const { installClientRpc } = require('../src/client-rpc');
+const { createEventBus, forwardAppEvents } = require('../src/app-events');
+const { endpointFromEnv, connect } = require('./rpc-client');
+
+const MAX_FILES = 500;
+const MAX_FILE_SIZE = 1024 * 1024;
+
+function log(...args) { console.error('[stub]', ...args); }
+const logger = { log, warn: log, error: log };
+
+function createProject(dir) {
+  let nextId = 1;
+  const projectFiles = {};
+  const root = { type: 'directory', name: dir ? path.basename(dir) : 'stub', children: [] };
+
+  function addFile(parent, name, content) {
+    const file = { id: `item-${nextId++}`, name, type: 'file', content, savedContent: content };
+    parent.children.push(file);
+    projectFiles[file.id] = file;
+    return file;
+  }
+
+  function load(absDir, node) {
+    for (const entry of fs.readdirSync(absDir, { withFileTypes: true })) {
+      if (Object.keys(projectFiles).length >= MAX_FILES) return;
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const abs = path.join(absDir, entry.name);
+      if (entry.isDirectory()) {
+        const child = { id: `item-${nextId++}`, type: 'directory', name: entry.name, children: [] };
+        node.children.push(child);
+        load(abs, child);
+      } else if (entry.isFile() && fs.statSync(abs).size <= MAX_FILE_SIZE) {
+        const buf = fs.readFileSync(abs);
+        if (!buf.subarray(0, 8000).includes(0)) addFile(node, entry.name, buf.toString('utf8'));
+      }
+    }
+  }
+
+  if (dir) {
+    load(dir, root);
+  } else {
+    addFile(root, 'index.html', '<!DOCTYPE html>\n<h1>Hello</h1>\n');
+    addFile(root, 'style.css', 'h1 { color: teal; }\n');
+  }
+  return { root, projectFiles, nextId: () => nextId++ };
+}
+
+// Just enough of GoldenLayout for app.tabs and app.layout: one stack
+function createLayout() {
+  const stack = {
+    id: 'editorStack',
+    contentItems: [],
+    active: null,
+    getActiveContentItem() { return this.active; },
+    setActiveContentItem(item) { this.active = item; },
+  };
+  const root = { contentItems: [stack] };
+  return {
+    root,
+    stack,
+    getAllStacks: () => [stack],
+    saveLayout: () => ({ root: { type: 'stack', content: stack.contentItems.map(i => ({ type: 'component', componentType: i.componentType, title: i.title })) } }),
+    loadLayout() {},
+  };
+}
+
+function createStubApp(dir, events) {
+  const project = createProject(dir);
+  const layout = createLayout();
+  const dirtyFiles = new Set();
+  const decorations = new Map();
+  let nextDecoration = 1;
+  const tabEvent = item => ({ tabId: item.id, componentType: item.componentType, title: item.title, fileId: item.container.getState().fileId || null, stackId: 'editorStack' });
+
+  function pathOf(id, node = project.root, prefix = '') {
+    for (const child of node.children || []) {
+      const rel = prefix + child.name;
+      if (child.id === id) return rel;
+      if (child.type === 'directory') {
+        const found = pathOf(id, child, rel + '/');
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  const ctx = {
+    wsClient: null,
+    log: logger,
+    projectFiles: project.projectFiles,
+    projectStructure: project.root,
+    currentWorkspacePath: dir || null,
+    goldenLayoutInstance: layout,
+    dirtyFiles,
+    events,
+    _editorInstances: new Map(),
+    getAllFiles: () => Object.values(project.projectFiles),
+    getRelativePath: (id) => pathOf(id),
+    findFileByPath: (rel) => Object.values(project.projectFiles).find(f => pathOf(f.id) === rel) || null,
+    resolveWorkspacePath: async (rel) => ctx.findFileByPath(rel),
+    ensureFileContent: async () => {},
+    markDirty: (id) => {
+      dirtyFiles.add(id);
+      events.emit('file.changed', { fileId: id, path: pathOf(id) });
+    },
+    updatePreviewFiles: () => {},
+    generateUniqueId: () => `item-${project.nextId()}`,
+    getFileTypeFromExtension: (name) => name.split('.').pop().toLowerCase(),
+    saveFileToDisk: async (id) => {
+      const f = project.projectFiles[id];
+      if (f) f.savedContent = f.content;
+      dirtyFiles.delete(id);
+      events.emit('file.saved', { fileId: id, path: pathOf(id) });
+      return true;
+    },
+    syncAllDirtyFiles: async () => {
+      for (const id of [...dirtyFiles]) await ctx.saveFileToDisk(id);
+    },
+    openEditorTab(componentType, state, title, id) {
+      let item = layout.stack.contentItems.find(i => i.id === id);
+      if (!item) {
+        item = {
+          isComponent: true,
+          id,
+          componentType,
+          title,
+          parent: layout.stack,
+          container: { getState: () => state },
+          close() {
+            layout.stack.contentItems = layout.stack.contentItems.filter(i => i !== item);
+            if (layout.stack.active === item) layout.stack.active = layout.stack.contentItems[0] || null;
+            events.emit('tab.closed', tabEvent(item));
+          },
+          setTitle(t) { item.title = t; },
+        };
+        layout.stack.contentItems.push(item);
+        events.emit('tab.opened', tabEvent(item));
+      }
+      layout.stack.active = item;
+      events.emit('tab.focused', tabEvent(item));
+      return item;
+    },
+    getDefaultLayoutConfig: () => ({}),
+    // Decorations are only recorded, there is nothing to draw them on
+    addDecoration(fileId, range, { className = null, type = 'text' } = {}) {
+      const id = `deco-${nextDecoration++}`;
+      decorations.set(id, { id, fileId, range, className, type });
+      return id;
+    },
+    removeDecoration: id => decorations.delete(id),
+    listDecorations: fileId => [...decorations.values()].filter(d => d.fileId === fileId).map(({ fileId: _, ...d }) => d),
+  };
+  return createClientApi(ctx);
+}
+
+async function main() {
+  const dir = process.argv[2] ? path.resolve(process.argv[2]) : null;
+  const events = createEventBus(logger);
+  const app = createStubApp(dir, events);
+  // client-rpc.js dispatches against window.app
+  global.window = { app };
+
+  const conn = await connect({ ...endpointFromEnv(), idPrefix: `stub-${process.pid}` });
+  const listeners = new Set();
+  conn.onMessage(msg => listeners.forEach(fn => fn(msg)));
+  const transport = {
+    addMessageListener: fn => listeners.add(fn),
+    wsRawSend: msg => conn.send(msg),
+  };
+  installClientRpc(transport, logger);
+  forwardAppEvents(events, transport);
+
+  const reply = await conn.request({ type: 'register', role: 'browser', userAgent: 'stub-browser.js', focused: true });
+  log(`Registered as ${reply.client ? reply.client.id : '?'} with ${app.files.list().length} files${dir ? ` from ${dir}` : ''}`);
+  await conn.closed;
+  log('Connection closed');
+}
+
+main().catch((err) => {
+  log(err.message);
+  process.exitCode = 1;
+});
@@ -5,12 +5,25 @@ const fs = require('fs');
 const archiver = require('archiver');
 const { WebSocketServer } = require('ws');
 const wsHandler = require('./ws-handler');
+const { loadTokens, createAuth, tokenCookie, clearedTokenCookie } = require('./auth');
+const roots = require('./roots');
+const ptySessions = require('./pty-sessions');
+const { injectPreviewBridge } = require('./src/preview-bridge-tag');
 
 const app = express();
 const port = process.env.PORT || 3000;
+const host = process.env.HOST || '0.0.0.0';
 
-// In-memory store for preview files (shared with WS handler)
-const previewFiles = new Map();
+const { tokens, generated: generatedToken } = loadTokens();
+const auth = createAuth(tokens);
+
+roots.setRoots(roots.loadRoots());
+ptySessions.configure(ptySessions.loadConfig());
+
+// Preview files (shared with WS handler): the browser's buffers keyed by
+// workspace-relative path, and the workspace they belong to. Paths without
+// a buffer (images, fonts, files not loaded yet) are read from there.
+const preview = { files: new Map(), root: null };
 
 function getMimeType(fileName) {
   const ext = fileName.split('.').pop().toLowerCase();
@@ -18,7 +31,9 @@ function getMimeType(fileName) {
     html: 'text/html', htm: 'text/html',
     css: 'text/css',
     js: 'application/javascript',
+    mjs: 'application/javascript',
     json: 'application/json',
+    xml: 'application/xml',
     svg: 'image/svg+xml',
     png: 'image/png',
     jpg: 'image/jpeg', jpeg: 'image/jpeg',
@@ -26,19 +41,92 @@ function getMimeType(fileName) {
   return types[ext] || 'text/plain';
 }
 
+// --- Authentication ---
+// Only the login page and /ping are reachable without a token.
+
+app.get('/ping', (req, res) => {
+  res.send('pong');
+});
+
+// Only same-site paths, so the login form can't be used as an open redirect
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+  const token = (req.body && req.body.token || '').trim();
+  const next = safeNext(req.body && req.body.next);
+  if (!auth.lookup(token)) {
+    return res.redirect(303, '/login?error=1&next=' + encodeURIComponent(next));
+  }
+  res.set('Set-Cookie', tokenCookie(token));
+  res.redirect(303, next);
+});
+
+app.get('/logout', (req, res) => {
+  res.set('Set-Cookie', clearedTokenCookie());
+  res.redirect(303, '/login');
+});
+
+// Browser navigation (not fetch/XHR, which would follow a redirect silently)
+function isPageLoad(req) {
+  return req.method === 'GET' && (req.headers.accept || '').includes('text/html');
+}
+
+app.use((req, res, next) => {
+  const identity = auth.authenticate(req);
+  if (!identity) {
+    if (isPageLoad(req)) {
+      return res.redirect(302, '/login?next=' + encodeURIComponent(req.originalUrl));
+    }
+    return res.status(401).send('Unauthorized');
+  }
+  // A ?token= link (as printed at startup) signs the browser in: keep the
+  // token in the cookie and drop it from the address bar
+  if (identity.source === 'query' && isPageLoad(req)) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.delete('token');
+    res.set('Set-Cookie', tokenCookie(identity.token));
+    return res.redirect(302, url.pathname + url.search);
+  }
+  req.identity = identity;
+  next();
+});
+
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve preview files from in-memory store
-app.get('/preview-output/*filePath', (req, res) => {
-  const filePath = req.params.filePath[0] || 'preview.html';
-  if (previewFiles.has(filePath)) {
+// Serve preview files from the in-memory store, falling back to the
+// previewed workspace on disk. Pages from disk get the preview bridge too,
+// like the ones the editor sends.
+app.get('/preview-output/*filePath', async (req, res) => {
+  const filePath = req.params.filePath.join('/') || 'preview.html';
+  res.set('Cache-Control', 'no-cache');
+  if (preview.files.has(filePath)) {
     res.set('Content-Type', getMimeType(filePath));
-    res.set('Cache-Control', 'no-cache');
-    res.send(previewFiles.get(filePath));
-  } else {
-    res.status(404).send('Not found');
+    return res.send(preview.files.get(filePath));
+  }
+  const resolved = preview.root && path.resolve(preview.root, filePath);
+  if (!resolved || path.relative(preview.root, resolved).startsWith('..') || !roots.isAllowed(resolved)) {
+    return res.status(404).send('Not found');
   }
+  if (getMimeType(filePath) === 'text/html') {
+    let html;
+    try {
+      html = await fs.promises.readFile(resolved, 'utf8');
+    } catch (_) {
+      return res.status(404).send('Not found');
+    }
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.send(injectPreviewBridge(html, filePath.split('/').length - 1));
+  }
+  res.sendFile(resolved, (err) => {
+    if (err && !res.headersSent) res.status(404).send('Not found');
+  });
 });
 
 // Serve Ace worker and snippet files with correct MIME type
@@ -78,12 +166,25 @@ app.get('/snippets/javascript.js', (req, res) => {
   });
 });
 
+// Resolve a ?path= parameter, or answer 403 if it is outside the allowed
+// roots (see roots.js) and return null
+function allowedPath(req, res) {
+  try {
+    return roots.assertAllowed(req.query.path, `${req.path} for ${req.identity.name}`);
+  } catch (err) {
+    if (!(err instanceof roots.ForbiddenPathError)) throw err;
+    res.status(403).send('Forbidden');
+    return null;
+  }
+}
+
 // Serve raw files from the workspace directory
 app.get('/workspace-file', (req, res) => {
   const filePath = req.query.path;
   if (!filePath) return res.status(400).send('Missing path parameter');
 
-  const resolved = path.resolve(filePath);
+  const resolved = allowedPath(req, res);
+  if (!resolved) return;
   res.sendFile(resolved, (err) => {
     if (err) res.status(404).send('Not found');
   });
@@ -93,7 +194,8 @@ app.get('/workspace-file', (req, res) => {
 app.get('/download-file', (req, res) => {
   const filePath = req.query.path;
   if (!filePath) return res.status(400).send('Missing path parameter');
-  const resolved = path.resolve(filePath);
+  const resolved = allowedPath(req, res);
+  if (!resolved) return;
   res.download(resolved, path.basename(resolved), (err) => {
     if (err && !res.headersSent) res.status(404).send('Not found');
   });
@@ -103,7 +205,8 @@ app.get('/download-file', (req, res) => {
 app.get('/download-dir', (req, res) => {
   const dirPath = req.query.path;
   if (!dirPath) return res.status(400).send('Missing path parameter');
-  const resolved = path.resolve(dirPath);
+  const resolved = allowedPath(req, res);
+  if (!resolved) return;
   if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
     return res.status(404).send('Directory not found');
   }
@@ -119,16 +222,29 @@ app.get('/download-dir', (req, res) => {
   archive.finalize();
 });
 
-app.get('/ping', (req, res) => {
-  res.send('pong');
-});
-
 // Create HTTP server and attach WebSocket
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: '/ws' });
+const wss = new WebSocketServer({
+  server,
+  path: '/ws',
+  verifyClient(info, done) {
+    const identity = auth.authenticate(info.req, { checkOrigin: true });
+    if (!identity) return done(false, 401, 'Unauthorized');
+    info.req.identity = identity;
+    done(true);
+  },
+});
 
-wss.on('connection', (ws) => wsHandler.handleConnection(ws, previewFiles));
+wss.on('connection', (ws, req) => wsHandler.handleConnection(ws, preview, req.identity, req));
 
-server.listen(port, '0.0.0.0', () => {
-  console.log(`Server listening at http://0.0.0.0:${port}`);
+server.listen(port, host, () => {
+  console.log(`Server listening at http://${host}:${port}`);
+  console.log(`Allowed roots: ${roots.getRoots().join(', ')}`);
+  if (generatedToken) {
+    const shown = host === '0.0.0.0' ? 'localhost' : host;
+    console.log(`Access token (full access, regenerated on every start): ${generatedToken}`);
+    console.log(`Open http://${shown}:${port}/?token=${generatedToken}`);
+  } else {
+    console.log(`Authentication: ${tokens.length} configured token(s)`);
+  }
 });
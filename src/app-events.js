@@ -0,0 +1,70 @@
+// --- App events ---
+// Notification side of window.app: `app.on(event, handler)` / `app.off`.
+// main.js emits the events in the catalogue (docs/client-api.md, "Events");
+// forwardAppEvents() relays them to the server for subscribed RPC agents.
+//
+// Handlers are registered for an event name ('file.saved'), a prefix
+// ('file.*') or everything ('*') and called as handler(data, event).
+// ws-handler.js matches server subscriptions with the same eventMatches().
+
+function eventMatches(patterns, event) {
+    for (const pattern of patterns) {
+        if (pattern === '*' || pattern === event) return true;
+        if (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1))) return true;
+    }
+    return false;
+}
+
+function createEventBus(log) {
+    const handlers = new Map(); // pattern -> Set<handler>
+
+    function off(pattern, handler) {
+        const set = handlers.get(pattern);
+        if (!set || !set.delete(handler)) return false;
+        if (set.size === 0) handlers.delete(pattern);
+        return true;
+    }
+
+    return {
+        // Returns a function that removes the handler again
+        on(pattern, handler) {
+            if (typeof pattern !== 'string' || !pattern) throw new Error('on: event name required');
+            if (typeof handler !== 'function') throw new Error('on: handler must be a function');
+            if (!handlers.has(pattern)) handlers.set(pattern, new Set());
+            handlers.get(pattern).add(handler);
+            return () => off(pattern, handler);
+        },
+
+        off,
+
+        emit(event, data) {
+            for (const [pattern, set] of handlers) {
+                if (!eventMatches([pattern], event)) continue;
+                for (const handler of [...set]) {
+                    try {
+                        handler(data, event);
+                    } catch (err) {
+                        if (log) log.error(`Handler for ${event} failed:`, err);
+                    }
+                }
+            }
+        },
+    };
+}
+
+// Send events to the server as `appEvent` messages, but only those some
+// agent has subscribed to: the server keeps us posted with `eventInterest`.
+function forwardAppEvents(bus, wsClient) {
+    let interest = [];
+    wsClient.addMessageListener((msg) => {
+        if (msg && msg.type === 'eventInterest' && Array.isArray(msg.patterns)) interest = msg.patterns;
+    });
+    bus.on('*', (data, event) => {
+        if (!interest.length || !eventMatches(interest, event)) return;
+        try {
+            wsClient.wsRawSend({ type: 'appEvent', event, data });
+        } catch (_) { /* offline */ }
+    });
+}
+
+module.exports = { createEventBus, forwardAppEvents, eventMatches };
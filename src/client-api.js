@@ -94,6 +94,12 @@ function createClientApi(ctx) {
         return node;
     }
 
+    // A directory by workspace-relative path; unlike findDirNodeByPath, never the root
+    function resolveDir(relPath) {
+        if (typeof relPath !== 'string' || !relPath.split('/').some(Boolean)) return null;
+        return findDirNodeByPath(relPath);
+    }
+
     function findParentOfFile(fileId, node = ctx.projectStructure) {
         if (!node.children) return null;
         for (const child of node.children) {
@@ -128,13 +134,28 @@ function createClientApi(ctx) {
 
         getContent(fileIdOrPath) {
             const f = resolveFile(fileIdOrPath);
-            return f ? (f.content || '') : null;
+            if (!f || f.contentLoaded === false) return null;
+            return f.content || '';
+        },
+
+        // Like getContent, but fetches the file (and the directories above
+        // it) from the server first if the workspace has not loaded it yet.
+        async read(fileIdOrPath) {
+            let f = resolveFile(fileIdOrPath);
+            if (!f && typeof fileIdOrPath === 'string' && ctx.currentWorkspacePath) {
+                const node = await ctx.resolveWorkspacePath(fileIdOrPath);
+                if (node && node.type === 'file') f = node;
+            }
+            if (!f) return null;
+            await ctx.ensureFileContent(f);
+            return f.content || '';
         },
 
         setContent(fileIdOrPath, content) {
             const f = resolveFile(fileIdOrPath);
             if (!f) return false;
             f.content = content;
+            delete f.contentLoaded;
             ctx.markDirty(f.id);
 
             const inst = ctx._editorInstances.get(f.id);
@@ -213,6 +234,7 @@ function createClientApi(ctx) {
             }
 
             f.name = newName;
+            if (ctx.events) ctx.events.emit('file.renamed', { fileId: f.id, oldPath: oldRelPath, path: ctx.getRelativePath(f.id) });
             // Update any open tab title
             if (ctx.goldenLayoutInstance && ctx.goldenLayoutInstance.root) {
                 walkLayout(ctx.goldenLayoutInstance.root, (item) => {
@@ -229,34 +251,30 @@ function createClientApi(ctx) {
             return true;
         },
 
-        delete(fileIdOrPath) {
-            const f = resolveFile(fileIdOrPath);
-            if (!f) return false;
-
-            // Close any open tabs for this file
-            if (ctx.goldenLayoutInstance && ctx.goldenLayoutInstance.root) {
-                const toClose = [];
-                walkLayout(ctx.goldenLayoutInstance.root, (item) => {
-                    if (!item.isComponent) return;
-                    const state = item.container && typeof item.container.getState === 'function'
-                        ? item.container.getState() : null;
-                    if (state && state.fileId === f.id) toClose.push(item);
-                });
-                for (const item of toClose) {
-                    try { item.close(); } catch (_) { /* ignore */ }
-                }
+        // Files or directories. Pass { trash: true } to move the entry to
+        // .trash instead of removing it; resolves to its trash path then.
+        async delete(fileIdOrPath, opts = {}) {
+            const node = resolveFile(fileIdOrPath) || resolveDir(fileIdOrPath);
+            if (!node) return false;
+            try {
+                const result = await ctx.deleteWorkspaceEntry(node, { trash: !!opts.trash });
+                return result.trashPath || true;
+            } catch (err) {
+                log.warn('app.files.delete: server rejected delete:', err.message);
+                return false;
             }
+        },
 
-            // Remove from tree
-            const parent = findParentOfFile(f.id);
-            if (parent && parent.children) {
-                parent.children = parent.children.filter(c => c.id !== f.id);
+        async copy(fileIdOrPath, destPath) {
+            const node = resolveFile(fileIdOrPath) || resolveDir(fileIdOrPath);
+            if (!node || !destPath) return false;
+            try {
+                await ctx.copyWorkspaceEntry(node, destPath);
+                return true;
+            } catch (err) {
+                log.warn('app.files.copy: failed:', err.message);
+                return false;
             }
-            delete ctx.projectFiles[f.id];
-            ctx.dirtyFiles.delete(f.id);
-
-            refreshUI();
-            return true;
         },
 
         save(fileIdOrPath) {
@@ -433,7 +451,7 @@ function createClientApi(ctx) {
         async open(path) {
             if (!path) throw new Error('workspace.open: path required');
             if (!wsClient || !wsClient.isConnected()) throw new Error('workspace.open: not connected');
-            const result = await wsClient.wsRequest({ type: 'openWorkspace', path });
+            const result = await wsClient.wsRequest({ type: 'openWorkspace', path, lazy: true, includeIgnored: wsClient.getShowIgnored() });
             if (result.error) throw new Error(result.error);
             ctx.handleWorkspaceLoaded(result);
             return true;
@@ -477,12 +495,260 @@ function createClientApi(ctx) {
         },
     };
 
+    // --- Diff ---
+
+    async function resolveTextFile(fileIdOrPath, caller) {
+        let f = resolveFile(fileIdOrPath);
+        if (!f && typeof fileIdOrPath === 'string' && ctx.currentWorkspacePath) {
+            const node = await ctx.resolveWorkspacePath(fileIdOrPath);
+            if (node && node.type === 'file') f = node;
+        }
+        if (!f) throw new Error(`${caller}: file not found: ${fileIdOrPath}`);
+        return f;
+    }
+
+    const diff = {
+        async compareWithSaved(fileIdOrPath) {
+            const f = await resolveTextFile(fileIdOrPath, 'diff.compareWithSaved');
+            return tabInfo(ctx.openDiffEditor({ fileId: f.id, against: 'saved' }));
+        },
+
+        async compareWithHead(fileIdOrPath) {
+            const f = await resolveTextFile(fileIdOrPath, 'diff.compareWithHead');
+            return tabInfo(ctx.openDiffEditor({ fileId: f.id, against: 'head' }));
+        },
+
+        // `original` is shown read-only on the left, `modified` editable on the right
+        async compareFiles(original, modified) {
+            const a = await resolveTextFile(original, 'diff.compareFiles');
+            const b = await resolveTextFile(modified, 'diff.compareFiles');
+            return tabInfo(ctx.openDiffEditor({ fileId: b.id, against: 'file', otherFileId: a.id }));
+        },
+
+        get gutterBase() { return ctx.getGutterBase(); },
+
+        setGutterBase(base) {
+            ctx.setGutterBase(base);
+        },
+    };
+
+    // --- Editor ---
+    // Positions are zero-based { row, column }, ranges { start, end } of
+    // positions, as in Ace. Files without an open editor are edited through
+    // their buffer (`content`), with the cursor and selection kept on the
+    // file node for when it is opened.
+
+    // A text file, or the file of the active editor tab when none is given
+    function editorFile(fileIdOrPath) {
+        if (fileIdOrPath == null) {
+            const active = tabs.list().filter(t => t.active && t.componentType === 'editor' && t.fileId);
+            const tab = active.find(t => t.stackId === 'editorStack') || active[0];
+            fileIdOrPath = tab ? tab.fileId : null;
+        }
+        const f = resolveFile(fileIdOrPath);
+        return f && !f.viewType ? f : null;
+    }
+
+    function liveEditor(f) {
+        const inst = ctx._editorInstances.get(f.id);
+        return inst && inst.editor ? inst.editor : null;
+    }
+
+    function checkPosition(pos, caller) {
+        if (!pos || !Number.isInteger(pos.row) || !Number.isInteger(pos.column) || pos.row < 0 || pos.column < 0) {
+            throw new Error(`${caller}: expected a position { row, column } of non-negative integers`);
+        }
+        return { row: pos.row, column: pos.column };
+    }
+
+    function checkRange(range, caller) {
+        if (!range) throw new Error(`${caller}: expected a range { start, end }`);
+        const start = checkPosition(range.start, caller);
+        const end = checkPosition(range.end, caller);
+        return comparePositions(start, end) <= 0 ? { start, end } : { start: end, end: start };
+    }
+
+    function comparePositions(a, b) {
+        return a.row - b.row || a.column - b.column;
+    }
+
+    function plainRange(range) {
+        return {
+            start: { row: range.start.row, column: range.start.column },
+            end: { row: range.end.row, column: range.end.column },
+        };
+    }
+
+    // Start and end offset of each line; lines break at \r\n, \r or \n like Ace's
+    function lineBounds(text) {
+        const lines = [];
+        const re = /\r\n|\r|\n/g;
+        let start = 0;
+        let m;
+        while ((m = re.exec(text))) {
+            lines.push({ start, end: m.index });
+            start = m.index + m[0].length;
+        }
+        lines.push({ start, end: text.length });
+        return lines;
+    }
+
+    // Offset of a position, clipped to the text like Ace does
+    function offsetAt(lines, pos) {
+        const line = lines[Math.min(pos.row, lines.length - 1)];
+        if (pos.row >= lines.length) return line.end;
+        return Math.min(line.start + pos.column, line.end);
+    }
+
+    const editor = {
+        getSelection(fileIdOrPath) {
+            const f = editorFile(fileIdOrPath);
+            if (!f) return null;
+            const ed = liveEditor(f);
+            if (ed) return plainRange(ed.getSelectionRange());
+            if (f.selection) return plainRange(f.selection);
+            const cursor = f.cursor || { row: 0, column: 0 };
+            return { start: { ...cursor }, end: { ...cursor } };
+        },
+
+        setSelection(fileIdOrPath, range) {
+            const f = editorFile(fileIdOrPath);
+            if (!f) return false;
+            const r = checkRange(range, 'editor.setSelection');
+            const ed = liveEditor(f);
+            if (ed) {
+                ed.selection.setSelectionRange(r);
+            } else {
+                f.selection = comparePositions(r.start, r.end) === 0 ? null : r;
+                f.cursor = { ...r.end };
+            }
+            return true;
+        },
+
+        getCursor(fileIdOrPath) {
+            const f = editorFile(fileIdOrPath);
+            if (!f) return null;
+            const ed = liveEditor(f);
+            const cursor = ed ? ed.getCursorPosition() : (f.cursor || { row: 0, column: 0 });
+            return { row: cursor.row, column: cursor.column };
+        },
+
+        setCursor(fileIdOrPath, position) {
+            const pos = checkPosition(position, 'editor.setCursor');
+            return editor.setSelection(fileIdOrPath, { start: pos, end: pos });
+        },
+
+        insertAt(fileIdOrPath, position, text) {
+            const pos = checkPosition(position, 'editor.insertAt');
+            return editor.applyEdits(fileIdOrPath, [{ range: { start: pos, end: pos }, text }]);
+        },
+
+        // Ranges refer to the text before any of the edits; they must not
+        // overlap. An open editor undoes them in one step.
+        async applyEdits(fileIdOrPath, edits) {
+            const f = editorFile(fileIdOrPath);
+            if (!f) return false;
+            if (!Array.isArray(edits)) throw new Error('editor.applyEdits: expected an array of { range, text }');
+            const sorted = edits.map((e) => {
+                if (!e || typeof e.text !== 'string') throw new Error('editor.applyEdits: every edit needs a text string');
+                return { range: checkRange(e.range, 'editor.applyEdits'), text: e.text };
+            }).sort((a, b) => comparePositions(a.range.start, b.range.start));
+            for (let i = 1; i < sorted.length; i++) {
+                if (comparePositions(sorted[i].range.start, sorted[i - 1].range.end) < 0) {
+                    throw new Error('editor.applyEdits: edits overlap');
+                }
+            }
+            if (!sorted.length) return true;
+            await ctx.ensureFileContent(f);
+
+            // Back to front, so earlier ranges stay valid
+            sorted.reverse();
+            const ed = liveEditor(f);
+            if (ed) {
+                const session = ed.session;
+                const undo = session.getUndoManager();
+                undo.startNewGroup();
+                session.mergeUndoDeltas = true;
+                for (const e of sorted) session.replace(e.range, e.text);
+                undo.startNewGroup();
+                return true;
+            }
+            let text = f.content || '';
+            const lines = lineBounds(text);
+            for (const e of sorted) {
+                text = text.slice(0, offsetAt(lines, e.range.start)) + e.text + text.slice(offsetAt(lines, e.range.end));
+            }
+            f.content = text;
+            ctx.markDirty(f.id);
+            ctx.updatePreviewFiles();
+            return true;
+        },
+
+        // Scrolls an open editor so `row` is centred; otherwise moves the
+        // stored cursor there, and resolves to false
+        revealLine(fileIdOrPath, row) {
+            const f = editorFile(fileIdOrPath);
+            if (!f) return false;
+            if (!Number.isInteger(row) || row < 0) throw new Error('editor.revealLine: row must be a non-negative integer');
+            const ed = liveEditor(f);
+            if (!ed) {
+                f.cursor = { row, column: 0 };
+                f.selection = null;
+                return false;
+            }
+            ed.scrollToLine(row, true, true, () => {});
+            return true;
+        },
+
+        getVisibleRange(fileIdOrPath) {
+            const f = editorFile(fileIdOrPath);
+            const ed = f && liveEditor(f);
+            if (!ed) return null;
+            const last = ed.getLastVisibleRow();
+            return {
+                start: { row: ed.getFirstVisibleRow(), column: 0 },
+                end: { row: last, column: ed.session.getLine(last).length },
+            };
+        },
+
+        addDecoration(fileIdOrPath, range, opts = {}) {
+            const f = editorFile(fileIdOrPath);
+            if (!f) return null;
+            return ctx.addDecoration(f.id, checkRange(range, 'editor.addDecoration'), opts);
+        },
+
+        removeDecoration(decorationId) {
+            return ctx.removeDecoration(decorationId);
+        },
+
+        listDecorations(fileIdOrPath) {
+            const f = editorFile(fileIdOrPath);
+            return f ? ctx.listDecorations(f.id) : [];
+        },
+    };
+
+    // --- Events ---
+
+    // handler(data, event); returns a function that removes it again
+    function on(event, handler) {
+        if (!ctx.events) throw new Error('app.on: events are not available');
+        return ctx.events.on(event, handler);
+    }
+
+    function off(event, handler) {
+        return ctx.events ? ctx.events.off(event, handler) : false;
+    }
+
     return {
         version: '1.0',
         files,
         tabs,
         workspace,
         layout,
+        diff,
+        editor,
+        on,
+        off,
     };
 }
 
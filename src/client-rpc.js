@@ -17,6 +17,17 @@ function resolveMethod(root, dotPath) {
     return { fn: cur, thisArg: parent };
 }
 
+// Value at a dot-path, for properties and getters such as workspace.path
+function readProperty(root, dotPath) {
+    if (!dotPath || typeof dotPath !== 'string') return undefined;
+    let cur = root;
+    for (const part of dotPath.split('.')) {
+        if (cur == null) return undefined;
+        cur = cur[part];
+    }
+    return cur;
+}
+
 async function handleClientAction(msg, wsClient) {
     const reply = (patch) => {
         wsClient.wsRawSend({ type: 'clientActionResult', id: msg.id, ...patch });
@@ -24,7 +35,12 @@ async function handleClientAction(msg, wsClient) {
     try {
         if (!window.app) throw new Error('window.app not ready');
         const { fn, thisArg } = resolveMethod(window.app, msg.method);
-        if (!fn) throw new Error(`Unknown method: ${msg.method}`);
+        if (!fn) {
+            const value = readProperty(window.app, msg.method);
+            if (value === undefined) throw new Error(`Unknown method: ${msg.method}`);
+            reply({ result: safeClone(value) });
+            return;
+        }
         const args = Array.isArray(msg.args) ? msg.args : [];
         let result = fn.apply(thisArg, args);
         if (result && typeof result.then === 'function') result = await result;
@@ -0,0 +1,672 @@
+// --- Diff View ---
+// Change markers in the editor gutter (against the last saved text or git
+// HEAD) with a peek view of the original lines, and the side-by-side
+// `diffEditor` component. Both are driven by diffLines() from text-diff.js.
+//
+// initDiffView(ctx) must run before either is used; ctx supplies access to
+// the project files, the workspace connection and the editor tabs.
+
+const ace = require('ace-builds/src-min-noconflict/ace');
+const handlerRegistry = require('./handlers');
+const { diffLines, splitLines } = require('./text-diff');
+
+const Range = ace.require('ace/range').Range;
+
+const GUTTER_BASE_KEY = 'gl-diff-gutter-base';
+const GUTTER_DEBOUNCE_MS = 250;
+
+let ctx = null;
+let gutterBase = (typeof localStorage !== 'undefined' && localStorage.getItem(GUTTER_BASE_KEY)) || 'saved';
+const _gutters = new Set();
+const _diffEditors = new Set();
+
+function initDiffView(context) {
+    ctx = context;
+}
+
+// --- Styles ---
+
+let _styleInstalled = false;
+function installStyles() {
+    if (_styleInstalled) return;
+    _styleInstalled = true;
+    const style = document.createElement('style');
+    style.textContent = `
+.ace_gutter-cell.diff-gutter-added{box-shadow:inset 3px 0 0 #2ea043;cursor:pointer}
+.ace_gutter-cell.diff-gutter-modified{box-shadow:inset 3px 0 0 #2f81f7;cursor:pointer}
+.ace_gutter-cell.diff-gutter-deleted{cursor:pointer}
+.ace_gutter-cell.diff-gutter-deleted::before{content:'';position:absolute;left:0;top:-4px;border:4px solid transparent;border-left:5px solid #f85149}
+.ace_gutter-cell.diff-gutter-deleted.diff-gutter-below::before{top:auto;bottom:-4px}
+.diff-line-removed{position:absolute;background:rgba(248,81,73,0.18)}
+.diff-line-added{position:absolute;background:rgba(46,160,67,0.18)}
+.diff-peek{position:absolute;left:0;right:0;z-index:20;background:#f6f8fa;border-top:2px solid #2f81f7;border-bottom:2px solid #2f81f7;box-shadow:0 4px 12px rgba(0,0,0,0.2);font:12px sans-serif;color:#24292f}
+.diff-peek-header{display:flex;align-items:center;gap:6px;padding:3px 8px;background:#eaeef2}
+.diff-peek-header button,.diff-peek-header select{font:inherit;padding:1px 6px;cursor:pointer}
+.diff-peek-title{flex:1;font-weight:bold}
+.diff-peek-body{margin:0;max-height:200px;overflow:auto;padding:4px 8px;font:12px monospace;white-space:pre;background:rgba(248,81,73,0.12)}
+.diff-peek-body.empty{background:none;color:#57606a;font-style:italic;font-family:sans-serif}
+.diff-editor{display:flex;flex-direction:column;height:100%;background:#fff}
+.diff-editor-toolbar{display:flex;align-items:center;gap:6px;padding:4px 8px;background:#2d2d2d;color:#ddd;font:12px sans-serif;border-bottom:1px solid #444}
+.diff-editor-toolbar button{background:#3a3a3a;color:#ddd;border:1px solid #555;border-radius:3px;padding:2px 8px;font:inherit;cursor:pointer}
+.diff-editor-toolbar button:hover{background:#4a4a4a}
+.diff-editor-status{margin-left:auto;color:#999}
+.diff-editor-panes{flex:1;display:flex;min-height:0}
+.diff-editor-pane{flex:1;display:flex;flex-direction:column;min-width:0}
+.diff-editor-pane + .diff-editor-pane{border-left:1px solid #999}
+.diff-editor-label{padding:2px 8px;font:11px sans-serif;color:#57606a;background:#eaeef2;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.diff-editor-ace{flex:1;position:relative}
+`;
+    document.head.appendChild(style);
+}
+
+// --- Hunk helpers ---
+
+function hunkKind(hunk) {
+    if (hunk.aLen === 0) return 'added';
+    if (hunk.bLen === 0) return 'deleted';
+    return 'modified';
+}
+
+// Row that carries the gutter marker for a pure deletion
+function deletionRow(hunk, lineCount) {
+    return Math.min(hunk.bStart, lineCount - 1);
+}
+
+function hunkAtRow(hunks, row, lineCount) {
+    return hunks.find(h => h.bLen > 0
+        ? row >= h.bStart && row < h.bStart + h.bLen
+        : row === deletionRow(h, lineCount)) || null;
+}
+
+// Map a row on one side of a diff to the matching row on the other side
+function mapRow(hunks, row, fromRight) {
+    let delta = 0;
+    for (const h of hunks) {
+        const fromStart = fromRight ? h.bStart : h.aStart;
+        const fromLen = fromRight ? h.bLen : h.aLen;
+        const toStart = fromRight ? h.aStart : h.bStart;
+        const toLen = fromRight ? h.aLen : h.bLen;
+        if (row < fromStart) break;
+        if (row < fromStart + fromLen) return toStart + Math.min(row - fromStart, Math.max(toLen - 1, 0));
+        delta = (toStart + toLen) - (fromStart + fromLen);
+    }
+    return row + delta;
+}
+
+// Put the original lines of `hunk` back into `session`. Goes through the
+// document so the revert is a normal, undoable edit.
+function revertHunk(session, hunk, baseLines) {
+    const doc = session.getDocument();
+    const original = baseLines.slice(hunk.aStart, hunk.aStart + hunk.aLen).map(l => l.replace(/\r$/, ''));
+    if (hunk.bLen === 0) {
+        doc.insertFullLines(Math.min(hunk.bStart, doc.getLength()), original);
+        return;
+    }
+    const endRow = hunk.bStart + hunk.bLen - 1;
+    if (original.length === 0) {
+        doc.removeFullLines(hunk.bStart, endRow);
+    } else {
+        session.replace(new Range(hunk.bStart, 0, endRow, doc.getLine(endRow).length), original.join('\n'));
+    }
+}
+
+function decorateGutter(session, hunks, decorations) {
+    for (const [row, className] of decorations) session.removeGutterDecoration(row, className);
+    decorations.length = 0;
+    const lineCount = session.getLength();
+    for (const hunk of hunks) {
+        const kind = hunkKind(hunk);
+        if (kind === 'deleted') {
+            const row = deletionRow(hunk, lineCount);
+            const className = hunk.bStart >= lineCount ? 'diff-gutter-deleted diff-gutter-below' : 'diff-gutter-deleted';
+            decorations.push([row, className]);
+            continue;
+        }
+        for (let row = hunk.bStart; row < hunk.bStart + hunk.bLen; row++) {
+            decorations.push([row, `diff-gutter-${kind}`]);
+        }
+    }
+    for (const [row, className] of decorations) session.addGutterDecoration(row, className);
+}
+
+// --- Base text ---
+
+function savedText(file) {
+    if (file.savedContent !== undefined) return file.savedContent;
+    // In-memory projects have no saved copy; nothing to compare against
+    return file.contentLoaded === false ? null : (file.content || '');
+}
+
+/**
+ * Text of a file at git HEAD. Resolves to null when there is no workspace,
+ * the workspace is not a repository, or the server cannot be reached.
+ * A file that is not in HEAD (new, untracked) compares against ''.
+ */
+async function headText(file) {
+    const relativePath = ctx.getRelativePath(file.id);
+    const wsClient = ctx.wsClient;
+    if (!ctx.currentWorkspacePath || !relativePath || !wsClient || !wsClient.isConnected()) return null;
+    try {
+        const result = await wsClient.wsRequest({
+            type: 'gitShow',
+            workspacePath: ctx.currentWorkspacePath,
+            relativePath,
+        });
+        if (!result.success) return null;
+        return result.exists ? result.content : '';
+    } catch (err) {
+        return null;
+    }
+}
+
+// --- Gutter markers ---
+
+class DiffGutter {
+    constructor(editor, fileId) {
+        installStyles();
+        this.editor = editor;
+        this.fileId = fileId;
+        this.hunks = [];
+        this.baseLines = null;
+        this.decorations = [];
+        this.peek = null;
+        this._headText = null;
+        this._headLoaded = false;
+        this._timer = null;
+
+        this._onChange = () => {
+            clearTimeout(this._timer);
+            this._timer = setTimeout(() => this.update(), GUTTER_DEBOUNCE_MS);
+        };
+        this._onGutterClick = (e) => this._handleGutterClick(e);
+        this._onFocus = () => this.refreshBase();
+        this._closePeek = () => this.closePeek();
+
+        editor.session.on('change', this._onChange);
+        editor.on('gutterclick', this._onGutterClick);
+        editor.on('focus', this._onFocus);
+        editor.session.on('changeScrollTop', this._closePeek);
+        _gutters.add(this);
+        this.refreshBase();
+    }
+
+    get file() {
+        return ctx.projectFiles[this.fileId];
+    }
+
+    get base() {
+        return gutterBase === 'head' && this._headText !== null ? 'head' : 'saved';
+    }
+
+    // Re-fetch the HEAD copy (it moves on commit/checkout) and redraw
+    async refreshBase() {
+        const file = this.file;
+        if (!file) return;
+        if (gutterBase === 'head') {
+            const text = await headText(file);
+            if (!this.editor) return;
+            this._headText = text;
+        }
+        this.update();
+    }
+
+    update() {
+        clearTimeout(this._timer);
+        const file = this.file;
+        if (!this.editor || !file) return;
+        const base = this.base === 'head' ? this._headText : savedText(file);
+        if (base === null) {
+            this.hunks = [];
+            this.baseLines = null;
+        } else {
+            this.baseLines = splitLines(base);
+            this.hunks = diffLines(this.baseLines, this.editor.getValue());
+        }
+        decorateGutter(this.editor.session, this.hunks, this.decorations);
+        if (this.peek) {
+            // Keep an open peek on the same change if it still exists
+            const hunk = hunkAtRow(this.hunks, this.peek.row, this.editor.session.getLength());
+            if (hunk) this.openPeek(hunk);
+            else this.closePeek();
+        }
+    }
+
+    _handleGutterClick(e) {
+        const target = e.domEvent && e.domEvent.target;
+        if (target && /ace_fold-widget/.test(target.className)) return;
+        const row = e.getDocumentPosition().row;
+        const hunk = hunkAtRow(this.hunks, row, this.editor.session.getLength());
+        if (!hunk) return;
+        e.stop();
+        if (this.peek && this.peek.hunk === hunk) this.closePeek();
+        else this.openPeek(hunk);
+    }
+
+    openPeek(hunk) {
+        this.closePeek();
+        const editor = this.editor;
+        const lineCount = editor.session.getLength();
+        const row = hunk.bLen > 0 ? hunk.bStart : deletionRow(hunk, lineCount);
+        const lastRow = hunk.bLen > 0 ? hunk.bStart + hunk.bLen - 1 : row;
+
+        const el = document.createElement('div');
+        el.className = 'diff-peek';
+        const header = document.createElement('div');
+        header.className = 'diff-peek-header';
+        const title = document.createElement('span');
+        title.className = 'diff-peek-title';
+        const kind = hunkKind(hunk);
+        const lines = (n) => `${n} line${n === 1 ? '' : 's'}`;
+        title.textContent = kind === 'added' ? `Added ${lines(hunk.bLen)}`
+            : kind === 'deleted' ? `Deleted ${lines(hunk.aLen)}`
+            : `Changed ${lines(hunk.aLen)} → ${lines(hunk.bLen)}`;
+        header.appendChild(title);
+
+        const baseSelect = document.createElement('select');
+        baseSelect.title = 'Compare the buffer with';
+        for (const [value, label] of [['saved', 'vs saved'], ['head', 'vs HEAD']]) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            baseSelect.appendChild(opt);
+        }
+        baseSelect.value = this.base;
+        baseSelect.onchange = () => setGutterBase(baseSelect.value);
+        header.appendChild(baseSelect);
+
+        const index = this.hunks.indexOf(hunk);
+        const button = (label, tip, onclick) => {
+            const b = document.createElement('button');
+            b.textContent = label;
+            b.title = tip;
+            b.onclick = (ev) => { ev.stopPropagation(); onclick(); };
+            header.appendChild(b);
+            return b;
+        };
+        button('↑', 'Previous change', () => this._step(index, -1)).disabled = index <= 0;
+        button('↓', 'Next change', () => this._step(index, 1)).disabled = index >= this.hunks.length - 1;
+        button('Revert', 'Restore the original lines', () => {
+            this.closePeek();
+            revertHunk(editor.session, hunk, this.baseLines);
+        });
+        button('Open Diff', 'Compare side by side', () => {
+            this.closePeek();
+            openDiffEditor({ fileId: this.fileId, against: this.base });
+        });
+        button('✕', 'Close (Esc)', () => this.closePeek());
+
+        const body = document.createElement('pre');
+        body.className = 'diff-peek-body';
+        if (hunk.aLen === 0) {
+            body.classList.add('empty');
+            body.textContent = `Not in the ${this.base === 'head' ? 'HEAD' : 'saved'} version.`;
+        } else {
+            body.textContent = this.baseLines.slice(hunk.aStart, hunk.aStart + hunk.aLen).join('\n');
+        }
+
+        el.appendChild(header);
+        el.appendChild(body);
+        el.addEventListener('mousedown', (ev) => ev.stopPropagation());
+
+        const containerTop = editor.container.getBoundingClientRect().top;
+        el.style.top = (editor.renderer.textToScreenCoordinates(lastRow + 1, 0).pageY - containerTop) + 'px';
+        editor.container.appendChild(el);
+        this.peek = { el, hunk, row };
+
+        this._escCommand = {
+            name: 'closeDiffPeek',
+            bindKey: { win: 'Esc', mac: 'Esc' },
+            exec: () => this.closePeek(),
+        };
+        editor.commands.addCommand(this._escCommand);
+    }
+
+    _step(index, dir) {
+        const hunk = this.hunks[index + dir];
+        if (!hunk) return;
+        const row = hunk.bLen > 0 ? hunk.bStart : deletionRow(hunk, this.editor.session.getLength());
+        this.editor.scrollToLine(row, true, false);
+        this.editor.gotoLine(row + 1, 0, false);
+        // Lay out the new scroll position now so the peek lands under the change
+        this.editor.renderer.updateFull(true);
+        this.openPeek(hunk);
+    }
+
+    closePeek() {
+        if (!this.peek) return;
+        this.peek.el.remove();
+        this.peek = null;
+        if (this._escCommand && this.editor) this.editor.commands.removeCommand(this._escCommand);
+        this._escCommand = null;
+    }
+
+    destroy() {
+        this.closePeek();
+        clearTimeout(this._timer);
+        _gutters.delete(this);
+        if (!this.editor) return;
+        this.editor.session.off('change', this._onChange);
+        this.editor.session.off('changeScrollTop', this._closePeek);
+        this.editor.off('gutterclick', this._onGutterClick);
+        this.editor.off('focus', this._onFocus);
+        this.editor = null;
+    }
+}
+
+function attachDiffGutter(editor, fileId) {
+    return new DiffGutter(editor, fileId);
+}
+
+function getGutterBase() {
+    return gutterBase;
+}
+
+// 'saved' or 'head'; applies to every open editor and is remembered
+function setGutterBase(base) {
+    if (base !== 'saved' && base !== 'head') throw new Error(`Unknown diff base: ${base}`);
+    gutterBase = base;
+    localStorage.setItem(GUTTER_BASE_KEY, base);
+    for (const gutter of _gutters) gutter.refreshBase();
+}
+
+// A file was saved or reloaded: its gutter base moved
+function refreshDiffGutters(fileId) {
+    for (const gutter of _gutters) {
+        if (fileId === undefined || gutter.fileId === fileId) gutter.update();
+    }
+    for (const view of _diffEditors) {
+        if (fileId === undefined || view.file && view.file.id === fileId) view.refresh();
+    }
+}
+
+// --- Side-by-side diff editor ---
+// state: { fileId, filePath, against: 'saved' | 'head' | 'file', otherFileId, otherPath }
+// The right pane is the file's buffer (editable, kept in sync with its
+// editor tab); the left pane is the read-only version it is compared with.
+
+const AGAINST_LABELS = { saved: 'Saved', head: 'HEAD' };
+
+class DiffEditorComponent {
+    constructor(container, state) {
+        installStyles();
+        this.container = container;
+        this.state = state || {};
+        this.file = null;
+        this.otherFile = null;
+        this.hunks = [];
+        this.baseLines = [];
+        this._markers = { left: [], right: [] };
+        this._decorations = { left: [], right: [] };
+        this._syncingScroll = false;
+        this._applying = false;
+        this._timer = null;
+
+        const root = container.element;
+        root.innerHTML = '';
+        root.classList.add('diff-editor');
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'diff-editor-toolbar';
+        const button = (label, tip, onclick) => {
+            const b = document.createElement('button');
+            b.textContent = label;
+            b.title = tip;
+            b.onclick = onclick;
+            toolbar.appendChild(b);
+            return b;
+        };
+        button('↑ Prev', 'Previous change (Alt+Up)', () => this.goToHunk(-1));
+        button('↓ Next', 'Next change (Alt+Down)', () => this.goToHunk(1));
+        button('↶ Revert Hunk', 'Restore the change under the cursor from the left side', () => this.revertCurrentHunk());
+        this.statusEl = document.createElement('span');
+        this.statusEl.className = 'diff-editor-status';
+        toolbar.appendChild(this.statusEl);
+
+        const panes = document.createElement('div');
+        panes.className = 'diff-editor-panes';
+        const pane = () => {
+            const el = document.createElement('div');
+            el.className = 'diff-editor-pane';
+            const label = document.createElement('div');
+            label.className = 'diff-editor-label';
+            const host = document.createElement('div');
+            host.className = 'diff-editor-ace';
+            el.appendChild(label);
+            el.appendChild(host);
+            panes.appendChild(el);
+            return { label, host };
+        };
+        const leftPane = pane();
+        const rightPane = pane();
+        this.leftLabel = leftPane.label;
+        this.rightLabel = rightPane.label;
+
+        root.appendChild(toolbar);
+        root.appendChild(panes);
+
+        this.left = ace.edit(leftPane.host);
+        this.right = ace.edit(rightPane.host);
+        for (const editor of [this.left, this.right]) {
+            editor.setTheme('ace/theme/github');
+            editor.setOptions({ wrap: false, showPrintMargin: false });
+            editor.commands.addCommand({ name: 'diffNextHunk', bindKey: { win: 'Alt-Down', mac: 'Alt-Down' }, exec: () => this.goToHunk(1) });
+            editor.commands.addCommand({ name: 'diffPrevHunk', bindKey: { win: 'Alt-Up', mac: 'Alt-Up' }, exec: () => this.goToHunk(-1) });
+        }
+        this.left.setReadOnly(true);
+        this.left.setValue('Loading…', -1);
+        this.right.setReadOnly(true);
+
+        this.right.session.on('change', () => this._onRightChange());
+        this.right.on('focus', () => this._pullFromFile());
+        this.left.session.on('changeScrollTop', () => this._syncScroll(this.left, this.right, false));
+        this.right.session.on('changeScrollTop', () => this._syncScroll(this.right, this.left, true));
+        this.left.session.on('changeScrollLeft', (left) => this._syncScrollLeft(this.right, left));
+        this.right.session.on('changeScrollLeft', (left) => this._syncScrollLeft(this.left, left));
+
+        if (container.on) {
+            container.on('resize', () => { this.left.resize(); this.right.resize(); });
+            container.on('show', () => {
+                this.left.resize();
+                this.right.resize();
+                this.refresh();
+            });
+            container.on('destroy', () => {
+                clearTimeout(this._timer);
+                _diffEditors.delete(this);
+                this.left.destroy();
+                this.right.destroy();
+            });
+        }
+        _diffEditors.add(this);
+        this._load().catch((err) => {
+            ctx.log.error('Diff editor: failed to load:', err);
+            this.statusEl.textContent = `Error: ${err.message}`;
+        });
+    }
+
+    async _resolve(fileId, path) {
+        if (path) {
+            const node = await ctx.resolveWorkspacePath(path);
+            if (node && node.type === 'file') return node;
+        }
+        return (fileId && ctx.projectFiles[fileId]) || null;
+    }
+
+    async _load() {
+        const { fileId, filePath, against = 'saved', otherFileId, otherPath } = this.state;
+        this.file = await this._resolve(fileId, filePath);
+        if (!this.file) throw new Error(`File not found: ${filePath || fileId}`);
+        if (against === 'file') {
+            this.otherFile = await this._resolve(otherFileId, otherPath);
+            if (!this.otherFile) throw new Error(`File not found: ${otherPath || otherFileId}`);
+        }
+        await ctx.ensureFileContent(this.file);
+
+        const mode = `ace/mode/${handlerRegistry.getAceModeForFile(this.file.name)}`;
+        this.left.session.setMode(mode);
+        this.right.session.setMode(mode);
+        const rightName = ctx.getRelativePath(this.file.id) || this.file.name;
+        this.rightLabel.textContent = rightName;
+        this.rightLabel.title = rightName;
+
+        this._applying = true;
+        this.right.setValue(this.file.content || '', -1);
+        this._applying = false;
+        this.right.setReadOnly(false);
+        await this.refresh();
+        if (this.hunks.length) this.goToHunk(1);
+    }
+
+    // Reload the left side and pick up edits made to the file elsewhere
+    async refresh() {
+        if (!this.file) return;
+        this._pullFromFile();
+        const { against = 'saved' } = this.state;
+        let base;
+        let label;
+        if (against === 'file') {
+            await ctx.ensureFileContent(this.otherFile);
+            base = this.otherFile.content || '';
+            label = ctx.getRelativePath(this.otherFile.id) || this.otherFile.name;
+        } else {
+            base = against === 'head' ? await headText(this.file) : null;
+            label = `${this.rightLabel.textContent} (${base === null ? 'Saved' : 'HEAD'})`;
+            if (base === null) base = savedText(this.file);
+            if (against === 'head' && label.endsWith('(Saved)')) label += ' — not in a git repository';
+        }
+        this.leftLabel.textContent = label;
+        this.leftLabel.title = label;
+
+        const text = base === null ? '' : base;
+        if (this.left.getValue() !== text) this.left.setValue(text, -1);
+        this.baseLines = splitLines(text);
+        this._recompute();
+    }
+
+    _pullFromFile() {
+        if (!this.file || this.file.content === undefined) return;
+        if (this.right.getValue() === this.file.content) return;
+        const cursor = this.right.getCursorPosition();
+        this._applying = true;
+        this.right.setValue(this.file.content, -1);
+        this.right.moveCursorToPosition(cursor);
+        this._applying = false;
+        this._recompute();
+    }
+
+    _onRightChange() {
+        if (this._applying || !this.file) return;
+        ctx.setBufferContent(this.file, this.right.getValue());
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this._recompute(), GUTTER_DEBOUNCE_MS);
+    }
+
+    _recompute() {
+        clearTimeout(this._timer);
+        this.hunks = diffLines(this.baseLines, this.right.getValue());
+        for (const side of ['left', 'right']) {
+            const session = this[side].session;
+            for (const id of this._markers[side]) session.removeMarker(id);
+            this._markers[side] = [];
+        }
+        const mark = (side, start, len, clazz) => {
+            if (len === 0) return;
+            const range = new Range(start, 0, start + len - 1, Infinity);
+            this._markers[side].push(this[side].session.addMarker(range, clazz, 'fullLine'));
+        };
+        for (const h of this.hunks) {
+            mark('left', h.aStart, h.aLen, 'diff-line-removed');
+            mark('right', h.bStart, h.bLen, 'diff-line-added');
+        }
+        decorateGutter(this.right.session, this.hunks, this._decorations.right);
+        // Mirror image for the left gutter: lines only on the left are deletions
+        const mirrored = this.hunks.map(h => ({ aStart: h.bStart, aLen: h.bLen, bStart: h.aStart, bLen: h.aLen }));
+        decorateGutter(this.left.session, mirrored, this._decorations.left);
+
+        const n = this.hunks.length;
+        this.statusEl.textContent = n === 0 ? 'No changes' : `${n} change${n === 1 ? '' : 's'}`;
+    }
+
+    _syncScroll(from, to, fromRight) {
+        if (this._syncingScroll) return;
+        this._syncingScroll = true;
+        try {
+            const lineHeight = from.renderer.lineHeight || 16;
+            const pos = from.session.getScrollTop() / lineHeight;
+            const row = Math.floor(pos);
+            const mapped = mapRow(this.hunks, row, fromRight) + (pos - row);
+            to.session.setScrollTop(mapped * (to.renderer.lineHeight || lineHeight));
+        } finally {
+            this._syncingScroll = false;
+        }
+    }
+
+    _syncScrollLeft(to, left) {
+        if (this._syncingScroll) return;
+        this._syncingScroll = true;
+        to.session.setScrollLeft(left);
+        this._syncingScroll = false;
+    }
+
+    goToHunk(dir) {
+        if (!this.hunks.length) return;
+        const row = this.right.getCursorPosition().row;
+        let hunk;
+        if (dir > 0) hunk = this.hunks.find(h => h.bStart > row) || this.hunks[0];
+        else hunk = [...this.hunks].reverse().find(h => h.bStart + Math.max(h.bLen, 1) - 1 < row) || this.hunks[this.hunks.length - 1];
+        const target = Math.min(hunk.bStart, this.right.session.getLength() - 1);
+        this.right.gotoLine(target + 1, 0, false);
+        this.right.scrollToLine(target, true, false);
+        const index = this.hunks.indexOf(hunk) + 1;
+        this.statusEl.textContent = `Change ${index} of ${this.hunks.length}`;
+    }
+
+    revertCurrentHunk() {
+        this._pullFromFile();
+        const row = this.right.getCursorPosition().row;
+        const hunk = hunkAtRow(this.hunks, row, this.right.session.getLength());
+        if (!hunk) {
+            this.statusEl.textContent = 'Place the cursor in a change to revert it';
+            return;
+        }
+        revertHunk(this.right.session, hunk, this.baseLines);
+        this._recompute();
+        this.right.focus();
+    }
+}
+
+function diffTitle(file, against, otherFile) {
+    if (against === 'file') return `${otherFile.name} ↔ ${file.name}`;
+    return `${file.name} (${AGAINST_LABELS[against] || against} ↔ buffer)`;
+}
+
+/**
+ * Open (or focus) a diffEditor tab.
+ * @param {{ fileId: string, against?: 'saved'|'head'|'file', otherFileId?: string }} opts
+ */
+function openDiffEditor({ fileId, against = 'saved', otherFileId }) {
+    const file = ctx.projectFiles[fileId];
+    if (!file) throw new Error(`Unknown file: ${fileId}`);
+    if (file.viewType) throw new Error(`${file.name} is not a text file`);
+    const otherFile = against === 'file' ? ctx.projectFiles[otherFileId] : null;
+    if (against === 'file' && !otherFile) throw new Error(`Unknown file: ${otherFileId}`);
+    const state = {
+        fileId,
+        filePath: ctx.getRelativePath(fileId),
+        against,
+        otherFileId: otherFile ? otherFile.id : null,
+        otherPath: otherFile ? ctx.getRelativePath(otherFile.id) : null,
+    };
+    const contentItemId = `diff-${fileId}-${against}${otherFile ? '-' + otherFile.id : ''}`;
+    return ctx.openEditorTab('diffEditor', state, diffTitle(file, against, otherFile), contentItemId);
+}
+
+module.exports = {
+    initDiffView,
+    attachDiffGutter,
+    refreshDiffGutters,
+    getGutterBase,
+    setGutterBase,
+    DiffEditorComponent,
+    openDiffEditor,
+};
@@ -0,0 +1,118 @@
+// --- Editor decorations ---
+// Highlighted ranges added through app.editor.addDecoration. They are kept
+// per file, so a decoration on a file without an open tab shows up once the
+// file is opened. While an editor is open the range is anchored to the text
+// and follows edits; closing the tab keeps it where it ended up.
+
+const ace = require('ace-builds/src-min-noconflict/ace');
+const Range = ace.require('ace/range').Range;
+
+const MARKER_TYPES = ['text', 'line', 'fullLine'];
+
+const decorations = new Map(); // id -> { id, fileId, range, className, type }
+const attached = new Map(); // fileId -> { session, markers: Map<id, { markerId, range }> }
+let nextId = 1;
+
+let _styleInstalled = false;
+function installStyles() {
+    if (_styleInstalled) return;
+    _styleInstalled = true;
+    const style = document.createElement('style');
+    style.textContent = `
+.editor-decoration{position:absolute;background:rgba(255,200,0,0.35);border-bottom:1px solid #e8a317}
+.editor-decoration-line{position:absolute;background:rgba(255,200,0,0.2)}
+`;
+    document.head.appendChild(style);
+}
+
+function addMarker(entry, deco) {
+    const { start, end } = deco.range;
+    const range = new Range(start.row, start.column, end.row, end.column);
+    const doc = entry.session.getDocument();
+    range.start = doc.createAnchor(range.start);
+    range.end = doc.createAnchor(range.end);
+    const markerId = entry.session.addMarker(range, deco.className, deco.type);
+    entry.markers.set(deco.id, { markerId, range });
+}
+
+function dropMarker(entry, id) {
+    const marker = entry.markers.get(id);
+    if (!marker) return;
+    entry.session.removeMarker(marker.markerId);
+    marker.range.start.detach();
+    marker.range.end.detach();
+    entry.markers.delete(id);
+}
+
+/**
+ * Highlight `range` ({ start, end } of zero-based { row, column }) in a file.
+ * @param {{ className?: string, type?: 'text'|'line'|'fullLine' }} [opts]
+ * @returns {string} Decoration id.
+ */
+function addDecoration(fileId, range, { className, type = 'text' } = {}) {
+    if (!MARKER_TYPES.includes(type)) throw new Error(`type must be one of: ${MARKER_TYPES.join(', ')}`);
+    const deco = {
+        id: `deco-${nextId++}`,
+        fileId,
+        range: { start: { ...range.start }, end: { ...range.end } },
+        className: className || (type === 'text' ? 'editor-decoration' : 'editor-decoration-line'),
+        type,
+    };
+    decorations.set(deco.id, deco);
+    const entry = attached.get(fileId);
+    if (entry) addMarker(entry, deco);
+    return deco.id;
+}
+
+function removeDecoration(id) {
+    const deco = decorations.get(id);
+    if (!deco) return false;
+    decorations.delete(id);
+    const entry = attached.get(deco.fileId);
+    if (entry) dropMarker(entry, id);
+    return true;
+}
+
+// Decorations of one file, with their current ranges
+function listDecorations(fileId) {
+    const entry = attached.get(fileId);
+    return [...decorations.values()].filter(d => d.fileId === fileId).map((d) => {
+        const marker = entry && entry.markers.get(d.id);
+        const range = marker
+            ? { start: marker.range.start.getPosition(), end: marker.range.end.getPosition() }
+            : d.range;
+        return { id: d.id, range, className: d.className, type: d.type };
+    });
+}
+
+/**
+ * Show a file's decorations in its editor. Call destroy() when the editor
+ * goes away.
+ */
+function attachDecorations(editor, fileId) {
+    installStyles();
+    const entry = { session: editor.session, markers: new Map() };
+    attached.set(fileId, entry);
+    for (const deco of decorations.values()) {
+        if (deco.fileId === fileId) addMarker(entry, deco);
+    }
+    return {
+        destroy() {
+            if (attached.get(fileId) !== entry) return;
+            // Remember where the anchors moved to
+            for (const [id, marker] of entry.markers) {
+                const deco = decorations.get(id);
+                if (deco) deco.range = { start: marker.range.start.getPosition(), end: marker.range.end.getPosition() };
+                dropMarker(entry, id);
+            }
+            attached.delete(fileId);
+        },
+    };
+}
+
+module.exports = {
+    addDecoration,
+    removeDecoration,
+    listDecorations,
+    attachDecorations,
+};
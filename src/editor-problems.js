@@ -0,0 +1,90 @@
+// --- Editor problems ---
+// Diagnostics (e.g. from a task's problem matcher) shown as gutter
+// annotations in the Ace editors. They are grouped by source, so a new run
+// of a task replaces only what its previous run reported, and keyed by
+// workspace-relative path: an editor opened later picks them up. Other
+// annotations on the session (the mode's syntax worker) are kept.
+
+const problemSets = new Map(); // source -> { label, problems: [{ path, line, column, severity, message }] }
+const attached = new Set(); // { session, getPath, own, updating }
+
+const ANNOTATION_TYPES = { error: 'error', warning: 'warning', info: 'info' };
+
+function annotationsFor(relativePath) {
+    const annotations = [];
+    if (!relativePath) return annotations;
+    for (const { label, problems } of problemSets.values()) {
+        for (const p of problems) {
+            if (p.path !== relativePath) continue;
+            annotations.push({
+                row: Math.max(0, p.line - 1),
+                column: Math.max(0, (p.column || 1) - 1),
+                text: label ? `${p.message} [${label}]` : p.message,
+                type: ANNOTATION_TYPES[p.severity] || 'error',
+                fromProblems: true,
+            });
+        }
+    }
+    return annotations;
+}
+
+function apply(entry) {
+    entry.own = annotationsFor(entry.getPath());
+    const others = (entry.session.getAnnotations() || []).filter(a => !a.fromProblems);
+    entry.updating = true;
+    try {
+        entry.session.setAnnotations(others.concat(entry.own));
+    } finally {
+        entry.updating = false;
+    }
+}
+
+function refreshAll() {
+    for (const entry of attached) apply(entry);
+}
+
+/**
+ * Replace the problems reported by `source`.
+ * @param {string} source - e.g. 'task:build'
+ * @param {Array<{ path: string, line: number, column?: number, severity?: string, message: string }>} problems
+ *   1-based lines and columns; `path` is workspace-relative.
+ * @param {string} [label] - Appended to each annotation's text.
+ */
+function setProblems(source, problems, label) {
+    problemSets.set(source, { label, problems: problems.filter(p => p.path) });
+    refreshAll();
+}
+
+function clearProblems(source) {
+    if (problemSets.delete(source)) refreshAll();
+}
+
+/**
+ * Show problems in an editor. `getPath` returns the file's current relative
+ * path. Call destroy() when the editor goes away.
+ */
+function attachProblems(editor, getPath) {
+    const entry = { session: editor.session, getPath, own: [], updating: false };
+    // The syntax worker replaces all annotations: put ours back
+    const onChange = () => {
+        if (entry.updating || !entry.own.length) return;
+        const current = entry.session.getAnnotations() || [];
+        if (!current.some(a => a.fromProblems)) apply(entry);
+    };
+    entry.session.on('changeAnnotation', onChange);
+    attached.add(entry);
+    apply(entry);
+    return {
+        refresh() { apply(entry); },
+        destroy() {
+            entry.session.off('changeAnnotation', onChange);
+            attached.delete(entry);
+        },
+    };
+}
+
+module.exports = {
+    setProblems,
+    clearProblems,
+    attachProblems,
+};
@@ -0,0 +1,407 @@
+// --- Git Plugin ---
+// Source control panel for the open workspace, backed by the server's git*
+// handlers: changed files split into staged / unstaged, per-hunk staging,
+// commit, branch switching, history and blame. Keeps the explorer's status
+// badges up to date whether or not the panel is open.
+const { registerPlugin } = require('./plugins');
+const { createLogger } = require('./debug');
+const log = createLogger('Git');
+
+const STATUS_STYLE = {
+    modified: { text: 'M', color: '#e2c08d' },
+    added: { text: 'A', color: '#81b88b' },
+    untracked: { text: 'U', color: '#73c991' },
+    deleted: { text: 'D', color: '#c74e39' },
+    renamed: { text: 'R', color: '#73c991' },
+    copied: { text: 'C', color: '#73c991' },
+    conflicted: { text: '!', color: '#e5534b' },
+};
+
+let _ctx = null;
+let _status = null; // last gitStatus reply
+let _refreshTimer = null;
+let _refreshing = null;
+let _refreshAgain = false; // a refresh was asked for while one was in flight
+const _panels = new Set();
+
+function gitRequest(type, fields = {}) {
+    return _ctx.wsClient.wsRequest({ type, workspacePath: _ctx.currentWorkspacePath, ...fields });
+}
+
+async function refreshStatus() {
+    if (_refreshing) {
+        _refreshAgain = true;
+        return _refreshing;
+    }
+    _refreshing = (async () => {
+        if (!_ctx.currentWorkspacePath || !_ctx.wsClient.isConnected()) {
+            _status = null;
+        } else {
+            const result = await gitRequest('gitStatus');
+            _status = result.success ? result : null;
+            if (!result.success) log.warn('Status failed:', result.error);
+        }
+        const badges = {};
+        if (_status) {
+            for (const f of _status.files) {
+                const style = STATUS_STYLE[f.status];
+                if (style) badges[f.relativePath] = { ...style, title: f.status };
+            }
+        }
+        _ctx.setFileBadges(badges);
+        for (const panel of _panels) panel.render();
+    })().catch(err => log.warn('Status failed:', err)).finally(() => {
+        _refreshing = null;
+        if (_refreshAgain) {
+            _refreshAgain = false;
+            refreshStatus();
+        }
+    });
+    return _refreshing;
+}
+
+function scheduleRefresh(delay = 800) {
+    clearTimeout(_refreshTimer);
+    _refreshTimer = setTimeout(refreshStatus, delay);
+}
+
+function el(tag, css, text) {
+    const node = document.createElement(tag);
+    if (css) node.style.cssText = css;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+function smallButton(label, title, onclick) {
+    const btn = el('button', 'background:none;border:1px solid #555;color:#ccc;border-radius:3px;cursor:pointer;font-size:11px;padding:0 5px;line-height:16px;flex-shrink:0;', label);
+    btn.title = title;
+    btn.onclick = (e) => { e.stopPropagation(); onclick(); };
+    return btn;
+}
+
+// Diff hunk as coloured lines
+function renderHunk(hunk) {
+    const pre = el('pre', 'margin:0;padding:2px 0;font-family:monospace;font-size:11px;overflow-x:auto;background:#1a1a1a;');
+    for (const line of hunk.text.split('\n')) {
+        if (!line) continue;
+        let color = '#aaa';
+        let bg = 'none';
+        if (line.startsWith('@@')) color = '#6a9fb5';
+        else if (line.startsWith('+')) { color = '#9ccc65'; bg = 'rgba(80,160,80,0.12)'; }
+        else if (line.startsWith('-')) { color = '#ef9a9a'; bg = 'rgba(200,80,80,0.12)'; }
+        pre.appendChild(el('div', `color:${color};background:${bg};padding:0 6px;white-space:pre;`, line));
+    }
+    return pre;
+}
+
+class GitPanelComponent {
+    constructor(container) {
+        this.rootElement = container.element;
+        this.rootElement.style.cssText = 'background:#1e1e1e;color:#ddd;font-family:sans-serif;font-size:12px;display:flex;flex-direction:column;overflow:hidden;';
+        this._expanded = new Set(); // "staged:path" / "unstaged:path" showing hunks
+        this._showHistory = false;
+        this._blame = null; // { relativePath, lines } while the blame view is open
+        this._busy = false;
+
+        this._build();
+        _panels.add(this);
+        if (container.on) container.on('destroy', () => _panels.delete(this));
+        refreshStatus();
+    }
+
+    _build() {
+        const bar = el('div', 'display:flex;align-items:center;gap:6px;padding:6px 8px;border-bottom:1px solid #333;flex-shrink:0;');
+        this.branchSelect = el('select', 'flex:1;min-width:0;background:#2a2a2a;color:#ddd;border:1px solid #555;border-radius:3px;font-size:12px;padding:2px;');
+        this.branchSelect.title = 'Switch branch';
+        this.branchSelect.onchange = () => this._onBranchChange();
+        const refreshBtn = smallButton('⟳', 'Refresh', () => refreshStatus());
+        bar.append(el('span', 'color:#888;', '⎇'), this.branchSelect, refreshBtn);
+
+        const commitBox = el('div', 'padding:6px 8px;border-bottom:1px solid #333;flex-shrink:0;');
+        this.messageInput = el('textarea', 'width:100%;box-sizing:border-box;height:52px;resize:vertical;background:#2a2a2a;color:#ddd;border:1px solid #555;border-radius:3px;font-family:sans-serif;font-size:12px;padding:4px;');
+        this.messageInput.placeholder = 'Commit message (Ctrl+Enter to commit)';
+        this.messageInput.onkeydown = (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this._commit();
+            }
+        };
+        const commitRow = el('div', 'display:flex;align-items:center;gap:8px;margin-top:4px;');
+        this.commitBtn = el('button', 'background:#3a5a8a;color:#fff;border:none;border-radius:3px;padding:4px 12px;cursor:pointer;font-size:12px;', 'Commit');
+        this.commitBtn.onclick = () => this._commit();
+        const amendLabel = el('label', 'display:flex;align-items:center;gap:3px;color:#aaa;cursor:pointer;');
+        this.amendBox = el('input');
+        this.amendBox.type = 'checkbox';
+        amendLabel.append(this.amendBox, document.createTextNode('Amend'));
+        commitRow.append(this.commitBtn, amendLabel);
+        commitBox.append(this.messageInput, commitRow);
+
+        this.message = el('div', 'padding:4px 8px;font-size:11px;color:#888;flex-shrink:0;');
+        this.body = el('div', 'flex:1;overflow-y:auto;');
+        this.rootElement.append(bar, commitBox, this.message, this.body);
+    }
+
+    _setMessage(text, isError) {
+        this.message.textContent = text || '';
+        this.message.style.color = isError ? '#e57373' : '#888';
+    }
+
+    // Run a git request, report failures, then refresh everything
+    async _run(type, fields, successText) {
+        if (this._busy) return null;
+        this._busy = true;
+        try {
+            const result = await gitRequest(type, fields);
+            if (!result.success) {
+                this._setMessage(result.error, true);
+                return null;
+            }
+            this._setMessage(successText || '');
+            return result;
+        } catch (err) {
+            this._setMessage(err.message, true);
+            return null;
+        } finally {
+            this._busy = false;
+            await refreshStatus();
+        }
+    }
+
+    async _loadBranches() {
+        const result = await gitRequest('gitBranch').catch(() => null);
+        this.branchSelect.innerHTML = '';
+        if (!result || !result.success) return;
+        const current = _status && _status.branch;
+        for (const b of result.branches.filter(b => !b.remote)) {
+            const opt = el('option', null, b.name);
+            opt.value = b.name;
+            opt.selected = b.name === current;
+            this.branchSelect.appendChild(opt);
+        }
+        if (current && !result.branches.some(b => b.name === current)) {
+            // Unborn branch: no ref exists until the first commit
+            const opt = el('option', null, current);
+            opt.value = '';
+            opt.selected = true;
+            this.branchSelect.prepend(opt);
+        } else if (!current) {
+            const detached = el('option', null, '(detached HEAD)');
+            detached.value = '';
+            detached.selected = true;
+            this.branchSelect.prepend(detached);
+        }
+        const create = el('option', null, '+ New branch…');
+        create.value = '\0new';
+        this.branchSelect.appendChild(create);
+    }
+
+    async _onBranchChange() {
+        const value = this.branchSelect.value;
+        if (!value) return;
+        if (value === '\0new') {
+            const name = prompt('New branch name:');
+            if (name) await this._run('gitCheckout', { ref: name.trim(), create: true }, `Switched to new branch ${name.trim()}`);
+            else this.render();
+        } else {
+            await this._run('gitCheckout', { ref: value }, `Switched to ${value}`);
+        }
+        _ctx.reloadWorkspaceTree();
+    }
+
+    async _commit() {
+        const message = this.messageInput.value;
+        if (!message.trim()) {
+            this._setMessage('Enter a commit message', true);
+            return;
+        }
+        const result = await this._run('gitCommit', { message, amend: this.amendBox.checked }, null);
+        if (result) {
+            this.messageInput.value = '';
+            this.amendBox.checked = false;
+            this._setMessage(`Committed ${result.hash.slice(0, 7)} ${result.subject}`);
+        }
+    }
+
+    render() {
+        if (this._blame) return; // blame view stays until closed
+        this.body.innerHTML = '';
+        if (!_ctx.currentWorkspacePath) {
+            this.body.appendChild(el('div', 'padding:12px;color:#888;', 'Open a workspace to use source control.'));
+            return;
+        }
+        if (!_status || !_status.isRepo) {
+            this.body.appendChild(el('div', 'padding:12px;color:#888;', _status ? 'The workspace is not inside a git repository.' : 'Git status unavailable.'));
+            this.branchSelect.innerHTML = '';
+            return;
+        }
+        this._loadBranches();
+
+        const staged = _status.files.filter(f => f.staged);
+        const unstaged = _status.files.filter(f => f.unstaged || f.status === 'conflicted');
+        this.commitBtn.disabled = staged.length === 0 && !this.amendBox.checked;
+        this.commitBtn.style.opacity = this.commitBtn.disabled ? '0.5' : '1';
+
+        this._renderSection('Staged Changes', staged, true);
+        this._renderSection('Changes', unstaged, false);
+        this._renderHistory();
+    }
+
+    _renderSection(title, files, staged) {
+        const header = el('div', 'display:flex;align-items:center;gap:6px;padding:4px 8px;background:#252525;font-weight:bold;font-size:11px;text-transform:uppercase;color:#aaa;');
+        header.appendChild(el('span', 'flex:1;', `${title} (${files.length})`));
+        if (files.length) {
+            header.appendChild(staged
+                ? smallButton('−', 'Unstage all', () => this._run('gitUnstage', {}))
+                : smallButton('+', 'Stage all', () => this._run('gitStage', {})));
+        }
+        this.body.appendChild(header);
+        for (const file of files) this._renderFile(file, staged);
+    }
+
+    _renderFile(file, staged) {
+        const key = (staged ? 'staged:' : 'unstaged:') + file.relativePath;
+        const style = STATUS_STYLE[staged ? (file.index === 'A' ? 'added' : file.status) : (file.worktree === 'D' ? 'deleted' : file.status)] || STATUS_STYLE.modified;
+
+        const row = el('div', 'display:flex;align-items:center;gap:6px;padding:2px 8px;cursor:pointer;');
+        row.onmouseenter = () => { row.style.background = 'rgba(255,255,255,0.06)'; };
+        row.onmouseleave = () => { row.style.background = ''; };
+        const twisty = el('span', 'width:10px;font-size:9px;color:#888;', file.status === 'untracked' ? '' : (this._expanded.has(key) ? '▼' : '▶'));
+        const name = el('span', 'flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;', file.relativePath);
+        if (file.origPath) name.title = `${file.origPath} → ${file.relativePath}`;
+        const letter = el('span', `color:${style.color};font-weight:bold;width:12px;text-align:center;`, style.text);
+        row.append(twisty, name);
+        if (file.status !== 'deleted' && file.worktree !== 'D') {
+            row.appendChild(smallButton('☰', 'Open file', () => _ctx.openFileAtLine(file.relativePath, 1)));
+            if (file.status !== 'untracked' && file.status !== 'added') {
+                row.appendChild(smallButton('B', 'Blame', () => this._openBlame(file.relativePath)));
+            }
+        }
+        row.appendChild(staged
+            ? smallButton('−', 'Unstage file', () => this._run('gitUnstage', { paths: [file.relativePath] }))
+            : smallButton('+', 'Stage file', () => this._run('gitStage', { paths: [file.relativePath] })));
+        row.appendChild(letter);
+        this.body.appendChild(row);
+
+        if (file.status === 'untracked') return;
+        const hunksEl = el('div', 'padding:0 8px 4px 24px;');
+        row.onclick = () => {
+            if (this._expanded.has(key)) this._expanded.delete(key);
+            else this._expanded.add(key);
+            this.render();
+        };
+        if (this._expanded.has(key)) {
+            this.body.appendChild(hunksEl);
+            this._loadHunks(file, staged, hunksEl);
+        }
+    }
+
+    async _loadHunks(file, staged, container) {
+        container.appendChild(el('div', 'color:#888;padding:2px 0;', 'Loading diff…'));
+        const result = await gitRequest('gitDiff', { relativePath: file.relativePath, staged }).catch(err => ({ error: err.message }));
+        container.innerHTML = '';
+        if (!result.success) {
+            container.appendChild(el('div', 'color:#e57373;', result.error || 'Diff failed'));
+            return;
+        }
+        const diffFile = result.files.find(f => f.relativePath === file.relativePath);
+        if (!diffFile || diffFile.binary || diffFile.hunks.length === 0) {
+            container.appendChild(el('div', 'color:#888;padding:2px 0;', diffFile && diffFile.binary ? 'Binary file' : 'No textual changes'));
+            return;
+        }
+        for (const hunk of diffFile.hunks) {
+            const head = el('div', 'display:flex;align-items:center;gap:6px;margin-top:4px;');
+            const label = el('span', 'flex:1;color:#6a9fb5;font-family:monospace;font-size:11px;cursor:pointer;', hunk.header);
+            label.title = 'Go to change';
+            label.onclick = () => _ctx.openFileAtLine(file.relativePath, hunk.newStart);
+            const patch = diffFile.header + hunk.text;
+            head.append(label, staged
+                ? smallButton('Unstage hunk', 'Unstage this hunk', () => this._run('gitUnstage', { patch }))
+                : smallButton('Stage hunk', 'Stage this hunk', () => this._run('gitStage', { patch })));
+            container.append(head, renderHunk(hunk));
+        }
+    }
+
+    _renderHistory() {
+        const header = el('div', 'display:flex;align-items:center;gap:6px;padding:4px 8px;background:#252525;font-weight:bold;font-size:11px;text-transform:uppercase;color:#aaa;cursor:pointer;margin-top:4px;');
+        header.append(el('span', 'width:10px;font-size:9px;', this._showHistory ? '▼' : '▶'), el('span', null, 'History'));
+        header.onclick = () => {
+            this._showHistory = !this._showHistory;
+            this.render();
+        };
+        this.body.appendChild(header);
+        if (!this._showHistory) return;
+
+        const list = el('div');
+        this.body.appendChild(list);
+        gitRequest('gitLog', { limit: 50 }).then(result => {
+            if (!result.success) {
+                list.appendChild(el('div', 'padding:4px 8px;color:#e57373;', result.error));
+                return;
+            }
+            if (result.commits.length === 0) list.appendChild(el('div', 'padding:4px 8px;color:#888;', 'No commits yet'));
+            for (const c of result.commits) {
+                const row = el('div', 'padding:3px 8px;border-bottom:1px solid #2a2a2a;');
+                row.title = `${c.hash}\n${c.author} <${c.email}>\n${new Date(c.date).toLocaleString()}`;
+                const top = el('div', 'display:flex;gap:6px;');
+                top.append(el('span', 'color:#d7ba7d;font-family:monospace;', c.shortHash), el('span', 'flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;', c.subject));
+                row.append(top, el('div', 'color:#888;font-size:11px;', `${c.author}, ${new Date(c.date).toLocaleDateString()}${c.refs.length ? ' — ' + c.refs.join(', ') : ''}`));
+                list.appendChild(row);
+            }
+        }).catch(err => list.appendChild(el('div', 'padding:4px 8px;color:#e57373;', err.message)));
+    }
+
+    async _openBlame(relativePath) {
+        const result = await gitRequest('gitBlame', { relativePath }).catch(err => ({ error: err.message }));
+        if (!result.success) {
+            this._setMessage(result.error || 'Blame failed', true);
+            return;
+        }
+        this._blame = { relativePath, lines: result.lines };
+        this.body.innerHTML = '';
+        const head = el('div', 'display:flex;align-items:center;gap:6px;padding:4px 8px;background:#252525;');
+        head.append(
+            smallButton('←', 'Back to changes', () => { this._blame = null; this.render(); }),
+            el('span', 'flex:1;font-weight:bold;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;', `Blame: ${relativePath}`),
+        );
+        this.body.appendChild(head);
+        const table = el('div', 'font-family:monospace;font-size:11px;');
+        let prevHash = null;
+        for (const line of result.lines) {
+            const row = el('div', 'display:flex;gap:8px;padding:0 8px;cursor:pointer;white-space:pre;');
+            row.title = `${line.hash}\n${line.author}, ${new Date(line.time).toLocaleString()}\n${line.summary}`;
+            row.onclick = () => _ctx.openFileAtLine(relativePath, line.line);
+            const sameAsPrev = line.hash === prevHash;
+            prevHash = line.hash;
+            const info = el('span', 'width:150px;flex-shrink:0;overflow:hidden;text-overflow:ellipsis;color:#888;', sameAsPrev ? '' : `${line.hash.slice(0, 7)} ${line.author}`);
+            row.append(
+                info,
+                el('span', 'width:32px;flex-shrink:0;text-align:right;color:#666;', String(line.line)),
+                el('span', 'color:#ccc;', line.text),
+            );
+            table.appendChild(row);
+        }
+        this.body.appendChild(table);
+    }
+}
+
+registerPlugin({
+    id: 'git',
+    name: 'Git',
+    components: {
+        gitPanel: GitPanelComponent,
+    },
+    toolbarButtons: [
+        { label: '⎇', title: 'Source Control', menuLabel: 'Source Control (Git)' },
+    ],
+    init(ctx) {
+        _ctx = ctx;
+        ctx.wsClient.addMessageListener((msg) => {
+            if (msg.type === 'workspaceLoaded') scheduleRefresh(0);
+            else if (msg.type === 'fsChanges' || msg.type === 'fileSaved') scheduleRefresh();
+        });
+        // Commits, checkouts etc. made in a terminal only touch .git, which the
+        // watcher skips: catch up when the window regains focus.
+        window.addEventListener('focus', () => scheduleRefresh(200));
+        ctx.wsClient.wsReady.then(socket => { if (socket) scheduleRefresh(0); });
+    },
+});
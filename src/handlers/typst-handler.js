@@ -2,10 +2,29 @@
 
 const TYPST_VERSION = '0.6.1-rc5';
 const TYPST_PAGE_GAP = 10;
+// Compile again after fetching files the document asked for, at most this often
+const MAX_ASSET_ROUNDS = 3;
+const FONT_EXTENSIONS = /\.(ttf|otf|ttc|otc)$/i;
 
 // Typst Integration Variables
 let typstModule, typstCompiler, typstRenderer;
 let typstInitializationPromise = null;
+let compilerFontKey = '';
+let compilerRebuild = null;
+
+// Set by the Typst plugin: projectStructure, currentWorkspacePath, ensureFileContent
+let pluginCtx = null;
+// Binary assets fetched from the workspace, by VFS path
+const assetCache = new Map();
+
+function setContext(ctx) {
+  pluginCtx = ctx;
+}
+
+// Forget cached bytes for workspace-relative paths that changed on disk
+function invalidateAssets(relativePaths) {
+  for (const relPath of relativePaths) assetCache.delete('/' + relPath);
+}
 
 /**
  * Determines if this handler can preview a given file.
@@ -39,25 +58,9 @@ async function ensureTypstInitialized() {
     // Dynamically import the library from esm.sh
     const module = await import(`https://esm.sh/@myriaddreamin/typst.ts@${TYPST_VERSION}`);
 
-    // Create compiler, renderer, and package management components
-    const compiler = module.createTypstCompiler();
     const renderer = module.createTypstRenderer();
-
-    // Create access model and package registry for package management
-    const accessModel = new module.MemoryAccessModel();
-    const packageRegistry = new module.FetchPackageRegistry(accessModel);
-
-    await Promise.all([
-      compiler.init({
-        getModule: () => `https://cdn.jsdelivr.net/npm/@myriaddreamin/typst-ts-web-compiler@${TYPST_VERSION}/pkg/typst_ts_web_compiler_bg.wasm`,
-        beforeBuild: [
-          module.initOptions.withAccessModel(accessModel),
-          module.initOptions.withPackageRegistry(packageRegistry),
-          module.initOptions.preloadRemoteFonts([
-            'https://raw.githubusercontent.com/Myriad-Dreamin/typst.ts/main/assets/data/LibertinusSerif-Regular-subset.otf',
-          ]),
-        ]
-      }),
+    const [compiler] = await Promise.all([
+      buildCompiler(module, []),
       renderer.init({
         getModule: () => `https://cdn.jsdelivr.net/npm/@myriaddreamin/typst-ts-renderer@${TYPST_VERSION}/pkg/typst_ts_renderer_bg.wasm`,
       })
@@ -83,6 +86,216 @@ async function ensureTypstInitialized() {
   }
 }
 
+/**
+ * Creates and initializes a compiler with package support.
+ * Fonts can only be added while the compiler is built, so project fonts
+ * (URLs, fetched by typst.ts) are passed in here.
+ * @param {object} module - The typst.ts module.
+ * @param {string[]} fontUrls - Extra font files to load.
+ * @returns {Promise<object>} - The initialized compiler.
+ */
+async function buildCompiler(module, fontUrls) {
+  const compiler = module.createTypstCompiler();
+
+  // Create access model and package registry for package management
+  const accessModel = new module.MemoryAccessModel();
+  const packageRegistry = new module.FetchPackageRegistry(accessModel);
+
+  const beforeBuild = [
+    module.initOptions.withAccessModel(accessModel),
+    module.initOptions.withPackageRegistry(packageRegistry),
+    module.initOptions.preloadRemoteFonts([
+      'https://raw.githubusercontent.com/Myriad-Dreamin/typst.ts/main/assets/data/LibertinusSerif-Regular-subset.otf',
+    ]),
+  ];
+  if (fontUrls.length > 0) beforeBuild.push(module.initOptions.loadFonts(fontUrls));
+
+  await compiler.init({
+    getModule: () => `https://cdn.jsdelivr.net/npm/@myriaddreamin/typst-ts-web-compiler@${TYPST_VERSION}/pkg/typst_ts_web_compiler_bg.wasm`,
+    beforeBuild,
+  });
+  return compiler;
+}
+
+// --- Virtual file system ---
+// Project files are mounted at their workspace-relative paths ("/chapters/intro.typ"),
+// so imports, includes and image paths resolve the way they do with the
+// typst CLI run from the workspace root.
+
+// VFS path -> file for everything in the project tree
+function collectProjectPaths(projectFiles) {
+  const paths = new Map();
+  if (!pluginCtx) {
+    for (const file of Object.values(projectFiles)) paths.set('/' + file.name, file);
+    return paths;
+  }
+  (function walk(node, prefix) {
+    for (const child of node.children || []) {
+      if (child.type === 'directory') walk(child, prefix + child.name + '/');
+      else paths.set(prefix + child.name, projectFiles[child.id] || child);
+    }
+  })(pluginCtx.projectStructure, '/');
+  return paths;
+}
+
+function workspaceFileUrl(vfsFilePath) {
+  return '/workspace-file?path=' + encodeURIComponent(pluginCtx.currentWorkspacePath + vfsFilePath);
+}
+
+// Resolve a path written in a Typst source: absolute paths start at the
+// project root, anything else is relative to the file's own directory.
+function resolveTypstPath(fromPath, ref) {
+  const parts = ref.startsWith('/') ? [] : fromPath.split('/').slice(1, -1);
+  for (const part of ref.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  }
+  return '/' + parts.join('/');
+}
+
+// Paths a source probably refers to: every string literal that looks like a
+// file name. Only the ones that exist in the workspace are ever fetched.
+function referencedPaths(fromPath, source) {
+  const paths = [];
+  const literal = /"([^"\\\n]+\.[A-Za-z0-9]+)"/g;
+  let m;
+  while ((m = literal.exec(source)) !== null) {
+    // Skip packages ("@preview/…") and URLs
+    if (!/^(@|[a-z][a-z0-9+.-]*:)/i.test(m[1])) paths.push(resolveTypstPath(fromPath, m[1]));
+  }
+  return paths;
+}
+
+class TypstVfs {
+  constructor(projectFiles) {
+    this.files = collectProjectPaths(projectFiles);
+    this.mounted = new Set();
+    this.lookedUp = new Set();
+  }
+
+  pathOf(file) {
+    for (const [path, f] of this.files) {
+      if (f.id === file.id) return path;
+    }
+    return '/' + file.name;
+  }
+
+  // Mount every file whose content is already in memory, then whatever
+  // those sources reference that is not
+  async mountLoaded() {
+    typstCompiler.resetShadow();
+    this.mounted.clear();
+    const referenced = [];
+    for (const [path, file] of this.files) {
+      if (file.viewType) {
+        const cached = assetCache.get(path);
+        if (cached) this._mountBytes(path, cached);
+      } else if (file.contentLoaded !== false && typeof file.content === 'string') {
+        this._mountSource(path, file.content, referenced);
+      }
+    }
+    await this.load(referenced);
+  }
+
+  // A path the listed tree does not have (lazy workspace, unexpanded
+  // directory) is looked up on disk through the tree, once per render
+  async _resolve(path) {
+    if (this.files.has(path)) return this.files.get(path);
+    if (this.lookedUp.has(path) || !pluginCtx || !pluginCtx.resolveWorkspacePath) return null;
+    this.lookedUp.add(path);
+    let node = null;
+    try {
+      node = await pluginCtx.resolveWorkspacePath(path.slice(1));
+    } catch (err) {
+      console.warn(`[TypstHandler] Could not look up ${path}:`, err);
+    }
+    if (!node || node.type === 'directory') return null;
+    const file = pluginCtx.projectFiles[node.id] || node;
+    this.files.set(path, file);
+    return file;
+  }
+
+  // Fetch and mount workspace files by VFS path; paths that name no file are ignored
+  async load(paths) {
+    const queue = [...paths];
+    while (queue.length > 0) {
+      const batch = [...new Set(queue.splice(0))].filter(p => !this.mounted.has(p));
+      await Promise.all(batch.map(async (path) => {
+        const file = await this._resolve(path);
+        if (!file || this.mounted.has(path)) return;
+        try {
+          if (file.viewType) {
+            this._mountBytes(path, await this._fetchAsset(path));
+          } else {
+            await pluginCtx.ensureFileContent(file);
+            this._mountSource(path, file.content || '', queue);
+          }
+        } catch (err) {
+          console.warn(`[TypstHandler] Could not load ${path}:`, err);
+        }
+      }));
+    }
+  }
+
+  async _fetchAsset(path) {
+    if (assetCache.has(path)) return assetCache.get(path);
+    if (!pluginCtx || !pluginCtx.currentWorkspacePath) throw new Error('No workspace to load assets from');
+    const response = await fetch(workspaceFileUrl(path));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    assetCache.set(path, bytes);
+    return bytes;
+  }
+
+  _mountSource(path, content, referenced) {
+    typstCompiler.addSource(path, content);
+    this.mounted.add(path);
+    if (/\.typ$/i.test(path)) referenced.push(...referencedPaths(path, content));
+  }
+
+  _mountBytes(path, bytes) {
+    typstCompiler.mapShadow(path, bytes);
+    this.mounted.add(path);
+  }
+
+  // Paths the compiler looked for but did not have; load() finds out
+  // which of them exist
+  missingFrom(diagnostics) {
+    const missing = [];
+    for (const d of diagnostics || []) {
+      const m = /searched at ([^)]+)\)/.exec(d.message || '');
+      if (!m) continue;
+      const path = m[1].startsWith('/') ? m[1] : resolveTypstPath(d.path || '/', m[1]);
+      if (!this.mounted.has(path) && !this.lookedUp.has(path)) missing.push(path);
+    }
+    return missing;
+  }
+}
+
+// Rebuild the compiler when the set of font files in the project changes;
+// true if it was rebuilt
+async function ensureProjectFonts(vfs) {
+  const fontUrls = pluginCtx && pluginCtx.currentWorkspacePath
+    ? [...vfs.files.keys()]
+      .filter(path => FONT_EXTENSIONS.test(path))
+      .map(path => new URL(workspaceFileUrl(path), window.location.href).href)
+      .sort()
+    : [];
+  const key = fontUrls.join('\n');
+  if (key === compilerFontKey) return false;
+  if (!compilerRebuild) {
+    compilerRebuild = buildCompiler(typstModule, fontUrls)
+      .then((compiler) => {
+        typstCompiler = compiler;
+        compilerFontKey = key;
+      })
+      .finally(() => { compilerRebuild = null; });
+  }
+  await compilerRebuild;
+  return true;
+}
+
 async function renderArtifactAsSvgPages(artifactContent, outputContainer) {
   const svg = await typstRenderer.renderSvg({ artifactContent });
   outputContainer.innerHTML = svg;
@@ -157,20 +370,28 @@ async function renderTypst(mainFileId, outputContainer, diagnosticsContainer, pr
   diagnosticsContainer.textContent = 'Compiling...';
   diagnosticsContainer.style.color = '#f8f9fa'; // Reset to default color
 
-  // Add all project files to the compiler's virtual file system for dependencies
-  // Typst can import JSON, text, SVG, and other file types
-  Object.values(projectFiles).forEach(file => {
-    const filePath = `/${file.name}`;
-    typstCompiler.addSource(filePath, file.content);
-  });
-
-  // Use the actual filename from the selected file as main
-  const mainFilePath = `/${mainFile.name}`;
-
   try {
-    const artifact = await typstCompiler.compile({
-      mainFilePath: mainFilePath,
-    });
+    // Mount the project tree. Files that are not loaded yet (lazy workspace,
+    // images and other binaries) or not listed yet (unexpanded directories)
+    // are fetched when a source names them, or when the compiler reports
+    // them missing.
+    const vfs = new TypstVfs(projectFiles);
+    await ensureProjectFonts(vfs);
+    await vfs.mountLoaded();
+    // Font files found only by following references: the rebuilt compiler
+    // starts empty, so mount again
+    if (await ensureProjectFonts(vfs)) await vfs.mountLoaded();
+    const mainFilePath = vfs.pathOf(mainFile);
+
+    let artifact;
+    for (let round = 0; ; round++) {
+      artifact = await typstCompiler.compile({
+        mainFilePath: mainFilePath,
+      });
+      const missing = round < MAX_ASSET_ROUNDS ? vfs.missingFrom(artifact.diagnostics) : [];
+      if (missing.length === 0) break;
+      await vfs.load(missing);
+    }
 
     // **FIX START**: Always process diagnostics, whether it's a success or failure.
     if (artifact.diagnostics && artifact.diagnostics.length > 0) {
@@ -426,6 +647,8 @@ function getAceMode(fileName) {
 }
 
 module.exports = {
+  setContext,
+  invalidateAssets,
   canHandle,
   generatePreview,
   render,
@@ -382,16 +382,29 @@ class HexEditorComponent {
             const relPath = ctx.getRelativePath(this.fileId);
 
             if (workspacePath && relPath) {
-                const result = await ctx.wsClient.wsRequest({
+                const request = {
                     type: 'saveFile',
                     workspacePath,
                     relativePath: relPath,
                     content: bytesToBase64(this.bytes),
                     encoding: 'base64',
-                });
+                    expectedHash: this.fileData.diskHash,
+                    expectedMtimeMs: this.fileData.diskMtimeMs,
+                };
+                let result = await ctx.wsClient.wsRequest(request);
+                if (result && result.code === 'conflict') {
+                    if (!confirm(`${this.fileData.name} changed on disk since it was opened. Overwrite it anyway?`)) {
+                        throw new Error('File changed on disk');
+                    }
+                    delete request.expectedHash;
+                    delete request.expectedMtimeMs;
+                    result = await ctx.wsClient.wsRequest(request);
+                }
                 if (!result || !result.success) {
                     throw new Error((result && result.error) || 'Save failed');
                 }
+                if (typeof result.mtimeMs === 'number') this.fileData.diskMtimeMs = result.mtimeMs;
+                if (result.hash) this.fileData.diskHash = result.hash;
                 // Keep in-memory content in sync for non-binary files
                 if (!this.fileData.viewType) {
                     try {
@@ -5,12 +5,20 @@ const { getPlugins } = require('./plugins');
 const { renderTree } = require('./tree-renderer');
 const { isMobile, MobileLayout, createContainerAdapter } = require('./mobile-layout');
 const { createClientApi } = require('./client-api');
+const { diffLines, merge3 } = require('./text-diff');
 const { installClientRpc } = require('./client-rpc');
+const { createEventBus, forwardAppEvents } = require('./app-events');
+const { addDecoration, removeDecoration, listDecorations, attachDecorations } = require('./editor-decorations');
+const { setProblems, clearProblems, attachProblems } = require('./editor-problems');
+const { openGrepDialog } = require('./search-dialog');
+const {
+    initDiffView, attachDiffGutter, refreshDiffGutters, getGutterBase, setGutterBase, DiffEditorComponent, openDiffEditor,
+} = require('./diff-view');
 const debug = require('./debug');
 const log = debug.createLogger('App');
 
 // Load plugins (side-effect: they register themselves)
-require('./terminal');
+const { openTerminal } = require('./terminal');
 require('./typst-plugin');
 require('./pandoc-plugin');
 require('./hex-editor-plugin');
@@ -26,6 +34,11 @@ require('./wasm-plugin');
 require('./converters-plugin');
 require('./media-metadata-plugin');
 require('./fla-plugin');
+require('./git-plugin');
+require('./tasks-plugin');
+const { previewPath } = require('./preview-console-plugin');
+const { injectPreviewBridge } = require('./preview-bridge-tag');
+const { resetPreviewLive, liveUpdateFor, sendPreviewUpdate, isPatchDomEnabled, setPatchDomEnabled } = require('./preview-live');
 
 require('ace-builds/src-min-noconflict/mode-html');
 require('ace-builds/src-min-noconflict/theme-github');
@@ -208,34 +221,78 @@ const wsClient = require('./ws-client');
 // Current workspace path (null = in-memory only)
 let currentWorkspacePath = null;
 
+// Behind app.on/app.off; see the event catalogue in docs/client-api.md
+const appEvents = createEventBus(log);
+// file.changed waits for a pause in typing, so subscribers get one event per burst
+const FILE_CHANGED_DELAY_MS = 300;
+const _fileChangedTimers = {};
+
 // --- Persistence Mode ---
 let persistenceMode = (typeof localStorage !== 'undefined' && localStorage.getItem('gl-persistence-mode')) || 'draft';
 const dirtyFiles = new Set();
 const _autoPersistTimers = {};
-// Track files we recently saved so the fs watcher ignores our own writes
-const _recentlySavedFiles = new Map(); // relativePath -> timestamp
+// Remember which on-disk version a file node was read from or written as.
+// saveFile sends it back so the server can refuse lost-update overwrites,
+// and the fs watcher uses the hash to recognise our own writes.
+function setDiskVersion(file, info) {
+    if (!file || !info) return;
+    if (typeof info.mtimeMs === 'number') file.diskMtimeMs = info.mtimeMs;
+    if (typeof info.hash === 'string') file.diskHash = info.hash;
+}
 
 async function saveFileToDisk(fileId) {
-    if (!currentWorkspacePath || !wsClient || !wsClient.isConnected()) return false;
+    // While reconnecting, wsClient queues the save and sends it once back
+    if (!currentWorkspacePath || !wsClient || !(wsClient.isConnected() || wsClient.getConnectionState() === 'reconnecting')) return false;
     const file = projectFiles[fileId];
     if (!file) return false;
     const relativePath = getRelativePath(fileId);
     if (!relativePath) return false;
+    // diskHash already names the other writer's version: saving now would
+    // overwrite it unseen. "Keep mine" on the banner clears the conflict.
+    if (file.diskConflict) {
+        log.warn(`Not saving ${relativePath}: resolve the conflict with the disk version first`);
+        return false;
+    }
+    // A lazily listed file whose content never arrived: saving would truncate it
+    if (file.contentLoaded === false) {
+        log.warn(`Not saving ${relativePath}: its content is not loaded`);
+        return false;
+    }
+    const content = file.content || '';
     try {
         const result = await wsClient.wsRequest({
             type: 'saveFile',
             workspacePath: currentWorkspacePath,
             relativePath,
-            content: file.content || '',
+            content,
+            expectedHash: file.diskHash,
+            expectedMtimeMs: file.diskMtimeMs,
         });
         if (result.success) {
-            dirtyFiles.delete(fileId);
+            // The written text becomes the merge base for later external edits
+            file.savedContent = content;
+            setDiskVersion(file, result);
+            if (file.content === content) dirtyFiles.delete(fileId);
             updateDirtyIndicator(fileId);
-            // Mark as recently saved so fs watcher ignores our own write
-            _recentlySavedFiles.set(relativePath, Date.now());
-            setTimeout(() => _recentlySavedFiles.delete(relativePath), 2000);
+            refreshDiffGutters(fileId);
+            appEvents.emit('file.saved', { fileId, path: relativePath });
             return true;
         }
+        if (result.code === 'conflict') {
+            // Someone else wrote the file since we read it: pull their version
+            // and merge it into the buffer (or raise the conflict banner).
+            log.warn(`Save refused, ${relativePath} changed on disk`);
+            const disk = await wsClient.wsRequest({
+                type: 'readFile',
+                workspacePath: currentWorkspacePath,
+                relativePath,
+            });
+            if (disk.success) {
+                setDiskVersion(file, disk);
+                reconcileExternalChange(file, disk.content, relativePath);
+            }
+            return false;
+        }
         log.error('Save failed:', result.error);
         return false;
     } catch (err) {
@@ -257,6 +314,11 @@ async function syncAllDirtyFiles() {
 }
 
 function markDirty(fileId) {
+    clearTimeout(_fileChangedTimers[fileId]);
+    _fileChangedTimers[fileId] = setTimeout(() => {
+        delete _fileChangedTimers[fileId];
+        appEvents.emit('file.changed', { fileId, path: getRelativePath(fileId) });
+    }, FILE_CHANGED_DELAY_MS);
     if (!currentWorkspacePath) return;
     const wasClean = !dirtyFiles.has(fileId);
     dirtyFiles.add(fileId);
@@ -367,6 +429,12 @@ function saveSessionState() {
                 && item.componentState && item.componentState.fileId) {
                 item.componentState.filePath = fileIdToPath[item.componentState.fileId] || null;
             }
+            // Diff tabs re-resolve their files by path when restored
+            if (item.componentType === 'diffEditor' && item.componentState) {
+                const state = item.componentState;
+                if (fileIdToPath[state.fileId]) state.filePath = fileIdToPath[state.fileId];
+                if (fileIdToPath[state.otherFileId]) state.otherPath = fileIdToPath[state.otherFileId];
+            }
             if (item.content) item.content.forEach(tagFilePaths);
         }
         if (layoutConfig.root) tagFilePaths(layoutConfig.root);
@@ -375,14 +443,16 @@ function saveSessionState() {
         let explorerState = null;
         if (projectFilesComponentInstance) {
             const pfc = projectFilesComponentInstance;
-            // Collect collapsed directory paths
+            // Collect collapsed and expanded directory paths
             const collapsedDirs = [];
+            const expandedDirs = [];
             function findCollapsed(node, prefix) {
                 if (node.children) {
                     for (const child of node.children) {
                         if (child.type === 'directory') {
                             const dirPath = prefix + child.name;
                             if (child.collapsed) collapsedDirs.push(dirPath);
+                            else expandedDirs.push(dirPath);
                             findCollapsed(child, dirPath + '/');
                         }
                     }
@@ -394,6 +464,7 @@ function saveSessionState() {
                 gridCurrentPath: pfc.gridCurrentPath,
                 selectedFileId: pfc._selectedFileId || null,
                 collapsedDirs,
+                expandedDirs,
             };
         }
 
@@ -476,30 +547,152 @@ function debouncedSave() {
     _saveDebounceTimer = setTimeout(saveSessionState, 500);
 }
 
+// Lazy listings mark directories whose children and text files whose
+// content have not been fetched yet; see loadDirectoryChildren and
+// ensureFileContent.
 function mapWorkspaceTree(items) {
     return items.map(item => {
         if (item.type === 'directory') {
-            return {
+            const dir = {
                 id: generateUniqueId(),
                 name: item.name,
                 type: 'directory',
                 collapsed: true,
                 children: mapWorkspaceTree(item.children || [])
             };
+            if (item.lazy) dir.childrenLoaded = false;
+            if (item.ignored) dir.ignored = true;
+            return dir;
         }
         const file = {
             id: generateUniqueId(),
             name: item.name,
             type: 'file',
-            content: item.content || '',
+            content: item.lazy ? null : (item.content || ''),
+            savedContent: item.lazy ? null : (item.content || ''),
             cursor: { row: 0, column: 0 },
             selection: null
         };
+        if (item.lazy) file.contentLoaded = false;
+        if (item.ignored) file.ignored = true;
         if (item.viewType) file.viewType = item.viewType;
+        setDiskVersion(file, item);
         return file;
     });
 }
 
+// --- Lazy Workspace Loading ---
+
+const _contentLoads = new Map(); // fileId -> in-flight readFile promise
+const _dirLoads = new WeakMap(); // dir node -> in-flight listing promise
+
+// Fetch a lazily listed file's content on first use. Concurrent callers share
+// one request; resolves immediately for files that are already loaded.
+function ensureFileContent(file) {
+    if (!file || file.contentLoaded !== false) return Promise.resolve(file);
+    if (_contentLoads.has(file.id)) return _contentLoads.get(file.id);
+    const relativePath = getRelativePath(file.id);
+    const load = wsClient.wsRequest({ type: 'readFile', workspacePath: currentWorkspacePath, relativePath })
+        .then((result) => {
+            if (!result.success) throw new Error(result.error || `Failed to read ${relativePath}`);
+            // Someone may have set content in the meantime (app.files.setContent)
+            if (file.contentLoaded === false) {
+                file.content = result.content;
+                delete file.contentLoaded;
+            }
+            file.savedContent = result.content;
+            setDiskVersion(file, result);
+            return file;
+        })
+        .finally(() => _contentLoads.delete(file.id));
+    _contentLoads.set(file.id, load);
+    return load;
+}
+
+function refreshExplorerViews() {
+    if (projectFilesComponentInstance) projectFilesComponentInstance.updateFileListDisplay();
+    if (previewComponentInstance) previewComponentInstance.updateFileOptions();
+}
+
+// --- File Badges ---
+// Status badges by workspace-relative path, drawn by the explorer tree (the
+// git plugin reports modified / added / untracked files). Folders holding a
+// badged file get a dot in the same colour.
+
+let _fileBadges = new Map();
+let _dirBadges = new Map();
+let _fileBadgesKey = '';
+
+function setFileBadges(badges) {
+    const key = JSON.stringify(badges || {});
+    if (key === _fileBadgesKey) return;
+    _fileBadgesKey = key;
+    _fileBadges = new Map(Object.entries(badges || {}));
+    _dirBadges = new Map();
+    for (const [relPath, badge] of _fileBadges) {
+        const parts = relPath.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const dir = parts.slice(0, i).join('/');
+            if (!_dirBadges.has(dir)) _dirBadges.set(dir, { text: '\u2022', color: badge.color, title: 'Contains changes' });
+        }
+    }
+    if (projectFilesComponentInstance) projectFilesComponentInstance.updateFileListDisplay();
+}
+
+function getFileBadge(item, relPath) {
+    return (item.type === 'directory' ? _dirBadges : _fileBadges).get(relPath) || null;
+}
+
+// Fetch listing pages from `offset` on, appending each page to `dirNode` as
+// it arrives (and redrawing the explorer, unless `quiet`)
+async function streamDirectoryPages(dirNode, relativePath, offset, quiet) {
+    while (offset !== null) {
+        const result = await wsClient.wsRequest({
+            type: 'listWorkspaceDir',
+            workspacePath: currentWorkspacePath,
+            relativePath,
+            offset,
+            includeIgnored: wsClient.getShowIgnored(),
+        });
+        if (!result.success) throw new Error(result.error || `Failed to list ${relativePath || '/'}`);
+        dirNode.children.push(...mapWorkspaceTree(result.entries));
+        offset = result.hasMore ? result.nextOffset : null;
+        if (quiet) continue;
+        updateProjectFilesCache();
+        refreshExplorerViews();
+    }
+}
+
+// Fetch a lazily listed directory's children (called when it is expanded)
+function loadDirectoryChildren(dirNode) {
+    if (!dirNode || dirNode.childrenLoaded !== false) return Promise.resolve();
+    if (_dirLoads.has(dirNode)) return _dirLoads.get(dirNode);
+    const relativePath = getNodeRelativePath(dirNode);
+    dirNode.children = [];
+    const load = streamDirectoryPages(dirNode, relativePath, 0)
+        .then(() => { delete dirNode.childrenLoaded; })
+        .catch((err) => {
+            log.warn(`Failed to load ${relativePath}:`, err);
+            dirNode.children = [];
+        })
+        .finally(() => _dirLoads.delete(dirNode));
+    _dirLoads.set(dirNode, load);
+    return load;
+}
+
+// Resolve a workspace-relative path to a tree node, loading every directory
+// on the way (and the target itself, if it is a directory).
+async function resolveWorkspacePath(relativePath) {
+    let node = projectStructure;
+    for (const part of (relativePath || '').split('/').filter(Boolean)) {
+        await loadDirectoryChildren(node);
+        node = (node.children || []).find(c => c.name === part);
+        if (!node) return null;
+    }
+    if (node.type === 'directory') await loadDirectoryChildren(node);
+    return node;
+}
+
 function handleWorkspaceLoaded(result) {
     if (result.error) {
         alert('Failed to open workspace: ' + result.error);
@@ -515,12 +708,13 @@ function handleWorkspaceLoaded(result) {
 
     projectStructure.children = mapWorkspaceTree(result.children || []);
     updateProjectFilesCache();
+    if (result.hasMore) {
+        streamDirectoryPages(projectStructure, '', result.nextOffset)
+            .catch(err => log.warn('Failed to load workspace root:', err));
+    }
 
-    // Set first file as active preview
     const allFiles = getAllFiles();
-    if (allFiles.length > 0) {
-        activePreviewFileId = allFiles[0].id;
-    }
+    activePreviewFileId = defaultPreviewFileId();
 
     if (projectFilesComponentInstance) {
         projectFilesComponentInstance.updateFileListDisplay();
@@ -532,29 +726,360 @@ function handleWorkspaceLoaded(result) {
         updatePreviewFiles();
     }
     log.log(`Workspace opened: ${result.path} (${allFiles.length} files)`);
+    appEvents.emit('workspace.opened', { path: result.path });
 }
 
 // --- File System Change Handling ---
+
+// Replace a file's buffer with text that came from disk (or a merge),
+// keeping the open editor's cursor where it was.
+function applyExternalContent(file, content) {
+    file.content = content;
+    const editorComponent = _editorInstances.get(file.id);
+    if (editorComponent && editorComponent.editor) {
+        const cursorPos = editorComponent.editor.getCursorPosition();
+        editorComponent._suppressChangeEvents = true;
+        editorComponent.editor.setValue(content, -1);
+        editorComponent.editor.moveCursorToPosition(cursorPos);
+        editorComponent._suppressChangeEvents = false;
+    }
+    if (activePreviewFileId === file.id && previewComponentInstance) {
+        previewComponentInstance.updatePreviewMode();
+    }
+}
+
+// A file with unsaved edits changed on disk. Merge the two sets of edits
+// against the last-saved baseline when they don't overlap; otherwise park
+// the disk version on the file and let the user resolve it from the banner.
+function reconcileExternalChange(file, diskContent, relativePath) {
+    if (diskContent === file.content) {
+        // Disk caught up with our buffer (e.g. the same edit made elsewhere)
+        file.savedContent = diskContent;
+        delete file.diskConflict;
+        dirtyFiles.delete(file.id);
+        updateDirtyIndicator(file.id);
+        updateSyncButton();
+        refreshConflictBanner(file.id);
+        refreshDiffGutters(file.id);
+        return;
+    }
+
+    const base = file.savedContent !== undefined ? file.savedContent : '';
+    const merged = merge3(base, file.content || '', diskContent);
+    if (merged.clean) {
+        log.log(`FS: Merged external change into unsaved buffer for ${relativePath}`);
+        file.savedContent = diskContent;
+        delete file.diskConflict;
+        applyExternalContent(file, merged.text);
+        if (merged.text === diskContent) {
+            dirtyFiles.delete(file.id);
+            updateDirtyIndicator(file.id);
+            updateSyncButton();
+        }
+        refreshConflictBanner(file.id);
+        return;
+    }
+
+    log.warn(`FS: ${relativePath} changed on disk and conflicts with unsaved edits`);
+    file.diskConflict = { content: diskContent, conflicts: merged.conflicts };
+    refreshConflictBanner(file.id);
+}
+
+function resolveDiskConflict(fileId, choice) {
+    const file = projectFiles[fileId];
+    if (!file || !file.diskConflict) return;
+    const diskContent = file.diskConflict.content;
+
+    if (choice === 'theirs') {
+        file.savedContent = diskContent;
+        delete file.diskConflict;
+        applyExternalContent(file, diskContent);
+        dirtyFiles.delete(fileId);
+        updateDirtyIndicator(fileId);
+        updateSyncButton();
+    } else if (choice === 'mine') {
+        // Keep the buffer; the next save intentionally overwrites disk, and
+        // later merges are computed against what is on disk now.
+        file.savedContent = diskContent;
+        delete file.diskConflict;
+        markDirty(fileId);
+        refreshDiffGutters(fileId);
+    }
+    refreshConflictBanner(fileId);
+}
+
+function refreshConflictBanner(fileId) {
+    const editorComponent = _editorInstances.get(fileId);
+    if (editorComponent) editorComponent.updateConflictBanner();
+}
+
+function showConflictDiff(fileId) {
+    const file = projectFiles[fileId];
+    if (!file || !file.diskConflict) return;
+    const mine = file.content || '';
+    const theirs = file.diskConflict.content;
+    const mineLines = mine.split('\n');
+    const theirLines = theirs.split('\n');
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.4);z-index:10000;display:flex;align-items:center;justify-content:center;';
+    const dialog = document.createElement('div');
+    dialog.style.cssText = 'background:#2a2a2a;color:#ddd;border:1px solid #555;border-radius:6px;width:900px;max-width:92vw;height:75vh;display:flex;flex-direction:column;box-shadow:0 8px 24px rgba(0,0,0,0.5);font-family:sans-serif;font-size:13px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'padding:8px 12px;border-bottom:1px solid #444;display:flex;align-items:center;gap:8px;';
+    const title = document.createElement('span');
+    title.style.cssText = 'flex:1;font-weight:bold;';
+    title.textContent = `${getRelativePath(fileId) || file.name}: unsaved edits (-) vs disk (+)`;
+    header.appendChild(title);
+
+    const close = () => overlay.remove();
+    const action = (label, choice) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.style.cssText = 'padding:2px 10px;font-size:12px;cursor:pointer;';
+        btn.onclick = () => { close(); if (choice) resolveDiskConflict(fileId, choice); };
+        header.appendChild(btn);
+    };
+    action('Keep mine', 'mine');
+    action('Take theirs', 'theirs');
+    action('Close', null);
+
+    const body = document.createElement('pre');
+    body.style.cssText = 'flex:1;overflow:auto;margin:0;padding:8px 0;font-family:monospace;font-size:12px;line-height:1.4;';
+    const addLine = (prefix, text, bg) => {
+        const row = document.createElement('div');
+        row.style.cssText = `padding:0 12px;white-space:pre;${bg ? 'background:' + bg + ';' : ''}`;
+        row.textContent = prefix + text;
+        body.appendChild(row);
+    };
+
+    const CONTEXT = 3;
+    const hunks = diffLines(mineLines, theirLines);
+    if (hunks.length === 0) addLine('  ', '(no differences)');
+    let shownUntil = 0;
+    hunks.forEach((h) => {
+        const from = Math.max(shownUntil, h.aStart - CONTEXT);
+        if (from > shownUntil) addLine('', `@@ line ${from + 1} @@`, '#333');
+        for (let l = from; l < h.aStart; l++) addLine('  ', mineLines[l]);
+        for (let l = h.aStart; l < h.aStart + h.aLen; l++) addLine('- ', mineLines[l], 'rgba(255,80,80,0.18)');
+        for (let l = h.bStart; l < h.bStart + h.bLen; l++) addLine('+ ', theirLines[l], 'rgba(80,200,80,0.18)');
+        const after = Math.min(mineLines.length, h.aStart + h.aLen + CONTEXT);
+        for (let l = h.aStart + h.aLen; l < after; l++) addLine('  ', mineLines[l]);
+        shownUntil = after;
+    });
+
+    dialog.appendChild(header);
+    dialog.appendChild(body);
+    overlay.appendChild(dialog);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    document.body.appendChild(overlay);
+}
+
+// Re-list a loaded directory and merge the result into the tree. Nodes that
+// still exist are kept as they are (ids, content, dirty and collapsed state);
+// loaded subdirectories are refreshed recursively when `deep` is set.
+async function refreshDirectory(dirNode, deep) {
+    if (dirNode.childrenLoaded === false) return;
+    const relativePath = getNodeRelativePath(dirNode);
+    if (relativePath === null) return;
+    const listed = { children: [] };
+    await streamDirectoryPages(listed, relativePath, 0, true);
+
+    const existing = new Map((dirNode.children || []).map(c => [c.type + ':' + c.name, c]));
+    const merged = listed.children.map((fresh) => {
+        const key = fresh.type + ':' + fresh.name;
+        const node = existing.get(key) || fresh;
+        existing.delete(key);
+        // Ignore rules may have changed since the node was listed
+        if (fresh.ignored) node.ignored = true;
+        else delete node.ignored;
+        return node;
+    });
+    // Keep unsaved new files that have not reached the disk yet
+    for (const node of existing.values()) {
+        if (node.type === 'file' && dirtyFiles.has(node.id)) merged.push(node);
+    }
+    dirNode.children = merged;
+
+    if (deep) {
+        for (const child of merged) {
+            if (child.type === 'directory' && child.childrenLoaded !== false) await refreshDirectory(child, true);
+        }
+    }
+}
+
+// Bring the loaded part of the tree in line with the disk. With
+// `changedPaths`, only the directories containing those paths are re-listed.
+async function reloadWorkspaceTree(changedPaths) {
+    try {
+        if (!changedPaths) {
+            await refreshDirectory(projectStructure, true);
+        } else {
+            const parents = new Set(changedPaths.map(p => p.split('/').slice(0, -1).join('/')));
+            for (const parentPath of parents) {
+                const dirNode = parentPath ? findNodeByPath(parentPath) : projectStructure;
+                if (dirNode && dirNode.type !== 'file') await refreshDirectory(dirNode, false);
+            }
+        }
+        updateProjectFilesCache();
+        refreshExplorerViews();
+        log.log('FS: Workspace tree refreshed');
+    } catch (err) {
+        log.warn('FS: Failed to refresh workspace tree:', err);
+    }
+}
+
+// --- Workspace Delete / Copy ---
+
+// Path of any tree node (file or directory) relative to the workspace root
+function getNodeRelativePath(target, node = projectStructure, prefix = '') {
+    if (target === projectStructure) return '';
+    if (node.children) {
+        for (const child of node.children) {
+            if (child === target) return prefix + child.name;
+            if (child.type === 'directory') {
+                const found = getNodeRelativePath(target, child, prefix + child.name + '/');
+                if (found) return found;
+            }
+        }
+    }
+    return null;
+}
+
+// Any tree node (file or directory) by workspace-relative path, loaded part only
+function findNodeByPath(relativePath) {
+    let node = projectStructure;
+    for (const part of relativePath.split('/').filter(Boolean)) {
+        node = (node.children || []).find(c => c.name === part);
+        if (!node) return null;
+    }
+    return node;
+}
+
+function findParentNode(target, node = projectStructure) {
+    if (!node.children) return null;
+    for (const child of node.children) {
+        if (child === target) return node;
+        if (child.type === 'directory') {
+            const found = findParentNode(target, child);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// "name copy.ext", then "name copy 2.ext", ... — first one not taken in `dirNode`
+function nextCopyName(dirNode, name) {
+    const taken = new Set((dirNode.children || []).map(c => c.name));
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let n = 1; ; n++) {
+        const candidate = `${base} copy${n > 1 ? ' ' + n : ''}${ext}`;
+        if (!taken.has(candidate)) return candidate;
+    }
+}
+
+// Drop a file or directory node from the tree, closing tabs for every file under it
+function removeTreeNode(target) {
+    const parent = findParentNode(target);
+    if (!parent) return;
+    parent.children = parent.children.filter(c => c !== target);
+
+    const removed = new Set();
+    (function collect(node) {
+        if (node.type === 'file') removed.add(node.id);
+        else (node.children || []).forEach(collect);
+    })(target);
+
+    goldenLayoutInstance.getAllStacks().forEach(stack => {
+        stack.contentItems.slice().forEach(item => {
+            const state = item.container && typeof item.container.getState === 'function' ? item.container.getState() : null;
+            if (state && removed.has(state.fileId)) item.close();
+        });
+    });
+    removed.forEach(id => {
+        dirtyFiles.delete(id);
+        clearTimeout(_autoPersistTimers[id]);
+    });
+    updateSyncButton();
+    if (removed.has(activeEditorFileId)) activeEditorFileId = null;
+
+    updateProjectFilesCache();
+    if (removed.has(activePreviewFileId)) activePreviewFileId = defaultPreviewFileId();
+    if (projectFilesComponentInstance) projectFilesComponentInstance.updateFileListDisplay();
+    if (previewComponentInstance) {
+        previewComponentInstance.updateFileOptions();
+        if (activePreviewFileId) previewComponentInstance.fileSelect.value = activePreviewFileId;
+    }
+    if (activePreviewFileId) updatePreviewFiles();
+}
+
+/**
+ * Delete a file or directory node. Workspace entries are removed on disk
+ * first (or moved to .trash when `trash` is set); in-memory entries are only
+ * dropped from the tree. Resolves to the server reply, which carries
+ * `trashPath` for trashed entries. Throws if the server refuses.
+ */
+async function deleteWorkspaceEntry(node, { trash = false } = {}) {
+    const relativePath = getNodeRelativePath(node);
+    if (!relativePath) throw new Error('Entry is not in the project tree');
+
+    let result = { success: true, relativePath };
+    if (currentWorkspacePath && wsClient.isConnected()) {
+        result = await wsClient.wsRequest({ type: 'deleteFile', workspacePath: currentWorkspacePath, relativePath, trash });
+        // Already gone on disk (e.g. an unsaved new file) — still drop it locally
+        if (!result.success && !/ENOENT/.test(result.error || '')) throw new Error(result.error || 'Delete failed');
+    }
+    removeTreeNode(node);
+    log.log(`Deleted ${relativePath}` + (result.trashPath ? ` (moved to ${result.trashPath})` : ''));
+    appEvents.emit('file.deleted', { fileId: node.id, path: relativePath, type: node.type, trashPath: result.trashPath || null });
+    return result;
+}
+
+/**
+ * Copy a file or directory node to `destRelativePath` on disk and reload the
+ * tree so the copy shows up. Requires an open workspace.
+ */
+async function copyWorkspaceEntry(node, destRelativePath) {
+    const sourceRelativePath = getNodeRelativePath(node);
+    if (!sourceRelativePath) throw new Error('Entry is not in the project tree');
+    if (!currentWorkspacePath || !wsClient.isConnected()) throw new Error('Copying requires an open workspace');
+    if (node.type === 'file' && dirtyFiles.has(node.id)) await saveFileToDisk(node.id);
+
+    const result = await wsClient.wsRequest({
+        type: 'copyFile',
+        workspacePath: currentWorkspacePath,
+        sourceRelativePath,
+        destRelativePath,
+    });
+    if (!result.success) throw new Error(result.error || 'Copy failed');
+    await reloadWorkspaceTree([destRelativePath]);
+    log.log(`Copied ${sourceRelativePath} -> ${destRelativePath}`);
+    return result;
+}
+
 // Listen for server-side file changes and refresh affected files
 wsClient.addMessageListener(async (msg) => {
     if (msg.type !== 'fsChanges' || !currentWorkspacePath) return;
-
     log.log(`FS changes detected: ${msg.changes.length} change(s)`);
-    let treeChanged = false;
+    await applyFsChanges(msg.changes);
+});
 
-    for (const change of msg.changes) {
-        const relativePath = change.path.replace(/\\/g, '/');
+// changes: [{ path, content?, hash?, mtimeMs? }] as in fsChanges
+async function applyFsChanges(changes) {
+    const treeChanges = [];
 
-        // Skip files we recently saved ourselves
-        if (_recentlySavedFiles.has(relativePath)) continue;
+    for (const change of changes) {
+        const relativePath = change.path.replace(/\\/g, '/');
 
         const file = findFileByPath(relativePath);
 
-        if (file && file.content !== undefined && file.content !== null) {
-            // File exists in our project — check if it was modified externally
-            // Skip if the file is dirty (user has unsaved local changes)
-            if (dirtyFiles.has(file.id)) continue;
+        // Same version we already hold — typically the echo of our own save
+        if (file && change.hash && change.hash === file.diskHash) continue;
 
+        if (file && file.content !== undefined && file.content !== null) {
             // Use content from server if provided, otherwise re-read
             let newContent = change.content;
             if (newContent === undefined || newContent === null) {
@@ -565,110 +1090,138 @@ wsClient.addMessageListener(async (msg) => {
                         relativePath,
                     });
                     newContent = result.content;
+                    setDiskVersion(file, result);
                 } catch (err) {
                     log.warn(`FS: Failed to re-read ${relativePath}:`, err);
                     continue;
                 }
             }
+            if (newContent === undefined || newContent === null) continue;
+            setDiskVersion(file, change);
+
+            // Unsaved local edits: merge or raise a conflict instead of clobbering
+            if (dirtyFiles.has(file.id)) {
+                reconcileExternalChange(file, newContent, relativePath);
+                continue;
+            }
 
-            if (newContent !== undefined && newContent !== file.content) {
-                file.content = newContent;
+            file.savedContent = newContent;
+            if (newContent !== file.content) {
+                applyExternalContent(file, newContent);
                 log.log(`FS: Updated content for ${relativePath}`);
-                // Refresh editor if this file is open
-                const editorComponent = _editorInstances.get(file.id);
-                if (editorComponent && editorComponent.editor) {
-                    const cursorPos = editorComponent.editor.getCursorPosition();
-                    editorComponent._suppressChangeEvents = true;
-                    editorComponent.editor.setValue(file.content, -1);
-                    editorComponent.editor.moveCursorToPosition(cursorPos);
-                    editorComponent._suppressChangeEvents = false;
-                    log.log(`FS: Editor refreshed for ${relativePath}`);
-                }
-                // Refresh preview if this file is being previewed
-                if (activePreviewFileId === file.id && previewComponentInstance) {
-                    previewComponentInstance.updatePreviewMode();
-                }
             }
         } else if (!file) {
             // File doesn't exist — might be new, or a directory change
-            treeChanged = true;
+            treeChanges.push(relativePath);
         }
     }
 
-    // If new files/dirs were created or deleted, re-read the workspace tree
-    if (treeChanged) {
-        try {
-            const result = await wsClient.wsRequest({ type: 'openWorkspace', path: currentWorkspacePath });
-            if (!result.error) {
-                const savedCollapsed = {};
-                function collectCollapsed(node, prefix) {
-                    if (node.children) {
-                        for (const child of node.children) {
-                            if (child.type === 'directory') {
-                                const p = prefix + child.name;
-                                if (child.collapsed) savedCollapsed[p] = true;
-                                collectCollapsed(child, p + '/');
-                            }
-                        }
-                    }
-                }
-                collectCollapsed(projectStructure, '');
-
-                projectStructure.children = mapWorkspaceTree(result.children || []);
-
-                // Restore collapsed state
-                function applyCollapsed(node, prefix) {
-                    if (node.children) {
-                        for (const child of node.children) {
-                            if (child.type === 'directory') {
-                                const p = prefix + child.name;
-                                if (p in savedCollapsed) child.collapsed = true;
-                                applyCollapsed(child, p + '/');
-                            }
-                        }
-                    }
-                }
-                applyCollapsed(projectStructure, '');
+    // If new files/dirs were created or deleted, re-list their directories.
+    // A changed .gitignore/.editorignore/.git/info/exclude can affect any loaded directory.
+    if (treeChanges.some(p => /(^|\/)\.(gitignore|editorignore)$|^\.git\/info\/exclude$/.test(p))) await reloadWorkspaceTree();
+    else if (treeChanges.length > 0) await reloadWorkspaceTree(treeChanges);
+}
 
-                updateProjectFilesCache();
-                if (projectFilesComponentInstance) projectFilesComponentInstance.updateFileListDisplay();
-                if (previewComponentInstance) previewComponentInstance.updateFileOptions();
-                log.log('FS: Workspace tree refreshed');
-            }
-        } catch (err) {
-            log.warn('FS: Failed to refresh workspace tree:', err);
+// The server forgot us while the socket was down (it may have restarted):
+// open the workspace again, which restores its watcher, then pick up what
+// changed on disk in the meantime. Unsaved buffers are merged as for any
+// external change. Saves queued while offline are sent after this.
+wsClient.onReconnect(async () => {
+    if (currentWorkspacePath) {
+        // Only the side effects matter here, not the listing
+        const result = await wsClient.wsRequest({ type: 'openWorkspace', path: currentWorkspacePath, lazy: true, limit: 1, includeIgnored: wsClient.getShowIgnored() });
+        if (result.error) {
+            log.warn('Could not reopen the workspace after reconnecting:', result.error);
+            return;
         }
+        const changes = [];
+        for (const file of getAllFiles()) {
+            if (file.viewType || file.contentLoaded === false || typeof file.diskMtimeMs !== 'number') continue;
+            const relativePath = getRelativePath(file.id);
+            try {
+                const stat = await wsClient.statFile(currentWorkspacePath, relativePath);
+                if (stat.mtimeMs !== file.diskMtimeMs) changes.push({ path: relativePath });
+            } catch (_) { /* gone: the tree refresh below drops it */ }
+        }
+        if (changes.length) log.log(`${changes.length} file(s) changed on disk while disconnected`);
+        await applyFsChanges(changes);
+        await reloadWorkspaceTree();
     }
+    // Preview files live in server memory, which a restart empties
+    if (activePreviewFileId) setPreviewFile(activePreviewFileId);
 });
 
 // --- Preview Rendering ---
 
-async function updatePreviewFiles() {
+function isHtmlFile(fileName) {
+    return /\.html?$/i.test(fileName);
+}
+
+// Page the preview starts on: index.html at the top of the workspace, else
+// the first HTML file, else the first file
+function defaultPreviewFileId() {
+    const index = findFileByPath('index.html') || findFileByPath('index.htm');
+    if (index) return index.id;
+    const files = getAllFiles();
+    const page = files.find(f => isHtmlFile(f.name));
+    return page ? page.id : (files.length > 0 ? files[0].id : null);
+}
+
+// Show a file in the preview (the preview root, for HTML pages)
+function setPreviewFile(fileId) {
+    if (!projectFiles[fileId]) return false;
+    activePreviewFileId = fileId;
+    if (previewComponentInstance) {
+        previewComponentInstance.updateFileOptions();
+        previewComponentInstance.updatePreviewMode();
+    } else {
+        updatePreviewFiles();
+    }
+    return true;
+}
+
+// changedFileId: the file whose edit triggered the update. If the page is
+// already showing, the edit goes to it as a live update (see preview-live.js)
+// instead of loading the page again.
+async function updatePreviewFiles(changedFileId) {
     try {
         const previewFile = projectFiles[activePreviewFileId];
         if (!previewFile) {
             log.warn('Preview file not found:', activePreviewFileId);
             return false;
         }
+        await ensureFileContent(previewFile);
 
-        const previewContent = generatePreviewContent(previewFile.name, previewFile.content, previewFile.type);
-
-        // Collect all files
+        // Buffers keyed by workspace-relative path, so pages can link into
+        // subdirectories. Binary files and files not loaded yet are left out:
+        // the server reads those from the workspace.
         const allFiles = {};
         Object.values(projectFiles).forEach(file => {
-            allFiles[file.name] = file.content;
+            if (file.viewType || typeof file.content !== 'string') return;
+            allFiles[getRelativePath(file.id) || file.name] = file.content;
         });
-        allFiles['preview.html'] = previewContent.content;
+        // An HTML page is loaded from its own path; other files are wrapped
+        // in a generated preview.html
+        let entryPath = getRelativePath(previewFile.id) || previewFile.name;
+        if (!isHtmlFile(previewFile.name)) {
+            allFiles['preview.html'] = generatePreviewContent(previewFile.name, previewFile.content, previewFile.type).content;
+            entryPath = 'preview.html';
+        }
+        // Console, errors and requests go to the Preview Console
+        for (const [filePath, content] of Object.entries(allFiles)) {
+            if (isHtmlFile(filePath)) allFiles[filePath] = injectPreviewBridge(content, filePath.split('/').length - 1);
+        }
 
         // Try WebSocket first, then service worker
         await wsClient.wsReady;
         const reg = await serviceWorkerReady;
         let previewBasePath;
 
-        if (await wsClient.sendPreviewFiles(allFiles)) {
+        if (await wsClient.sendPreviewFiles(allFiles, currentWorkspacePath)) {
             previewBasePath = './preview-output';
         } else if (reg && reg.active) {
             // Send files to service worker — served from /preview/
+            reg.active.postMessage({ type: 'clearFiles' });
             for (const [fileName, content] of Object.entries(allFiles)) {
                 reg.active.postMessage({ type: 'updateFile', fileName, content });
             }
@@ -679,9 +1232,19 @@ async function updatePreviewFiles() {
         }
 
         if (previewFrame) {
+            const changedPath = projectFiles[changedFileId] && getRelativePath(changedFileId);
+            const entry = `${previewBasePath}/${entryPath}`;
+            if (changedPath && previewFrame.dataset.entry === entry
+                && sendPreviewUpdate(previewFrame, liveUpdateFor(changedPath, entryPath, allFiles[changedPath]))) {
+                log.log(`Preview live-updated for: ${changedPath}`);
+                return true;
+            }
             previewFrame.removeAttribute('srcdoc'); // Clear srcdoc so src takes effect
+            resetPreviewLive();
             const timestamp = Date.now();
-            previewFrame.src = `${previewBasePath}/preview.html?t=${timestamp}`;
+            const entryUrl = entryPath.split('/').map(encodeURIComponent).join('/');
+            previewFrame.src = `${previewBasePath}/${entryUrl}?t=${timestamp}`;
+            previewFrame.dataset.entry = entry;
             log.log(`Preview updated for file: ${previewFile.name}`);
         }
         return true;
@@ -730,14 +1293,50 @@ class EditorComponent {
             enableSnippets: true
         });
 
-        this.editor.setValue(fileData.content, -1);
-        if (fileData.cursor) {
+        this.editor.setValue(fileData.content || '', -1);
+        if (fileData.selection) {
+            this.editor.selection.setSelectionRange(fileData.selection);
+        } else if (fileData.cursor) {
             this.editor.moveCursorTo(fileData.cursor.row, fileData.cursor.column);
         }
         this.editor.focus();
 
         this._suppressChangeEvents = false;
 
+        // Added/modified/deleted markers against the saved text or git HEAD
+        this.diffGutter = attachDiffGutter(this.editor, this.fileId);
+        // Ranges highlighted through app.editor.addDecoration
+        this.decorations = attachDecorations(this.editor, this.fileId);
+        // Gutter annotations from task problem matchers
+        this.problems = attachProblems(this.editor, () => getRelativePath(this.fileId));
+
+        // Lazily listed file: show it read-only until its content arrives
+        if (fileData.contentLoaded === false) {
+            this.editor.setReadOnly(true);
+            ensureFileContent(fileData).then(() => {
+                if (!this.editor) return;
+                this._suppressChangeEvents = true;
+                try {
+                    this.editor.setValue(fileData.content, -1);
+                    if (fileData.cursor) this.editor.moveCursorTo(fileData.cursor.row, fileData.cursor.column);
+                } finally {
+                    this._suppressChangeEvents = false;
+                }
+                this.editor.setReadOnly(false);
+            }).catch((err) => {
+                log.error(`Editor: Failed to load ${fileData.name}:`, err);
+                if (!this.editor) return;
+                // Only a message: stays read-only and never reaches file.content
+                this._suppressChangeEvents = true;
+                try {
+                    this.editor.setValue(`Failed to load file: ${err.message}`, -1);
+                } finally {
+                    this._suppressChangeEvents = false;
+                }
+                this.editor.setReadOnly(true);
+            });
+        }
+
         this.editor.session.on('change', async () => {
             if (this._suppressChangeEvents) return;
             const fileData = projectFiles[this.fileId];
@@ -771,17 +1370,23 @@ class EditorComponent {
                     }
                 }, 500);
 
-            } else if (!handlerRegistry.requiresCustomRender(fileData.name) && activePreviewFileId === this.fileId) {
-                // Only update web preview if this file is the one being previewed
+            } else if (!handlerRegistry.requiresCustomRender(fileData.name) && previewFile
+                && (activePreviewFileId === this.fileId || (isHtmlFile(previewFile.name) && /\.(html?|css|m?js|json)$/i.test(fileData.name)))) {
+                // The previewed file changed, or a page asset while a page is previewed
                 log.log(`Web content changed for ${fileData.name}, triggering web preview render.`);
-                await updatePreviewFiles();
+                await updatePreviewFiles(this.fileId);
             }
             // If conditions don't match, don't update the preview
         });
 
         this.editor.on('changeSelection', () => {
             const cursor = this.editor.getCursorPosition();
+            const range = this.editor.getSelectionRange();
             projectFiles[this.fileId].cursor = { row: cursor.row, column: cursor.column };
+            projectFiles[this.fileId].selection = range.isEmpty() ? null : {
+                start: { row: range.start.row, column: range.start.column },
+                end: { row: range.end.row, column: range.end.column },
+            };
             debouncedSave();
         });
 
@@ -790,8 +1395,49 @@ class EditorComponent {
         container.on('destroy', () => {
             log.log(`Editor: Destroying editor for ${fileData.name}`);
             _editorInstances.delete(this.fileId);
+            this.diffGutter.destroy();
+            this.decorations.destroy();
+            this.problems.destroy();
             this.editor.destroy();
         });
+
+        // A conflict may have been recorded while this file had no open tab
+        this.updateConflictBanner();
+    }
+
+    // Show or hide the "changed on disk" banner for this file
+    updateConflictBanner() {
+        const fileData = projectFiles[this.fileId];
+        const conflict = fileData && fileData.diskConflict;
+        if (!conflict) {
+            if (this._conflictBanner) {
+                this._conflictBanner.remove();
+                this._conflictBanner = null;
+            }
+            return;
+        }
+        if (this._conflictBanner) return;
+
+        const banner = document.createElement('div');
+        banner.style.cssText = 'position:absolute;top:0;left:0;right:0;z-index:10;display:flex;align-items:center;gap:6px;padding:4px 10px;background:#5c3c00;color:#fff;font-family:sans-serif;font-size:12px;box-shadow:0 1px 4px rgba(0,0,0,0.4);';
+        const text = document.createElement('span');
+        text.style.flex = '1';
+        text.textContent = `${fileData.name} changed on disk and conflicts with your unsaved edits.`;
+        banner.appendChild(text);
+
+        const button = (label, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = 'padding:1px 8px;font-size:11px;cursor:pointer;';
+            btn.onclick = (e) => { e.stopPropagation(); onClick(); };
+            banner.appendChild(btn);
+        };
+        button('Keep mine', () => resolveDiskConflict(this.fileId, 'mine'));
+        button('Take theirs', () => resolveDiskConflict(this.fileId, 'theirs'));
+        button('Open diff', () => showConflictDiff(this.fileId));
+
+        this.rootElement.appendChild(banner);
+        this._conflictBanner = banner;
     }
 
     _initMediaViewer(fileData) {
@@ -977,6 +1623,7 @@ class PreviewComponent {
         this._controlsContent.appendChild(label);
         this._controlsContent.appendChild(this.fileSelect);
         this._controlsContent.appendChild(this.modeIndicator);
+        this._controlsContent.appendChild(this._createPatchDomToggle());
 
         this.controlsDiv.appendChild(this._toggleBtn);
         this.controlsDiv.appendChild(this._controlsContent);
@@ -1064,6 +1711,7 @@ class PreviewComponent {
             }
             
             try {
+                await ensureFileContent(previewFile);
                 await handlerRegistry.renderFile(
                     previewFile.name,
                     activePreviewFileId,
@@ -1167,6 +1815,7 @@ try {
 
             if (previewFrame) {
                 previewFrame.srcdoc = previewHtml;
+                delete previewFrame.dataset.entry;
             }
         } else {
             // Show web preview
@@ -1278,6 +1927,19 @@ try {
         }
     }
 
+    // HTML edits patch the page's DOM instead of reloading it
+    _createPatchDomToggle() {
+        const label = document.createElement('label');
+        label.style.cssText = 'display:flex;align-items:center;gap:3px;font-size:11px;color:#555;cursor:pointer;white-space:nowrap;flex-shrink:0;';
+        label.title = 'Apply HTML edits to the running page without reloading it (scripts are not run again)';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = isPatchDomEnabled();
+        box.onchange = () => setPatchDomEnabled(box.checked);
+        label.append(box, document.createTextNode('Patch DOM'));
+        return label;
+    }
+
     updateFileOptions() {
         this.fileSelect.innerHTML = '';
 
@@ -1304,7 +1966,7 @@ try {
         openFiles.forEach(file => {
             const option = document.createElement('option');
             option.value = file.id;
-            option.textContent = file.name;
+            option.textContent = getRelativePath(file.id) || file.name;
             if (file.id === activePreviewFileId) option.selected = true;
             this.fileSelect.appendChild(option);
         });
@@ -1319,7 +1981,7 @@ try {
         otherFiles.forEach(file => {
             const option = document.createElement('option');
             option.value = file.id;
-            option.textContent = file.name;
+            option.textContent = getRelativePath(file.id) || file.name;
             if (file.id === activePreviewFileId) option.selected = true;
             this.fileSelect.appendChild(option);
         });
@@ -1384,6 +2046,23 @@ class ProjectFilesComponent {
         spacer.style.flex = '1';
         this.toolbar.appendChild(spacer);
 
+        // Show/hide entries matched by .gitignore / .editorignore
+        this.ignoredToggleBtn = document.createElement('button');
+        this.ignoredToggleBtn.textContent = '\u25CC';
+        this.ignoredToggleBtn.style.cssText = 'padding:2px 6px;font-size:12px;cursor:pointer;';
+        const updateIgnoredToggle = () => {
+            const on = wsClient.getShowIgnored();
+            this.ignoredToggleBtn.title = on ? 'Hide ignored files' : 'Show ignored files (greyed out)';
+            this.ignoredToggleBtn.style.background = on ? '#4a5a7a' : '';
+        };
+        this.ignoredToggleBtn.onclick = () => {
+            wsClient.setShowIgnored(!wsClient.getShowIgnored());
+            updateIgnoredToggle();
+            if (currentWorkspacePath) reloadWorkspaceTree();
+        };
+        updateIgnoredToggle();
+        this.toolbar.appendChild(this.ignoredToggleBtn);
+
         // View toggle button
         this.viewToggleBtn = document.createElement('button');
         this.viewToggleBtn.title = 'Toggle tree/grid view';
@@ -1475,15 +2154,19 @@ class ProjectFilesComponent {
             _pendingExplorerState = null;
             if (es.viewMode) this.viewMode = es.viewMode;
             if (es.gridCurrentPath) this.gridCurrentPath = es.gridCurrentPath;
-            // Restore collapsed directories
-            if (es.collapsedDirs && es.collapsedDirs.length > 0) {
-                const collapsedSet = new Set(es.collapsedDirs);
+            // Restore collapsed directories. Older sessions only recorded the
+            // collapsed ones; newer ones record the expanded ones, so anything
+            // not loaded at save time stays collapsed.
+            if (es.expandedDirs || (es.collapsedDirs && es.collapsedDirs.length > 0)) {
+                const collapsedSet = new Set(es.collapsedDirs || []);
+                const expandedSet = es.expandedDirs ? new Set(es.expandedDirs) : null;
                 function applyCollapsed(node, prefix) {
                     if (node.children) {
                         for (const child of node.children) {
                             if (child.type === 'directory') {
                                 const dirPath = prefix + child.name;
-                                child.collapsed = collapsedSet.has(dirPath);
+                                child.collapsed = child.childrenLoaded === false
+                                    || (expandedSet ? !expandedSet.has(dirPath) : collapsedSet.has(dirPath));
                                 applyCollapsed(child, dirPath + '/');
                             }
                         }
@@ -1901,6 +2584,9 @@ class ProjectFilesComponent {
 
         if (fileId) {
             menu.appendChild(menuItem('Rename', '#ddd', () => this.enterRenameMode(fileId, nameSpan, li)));
+            if (currentWorkspacePath) {
+                menu.appendChild(menuItem('Duplicate', '#ddd', () => this.duplicateEntry(projectFiles[fileId])));
+            }
             menu.appendChild(menuItem('Delete', '#f88', () => this.deleteFile(fileId)));
             const relPath = getRelativePath(fileId);
             if (relPath && currentWorkspacePath) {
@@ -1914,6 +2600,26 @@ class ProjectFilesComponent {
                     a.remove();
                 }));
             }
+            const file = projectFiles[fileId];
+            if (file && !file.viewType) {
+                const sep = document.createElement('div');
+                sep.style.cssText = 'border-top:1px solid #555;margin:4px 0;';
+                menu.appendChild(sep);
+                if (isHtmlFile(file.name) && fileId !== activePreviewFileId) {
+                    menu.appendChild(menuItem('Set as Preview Root', '#ddd', () => setPreviewFile(fileId)));
+                }
+                if (currentWorkspacePath) {
+                    menu.appendChild(menuItem('Compare with Saved', '#ddd', () => openDiffEditor({ fileId, against: 'saved' })));
+                    menu.appendChild(menuItem('Compare with HEAD', '#ddd', () => openDiffEditor({ fileId, against: 'head' })));
+                }
+                menu.appendChild(menuItem('Compare with…', '#ddd', () => openSearchDialog('name', {
+                    title: `Compare ${file.name} with…`,
+                    onPick: (other) => {
+                        if (other.id === fileId) return;
+                        openDiffEditor({ fileId, against: 'file', otherFileId: other.id });
+                    },
+                })));
+            }
         }
 
         if (!fileId && dirNode && currentWorkspacePath) {
@@ -1927,6 +2633,17 @@ class ProjectFilesComponent {
                 a.click();
                 a.remove();
             }));
+            if (wsClient.isConnected()) {
+                menu.appendChild(menuItem('Open Terminal Here', '#ddd', () => openTerminal({ cwd: dirPath })));
+            }
+        }
+
+        // Only for a right-clicked folder entry, not the empty space around it
+        if (!fileId && dirNode && li && dirNode !== projectStructure) {
+            if (currentWorkspacePath) {
+                menu.appendChild(menuItem('Duplicate', '#ddd', () => this.duplicateEntry(dirNode)));
+            }
+            menu.appendChild(menuItem('Delete', '#f88', () => this.deleteEntry(dirNode)));
         }
 
         // Plugin context menu items
@@ -2059,6 +2776,8 @@ class ProjectFilesComponent {
     }
 
     async _createNewItemInDir(dirNode, type) {
+        // Need the full listing for the name-collision check
+        await loadDirectoryChildren(dirNode);
         this._createNewItemInline(dirNode, type);
     }
 
@@ -2178,9 +2897,12 @@ class ProjectFilesComponent {
             darkMode: true,
             activeFileId: activeEditorFileId,
             getFileIcon: (name) => self._getFileIcon(name),
+            getBadge: getFileBadge,
             onToggleDir: (item, expanded) => {
                 item.collapsed = !expanded;
                 self._syncFocusToElement(container);
+                // Children of a lazily listed directory stream in and redraw the tree
+                if (expanded) loadDirectoryChildren(item);
             },
             onClickDir: (item, li) => {
                 // toggle handled by shared renderer
@@ -2252,10 +2974,11 @@ class ProjectFilesComponent {
 
         items.forEach(item => {
             if (item.type === 'directory') {
-                const card = this._createGridCard('\uD83D\uDCC1', item.name, true);
+                const card = this._createGridCard('\uD83D\uDCC1', item.name, true, item);
                 card.onclick = () => {
                     this.gridCurrentPath.push(item.name);
                     this.updateFileListDisplay();
+                    loadDirectoryChildren(item);
                 };
                 card.oncontextmenu = (e) => {
                     e.preventDefault();
@@ -2291,6 +3014,7 @@ class ProjectFilesComponent {
     _createGridCard(iconText, name, isDir, file = null) {
         const card = document.createElement('div');
         card.style.cssText = 'display:flex;flex-direction:column;align-items:center;justify-content:center;padding:8px 4px;border-radius:6px;cursor:pointer;border:1px solid transparent;text-align:center;min-height:88px;transition:background 0.1s;';
+        if (file && file.ignored) card.style.opacity = '0.5';
         card.onmouseenter = () => { if (!card.style.border.includes('#5b9bd5')) card.style.background = 'rgba(255,255,255,0.06)'; };
         card.onmouseleave = () => { if (!card.style.border.includes('#5b9bd5')) card.style.background = ''; };
 
@@ -2364,45 +3088,36 @@ class ProjectFilesComponent {
             log.error(`ProjectFiles: File with ID ${fileId} not found for deletion.`);
             return;
         }
+        return this.deleteEntry(fileToDelete);
+    }
 
-        if (!confirm(`Are you sure you want to delete "${fileToDelete.name}"?`)) {
-            return;
-        }
-
-        log.log(`ProjectFiles: Deleting file: ${fileToDelete.name} (ID: ${fileId})`);
-        delete projectFiles[fileId];
-
-        const editorStack = goldenLayoutInstance.getAllStacks().find(stack => stack.id === 'editorStack');
-        if (editorStack) {
-            const openTab = editorStack.contentItems.find(item => {
-                const state = item.container && typeof item.container.getState === 'function' ? item.container.getState() : null;
-                return state && state.fileId === fileId;
-            });
-            if (openTab) {
-                log.log(`ProjectFiles: Closing editor tab for deleted file: ${fileToDelete.name}`);
-                openTab.close();
-            }
-        }
+    // Files and directories alike; workspace entries go to .trash so they can be restored
+    async deleteEntry(node) {
+        const trash = !!currentWorkspacePath;
+        const what = node.type === 'directory' ? 'folder' : 'file';
+        const prompt = trash
+            ? `Delete ${what} "${node.name}"? It will be moved to .trash in the workspace.`
+            : `Are you sure you want to delete "${node.name}"?`;
+        if (!confirm(prompt)) return;
 
-        if (activeEditorFileId === fileId) {
-            activeEditorFileId = null;
+        log.log(`ProjectFiles: Deleting ${what}: ${node.name}`);
+        try {
+            await deleteWorkspaceEntry(node, { trash });
+        } catch (err) {
+            alert(`Failed to delete "${node.name}": ${err.message}`);
         }
+    }
 
-        this.updateFileListDisplay();
-        if (previewComponentInstance) {
-            previewComponentInstance.updateFileOptions();
-        }
-        if (activePreviewFileId === fileId) {
-            const remainingFiles = Object.keys(projectFiles);
-            if (remainingFiles.length > 0) {
-                activePreviewFileId = remainingFiles[0];
-                if (previewComponentInstance) {
-                    previewComponentInstance.fileSelect.value = activePreviewFileId;
-                }
-            }
+    async duplicateEntry(node) {
+        const parent = findParentNode(node);
+        if (!parent) return;
+        const parentPath = getNodeRelativePath(parent);
+        const copyName = nextCopyName(parent, node.name);
+        try {
+            await copyWorkspaceEntry(node, (parentPath ? parentPath + '/' : '') + copyName);
+        } catch (err) {
+            alert(`Failed to duplicate "${node.name}": ${err.message}`);
         }
-        updatePreviewFiles();
-        log.log(`ProjectFiles: File "${fileToDelete.name}" deleted.`);
     }
 
     enterRenameMode(fileId, nameSpanElement, listItemElement) {
@@ -2453,7 +3168,9 @@ class ProjectFilesComponent {
         const trimmedNewName = newName.trim();
         if (trimmedNewName && trimmedNewName !== currentFile.name) {
             log.log(`ProjectFiles: Committing rename for file ${currentFile.name} to ${trimmedNewName}`);
+            const oldPath = getRelativePath(fileId);
             currentFile.name = trimmedNewName;
+            appEvents.emit('file.renamed', { fileId, oldPath, path: getRelativePath(fileId) });
             const oldType = currentFile.type;
             currentFile.type = getFileTypeFromExtension(currentFile.name);
 
@@ -2670,7 +3387,177 @@ function openEditorTab(componentType, state, title, contentItemId) {
     });
 }
 
-function openSearchDialog(mode) {
+// --- Batch Text Edits ---
+// Multi-file edits (workspace replace) applied as one operation. Files open
+// in an editor, or with unsaved edits, are changed in their buffer and left
+// dirty; the rest are written straight to disk with saveFile. If any write
+// fails, the files already changed are put back. The last batch can be
+// reverted as a whole with undoLastEditBatch().
+
+let _lastEditBatch = null;
+let _undoBatchEntry = null; // File menu entry, enabled while a batch can be undone
+
+function updateUndoBatchEntry() {
+    if (_undoBatchEntry) _undoBatchEntry.classList.toggle('disabled', !_lastEditBatch);
+}
+
+async function writeBatchContent(entry, content) {
+    const { file } = entry;
+    if (entry.inBuffer) {
+        applyExternalContent(file, content);
+        markDirty(file.id);
+        return true;
+    }
+    const result = await wsClient.wsRequest({
+        type: 'saveFile',
+        workspacePath: currentWorkspacePath,
+        relativePath: entry.relativePath,
+        content,
+        expectedHash: file.diskHash,
+        expectedMtimeMs: file.diskMtimeMs,
+    });
+    if (!result.success) {
+        log.warn(`Batch edit: could not write ${entry.relativePath}:`, result.error);
+        return false;
+    }
+    file.savedContent = content;
+    setDiskVersion(file, result);
+    applyExternalContent(file, content);
+    return true;
+}
+
+/**
+ * @param {{ relativePath: string, transform: (content: string) => string }[]} edits
+ * @returns {Promise<{ relativePath: string, inBuffer: boolean }[]>} files changed
+ */
+async function applyTextEdits(edits) {
+    // Load everything and work out the new contents before touching anything
+    const planned = [];
+    for (const { relativePath, transform } of edits) {
+        const node = await resolveWorkspacePath(relativePath);
+        if (!node || node.type !== 'file') throw new Error(`${relativePath} not found`);
+        const file = projectFiles[node.id];
+        await ensureFileContent(file);
+        const before = file.content || '';
+        const after = transform(before);
+        if (after == null || after === before) continue;
+        const inBuffer = !currentWorkspacePath || _editorInstances.has(file.id) || dirtyFiles.has(file.id);
+        planned.push({ file, relativePath, before, after, inBuffer });
+    }
+
+    const done = [];
+    for (const entry of planned) {
+        let ok = false;
+        try {
+            ok = await writeBatchContent(entry, entry.after);
+        } catch (err) {
+            log.warn(`Batch edit: ${entry.relativePath}:`, err);
+        }
+        if (!ok) {
+            for (const prev of done.reverse()) {
+                await writeBatchContent(prev, prev.before).catch(() => {});
+            }
+            updateSyncButton();
+            throw new Error(`Could not write ${entry.relativePath}; no files were changed`);
+        }
+        done.push(entry);
+    }
+    updateSyncButton();
+
+    if (planned.length > 0) {
+        _lastEditBatch = planned;
+        updateUndoBatchEntry();
+        log.log(`Batch edit: changed ${planned.length} file(s)`);
+    }
+    return planned.map(({ relativePath, inBuffer }) => ({ relativePath, inBuffer }));
+}
+
+// Revert the last batch. Files edited again since are left alone.
+async function undoLastEditBatch() {
+    const batch = _lastEditBatch;
+    if (!batch) return null;
+    _lastEditBatch = null;
+    updateUndoBatchEntry();
+    const skipped = [];
+    for (const entry of [...batch].reverse()) {
+        if (projectFiles[entry.file.id] !== entry.file || entry.file.content !== entry.after) {
+            skipped.push(entry.relativePath);
+            continue;
+        }
+        const ok = await writeBatchContent(entry, entry.before).catch(() => false);
+        if (!ok) skipped.push(entry.relativePath);
+    }
+    updateSyncButton();
+    if (skipped.length) log.warn('Batch undo skipped (changed since):', skipped);
+    return { reverted: batch.length - skipped.length, skipped };
+}
+
+// Open a file by workspace-relative path (loading it on demand in lazy
+// workspaces) and put the cursor on a 1-based line.
+async function openFileAtLine(relativePath, line, column = 0) {
+    const node = await resolveWorkspacePath(relativePath);
+    if (!node || node.type !== 'file') {
+        log.warn(`openFileAtLine: ${relativePath} not found`);
+        return false;
+    }
+    const fileData = projectFiles[node.id];
+    if (!fileData) return false;
+    if (line) fileData.cursor = { row: line - 1, column };
+    if (projectFilesComponentInstance) {
+        projectFilesComponentInstance.openOrFocusEditor(node.id);
+    }
+    const inst = _editorInstances.get(node.id);
+    if (line && inst && inst.editor) {
+        inst.editor.gotoLine(line, column, true);
+        inst.editor.focus();
+    }
+    return true;
+}
+
+// Open the file behind a served preview path (see updatePreviewFiles) at a
+// 1-based line and column. Files are served at their workspace-relative
+// path; preview.html is the page generated around a CSS or JS preview.
+function openPreviewSource(servedPath, line, column = 1) {
+    const file = findFileByPath(servedPath);
+    const relativePath = file && getRelativePath(file.id);
+    if (!relativePath) return false;
+    openFileAtLine(relativePath, line, Math.max(0, column - 1));
+    return true;
+}
+
+// Show the page behind a preview URL (this origin's /preview-output/… or
+// /preview/…) in the preview panel; false for other URLs and for paths that
+// are not an HTML file of the workspace
+function openPreviewPage(url) {
+    let servedPath = null;
+    try {
+        if (new URL(url, location.href).origin === location.origin) servedPath = previewPath(url);
+    } catch (_) { /* not a URL */ }
+    const file = servedPath && findFileByPath(servedPath);
+    if (!file || !isHtmlFile(file.name)) return false;
+    return setPreviewFile(file.id);
+}
+
+// mode: 'name' (file names), 'grep' (contents) or 'replace' (grep with replace)
+// mode 'name' finds files by path; `onPick(file)` replaces opening the
+// chosen file (used as a file picker, e.g. "Compare with…").
+function openSearchDialog(mode, { title, onPick } = {}) {
+    if (mode === 'grep' || mode === 'replace') {
+        openGrepDialog({
+            wsClient,
+            getWorkspacePath: () => currentWorkspacePath,
+            getAllFiles,
+            getRelativePath,
+            dirtyFiles,
+            get projectFiles() { return projectFiles; },
+            openFileAtLine,
+            applyTextEdits,
+            undoLastEditBatch,
+            canUndoEditBatch: () => !!_lastEditBatch,
+        }, { replace: mode === 'replace' });
+        return;
+    }
+
     const overlay = document.createElement('div');
     overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.4);z-index:10000;display:flex;align-items:flex-start;justify-content:center;padding-top:80px;';
 
@@ -2679,11 +3566,11 @@ function openSearchDialog(mode) {
 
     const header = document.createElement('div');
     header.style.cssText = 'padding:8px 12px;border-bottom:1px solid #444;font-weight:bold;';
-    header.textContent = mode === 'grep' ? 'Grep file contents' : 'Search files by name';
+    header.textContent = title || 'Search files by name';
 
     const input = document.createElement('input');
     input.type = 'text';
-    input.placeholder = mode === 'grep' ? 'Content pattern…' : 'File name…';
+    input.placeholder = 'File name…';
     input.style.cssText = 'margin:8px 12px;padding:6px 8px;background:#1e1e1e;color:#ddd;border:1px solid #555;border-radius:3px;font-size:13px;outline:none;';
 
     const status = document.createElement('div');
@@ -2723,19 +3610,14 @@ function openSearchDialog(mode) {
 
     function openItem(item) {
         close();
-        const fileData = projectFiles[item.file.id];
-        if (!fileData) return;
-        if (item.line) fileData.cursor = { row: item.line - 1, column: 0 };
+        if (!projectFiles[item.file.id]) return;
+        if (onPick) {
+            onPick(item.file);
+            return;
+        }
         if (projectFilesComponentInstance) {
             projectFilesComponentInstance.openOrFocusEditor(item.file.id);
         }
-        if (item.line) {
-            const inst = _editorInstances.get(item.file.id);
-            if (inst && inst.editor) {
-                inst.editor.gotoLine(item.line, 0, true);
-                inst.editor.focus();
-            }
-        }
     }
 
     function render(query) {
@@ -2747,29 +3629,14 @@ function openSearchDialog(mode) {
             return;
         }
 
-        const allFiles = getAllFiles();
+        const allFiles = getAllFiles().filter(f => !f.ignored);
         const items = [];
         const q = query.toLowerCase();
 
-        if (mode === 'name') {
-            for (const f of allFiles) {
-                const path = getRelativePath(f.id) || f.name;
-                if (path.toLowerCase().includes(q)) {
-                    items.push({ file: f, path });
-                }
-            }
-        } else {
-            for (const f of allFiles) {
-                if (f.viewType) continue; // skip binary
-                const content = f.content || '';
-                if (!content.toLowerCase().includes(q)) continue;
-                const path = getRelativePath(f.id) || f.name;
-                const lines = content.split('\n');
-                lines.forEach((line, idx) => {
-                    if (line.toLowerCase().includes(q)) {
-                        items.push({ file: f, path, line: idx + 1, lineText: line });
-                    }
-                });
+        for (const f of allFiles) {
+            const path = getRelativePath(f.id) || f.name;
+            if (path.toLowerCase().includes(q)) {
+                items.push({ file: f, path });
             }
         }
 
@@ -2782,18 +3649,7 @@ function openSearchDialog(mode) {
         for (const item of shown) {
             const row = document.createElement('div');
             row.style.cssText = 'padding:6px 12px;cursor:pointer;border-bottom:1px solid #333;';
-            if (mode === 'grep') {
-                const fileLabel = document.createElement('div');
-                fileLabel.style.cssText = 'color:#88aaff;font-size:11px;';
-                fileLabel.textContent = `${item.path}:${item.line}`;
-                const lineLabel = document.createElement('div');
-                lineLabel.style.cssText = 'font-family:monospace;font-size:12px;white-space:pre;overflow:hidden;text-overflow:ellipsis;';
-                lineLabel.textContent = item.lineText.length > 200 ? item.lineText.slice(0, 200) + '…' : item.lineText;
-                row.appendChild(fileLabel);
-                row.appendChild(lineLabel);
-            } else {
-                row.textContent = item.path;
-            }
+            row.textContent = item.path;
             row.addEventListener('mouseenter', () => setSelection(currentRows.indexOf(row)));
             row.addEventListener('click', () => openItem(item));
             results.appendChild(row);
@@ -2880,6 +3736,27 @@ function createTopToolbar() {
     fileMenu.appendChild(sep);
     makeEntry(fileMenu, 'Search Files…', () => openSearchDialog('name'));
     makeEntry(fileMenu, 'Grep Contents…', () => openSearchDialog('grep'));
+    makeEntry(fileMenu, 'Replace in Files…', () => openSearchDialog('replace'));
+    _undoBatchEntry = makeEntry(fileMenu, 'Undo Last Replace', async () => {
+        if (!_lastEditBatch) return;
+        const result = await undoLastEditBatch();
+        if (result && result.skipped.length) {
+            alert(`Reverted ${result.reverted} file(s). Left alone because they changed since:\n${result.skipped.join('\n')}`);
+        }
+    });
+    updateUndoBatchEntry();
+    const sep2 = document.createElement('div');
+    sep2.style.cssText = 'border-top:1px solid #444;margin:4px 0;';
+    fileMenu.appendChild(sep2);
+    const signOutEntry = makeEntry(fileMenu, 'Sign Out', () => {
+        if (dirtyFiles.size > 0 && !confirm(`${dirtyFiles.size} file(s) have unsaved changes. Sign out anyway?`)) return;
+        window.location.href = '/logout';
+    }, { disabled: true });
+    wsClient.authReady.then((auth) => {
+        if (!auth) return;
+        signOutEntry.classList.remove('disabled');
+        signOutEntry.title = `Signed in as ${auth.name} (${auth.scopes.join(', ')})`;
+    });
 
     // Plugins menu
     const pluginEntries = [];
@@ -2904,12 +3781,55 @@ function createTopToolbar() {
         }
     }
 
+    toolbarEl.appendChild(createConnectionIndicator());
+
     // Dismiss menus on outside click
     document.addEventListener('click', () => {
         toolbarEl.querySelectorAll('.menu-item.open').forEach(el => el.classList.remove('open'));
     });
 }
 
+// Server connection state at the right end of the top toolbar
+function createConnectionIndicator() {
+    const STATES = {
+        connecting: { color: '#999', text: 'Connecting…', title: 'Connecting to the server' },
+        connected: { color: '#4caf50', text: 'Connected', title: 'Connected to the server' },
+        reconnecting: { color: '#e8a317', text: 'Reconnecting', title: 'Connection lost. Click to retry now' },
+        offline: { color: '#777', text: 'Offline', title: 'No server: files, preview and terminal run in the browser only' },
+    };
+    const el = document.createElement('div');
+    el.style.cssText = 'margin-left:auto;padding:4px 10px;line-height:18px;display:flex;align-items:center;gap:5px;font-size:12px;color:#aaa;white-space:nowrap;';
+    const dot = document.createElement('span');
+    dot.textContent = '\u25CF';
+    const label = document.createElement('span');
+    el.append(dot, label);
+
+    let countdown = null;
+    const render = () => {
+        const info = wsClient.getConnectionInfo();
+        const look = STATES[info.state] || STATES.offline;
+        dot.style.color = look.color;
+        let text = look.text;
+        if (info.state === 'reconnecting') {
+            const secs = info.nextRetryAt ? Math.max(0, Math.ceil((info.nextRetryAt - Date.now()) / 1000)) : 0;
+            text += secs ? ` in ${secs}s…` : '…';
+            if (info.queued) text += ` (${info.queued} save${info.queued === 1 ? '' : 's'} queued)`;
+        }
+        label.textContent = text;
+        el.title = look.title;
+        el.style.cursor = info.state === 'reconnecting' ? 'pointer' : 'default';
+        if (info.state === 'reconnecting' && !countdown) countdown = setInterval(render, 1000);
+        if (info.state !== 'reconnecting' && countdown) {
+            clearInterval(countdown);
+            countdown = null;
+        }
+    };
+    el.onclick = () => wsClient.reconnectNow();
+    wsClient.addConnectionListener(render);
+    render();
+    return el;
+}
+
 function openPluginPanel(componentType, title, state) {
     if (!goldenLayoutInstance) return;
 
@@ -3004,6 +3924,18 @@ function getDefaultLayoutConfig() {
     };
 }
 
+// Event payload for a tab; same fields as app.tabs.list() minus `active`
+function describeTab(item) {
+    const state = item.container && typeof item.container.getState === 'function' ? item.container.getState() : null;
+    return {
+        tabId: (Array.isArray(item.id) ? item.id[0] : item.id) || null,
+        componentType: item.componentType,
+        title: typeof item.title === 'string' ? item.title : '',
+        fileId: (state && state.fileId) || null,
+        stackId: (item.parent && item.parent.id) || null,
+    };
+}
+
 function setupPostLayout() {
     handlerRegistry.initializeAllAceModes();
 
@@ -3047,6 +3979,22 @@ function setupPostLayout() {
 
     // Auto-save on layout changes
     goldenLayoutInstance.on('stateChanged', debouncedSave);
+
+    // Tab and layout events for app.on (all stacks, not just the editor's)
+    goldenLayoutInstance.on('activeContentItemChanged', (item) => {
+        if (item) appEvents.emit('tab.focused', describeTab(item));
+    });
+    goldenLayoutInstance.on('itemCreated', (event) => {
+        if (event.target && event.target.isComponent) appEvents.emit('tab.opened', describeTab(event.target));
+    });
+    goldenLayoutInstance.on('itemDestroyed', (event) => {
+        if (event.target && event.target.isComponent) appEvents.emit('tab.closed', describeTab(event.target));
+    });
+    let layoutEventTimer = null;
+    goldenLayoutInstance.on('stateChanged', () => {
+        clearTimeout(layoutEventTimer);
+        layoutEventTimer = setTimeout(() => appEvents.emit('layout.changed', {}), 500);
+    });
     window.addEventListener('beforeunload', saveSessionState);
 }
 
@@ -3075,11 +4023,30 @@ async function restoreSession(savedState) {
         try {
             await wsClient.wsReady;
             if (!wsClient.isConnected()) throw new Error('No WebSocket');
-            const result = await wsClient.wsRequest({ type: 'openWorkspace', path: savedState.workspacePath });
+            const result = await wsClient.wsRequest({ type: 'openWorkspace', path: savedState.workspacePath, lazy: true, includeIgnored: wsClient.getShowIgnored() });
             if (result.error) throw new Error(result.error);
 
             currentWorkspacePath = result.path;
             projectStructure.children = mapWorkspaceTree(result.children || []);
+            if (result.hasMore) await streamDirectoryPages(projectStructure, '', result.nextOffset, true);
+
+            // Lazy workspace: load the directories holding restored tabs and the
+            // ones that were expanded, so their paths resolve below
+            let layoutConfig = JSON.parse(JSON.stringify(savedState.layoutConfig));
+            if (layoutConfig.resolved) {
+                layoutConfig = LayoutConfig.fromResolved(layoutConfig);
+            }
+            const pathsToLoad = [savedState.activePreviewFilePath, savedState.activeEditorFilePath];
+            (function collectFilePaths(item) {
+                if (item.componentState && item.componentState.filePath) pathsToLoad.push(item.componentState.filePath);
+                if (item.content) item.content.forEach(collectFilePaths);
+            })(layoutConfig.root || {});
+            const es = savedState.explorerState || {};
+            pathsToLoad.push(...(es.expandedDirs || []));
+            if (es.gridCurrentPath && es.gridCurrentPath.length) pathsToLoad.push(es.gridCurrentPath.join('/'));
+            for (const p of pathsToLoad) {
+                if (p) await resolveWorkspacePath(p);
+            }
             updateProjectFilesCache();
 
             // Apply saved cursor/selection states
@@ -3093,11 +4060,7 @@ async function restoreSession(savedState) {
                 }
             }
 
-            // Convert resolved config back to input format, then rewrite file IDs
-            let layoutConfig = JSON.parse(JSON.stringify(savedState.layoutConfig));
-            if (layoutConfig.resolved) {
-                layoutConfig = LayoutConfig.fromResolved(layoutConfig);
-            }
+            // Rewrite file IDs in the layout to the freshly loaded tree
             rewriteLayoutConfig(layoutConfig);
 
             // Resolve active file IDs from paths
@@ -3188,7 +4151,10 @@ function initMobileLayout(layoutContainer) {
                 activeEditorFileId = item.id;
                 mobile.openFile(item.id, item.name);
             },
-            onToggleDir: () => {},
+            onToggleDir: (item, expanded) => {
+                item.collapsed = !expanded;
+                if (expanded && item.childrenLoaded === false) loadDirectoryChildren(item).then(renderMobileFileTree);
+            },
             getFileIcon: (name) => {
                 const ext = name.split('.').pop().toLowerCase();
                 const icons = { html: '\uD83C\uDF10', css: '\uD83C\uDFA8', js: '\u26A1', typ: '\uD83D\uDCDD', md: '\uD83D\uDCDD', json: '{}' };
@@ -3208,6 +4174,11 @@ function initMobileLayout(layoutContainer) {
     function setupMobileEditor(fileId) {
         const file = projectFiles[fileId];
         if (!file) return;
+        if (file.contentLoaded === false) {
+            ensureFileContent(file).then(() => setupMobileEditor(fileId))
+                .catch(err => log.error(`Mobile: Failed to load ${file.name}:`, err));
+            return;
+        }
 
         // Save previous file content
         if (mobileEditor && mobileEditorFileId && projectFiles[mobileEditorFileId]) {
@@ -3297,12 +4268,12 @@ function initMobileLayout(layoutContainer) {
             previewEl.appendChild(outputDiv);
             previewEl.appendChild(diagDiv);
 
-            handlerRegistry.renderFile(
+            ensureFileContent(previewFile).then(() => handlerRegistry.renderFile(
                 previewFile.name,
                 previewFileId,
                 outputDiv, diagDiv,
                 projectFiles, false, null
-            ).catch(err => {
+            )).catch(err => {
                 diagDiv.textContent = `Error: ${err.message}`;
             });
         } else {
@@ -3364,6 +4335,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     goldenLayoutInstance.registerComponentConstructor('preview', PreviewComponent);
     goldenLayoutInstance.registerComponentConstructor('projectFiles', ProjectFilesComponent);
 
+    initDiffView({
+        wsClient,
+        log,
+        get projectFiles() { return projectFiles; },
+        get currentWorkspacePath() { return currentWorkspacePath; },
+        getRelativePath,
+        resolveWorkspacePath,
+        ensureFileContent,
+        openEditorTab,
+        // Edits made in a diff tab go to the file's buffer and editor tab
+        setBufferContent(file, content) {
+            applyExternalContent(file, content);
+            markDirty(file.id);
+        },
+    });
+    goldenLayoutInstance.registerComponentConstructor('diffEditor', DiffEditorComponent);
+
     // Register plugin components
     function pluginCreateFile(name, content) {
         const id = generateUniqueId('file');
@@ -3380,6 +4368,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         wsClient,
         goldenLayoutInstance,
         get projectFiles() { return projectFiles; },
+        get projectStructure() { return projectStructure; },
         get currentWorkspacePath() { return currentWorkspacePath; },
         getRelativePath,
         markDirty,
@@ -3392,6 +4381,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         openPluginPanel,
         openEditorTab,
         createFile: pluginCreateFile,
+        ensureFileContent,
+        resolveWorkspacePath,
+        openFileAtLine,
+        openPreviewSource,
+        openPreviewPage,
+        reloadWorkspaceTree,
+        setFileBadges,
+        setProblems,
+        clearProblems,
     };
     for (const plugin of getPlugins()) {
         if (plugin.init) plugin.init(pluginCtx);
@@ -3449,6 +4447,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         wsClient,
         dirtyFiles,
         _editorInstances,
+        events: appEvents,
         getAllFiles,
         getRelativePath,
         findFileByPath,
@@ -3458,10 +4457,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         updatePreviewFiles,
         saveFileToDisk,
         syncAllDirtyFiles,
+        deleteWorkspaceEntry,
+        copyWorkspaceEntry,
+        ensureFileContent,
+        resolveWorkspacePath,
         handleWorkspaceLoaded,
         openEditorTab,
         findOrCreateEditorStack,
         getDefaultLayoutConfig,
+        openDiffEditor,
+        getGutterBase,
+        setGutterBase,
+        addDecoration,
+        removeDecoration,
+        listDecorations,
         log,
     });
     log.log('Init: Client API exposed at window.app (v' + window.app.version + ').');
@@ -3473,6 +4482,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Wire up the RPC relay so agents can drive the editor over WebSocket
     installClientRpc(wsClient, log);
+    // ...and receive the app events they subscribed to
+    forwardAppEvents(appEvents, wsClient);
 
     // Expose editor state globally for debugging (legacy alias)
     const editorDebugInterface = {
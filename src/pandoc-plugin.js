@@ -250,6 +250,7 @@ class PandocConvertComponent {
             if (this.standaloneCb.checked) opts.standalone = true;
             if (this.tocCb.checked) opts['table-of-contents'] = true;
 
+            if (this._ctx) await this._ctx.ensureFileContent(file);
             const result = await pandocInstance.convert(opts, file.content, files);
 
             this._lastOutput = result.stdout || '';
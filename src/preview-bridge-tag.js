@@ -0,0 +1,22 @@
+// --- Preview bridge tag ---
+// The <script> that loads public/preview-bridge.js into a preview page.
+// Shared by updatePreviewFiles (pages sent from the editor) and the server's
+// /preview-output route (pages served straight from disk). Pure, no DOM or fs.
+
+/**
+ * Add the bridge <script> to a preview page. The tag goes right after <head>
+ * (or <html>, or the doctype) without a line break, so line numbers in
+ * stack traces still match the file.
+ * @param {string} html
+ * @param {number} [depth] - Directories between the page and the preview root.
+ */
+function injectPreviewBridge(html, depth = 0) {
+    const tag = `<script src="${'../'.repeat(depth + 1)}preview-bridge.js"></script>`;
+    for (const re of [/<head(\s[^>]*)?>/i, /<html(\s[^>]*)?>/i, /<!doctype[^>]*>/i]) {
+        const m = re.exec(html);
+        if (m) return html.slice(0, m.index + m[0].length) + tag + html.slice(m.index + m[0].length);
+    }
+    return tag + html;
+}
+
+module.exports = { injectPreviewBridge };
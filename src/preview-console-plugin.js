@@ -0,0 +1,235 @@
+// --- Preview Console Plugin ---
+// Console output, uncaught errors and fetch/XHR requests of the page in the
+// web preview. public/preview-bridge.js runs inside the preview iframe and
+// posts them here; every HTML preview page gets it (preview-bridge-tag.js). Entries are collected whether or not the panel is open. Clicking
+// a source location or stack frame opens that line in the editor.
+const { registerPlugin } = require('./plugins');
+const { createLogger } = require('./debug');
+const log = createLogger('PreviewConsole');
+
+const MAX_ENTRIES = 1000;
+const FRAME_RE = /((?:https?|file):\/\/[^\s()]+?):(\d+):(\d+)/;
+// Where the preview pages are served from: the server, or the service worker
+const PREVIEW_PREFIXES = ['/preview-output/', '/preview/'];
+
+const LEVEL_STYLE = {
+    log: { color: '#ddd', bg: 'none', icon: ' ' },
+    debug: { color: '#999', bg: 'none', icon: ' ' },
+    info: { color: '#8ab4f8', bg: 'none', icon: 'ℹ' },
+    warn: { color: '#e2c08d', bg: 'rgba(226,192,141,0.08)', icon: '⚠' },
+    error: { color: '#f28b82', bg: 'rgba(242,139,130,0.08)', icon: '✖' },
+};
+
+const FILTERS = {
+    all: () => true,
+    errors: e => e.kind === 'error' || e.level === 'error' || (e.kind === 'network' && !e.ok),
+    warnings: e => e.level === 'warn',
+    console: e => e.kind === 'console',
+    network: e => e.kind === 'network',
+};
+
+let _ctx = null;
+let _entries = [];
+let _preserveLog = false;
+const _panels = new Set();
+
+// Served path of a preview URL ('index.html', 'js/app.js'), or null for
+// anything else
+function previewPath(url) {
+    let pathname;
+    try {
+        pathname = new URL(url, location.href).pathname;
+    } catch (_) {
+        return null;
+    }
+    for (const prefix of PREVIEW_PREFIXES) {
+        const i = pathname.indexOf(prefix);
+        if (i !== -1) return decodeURIComponent(pathname.slice(i + prefix.length)) || 'index.html';
+    }
+    return null;
+}
+
+function parseStack(stack) {
+    const frames = [];
+    for (const line of String(stack || '').split('\n')) {
+        if (line.includes('preview-bridge.js')) continue;
+        const m = line.match(FRAME_RE);
+        frames.push({ text: line.trim(), url: m ? m[1] : null, line: m ? Number(m[2]) : 0, column: m ? Number(m[3]) : 0 });
+    }
+    return frames.filter(f => f.text);
+}
+
+function openSource(url, line, column) {
+    const served = previewPath(url);
+    if (!served || !_ctx.openPreviewSource(served, line, column)) {
+        log.warn('No source file for', url);
+    }
+}
+
+function addEntry(entry) {
+    if (entry.kind === 'load' && !_preserveLog) _entries = [];
+    _entries.push(entry);
+    if (_entries.length > MAX_ENTRIES) _entries.splice(0, _entries.length - MAX_ENTRIES);
+    for (const panel of _panels) {
+        if (entry.kind === 'load' && !_preserveLog) panel.render();
+        else panel.append(entry);
+    }
+}
+
+function clearEntries() {
+    _entries = [];
+    for (const panel of _panels) panel.render();
+}
+
+function el(tag, css, text) {
+    const node = document.createElement(tag);
+    if (css) node.style.cssText = css;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+function sourceLink(url, line, column) {
+    const served = previewPath(url) || url;
+    const link = el('a', 'color:#888;cursor:pointer;text-decoration:underline;flex-shrink:0;margin-left:8px;white-space:nowrap;', `${served}:${line}`);
+    link.title = `Open ${served} at line ${line}`;
+    link.onclick = (e) => {
+        e.stopPropagation();
+        openSource(url, line, column);
+    };
+    return link;
+}
+
+class PreviewConsoleComponent {
+    constructor(container) {
+        this.rootElement = container.element;
+        this.rootElement.style.cssText = 'background:#1e1e1e;color:#ddd;font-family:sans-serif;font-size:12px;display:flex;flex-direction:column;overflow:hidden;';
+        this._filter = 'all';
+        this._build();
+        _panels.add(this);
+        if (container.on) container.on('destroy', () => _panels.delete(this));
+        this.render();
+    }
+
+    _build() {
+        const bar = el('div', 'display:flex;align-items:center;gap:8px;padding:4px 8px;border-bottom:1px solid #333;flex-shrink:0;');
+        const filter = el('select', 'background:#2a2a2a;color:#ddd;border:1px solid #555;border-radius:3px;font-size:12px;padding:1px;');
+        for (const [value, label] of [['all', 'All'], ['errors', 'Errors'], ['warnings', 'Warnings'], ['console', 'Console'], ['network', 'Network']]) {
+            const opt = el('option', null, label);
+            opt.value = value;
+            filter.appendChild(opt);
+        }
+        filter.onchange = () => {
+            this._filter = filter.value;
+            this.render();
+        };
+
+        const preserve = el('label', 'display:flex;align-items:center;gap:3px;color:#aaa;cursor:pointer;');
+        const preserveBox = el('input');
+        preserveBox.type = 'checkbox';
+        preserveBox.checked = _preserveLog;
+        preserveBox.onchange = () => { _preserveLog = preserveBox.checked; };
+        preserve.title = 'Keep entries when the preview reloads';
+        preserve.append(preserveBox, document.createTextNode('Preserve log'));
+
+        const clearBtn = el('button', 'background:none;border:1px solid #555;color:#ccc;border-radius:3px;cursor:pointer;font-size:11px;padding:0 6px;line-height:16px;', 'Clear');
+        clearBtn.onclick = clearEntries;
+        this.countEl = el('span', 'margin-left:auto;color:#888;');
+        bar.append(filter, preserve, clearBtn, this.countEl);
+
+        this.body = el('div', 'flex:1;overflow-y:auto;font-family:monospace;font-size:12px;');
+        this.rootElement.append(bar, this.body);
+    }
+
+    render() {
+        this.body.innerHTML = '';
+        for (const entry of _entries) this.append(entry, false);
+        if (!this.body.firstChild) this.body.appendChild(el('div', 'padding:8px;color:#888;font-family:sans-serif;', 'Console messages, errors and requests of the preview page show up here.'));
+        this._updateCount();
+        this.body.scrollTop = this.body.scrollHeight;
+    }
+
+    _updateCount() {
+        const shown = _entries.filter(e => e.kind !== 'load');
+        const errors = shown.filter(FILTERS.errors).length;
+        this.countEl.textContent = `${shown.length} entr${shown.length === 1 ? 'y' : 'ies'}${errors ? `, ${errors} error${errors === 1 ? '' : 's'}` : ''}`;
+    }
+
+    append(entry, live = true) {
+        if (entry.kind === 'load') {
+            if (!_preserveLog) return;
+            const divider = el('div', 'padding:2px 8px;color:#6a9fb5;border-bottom:1px solid #2a2a2a;font-family:sans-serif;', `Loaded ${previewPath(entry.url) || entry.url}`);
+            divider.dataset.entry = '1';
+            this.body.appendChild(divider);
+            return;
+        }
+        if (!FILTERS[this._filter](entry)) {
+            if (live) this._updateCount();
+            return;
+        }
+        if (live && this.body.firstChild && !this.body.firstChild.dataset.entry) this.body.innerHTML = '';
+        const stick = this.body.scrollTop + this.body.clientHeight >= this.body.scrollHeight - 4;
+        this.body.appendChild(this._row(entry));
+        if (live) this._updateCount();
+        if (stick) this.body.scrollTop = this.body.scrollHeight;
+    }
+
+    _row(entry) {
+        const level = entry.kind === 'error' ? 'error'
+            : entry.kind === 'network' ? (entry.ok ? 'log' : 'error')
+            : (LEVEL_STYLE[entry.level] ? entry.level : 'log');
+        const style = LEVEL_STYLE[level];
+        const row = el('div', `padding:2px 8px;border-bottom:1px solid #2a2a2a;background:${style.bg};color:${style.color};`);
+        row.dataset.entry = '1';
+        const line = el('div', 'display:flex;align-items:flex-start;gap:6px;');
+        line.appendChild(el('span', 'width:12px;flex-shrink:0;text-align:center;', style.icon));
+
+        let text;
+        if (entry.kind === 'network') {
+            const status = entry.error ? entry.error : String(entry.status);
+            text = `${entry.method} ${entry.url} → ${status} (${entry.duration} ms)`;
+        } else {
+            text = entry.text;
+        }
+        line.appendChild(el('span', 'flex:1;min-width:0;white-space:pre-wrap;word-break:break-word;', text));
+        if (entry.source && entry.source.url) line.appendChild(sourceLink(entry.source.url, entry.source.line, entry.source.column));
+        row.appendChild(line);
+
+        // Stack frames, collapsed until the row is clicked
+        const frames = parseStack(entry.stack).filter(f => f.url);
+        if (frames.length) {
+            const stackEl = el('div', 'display:none;padding:2px 0 2px 18px;color:#999;');
+            for (const frame of frames) {
+                const frameEl = el('div', 'display:flex;');
+                frameEl.appendChild(el('span', 'flex:1;min-width:0;white-space:pre;overflow:hidden;text-overflow:ellipsis;', frame.text));
+                frameEl.appendChild(sourceLink(frame.url, frame.line, frame.column));
+                stackEl.appendChild(frameEl);
+            }
+            line.style.cursor = 'pointer';
+            line.title = 'Show stack trace';
+            line.onclick = () => { stackEl.style.display = stackEl.style.display === 'none' ? 'block' : 'none'; };
+            row.appendChild(stackEl);
+        }
+        return row;
+    }
+}
+
+registerPlugin({
+    id: 'preview-console',
+    name: 'Preview Console',
+    components: {
+        previewConsole: PreviewConsoleComponent,
+    },
+    toolbarButtons: [
+        { label: '>_', title: 'Preview Console', menuLabel: 'Preview Console' },
+    ],
+    init(ctx) {
+        _ctx = ctx;
+        window.addEventListener('message', (event) => {
+            const data = event.data;
+            if (event.origin !== location.origin || !data || data.__previewBridge !== 1) return;
+            addEntry(data);
+        });
+    },
+});
+
+module.exports = { previewPath };
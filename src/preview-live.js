@@ -0,0 +1,85 @@
+// --- Preview live reload ---
+// Editor end of the live-update channel to the page in the web preview; the
+// page end is public/preview-bridge.js. A page announces itself with a
+// `ready` message when it loads. Until then (or for a page without the
+// bridge, or once the frame has navigated elsewhere) updates cannot be
+// delivered and the caller loads the page anew.
+//
+// Updates, chosen by liveUpdateFor():
+//   css    - re-fetch the stylesheets that use the changed file, no reload
+//   patch  - morph the page's DOM into the edited HTML ("Patch DOM" mode)
+//   reload - reload the page, then restore its scroll position
+
+const PATCH_DOM_KEY = 'gl-preview-patch-dom';
+
+// The page that announced itself: its frame's WindowProxy and its URL. The
+// WindowProxy outlives navigation, so the URL tells whether that page is
+// still the one shown.
+let _ready = null; // { source, url }
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('message', (event) => {
+        const data = event.data;
+        if (event.origin !== location.origin || !data || data.__previewLive !== 1) return;
+        if (data.type === 'ready') _ready = { source: event.source, url: withoutHash(data.url) };
+    });
+}
+
+function withoutHash(url) {
+    return String(url || '').split('#')[0];
+}
+
+function isPreviewLive(frame) {
+    if (!frame || !_ready || frame.contentWindow !== _ready.source) return false;
+    try {
+        return withoutHash(frame.contentWindow.location.href) === _ready.url;
+    } catch (_) {
+        return false; // navigated to another origin
+    }
+}
+
+// Call when the frame is pointed at a new URL: the page there has to
+// announce itself again
+function resetPreviewLive() {
+    _ready = null;
+}
+
+function isPatchDomEnabled() {
+    return typeof localStorage !== 'undefined' && localStorage.getItem(PATCH_DOM_KEY) === '1';
+}
+
+function setPatchDomEnabled(enabled) {
+    localStorage.setItem(PATCH_DOM_KEY, enabled ? '1' : '0');
+}
+
+/**
+ * Pick the update for an edit of `path` (workspace-relative) while the page
+ * loaded from `entryPath` is shown. preview.html is generated around the
+ * previewed file and always reloads.
+ * @param {string} path
+ * @param {string} entryPath
+ * @param {string} [html] - New content of `path` as served, for patches.
+ */
+function liveUpdateFor(path, entryPath, html) {
+    if (entryPath !== 'preview.html') {
+        if (/\.css$/i.test(path)) return { type: 'css', path };
+        if (/\.html?$/i.test(path) && isPatchDomEnabled() && typeof html === 'string') return { type: 'patch', path, html };
+    }
+    return { type: 'reload' };
+}
+
+// Deliver an update; false if no page in `frame` is listening
+function sendPreviewUpdate(frame, update) {
+    if (!isPreviewLive(frame)) return false;
+    frame.contentWindow.postMessage({ ...update, __previewLive: 1 }, location.origin);
+    return true;
+}
+
+module.exports = {
+    isPreviewLive,
+    resetPreviewLive,
+    isPatchDomEnabled,
+    setPatchDomEnabled,
+    liveUpdateFor,
+    sendPreviewUpdate,
+};
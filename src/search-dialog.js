@@ -0,0 +1,527 @@
+// --- Workspace Search Dialog ---
+// Grep across the project. With a workspace open the search runs on the
+// server (searchWorkspace) so never-loaded files are covered too; results
+// stream in file by file. Without one, loaded in-memory files are searched
+// locally with the same matcher (search-text.js).
+//
+// Replace mode previews each matched line after substitution; ticked lines
+// are applied in one batch (ctx.applyTextEdits) that can be undone as a whole.
+//
+// ctx: { wsClient, getWorkspacePath(), getAllFiles(), getRelativePath(fileId),
+//        dirtyFiles, projectFiles, openFileAtLine(relativePath, line, column),
+//        applyTextEdits(edits), undoLastEditBatch(), canUndoEditBatch() }
+
+const {
+    buildSearchRegex, searchText, createPathFilter, buildReplacement, replaceLines,
+} = require('./search-text');
+
+const MAX_RESULTS = 2000;
+
+// Remembered between openings for the rest of the session
+const lastOptions = {
+    query: '', regex: false, caseSensitive: false, wholeWord: false,
+    include: '', exclude: '', contextLines: 0, replacement: '',
+};
+
+let _searchSeq = 0;
+
+function makeInput(placeholder, value, extraCss = '') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = placeholder;
+    input.value = value;
+    input.spellcheck = false;
+    input.style.cssText = 'padding:5px 8px;background:#1e1e1e;color:#ddd;border:1px solid #555;border-radius:3px;font-size:12px;outline:none;min-width:0;' + extraCss;
+    return input;
+}
+
+function makeToggle(label, title, active) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.title = title;
+    btn.style.cssText = 'padding:3px 6px;border:1px solid #555;border-radius:3px;cursor:pointer;font-family:monospace;font-size:12px;';
+    const paint = () => {
+        btn.style.background = btn._active ? '#3a5a8a' : '#1e1e1e';
+        btn.style.color = btn._active ? '#fff' : '#aaa';
+    };
+    btn._active = active;
+    btn.toggle = () => { btn._active = !btn._active; paint(); };
+    paint();
+    return btn;
+}
+
+// Line text with the matched ranges highlighted
+function renderLineText(text, ranges) {
+    const span = document.createElement('span');
+    span.style.cssText = 'font-family:monospace;font-size:12px;white-space:pre;overflow:hidden;text-overflow:ellipsis;flex:1;';
+    let pos = 0;
+    for (const r of ranges) {
+        if (r.start > pos) span.appendChild(document.createTextNode(text.slice(pos, r.start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(r.start, r.end);
+        mark.style.cssText = 'background:#7a6a1a;color:#fff;border-radius:2px;';
+        span.appendChild(mark);
+        pos = r.end;
+    }
+    if (pos < text.length) span.appendChild(document.createTextNode(text.slice(pos)));
+    return span;
+}
+
+function makeButton(label, title) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.title = title;
+    btn.style.cssText = 'padding:4px 10px;background:#3a5a8a;color:#fff;border:1px solid #555;border-radius:3px;cursor:pointer;font-size:12px;';
+    return btn;
+}
+
+function makeCheckbox(checked) {
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = checked;
+    box.style.cssText = 'margin:0;flex-shrink:0;cursor:pointer;';
+    box.addEventListener('click', (e) => e.stopPropagation());
+    return box;
+}
+
+function openGrepDialog(ctx, { replace = false } = {}) {
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.4);z-index:10000;display:flex;align-items:flex-start;justify-content:center;padding-top:60px;';
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = 'background:#2a2a2a;color:#ddd;border:1px solid #555;border-radius:6px;width:780px;max-width:92vw;max-height:80vh;display:flex;flex-direction:column;box-shadow:0 8px 24px rgba(0,0,0,0.5);font-family:sans-serif;font-size:13px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'padding:8px 12px;border-bottom:1px solid #444;font-weight:bold;';
+    header.textContent = 'Search in files';
+
+    const queryRow = document.createElement('div');
+    queryRow.style.cssText = 'display:flex;gap:4px;align-items:center;margin:8px 12px 4px;';
+    const replaceBtn = makeToggle('⇄', 'Toggle replace', replace);
+    const input = makeInput('Search…', lastOptions.query, 'flex:1;font-size:13px;padding:6px 8px;');
+    const regexBtn = makeToggle('.*', 'Use regular expression', lastOptions.regex);
+    const caseBtn = makeToggle('Aa', 'Match case', lastOptions.caseSensitive);
+    const wordBtn = makeToggle('ab', 'Match whole word', lastOptions.wholeWord);
+    queryRow.append(replaceBtn, input, regexBtn, caseBtn, wordBtn);
+
+    const replaceRow = document.createElement('div');
+    replaceRow.style.cssText = 'display:flex;gap:4px;align-items:center;margin:0 12px 4px;padding-left:30px;';
+    const replaceInput = makeInput('Replace… ($1, $<name> in regex mode)', lastOptions.replacement, 'flex:1;font-size:13px;padding:6px 8px;');
+    const applyBtn = makeButton('Replace', 'Replace the ticked lines');
+    const undoBtn = makeButton('Undo', 'Revert the last replace in every file it touched');
+    replaceRow.append(replaceInput, applyBtn, undoBtn);
+    const replaceInfo = document.createElement('div');
+    replaceInfo.style.cssText = 'padding:0 12px 4px 42px;font-size:11px;color:#8c8;';
+
+    const filterRow = document.createElement('div');
+    filterRow.style.cssText = 'display:flex;gap:4px;align-items:center;margin:0 12px 6px;';
+    const includeInput = makeInput('Files to include (e.g. *.js, src/)', lastOptions.include, 'flex:1;');
+    const excludeInput = makeInput('Files to exclude', lastOptions.exclude, 'flex:1;');
+    const contextLabel = document.createElement('label');
+    contextLabel.textContent = 'Context';
+    contextLabel.style.cssText = 'font-size:11px;color:#aaa;margin-left:4px;';
+    const contextInput = makeInput('', String(lastOptions.contextLines), 'width:44px;');
+    contextInput.type = 'number';
+    contextInput.min = '0';
+    contextInput.max = '10';
+    filterRow.append(includeInput, excludeInput, contextLabel, contextInput);
+
+    const status = document.createElement('div');
+    status.style.cssText = 'padding:0 12px 6px;color:#888;font-size:11px;';
+
+    const results = document.createElement('div');
+    results.style.cssText = 'flex:1;overflow-y:auto;border-top:1px solid #333;';
+
+    dialog.append(header, queryRow, replaceRow, replaceInfo, filterRow, status, results);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    let activeSearchId = null;
+    let matchRows = [];
+    let selectedIndex = -1;
+    let totals = { files: 0, matches: 0 };
+    let shownOpts = null; // options of the results on screen
+    let fileResults = []; // { relativePath, matches, selected: Set<line> }
+    let previews = []; // { el, text } replacement previews to refresh
+
+    function isReplacing() {
+        return replaceBtn._active;
+    }
+
+    function updateReplaceUI() {
+        replaceRow.style.display = isReplacing() ? 'flex' : 'none';
+        replaceInfo.style.display = isReplacing() && replaceInfo.textContent ? 'block' : 'none';
+        header.textContent = isReplacing() ? 'Replace in files' : 'Search in files';
+        const selected = fileResults.reduce((n, fr) => n + fr.selected.size, 0);
+        applyBtn.textContent = selected ? `Replace ${selected}` : 'Replace';
+        applyBtn.disabled = !selected || !!activeSearchId;
+        applyBtn.style.opacity = applyBtn.disabled ? '0.5' : '1';
+        undoBtn.disabled = !ctx.canUndoEditBatch();
+        undoBtn.style.opacity = undoBtn.disabled ? '0.5' : '1';
+    }
+
+    function refreshPreviews() {
+        if (!shownOpts || !isReplacing()) return;
+        const re = buildSearchRegex(shownOpts);
+        const replacement = buildReplacement(replaceInput.value, shownOpts.regex);
+        for (const p of previews) p.el.textContent = p.text.replace(re, replacement);
+    }
+
+    function cancelActiveSearch() {
+        if (!activeSearchId) return;
+        ctx.wsClient.wsRawSend({ type: 'searchCancel', searchId: activeSearchId });
+        activeSearchId = null;
+    }
+
+    function onMessage(msg) {
+        if (msg.type === 'searchResults' && msg.searchId === activeSearchId) {
+            addFileResults(msg.relativePath, msg.matches);
+            status.textContent = `${totals.matches} match${totals.matches === 1 ? '' : 'es'} in ${totals.files} file${totals.files === 1 ? '' : 's'} so far…`;
+        }
+    }
+    ctx.wsClient.addMessageListener(onMessage);
+
+    function close() {
+        cancelActiveSearch();
+        ctx.wsClient.removeMessageListener(onMessage);
+        clearTimeout(runTimer);
+        overlay.remove();
+        document.removeEventListener('keydown', escHandler);
+    }
+    function escHandler(e) {
+        if (e.key === 'Escape') close();
+    }
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    document.addEventListener('keydown', escHandler);
+
+    function setSelection(idx) {
+        if (matchRows[selectedIndex]) matchRows[selectedIndex].style.background = 'none';
+        selectedIndex = idx;
+        if (matchRows[selectedIndex]) {
+            matchRows[selectedIndex].style.background = '#3a4a6a';
+            matchRows[selectedIndex].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    function openMatch(relativePath, match) {
+        close();
+        const column = match.ranges.length ? match.ranges[0].start : 0;
+        ctx.openFileAtLine(relativePath, match.line, column);
+    }
+
+    function contextRow(lineNo, text) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display:flex;gap:8px;padding:0 12px 0 24px;color:#777;';
+        const num = document.createElement('span');
+        num.textContent = lineNo;
+        num.style.cssText = 'width:40px;text-align:right;font-family:monospace;font-size:11px;flex-shrink:0;';
+        row.append(num, renderLineText(text, []));
+        return row;
+    }
+
+    function addFileResults(relativePath, matches) {
+        totals.files++;
+        totals.matches += matches.length;
+
+        const group = document.createElement('div');
+        const fileHeader = document.createElement('div');
+        fileHeader.style.cssText = 'display:flex;align-items:center;gap:6px;padding:4px 12px;cursor:pointer;background:#252525;border-bottom:1px solid #333;position:sticky;top:0;';
+        const twisty = document.createElement('span');
+        twisty.textContent = '▼';
+        twisty.style.cssText = 'font-size:9px;width:10px;';
+        const name = document.createElement('span');
+        name.textContent = relativePath;
+        name.style.cssText = 'color:#88aaff;font-size:12px;flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+        const count = document.createElement('span');
+        count.textContent = matches.length;
+        count.style.cssText = 'background:#444;border-radius:8px;padding:0 6px;font-size:11px;color:#ccc;';
+        fileHeader.append(twisty);
+
+        const fileResult = { relativePath, matches, selected: new Set(matches.map(m => m.line)) };
+        fileResults.push(fileResult);
+        const hunkBoxes = [];
+        let fileBox = null;
+        if (isReplacing()) {
+            fileBox = makeCheckbox(true);
+            fileBox.addEventListener('change', () => {
+                for (const { box, line } of hunkBoxes) {
+                    box.checked = fileBox.checked;
+                    if (fileBox.checked) fileResult.selected.add(line);
+                    else fileResult.selected.delete(line);
+                }
+                updateReplaceUI();
+            });
+            fileHeader.appendChild(fileBox);
+        }
+        fileHeader.append(name, count);
+
+        const body = document.createElement('div');
+        fileHeader.addEventListener('click', () => {
+            const hide = body.style.display !== 'none';
+            body.style.display = hide ? 'none' : 'block';
+            twisty.textContent = hide ? '▶' : '▼';
+        });
+
+        for (const match of matches) {
+            match.before.forEach((text, i) => body.appendChild(contextRow(match.line - match.before.length + i, text)));
+
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;gap:8px;padding:1px 12px 1px 24px;cursor:pointer;';
+            const num = document.createElement('span');
+            num.textContent = match.line;
+            num.style.cssText = 'width:40px;text-align:right;font-family:monospace;font-size:11px;color:#888;flex-shrink:0;';
+            if (isReplacing()) {
+                const box = makeCheckbox(true);
+                box.addEventListener('change', () => {
+                    if (box.checked) fileResult.selected.add(match.line);
+                    else fileResult.selected.delete(match.line);
+                    fileBox.checked = fileResult.selected.size > 0;
+                    fileBox.indeterminate = fileResult.selected.size > 0 && fileResult.selected.size < matches.length;
+                    updateReplaceUI();
+                });
+                hunkBoxes.push({ box, line: match.line });
+                row.appendChild(box);
+                num.style.color = '#e57373';
+            }
+            row.append(num, renderLineText(match.text, match.ranges));
+            row.addEventListener('mouseenter', () => setSelection(matchRows.indexOf(row)));
+            row.addEventListener('click', () => openMatch(relativePath, match));
+            body.appendChild(row);
+            matchRows.push(row);
+
+            if (isReplacing()) {
+                // The same line after substitution
+                const previewRow = document.createElement('div');
+                previewRow.style.cssText = 'display:flex;gap:8px;padding:0 12px 1px 24px;';
+                const pad = document.createElement('span');
+                pad.style.cssText = 'width:53px;text-align:right;font-family:monospace;font-size:11px;color:#81c784;flex-shrink:0;';
+                pad.textContent = '→';
+                const preview = renderLineText('', []);
+                preview.style.color = '#81c784';
+                previewRow.append(pad, preview);
+                body.appendChild(previewRow);
+                previews.push({ el: preview, text: match.text });
+            }
+
+            match.after.forEach((text, i) => body.appendChild(contextRow(match.line + 1 + i, text)));
+        }
+
+        group.append(fileHeader, body);
+        results.appendChild(group);
+        if (selectedIndex < 0) setSelection(0);
+        refreshPreviews();
+        updateReplaceUI();
+    }
+
+    function readOptions() {
+        Object.assign(lastOptions, {
+            query: input.value,
+            regex: regexBtn._active,
+            caseSensitive: caseBtn._active,
+            wholeWord: wordBtn._active,
+            include: includeInput.value.trim(),
+            exclude: excludeInput.value.trim(),
+            contextLines: Math.max(0, Math.min(parseInt(contextInput.value, 10) || 0, 10)),
+        });
+        const { replacement, ...opts } = lastOptions;
+        return opts;
+    }
+
+    function summary(done) {
+        const base = `${totals.matches} match${totals.matches === 1 ? '' : 'es'} in ${totals.files} file${totals.files === 1 ? '' : 's'}`;
+        if (done.truncated) return `${base} (stopped at ${MAX_RESULTS}, refine the query for more)`;
+        if (done.cancelled) return `${base} (cancelled)`;
+        if (done.timedOut) return `${base} (search took too long and was stopped, refine the query)`;
+        return base;
+    }
+
+    // Unsaved buffers are searched instead of their disk copies
+    function collectOverrides() {
+        const overrides = {};
+        for (const fileId of ctx.dirtyFiles) {
+            const file = ctx.projectFiles[fileId];
+            const relativePath = ctx.getRelativePath(fileId);
+            if (file && relativePath && typeof file.content === 'string') overrides[relativePath] = file.content;
+        }
+        return overrides;
+    }
+
+    function searchLoadedFiles(opts, re) {
+        const filter = createPathFilter(opts.include, opts.exclude);
+        let truncated = false;
+        for (const file of ctx.getAllFiles()) {
+            if (file.ignored || file.viewType || typeof file.content !== 'string') continue;
+            const relativePath = ctx.getRelativePath(file.id) || file.name;
+            if (!filter.acceptFile(relativePath)) continue;
+            const found = searchText(file.content, re, {
+                contextLines: opts.contextLines,
+                maxMatches: MAX_RESULTS - totals.matches,
+            });
+            if (found.matches.length) addFileResults(relativePath, found.matches);
+            if (found.truncated || totals.matches >= MAX_RESULTS) {
+                truncated = true;
+                break;
+            }
+        }
+        return { truncated };
+    }
+
+    async function run() {
+        cancelActiveSearch();
+        results.innerHTML = '';
+        matchRows = [];
+        selectedIndex = -1;
+        totals = { files: 0, matches: 0 };
+        shownOpts = null;
+        fileResults = [];
+        previews = [];
+        status.style.color = '#888';
+        updateReplaceUI();
+
+        const opts = readOptions();
+        if (!opts.query) {
+            status.textContent = '';
+            return;
+        }
+        let re;
+        try {
+            re = buildSearchRegex(opts);
+        } catch (err) {
+            status.style.color = '#e57373';
+            status.textContent = err.message;
+            return;
+        }
+        shownOpts = opts;
+
+        const workspacePath = ctx.getWorkspacePath();
+        if (!workspacePath) {
+            status.textContent = summary(searchLoadedFiles(opts, re));
+            return;
+        }
+
+        const searchId = `search-${Date.now()}-${++_searchSeq}`;
+        activeSearchId = searchId;
+        status.textContent = 'Searching…';
+        let done;
+        try {
+            done = await ctx.wsClient.wsRequest({
+                type: 'searchWorkspace',
+                workspacePath,
+                searchId,
+                ...opts,
+                maxResults: MAX_RESULTS,
+                overrides: collectOverrides(),
+            });
+        } catch (err) {
+            done = { success: false, error: err.message };
+        }
+        if (activeSearchId !== searchId) return; // superseded or closed
+        activeSearchId = null;
+        updateReplaceUI();
+        if (!done.success) {
+            status.style.color = '#e57373';
+            status.textContent = 'Search failed: ' + done.error;
+            return;
+        }
+        status.textContent = summary(done);
+    }
+
+    async function applyReplace() {
+        if (!shownOpts || activeSearchId) return;
+        const re = buildSearchRegex(shownOpts);
+        const replacement = buildReplacement(replaceInput.value, shownOpts.regex);
+        let replaced = 0;
+        let stale = 0;
+        const edits = fileResults.filter(fr => fr.selected.size > 0).map(fr => ({
+            relativePath: fr.relativePath,
+            transform: (content) => {
+                const hunks = fr.matches.filter(m => fr.selected.has(m.line));
+                const out = replaceLines(content, re, replacement, hunks);
+                replaced += out.replaced;
+                stale += out.stale;
+                return out.content;
+            },
+        }));
+        if (edits.length === 0) return;
+
+        applyBtn.disabled = true;
+        replaceInfo.style.color = '#8c8';
+        replaceInfo.textContent = 'Replacing…';
+        updateReplaceUI();
+        try {
+            const changed = await ctx.applyTextEdits(edits);
+            let info = `Replaced ${replaced} line${replaced === 1 ? '' : 's'} in ${changed.length} file${changed.length === 1 ? '' : 's'}`;
+            if (stale) info += `; skipped ${stale} that changed since the search`;
+            replaceInfo.textContent = info;
+        } catch (err) {
+            replaceInfo.style.color = '#e57373';
+            replaceInfo.textContent = 'Replace failed: ' + err.message;
+        }
+        await run();
+    }
+
+    async function undoReplace() {
+        const result = await ctx.undoLastEditBatch();
+        if (!result) return;
+        replaceInfo.style.color = result.skipped.length ? '#e5b373' : '#8c8';
+        replaceInfo.textContent = `Reverted ${result.reverted} file${result.reverted === 1 ? '' : 's'}`
+            + (result.skipped.length ? `; left ${result.skipped.join(', ')} alone (changed since)` : '');
+        await run();
+    }
+
+    let runTimer = null;
+    function scheduleRun(delay = 250) {
+        clearTimeout(runTimer);
+        runTimer = setTimeout(run, delay);
+    }
+
+    input.addEventListener('input', () => scheduleRun());
+    includeInput.addEventListener('input', () => scheduleRun(400));
+    excludeInput.addEventListener('input', () => scheduleRun(400));
+    contextInput.addEventListener('change', () => scheduleRun(0));
+    replaceInput.addEventListener('input', () => {
+        lastOptions.replacement = replaceInput.value;
+        refreshPreviews();
+    });
+    replaceInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyReplace();
+        }
+    });
+    applyBtn.addEventListener('click', applyReplace);
+    undoBtn.addEventListener('click', undoReplace);
+    replaceBtn.addEventListener('click', () => {
+        replaceBtn.toggle();
+        scheduleRun(0);
+        (isReplacing() ? replaceInput : input).focus();
+    });
+    for (const btn of [regexBtn, caseBtn, wordBtn]) {
+        btn.addEventListener('click', () => {
+            btn.toggle();
+            scheduleRun(0);
+            input.focus();
+        });
+    }
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (matchRows.length) setSelection((selectedIndex + 1) % matchRows.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (matchRows.length) setSelection((selectedIndex - 1 + matchRows.length) % matchRows.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (selectedIndex >= 0 && matchRows[selectedIndex]) matchRows[selectedIndex].click();
+            else scheduleRun(0);
+        }
+    });
+
+    updateReplaceUI();
+    input.focus();
+    input.select();
+    if (input.value) scheduleRun(0);
+}
+
+module.exports = { openGrepDialog };
@@ -0,0 +1,157 @@
+// --- Text Search ---
+// Pattern building and line matching shared by the server-side workspace
+// search (workspace-search.js, over files on disk) and the search dialog
+// (over in-memory files when no workspace is open). Pure, no DOM or fs.
+
+const { compilePattern } = require('../ignore-rules');
+
+// Matched lines longer than this are cut (ranges past the cut are dropped)
+const MAX_LINE_TEXT = 500;
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the RegExp for a query. Throws on an empty query or invalid regex.
+ * @param {{ query: string, regex?: boolean, caseSensitive?: boolean, wholeWord?: boolean }} opts
+ */
+function buildSearchRegex({ query, regex, caseSensitive, wholeWord }) {
+    if (!query) throw new Error('Empty query');
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) source = `\\b(?:${source})\\b`;
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Find matching lines in `content`. Each result is
+ * { line (1-based), text, ranges: [{ start, end }], before: [], after: [] }
+ * where before/after hold up to `contextLines` surrounding lines, never
+ * repeating a line already shown for a neighbouring match.
+ * @returns {{ matches: object[], truncated: boolean }}
+ */
+function searchText(content, re, { contextLines = 0, maxMatches = Infinity } = {}) {
+    const matches = [];
+    // Line by line only: `^` and `$` must match at each line's ends
+    const lines = content.split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop(); // trailing newline
+    let truncated = false;
+    for (let i = 0; i < lines.length; i++) {
+        const text = lines[i].endsWith('\r') ? lines[i].slice(0, -1) : lines[i];
+        const ranges = [];
+        let found = false;
+        re.lastIndex = 0;
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            found = true;
+            if (m[0].length === 0) {
+                re.lastIndex++; // step over empty matches (e.g. ^, \b)
+                if (re.lastIndex > text.length) break;
+                continue;
+            }
+            if (m.index < MAX_LINE_TEXT) {
+                ranges.push({ start: m.index, end: Math.min(m.index + m[0].length, MAX_LINE_TEXT) });
+            }
+        }
+        if (!found) continue;
+        if (matches.length >= maxMatches) {
+            truncated = true;
+            break;
+        }
+        matches.push({ line: i + 1, text: text.slice(0, MAX_LINE_TEXT), ranges });
+    }
+
+    const lineText = (idx) => {
+        const t = lines[idx];
+        return (t.endsWith('\r') ? t.slice(0, -1) : t).slice(0, MAX_LINE_TEXT);
+    };
+    let shownUpTo = 0; // 1-based number of the last line already shown
+    matches.forEach((match, k) => {
+        const next = matches[k + 1] ? matches[k + 1].line : lines.length + 1;
+        match.before = [];
+        for (let n = Math.max(match.line - contextLines, shownUpTo + 1); n < match.line; n++) {
+            match.before.push(lineText(n - 1));
+        }
+        match.after = [];
+        for (let n = match.line + 1; n <= Math.min(match.line + contextLines, next - 1); n++) {
+            match.after.push(lineText(n - 1));
+        }
+        shownUpTo = match.line + match.after.length;
+    });
+    return { matches, truncated };
+}
+
+// Replacement string for String#replace: in regex mode `$1`, `$<name>` and
+// `$&` expand; otherwise it is inserted literally.
+function buildReplacement(replacement, regex) {
+    return regex ? replacement : replacement.replace(/\$/g, '$$$$');
+}
+
+/**
+ * Replace the matches on the given lines of `content`. `hunks` are
+ * { line, text } as reported by searchText; a hunk whose line no longer
+ * reads the same (the file changed since the search) is skipped.
+ * @returns {{ content: string, replaced: number, stale: number }}
+ */
+function replaceLines(content, re, replacement, hunks) {
+    const lines = content.split('\n');
+    let replaced = 0;
+    let stale = 0;
+    for (const hunk of hunks) {
+        const idx = hunk.line - 1;
+        if (idx >= lines.length) {
+            stale++;
+            continue;
+        }
+        const cr = lines[idx].endsWith('\r');
+        const text = cr ? lines[idx].slice(0, -1) : lines[idx];
+        if (text.slice(0, MAX_LINE_TEXT) !== hunk.text) {
+            stale++;
+            continue;
+        }
+        re.lastIndex = 0;
+        const next = text.replace(re, replacement);
+        if (next === text) continue;
+        lines[idx] = cr ? next + '\r' : next;
+        replaced++;
+    }
+    return { content: lines.join('\n'), replaced, stale };
+}
+
+// "*.js, src/**" or ['*.js'] -> compiled gitignore-style globs
+function compileGlobs(globs) {
+    const list = Array.isArray(globs) ? globs : String(globs || '').split(',');
+    return list.map(g => compilePattern(g.trim())).filter(Boolean);
+}
+
+/**
+ * Include/exclude filter over workspace-relative paths, using gitignore
+ * glob syntax: `*.js` matches at any depth, `src/lib` only from the root,
+ * and a directory pattern covers everything below it. `!glob` in the
+ * include list excludes.
+ */
+function createPathFilter(include, exclude) {
+    const inc = [];
+    const exc = compileGlobs(exclude);
+    for (const rule of compileGlobs(include)) (rule.negate ? exc : inc).push(rule);
+
+    function hits(rules, relPath, isDir) {
+        const parts = relPath.split('/');
+        for (let i = 1; i <= parts.length; i++) {
+            const sub = parts.slice(0, i).join('/');
+            const dir = i < parts.length || isDir;
+            if (rules.some(r => (!r.dirOnly || dir) && r.regex.test(sub))) return true;
+        }
+        return false;
+    }
+
+    return {
+        skipDirectory: (relPath) => hits(exc, relPath, true),
+        acceptFile: (relPath) => !hits(exc, relPath, false) && (inc.length === 0 || hits(inc, relPath, false)),
+    };
+}
+
+module.exports = {
+    buildSearchRegex, searchText, createPathFilter, buildReplacement, replaceLines,
+    escapeRegExp, MAX_LINE_TEXT,
+};
@@ -0,0 +1,328 @@
+// --- Tasks Plugin ---
+// Runs the tasks of the workspace's .editortasks.json on the server (see
+// task-runner.js) and shows each run with a status line, its problems and
+// its output. Problems are clickable and appear as gutter annotations in
+// the editors until the task runs again.
+const { registerPlugin } = require('./plugins');
+const { createLogger } = require('./debug');
+const log = createLogger('Tasks');
+
+const TASKS_FILE = '.editortasks.json';
+const MAX_RUNS = 20;
+const MAX_OUTPUT = 512 * 1024;
+const ANSI_RE = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+const SEVERITY_STYLE = {
+    error: { color: '#f28b82', icon: '✖' },
+    warning: { color: '#e2c08d', icon: '⚠' },
+    info: { color: '#8ab4f8', icon: 'ℹ' },
+};
+
+let _ctx = null;
+let _tasks = []; // from taskList
+let _tasksError = null;
+let _runs = []; // newest first
+let _ticker = null;
+const _problemTimers = new Map(); // runId -> timeout
+const _panels = new Set();
+
+function el(tag, css, text) {
+    const node = document.createElement(tag);
+    if (css) node.style.cssText = css;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+function smallButton(label, title, onclick) {
+    const btn = el('button', 'background:none;border:1px solid #555;color:#ccc;border-radius:3px;cursor:pointer;font-size:11px;padding:0 5px;line-height:16px;flex-shrink:0;', label);
+    btn.title = title;
+    btn.onclick = (e) => { e.stopPropagation(); onclick(); };
+    return btn;
+}
+
+function formatDuration(ms) {
+    return ms < 60000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+function runStatus(run) {
+    if (run.state === 'running') return { icon: '●', color: '#8ab4f8', text: `running · ${formatDuration(Date.now() - run.startedAt)}` };
+    if (run.error) return { icon: '✖', color: '#f28b82', text: `failed: ${run.error}` };
+    const took = run.duration != null ? ` · ${formatDuration(run.duration)}` : '';
+    if (run.signal) return { icon: '■', color: '#e2c08d', text: `stopped (${run.signal})${took}` };
+    if (run.exitCode === 0) return { icon: '✓', color: '#81b88b', text: `exit 0${took}` };
+    return { icon: '✖', color: '#f28b82', text: `exit ${run.exitCode}${took}` };
+}
+
+async function loadTasks() {
+    if (!_ctx.currentWorkspacePath || !_ctx.wsClient.isConnected()) {
+        _tasks = [];
+        _tasksError = _ctx.currentWorkspacePath ? 'Not connected to the server' : 'Open a workspace to run its tasks';
+    } else {
+        try {
+            const result = await _ctx.wsClient.wsRequest({ type: 'taskList', workspacePath: _ctx.currentWorkspacePath });
+            _tasks = result.success ? result.tasks : [];
+            _tasksError = result.success ? null : result.error;
+        } catch (err) {
+            _tasks = [];
+            _tasksError = err.message;
+        }
+    }
+    for (const panel of _panels) panel.renderTasks();
+}
+
+async function runTask(name) {
+    const source = `task:${name}`;
+    _ctx.clearProblems(source);
+    let result;
+    try {
+        result = await _ctx.wsClient.wsRequest({ type: 'taskRun', workspacePath: _ctx.currentWorkspacePath, name });
+    } catch (err) {
+        result = { success: false, error: err.message };
+    }
+    const run = {
+        runId: result.runId || `failed-${Date.now()}`,
+        name,
+        command: result.command || '',
+        startedAt: result.startedAt || Date.now(),
+        state: result.success ? 'running' : 'exited',
+        exitCode: null,
+        signal: null,
+        duration: null,
+        error: result.success ? null : result.error,
+        output: '',
+        problems: [],
+    };
+    _runs.unshift(run);
+    for (const old of _runs.splice(MAX_RUNS)) {
+        for (const panel of _panels) panel.removeRun(old);
+    }
+    for (const panel of _panels) panel.addRun(run);
+    if (result.success) {
+        log.log('Started', name, run.runId);
+        startTicker();
+    }
+}
+
+function stopTask(run) {
+    if (run.state === 'running') _ctx.wsClient.wsRawSend({ type: 'taskStop', runId: run.runId });
+}
+
+// Editors are updated in batches while a noisy build reports problems
+function publishProblems(run, immediately = false) {
+    clearTimeout(_problemTimers.get(run.runId));
+    const publish = () => {
+        _problemTimers.delete(run.runId);
+        _ctx.setProblems(`task:${run.name}`, run.problems, run.name);
+    };
+    if (immediately) publish();
+    else _problemTimers.set(run.runId, setTimeout(publish, 150));
+}
+
+function finishRun(run, fields) {
+    Object.assign(run, { state: 'exited' }, fields);
+    publishProblems(run, true);
+    for (const panel of _panels) panel.updateStatus(run);
+}
+
+function startTicker() {
+    if (_ticker) return;
+    _ticker = setInterval(() => {
+        const running = _runs.filter(r => r.state === 'running');
+        if (!running.length) {
+            clearInterval(_ticker);
+            _ticker = null;
+            return;
+        }
+        for (const run of running) {
+            for (const panel of _panels) panel.updateStatus(run);
+        }
+    }, 1000);
+}
+
+function onMessage(msg) {
+    if (msg.type === 'workspaceLoaded') {
+        loadTasks();
+        return;
+    }
+    if (msg.type === 'fsChanges') {
+        if (msg.changes.some(c => c.path.replace(/\\/g, '/') === TASKS_FILE)) loadTasks();
+        return;
+    }
+    if (msg.type !== 'taskOutput' && msg.type !== 'taskProblem' && msg.type !== 'taskExit') return;
+    const run = _runs.find(r => r.runId === msg.runId);
+    if (!run) return;
+    if (msg.type === 'taskOutput') {
+        const text = msg.data.replace(ANSI_RE, '');
+        run.output += text;
+        const trimmed = run.output.length > MAX_OUTPUT;
+        if (trimmed) run.output = run.output.slice(-MAX_OUTPUT);
+        for (const panel of _panels) panel.appendOutput(run, text, trimmed);
+    } else if (msg.type === 'taskProblem') {
+        run.problems.push(msg.problem);
+        publishProblems(run);
+        for (const panel of _panels) panel.appendProblem(run, msg.problem);
+    } else {
+        finishRun(run, { exitCode: msg.exitCode, signal: msg.signal, duration: msg.duration, error: msg.error || null });
+        log.log('Finished', run.name, run.runId, msg.exitCode);
+    }
+}
+
+class TasksPanelComponent {
+    constructor(container) {
+        this.rootElement = container.element;
+        this.rootElement.style.cssText = 'background:#1e1e1e;color:#ddd;font-family:sans-serif;font-size:12px;display:flex;flex-direction:column;overflow:hidden;';
+        this._views = new Map(); // runId -> { block, status, count, problems, output, actions }
+        this._build();
+        _panels.add(this);
+        if (container.on) container.on('destroy', () => _panels.delete(this));
+        this.renderTasks();
+        for (const run of [..._runs].reverse()) this.addRun(run, false);
+        loadTasks();
+    }
+
+    _build() {
+        const bar = el('div', 'display:flex;align-items:center;gap:6px;padding:6px 8px;border-bottom:1px solid #333;flex-shrink:0;');
+        this.taskSelect = el('select', 'flex:1;min-width:0;background:#2a2a2a;color:#ddd;border:1px solid #555;border-radius:3px;font-size:12px;padding:2px;');
+        this.runBtn = el('button', 'background:#3a5a8a;color:#fff;border:none;border-radius:3px;padding:2px 10px;cursor:pointer;font-size:12px;', '▶ Run');
+        this.runBtn.onclick = () => {
+            if (this.taskSelect.value) runTask(this.taskSelect.value);
+        };
+        const reloadBtn = smallButton('⟳', `Reload ${TASKS_FILE}`, loadTasks);
+        const clearBtn = smallButton('Clear', 'Remove finished runs', () => {
+            for (const run of _runs.filter(r => r.state !== 'running')) {
+                for (const panel of _panels) panel.removeRun(run);
+            }
+            _runs = _runs.filter(r => r.state === 'running');
+        });
+        bar.append(this.taskSelect, this.runBtn, reloadBtn, clearBtn);
+
+        this.notice = el('div', 'padding:6px 8px;color:#888;border-bottom:1px solid #333;flex-shrink:0;display:none;');
+        this.list = el('div', 'flex:1;overflow-y:auto;');
+        this.rootElement.append(bar, this.notice, this.list);
+    }
+
+    renderTasks() {
+        const selected = this.taskSelect.value;
+        this.taskSelect.innerHTML = '';
+        for (const task of _tasks) {
+            const opt = el('option', null, task.name);
+            opt.value = task.name;
+            opt.title = task.command + (task.cwd ? ` (in ${task.cwd})` : '');
+            this.taskSelect.appendChild(opt);
+        }
+        if (_tasks.some(t => t.name === selected)) this.taskSelect.value = selected;
+        this.runBtn.disabled = !_tasks.length;
+        const notice = _tasksError || (_tasks.length ? null : `No tasks defined. Add a ${TASKS_FILE} to the workspace root.`);
+        this.notice.style.display = notice ? 'block' : 'none';
+        this.notice.style.color = _tasksError ? '#f28b82' : '#888';
+        this.notice.textContent = notice || '';
+    }
+
+    addRun(run, expanded = true) {
+        const block = el('div', 'border-bottom:1px solid #333;');
+        const header = el('div', 'display:flex;align-items:center;gap:6px;padding:4px 8px;cursor:pointer;');
+        header.title = run.command;
+        const icon = el('span', 'width:12px;text-align:center;flex-shrink:0;');
+        const name = el('span', 'font-weight:bold;flex-shrink:0;', run.name);
+        const status = el('span', 'color:#aaa;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;');
+        const count = el('span', 'color:#888;flex-shrink:0;');
+        const actions = el('span', 'margin-left:auto;display:flex;gap:4px;flex-shrink:0;');
+        header.append(icon, name, status, count, actions);
+
+        const problems = el('div', 'font-family:monospace;');
+        const output = el('pre', 'margin:0;padding:4px 8px 6px 26px;max-height:300px;overflow:auto;font-family:monospace;font-size:12px;color:#ccc;white-space:pre-wrap;word-break:break-word;');
+        output.textContent = run.output;
+        output.style.display = expanded ? 'block' : 'none';
+        header.onclick = () => { output.style.display = output.style.display === 'none' ? 'block' : 'none'; };
+        block.append(header, problems, output);
+
+        const view = { block, icon, status, count, problems, output, actions };
+        this._views.set(run.runId, view);
+        for (const problem of run.problems) this._problemRow(view, problem);
+        this.updateStatus(run);
+        this.list.insertBefore(block, this.list.firstChild);
+    }
+
+    removeRun(run) {
+        const view = this._views.get(run.runId);
+        if (!view) return;
+        view.block.remove();
+        this._views.delete(run.runId);
+    }
+
+    updateStatus(run) {
+        const view = this._views.get(run.runId);
+        if (!view) return;
+        const status = runStatus(run);
+        view.icon.textContent = status.icon;
+        view.icon.style.color = status.color;
+        view.status.textContent = status.text;
+        const errors = run.problems.filter(p => p.severity === 'error').length;
+        const others = run.problems.length - errors;
+        view.count.textContent = run.problems.length
+            ? [errors && `${errors} error${errors === 1 ? '' : 's'}`, others && `${others} other`].filter(Boolean).join(', ')
+            : '';
+        view.actions.innerHTML = '';
+        if (run.state === 'running') view.actions.appendChild(smallButton('■ Stop', 'Stop the task', () => stopTask(run)));
+        else view.actions.appendChild(smallButton('▶', 'Run again', () => runTask(run.name)));
+    }
+
+    appendOutput(run, text, trimmed) {
+        const view = this._views.get(run.runId);
+        if (!view) return;
+        const stick = view.output.scrollTop + view.output.clientHeight >= view.output.scrollHeight - 4;
+        if (trimmed) view.output.textContent = run.output;
+        else view.output.appendChild(document.createTextNode(text));
+        if (stick) view.output.scrollTop = view.output.scrollHeight;
+    }
+
+    appendProblem(run, problem) {
+        const view = this._views.get(run.runId);
+        if (!view) return;
+        this._problemRow(view, problem);
+        this.updateStatus(run);
+    }
+
+    _problemRow(view, problem) {
+        const style = SEVERITY_STYLE[problem.severity] || SEVERITY_STYLE.error;
+        const row = el('div', 'display:flex;gap:6px;padding:1px 8px 1px 26px;');
+        row.appendChild(el('span', `color:${style.color};flex-shrink:0;`, style.icon));
+        const where = el('span', 'color:#888;flex-shrink:0;', `${problem.path || problem.file}:${problem.line}:${problem.column}`);
+        row.append(where, el('span', 'min-width:0;white-space:pre-wrap;word-break:break-word;', problem.message));
+        if (problem.path) {
+            row.style.cursor = 'pointer';
+            row.title = `Open ${problem.path} at line ${problem.line}`;
+            row.onmouseenter = () => { row.style.background = '#2a2d2e'; };
+            row.onmouseleave = () => { row.style.background = 'none'; };
+            row.onclick = () => _ctx.openFileAtLine(problem.path, problem.line, Math.max(0, problem.column - 1));
+        } else {
+            row.title = 'Outside the workspace';
+        }
+        view.problems.appendChild(row);
+    }
+}
+
+registerPlugin({
+    id: 'tasks',
+    name: 'Tasks',
+    components: {
+        tasksPanel: TasksPanelComponent,
+    },
+    toolbarButtons: [
+        { label: '▶', title: 'Tasks', menuLabel: 'Tasks' },
+    ],
+    init(ctx) {
+        _ctx = ctx;
+        ctx.wsClient.addMessageListener(onMessage);
+        // The server stops a client's tasks when its socket closes
+        ctx.wsClient.addConnectionListener(({ state }) => {
+            if (state === 'connected') {
+                loadTasks();
+                return;
+            }
+            for (const run of _runs) {
+                if (run.state === 'running') finishRun(run, { error: 'connection lost' });
+            }
+        });
+    },
+});
@@ -0,0 +1,164 @@
+// --- Terminal links ---
+// Clickable file:line references and URLs in terminal output, through an
+// xterm.js link provider. A path is resolved against the shell's current
+// directory, then against the workspace root; it only becomes a link if it
+// names a file inside the workspace (checked with statFile, cached briefly).
+//
+// Recognised: src/main.js:245:10, ./lib/a.ts:3, /abs/path/x.c, a.ts(12,5),
+// Makefile:12, `at fn (/abs/x.js:10:5)` stack frames (also as file:// URLs,
+// as Node prints them for ES modules) and `File "x.py", line 12`.
+
+const URL_RE = /\bhttps?:\/\/[^\s"'<>`]+/g;
+// Path (or file:// URL), then an optional :line:column or (line,column)
+const PATH_RE = /(?:^|(?<=[\s'"`(\[<=,]))(?:file:\/\/(?=\/))?((?:\.{1,2}\/|\/)?(?:[\w@.+-]+\/)*[\w@+-][\w@.+-]*)(?::(\d+)(?::(\d+))?|\((\d+)(?:,\s*(\d+))?\))?/g;
+const PYTHON_RE = /File "([^"]+)", line (\d+)/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+const MAX_CANDIDATES = 20;
+const EXISTS_TTL_MS = 5000;
+
+function looksLikePath(text) {
+    if (!/[/.]/.test(text) || /^[\d.]+$/.test(text) || /^\.+$/.test(text)) return false;
+    // "a.b" with a short extension-like tail, or anything with a directory
+    return text.includes('/') || /\.[A-Za-z][\w-]{0,9}$/.test(text);
+}
+
+/**
+ * Links in one line of terminal text, left to right.
+ * @param {string} text
+ * @returns {Array<{ type: 'url', start: number, end: number, url: string }
+ *   | { type: 'path', start: number, end: number, path: string, line: number, column: number }>}
+ *   `start`/`end` are string indexes (end exclusive); line and column are
+ *   1-based, 0 when not given.
+ */
+function findLinks(text) {
+    const links = [];
+    const taken = (start, end) => links.some(l => start < l.end && end > l.start);
+
+    for (const m of text.matchAll(URL_RE)) {
+        const url = m[0].replace(TRAILING_PUNCTUATION, '');
+        links.push({ type: 'url', start: m.index, end: m.index + url.length, url });
+    }
+    for (const m of text.matchAll(PYTHON_RE)) {
+        const start = m.index + m[0].indexOf('"') + 1;
+        if (taken(start, start + m[1].length)) continue;
+        links.push({ type: 'path', start, end: start + m[1].length, path: m[1], line: Number(m[2]), column: 0 });
+    }
+    for (const m of text.matchAll(PATH_RE)) {
+        if (!m[1]) continue;
+        // The link covers a file:// prefix too; the path is what follows it
+        const scheme = m[0].startsWith('file://') ? 'file://'.length : 0;
+        const path = m[1].replace(/[.:]+$/, '');
+        const hasPosition = path.length === m[1].length && m[0].length > scheme + m[1].length;
+        // Bare names like Makefile only count with a line number
+        if (!looksLikePath(path) && !(hasPosition && /^[A-Za-z][\w-]*$/.test(path))) continue;
+        const end = m.index + (hasPosition ? m[0].length : scheme + path.length);
+        if (taken(m.index, end)) continue;
+        links.push({
+            type: 'path',
+            start: m.index,
+            end,
+            path,
+            line: hasPosition ? Number(m[2] || m[4]) : 0,
+            column: hasPosition ? Number(m[3] || m[5] || 0) : 0,
+        });
+    }
+    return links.sort((a, b) => a.start - b.start);
+}
+
+function normalize(path) {
+    const parts = [];
+    for (const segment of path.split('/')) {
+        if (!segment || segment === '.') continue;
+        if (segment === '..') parts.pop();
+        else parts.push(segment);
+    }
+    return '/' + parts.join('/');
+}
+
+/**
+ * Workspace-relative paths a reference may mean, most likely first: against
+ * the shell's directory, then against the workspace root.
+ * @param {string} path - As printed.
+ * @param {string|null} cwd - Absolute.
+ * @param {string} workspaceRoot - Absolute.
+ */
+function candidatePaths(path, cwd, workspaceRoot) {
+    const root = normalize(workspaceRoot);
+    const absolutes = path.startsWith('/')
+        ? [normalize(path)]
+        : [cwd && normalize(cwd + '/' + path), normalize(root + '/' + path)];
+    const result = [];
+    for (const absolute of absolutes) {
+        if (!absolute || !absolute.startsWith(root + '/')) continue;
+        const relative = absolute.slice(root.length + 1);
+        if (!result.includes(relative)) result.push(relative);
+    }
+    return result;
+}
+
+/**
+ * Register the link provider on an xterm.js terminal.
+ * @param {object} terminal
+ * @param {{ getCwd: () => Promise<string|null>, getWorkspaceRoot: () => string|null,
+ *           isFile: (relativePath: string) => Promise<boolean>,
+ *           openFile: (relativePath: string, line: number, column: number) => void,
+ *           openUrl: (url: string) => void }} host
+ * @returns {{ dispose: () => void }}
+ */
+function registerTerminalLinks(terminal, host) {
+    const known = new Map(); // relativePath -> { exists, at }
+
+    async function isFile(relativePath) {
+        const cached = known.get(relativePath);
+        if (cached && Date.now() - cached.at < EXISTS_TTL_MS) return cached.exists;
+        let exists = false;
+        try {
+            exists = await host.isFile(relativePath);
+        } catch (_) { /* treated as missing */ }
+        known.set(relativePath, { exists, at: Date.now() });
+        return exists;
+    }
+
+    async function resolve(link) {
+        const root = host.getWorkspaceRoot();
+        if (!root) return null;
+        const cwd = link.path.startsWith('/') ? null : await host.getCwd();
+        for (const relativePath of candidatePaths(link.path, cwd, root)) {
+            if (await isFile(relativePath)) return relativePath;
+        }
+        return null;
+    }
+
+    function toRange(link, y) {
+        // xterm ranges are 1-based and inclusive; output here is ASCII-width
+        return { start: { x: link.start + 1, y }, end: { x: link.end, y } };
+    }
+
+    // Wrapped rows are matched one at a time: a reference broken across
+    // the terminal's edge is not a link.
+    return terminal.registerLinkProvider({
+        async provideLinks(y, callback) {
+            const row = terminal.buffer.active.getLine(y - 1);
+            const found = row ? findLinks(row.translateToString(true)) : [];
+            const links = [];
+            let paths = 0;
+            for (const link of found) {
+                if (link.type === 'url') {
+                    links.push({ range: toRange(link, y), text: link.url, activate: () => host.openUrl(link.url) });
+                    continue;
+                }
+                if (++paths > MAX_CANDIDATES) continue;
+                const relativePath = await resolve(link);
+                if (!relativePath) continue;
+                links.push({
+                    range: toRange(link, y),
+                    text: link.path,
+                    activate: () => host.openFile(relativePath, link.line, link.column),
+                });
+            }
+            callback(links.length ? links : undefined);
+        },
+    });
+}
+
+module.exports = { findLinks, candidatePaths, registerTerminalLinks };
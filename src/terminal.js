@@ -1,16 +1,31 @@
 // --- Terminal Plugin ---
+// Server PTYs outlive the page (see pty-sessions.js): the session id is kept
+// in the component state, so a restored layout attaches to its shells again
+// and replays their scrollback. "Reattach Terminal…" lists sessions no
+// window is attached to.
+//
+// What runs is a server-side profile (see EDITOR_TERM_PROFILES), picked with
+// "New Terminal with Profile…". New shells start in the open workspace, or
+// in `state.cwd` relative to it ("Open Terminal Here" in the explorer).
+//
+// file:line references and URLs in the output are links (terminal-links.js).
+// Paths resolve against the shell's directory: the last OSC 7 it sent, else
+// what the server reads from /proc (termCwd).
 const { registerPlugin } = require('./plugins');
 const { createLogger } = require('./debug');
+const { registerTerminalLinks } = require('./terminal-links');
 const log = createLogger('Terminal');
 
 const XTERM_VERSION = '5.5.0';
 const FIT_VERSION = '0.10.0';
 const IMAGE_VERSION = '0.8.0';
+const CWD_CACHE_MS = 2000;
 
 let Terminal = null;
 let FitAddon = null;
 let ImageAddon = null;
 let _initPromise = null;
+let _ctx = null;
 
 async function ensureXtermLoaded() {
     if (Terminal) return;
@@ -42,13 +57,24 @@ async function ensureXtermLoaded() {
 
 class TerminalComponent {
     constructor(container, state) {
+        this.container = container;
         this.rootElement = container.element;
         this.rootElement.style.cssText = 'background:#1e1e1e;padding:0;overflow:hidden;';
         this.wsClient = this.constructor._wsClient;
-        this.sessionId = state.sessionId || ('pty-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5));
+        this.profile = (state && state.profile) || null;
+        this.cwd = state && typeof state.cwd === 'string' ? state.cwd : null;
+        // A restored terminal tries to attach to its session before starting a new one
+        this._restored = !!(state && state.sessionId);
+        this.sessionId = this._restored ? state.sessionId : ('pty-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5));
+        if (!this._restored && container.setState) container.setState({ ...(state || {}), sessionId: this.sessionId });
+        this._updateTitle();
         this.terminal = null;
         this.fitAddon = null;
         this._msgHandler = null;
+        this._connHandler = null;
+        this._oscCwd = null; // from OSC 7
+        this._serverCwd = null; // { cwd, at } from termCwd
+        this._ptyConnected = false;
 
         this._init(container);
     }
@@ -85,6 +111,7 @@ class TerminalComponent {
         }
 
         this.terminal.open(this.rootElement);
+        this._setupLinks();
 
         // Let the terminal handle Ctrl+key combos instead of the browser
         this.terminal.attachCustomKeyEventHandler((e) => {
@@ -118,19 +145,18 @@ class TerminalComponent {
         const dims = this.fitAddon ? { cols: this.terminal.cols, rows: this.terminal.rows } : {};
 
         try {
-            const result = await this.wsClient.wsRequest({
-                type: 'termSpawn',
-                sessionId: this.sessionId,
-                ...dims,
-            });
+            if (!(this._restored && await this._attachPTY(dims))) {
+                const result = await this._spawnPTY(dims);
 
-            if (result.error) {
-                log.warn('PTY spawn failed:', result.error);
-                this._startLocalMode();
-                return;
+                if (result.error) {
+                    this.terminal.writeln(`\x1b[31m[Could not start the shell: ${result.error}]\x1b[0m`);
+                    log.warn('PTY spawn failed:', result.error);
+                    this._startLocalMode();
+                    return;
+                }
+                log.log('PTY connected:', this.sessionId);
             }
-
-            log.log('PTY connected:', this.sessionId);
+            this._ptyConnected = true;
 
             this.terminal.onData((data) => {
                 if (this.wsClient.isConnected()) {
@@ -145,8 +171,12 @@ class TerminalComponent {
                 if (msg.type === 'termExit' && msg.sessionId === this.sessionId) {
                     this.terminal.writeln('\r\n\x1b[33m[Process exited]\x1b[0m');
                 }
+                if (msg.type === 'termDetached' && msg.sessionId === this.sessionId) {
+                    this.terminal.writeln('\r\n\x1b[33m[Session attached in another window]\x1b[0m');
+                }
             };
             this.wsClient.addMessageListener(this._msgHandler);
+            this._followConnection();
 
         } catch (err) {
             log.warn('PTY connection failed:', err);
@@ -154,6 +184,107 @@ class TerminalComponent {
         }
     }
 
+    _setupLinks() {
+        // OSC 7: file://host/path, sent by shells configured to report their directory
+        this.terminal.parser.registerOscHandler(7, (data) => {
+            try {
+                const url = new URL(data);
+                if (url.protocol === 'file:') this._oscCwd = decodeURIComponent(url.pathname);
+            } catch (_) { /* not a URL */ }
+            return true;
+        });
+        registerTerminalLinks(this.terminal, {
+            getCwd: () => this._getCwd(),
+            getWorkspaceRoot: () => _ctx && _ctx.currentWorkspacePath,
+            isFile: async (relativePath) => {
+                if (!this.wsClient || !this.wsClient.isConnected()) return false;
+                return (await this.wsClient.statFile(_ctx.currentWorkspacePath, relativePath)).isFile;
+            },
+            openFile: (relativePath, line, column) => _ctx.openFileAtLine(relativePath, line, Math.max(0, column - 1)),
+            openUrl,
+        });
+    }
+
+    async _getCwd() {
+        if (this._oscCwd) return this._oscCwd;
+        if (!this._ptyConnected || !this.wsClient.isConnected()) return null;
+        const cached = this._serverCwd;
+        if (cached && Date.now() - cached.at < CWD_CACHE_MS) return cached.cwd;
+        try {
+            const result = await this.wsClient.wsRequest({ type: 'termCwd', sessionId: this.sessionId });
+            this._serverCwd = { cwd: result.error ? null : result.cwd, at: Date.now() };
+        } catch (_) {
+            this._serverCwd = { cwd: null, at: Date.now() };
+        }
+        return this._serverCwd.cwd;
+    }
+
+    // Start this panel's profile in the workspace (or `cwd` inside it)
+    async _spawnPTY(dims) {
+        const workspacePath = _ctx && _ctx.currentWorkspacePath;
+        const result = await this.wsClient.wsRequest({
+            type: 'termSpawn',
+            sessionId: this.sessionId,
+            profile: this.profile || undefined,
+            workspacePath: workspacePath || undefined,
+            cwd: workspacePath && this.cwd !== null ? this.cwd : undefined,
+            ...dims,
+        });
+        if (!result.error) {
+            this.profile = result.profile;
+            this._updateTitle();
+        }
+        return result;
+    }
+
+    _updateTitle() {
+        if (!this.profile || !this.container.setTitle) return;
+        this.container.setTitle(`Terminal: ${this.profile}${this.cwd ? ` — ${this.cwd}` : ''}`);
+    }
+
+    // Attach to an existing session and replay its scrollback. False if the
+    // server no longer has it.
+    async _attachPTY(dims, { reset = false } = {}) {
+        const result = await this.wsClient.wsRequest({ type: 'termAttach', sessionId: this.sessionId, ...dims });
+        if (result.error) {
+            log.log('PTY session gone, starting a new one:', this.sessionId, result.error);
+            return false;
+        }
+        // The replay repeats what is already on screen
+        if (reset) this.terminal.reset();
+        if (result.scrollback) this.terminal.write(result.scrollback);
+        if (result.exited) {
+            this.terminal.writeln(`\r\n\x1b[33m[Process exited with code ${result.exitCode}]\x1b[0m`);
+        }
+        log.log('PTY reattached:', this.sessionId);
+        return true;
+    }
+
+    // The shell keeps running on the server while the socket is down; attach
+    // to it again once reconnected (or start a new one if the server restarted)
+    _followConnection() {
+        let lost = false;
+        this._connHandler = async ({ state }) => {
+            if (state === 'reconnecting' && !lost) {
+                lost = true;
+                this.terminal.writeln('\r\n\x1b[33m[Connection lost, reconnecting…]\x1b[0m');
+            } else if (state === 'connected' && lost) {
+                lost = false;
+                const dims = { cols: this.terminal.cols, rows: this.terminal.rows };
+                try {
+                    if (await this._attachPTY(dims, { reset: true })) return;
+                    const result = await this._spawnPTY(dims);
+                    this.terminal.writeln(result.error
+                        ? `\r\n\x1b[31m[Could not restart the shell: ${result.error}]\x1b[0m`
+                        : '\r\n\x1b[33m[Session ended while disconnected, new shell started]\x1b[0m');
+                } catch (err) {
+                    log.warn('PTY reattach failed:', err);
+                }
+            }
+        };
+        this.wsClient.addConnectionListener(this._connHandler);
+    }
+
     _startLocalMode() {
         this.terminal.writeln('Terminal (no server connection)');
         this.terminal.writeln('Type JavaScript to evaluate:\r\n');
@@ -201,6 +332,9 @@ class TerminalComponent {
         if (this._msgHandler) {
             this.wsClient.removeMessageListener(this._msgHandler);
         }
+        if (this._connHandler) {
+            this.wsClient.removeConnectionListener(this._connHandler);
+        }
         if (this.wsClient && this.wsClient.isConnected()) {
             this.wsClient.wsRawSend({ type: 'termKill', sessionId: this.sessionId });
         }
@@ -211,6 +345,143 @@ class TerminalComponent {
     }
 }
 
+// Pages of the web preview open in the preview panel, anything else in a
+// browser tab
+function openUrl(url) {
+    if (!_ctx.openPreviewPage(url)) window.open(url, '_blank', 'noopener');
+}
+
+// Sessions no window is attached to, with a button to open each in a new
+// terminal panel
+async function showSessionPicker() {
+    const wsClient = TerminalComponent._wsClient;
+    if (!wsClient || !wsClient.isConnected()) {
+        alert('Terminal sessions need a server connection.');
+        return;
+    }
+    let sessions;
+    try {
+        const result = await wsClient.wsRequest({ type: 'termList' });
+        if (result.error) throw new Error(result.error);
+        sessions = result.sessions.filter(s => !s.attached);
+    } catch (err) {
+        alert(`Could not list terminal sessions: ${err.message}`);
+        return;
+    }
+
+    const { overlay, addRow } = showListDialog('Detached terminal sessions', sessions.length ? null : 'No detached sessions.');
+    for (const session of sessions) {
+        const status = session.exited ? `exited (${session.exitCode})` : `pid ${session.pid}`;
+        const expires = session.expiresAt ? `, closes at ${new Date(session.expiresAt).toLocaleTimeString()}` : '';
+        const row = addRow(
+            `${session.profile ? `[${session.profile}] ` : ''}${session.shell} — ${session.cwd}`,
+            `${status}, started ${new Date(session.createdAt).toLocaleString()}${expires}`,
+        );
+        const open = dialogButton('Attach', 'border:none;background:#0e639c;color:#fff;');
+        open.onclick = () => {
+            overlay.remove();
+            _ctx.openPluginPanel('terminal', 'Terminal', { sessionId: session.sessionId });
+        };
+        const kill = dialogButton('Kill', 'border:1px solid #555;background:none;color:#f88;');
+        kill.onclick = () => {
+            wsClient.wsRawSend({ type: 'termKill', sessionId: session.sessionId });
+            row.remove();
+        };
+        row.append(open, kill);
+    }
+}
+
+// The server's terminal profiles, each opening a new terminal panel
+async function showProfilePicker() {
+    const wsClient = TerminalComponent._wsClient;
+    if (!wsClient || !wsClient.isConnected()) {
+        alert('Terminal profiles need a server connection.');
+        return;
+    }
+    let profiles;
+    try {
+        const result = await wsClient.wsRequest({ type: 'termProfiles' });
+        if (result.error) throw new Error(result.error);
+        profiles = result.profiles;
+    } catch (err) {
+        alert(`Could not list terminal profiles: ${err.message}`);
+        return;
+    }
+
+    const where = _ctx.currentWorkspacePath ? 'the workspace' : 'the home directory';
+    const { overlay, addRow } = showListDialog('New terminal with profile');
+    for (const profile of profiles) {
+        const row = addRow(profile.name, `${[profile.shell, ...profile.args].join(' ')} — in ${profile.cwd || where}`);
+        const open = dialogButton('Open', 'border:none;background:#0e639c;color:#fff;');
+        open.onclick = () => {
+            overlay.remove();
+            openTerminal({ profile: profile.name });
+        };
+        row.append(open);
+    }
+}
+
+/**
+ * Open a terminal panel.
+ * @param {{ profile?: string, cwd?: string }} [options] - `cwd` is relative
+ *   to the workspace; omitted, the profile's directory (or the root) is used.
+ */
+function openTerminal(options = {}) {
+    _ctx.openPluginPanel('terminal', 'Terminal', { ...options });
+}
+
+function dialogButton(label, css) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = 'padding:3px 10px;border-radius:3px;cursor:pointer;' + css;
+    return button;
+}
+
+// Modal list with a title and a Close button. addRow(main, detail) returns
+// the row element, for the caller to append its buttons to.
+function showListDialog(titleText, emptyText) {
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.5);z-index:10000;display:flex;align-items:center;justify-content:center;';
+    const dialog = document.createElement('div');
+    dialog.style.cssText = 'background:#252526;color:#ddd;border:1px solid #444;border-radius:6px;padding:12px;min-width:360px;max-width:560px;max-height:70vh;overflow:auto;font-size:13px;box-shadow:0 4px 20px rgba(0,0,0,0.5);';
+    const title = document.createElement('div');
+    title.textContent = titleText;
+    title.style.cssText = 'font-weight:bold;margin-bottom:8px;';
+    dialog.appendChild(title);
+
+    if (emptyText) {
+        const empty = document.createElement('div');
+        empty.textContent = emptyText;
+        empty.style.color = '#888';
+        dialog.appendChild(empty);
+    }
+    const rows = document.createElement('div');
+    dialog.appendChild(rows);
+
+    const close = document.createElement('button');
+    close.textContent = 'Close';
+    close.style.cssText = 'margin-top:10px;padding:4px 14px;border:1px solid #555;border-radius:3px;background:none;color:#ddd;cursor:pointer;float:right;';
+    close.onclick = () => overlay.remove();
+    dialog.appendChild(close);
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    function addRow(main, detail) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display:flex;align-items:center;gap:8px;padding:6px 4px;border-top:1px solid #333;';
+        const info = document.createElement('div');
+        info.style.cssText = 'flex:1;min-width:0;';
+        info.innerHTML = '<div style="font-family:monospace;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;"></div><div style="color:#888;font-size:11px;"></div>';
+        info.firstChild.textContent = main;
+        info.lastChild.textContent = detail;
+        row.appendChild(info);
+        rows.appendChild(row);
+        return row;
+    }
+    return { overlay, addRow };
+}
+
 // Register as plugin
 registerPlugin({
     id: 'terminal',
@@ -220,9 +491,14 @@ registerPlugin({
     },
     toolbarButtons: [
         { label: '>_', title: 'Open Terminal', style: 'font-family:monospace;font-weight:bold;' },
+        { label: '+_', title: 'New Terminal with Profile…', menuLabel: 'Terminal — New with Profile…', style: 'font-family:monospace;', onclick: showProfilePicker },
+        { label: '⟲', title: 'Reattach Terminal…', menuLabel: 'Terminal — Reattach Session…', onclick: showSessionPicker },
     ],
     init(ctx) {
+        _ctx = ctx;
         // Inject wsClient into the component class so constructor can access it
         TerminalComponent._wsClient = ctx.wsClient;
     },
 });
+
+module.exports = { openTerminal };
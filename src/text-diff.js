@@ -0,0 +1,181 @@
+// --- Line Diff / Three-Way Merge ---
+// Myers line diff plus a diff3-style merge used to reconcile external disk
+// changes with unsaved buffer edits.
+//
+// diffLines(a, b) -> [{ aStart, aLen, bStart, bLen }]  (changed regions only)
+// merge3(base, mine, theirs) -> { clean, text, conflicts }
+
+// Past this many edit steps we stop searching for a minimal script and treat
+// the whole differing middle as one replaced region.
+const MAX_EDIT_DISTANCE = 4000;
+
+function splitLines(text) {
+    return (text || '').split('\n');
+}
+
+function myersOps(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        if (d > MAX_EDIT_DISTANCE) return null;
+        // Snapshot only the diagonals the backtrack for this round can read
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) return backtrack(trace, n, m);
+        }
+    }
+    return backtrack(trace, n, m);
+}
+
+function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snap = trace[d];
+        const at = (k) => snap[k + d + 1];
+        const k = x - y;
+        let prevK;
+        if (k === -d || (k !== d && at(k - 1) < at(k + 1))) prevK = k + 1;
+        else prevK = k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = d === 0 ? 0 : prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push('=');
+            x--; y--;
+        }
+        if (d > 0) {
+            ops.push(x === prevX ? '+' : '-');
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Diff two arrays of lines (or two strings, split on '\n').
+ * Returns the changed regions in order; unchanged lines are implied between them.
+ */
+function diffLines(a, b) {
+    if (typeof a === 'string') a = splitLines(a);
+    if (typeof b === 'string') b = splitLines(b);
+
+    // Trim the common prefix/suffix so Myers only sees the interesting middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    if (midA.length === 0 && midB.length === 0) return [];
+
+    const ops = myersOps(midA, midB);
+    if (!ops) {
+        return [{ aStart: start, aLen: midA.length, bStart: start, bLen: midB.length }];
+    }
+
+    const hunks = [];
+    let x = 0;
+    let y = 0;
+    let current = null;
+    for (const op of ops) {
+        if (op === '=') {
+            if (current) { hunks.push(current); current = null; }
+            x++; y++;
+            continue;
+        }
+        if (!current) current = { aStart: start + x, aLen: 0, bStart: start + y, bLen: 0 };
+        if (op === '-') { current.aLen++; x++; }
+        else { current.bLen++; y++; }
+    }
+    if (current) hunks.push(current);
+    return hunks;
+}
+
+/**
+ * Three-way merge of line-based text. Changes from `mine` and `theirs`
+ * (both relative to `base`) are combined when they touch disjoint regions.
+ * Overlapping edits that differ are conflicts; `text` then carries
+ * git-style conflict markers so callers can still show something useful.
+ */
+function merge3(base, mine, theirs) {
+    const baseLines = splitLines(base);
+    const mineLines = splitLines(mine);
+    const theirLines = splitLines(theirs);
+
+    const changes = [
+        ...diffLines(baseLines, mineLines).map(h => ({ ...h, side: 'mine' })),
+        ...diffLines(baseLines, theirLines).map(h => ({ ...h, side: 'theirs' })),
+    ].sort((p, q) => p.aStart - q.aStart || p.aLen - q.aLen);
+
+    const out = [];
+    let conflicts = 0;
+    let basePos = 0;
+    // Running (side line - base line) offsets outside the current group
+    const delta = { mine: 0, theirs: 0 };
+
+    let i = 0;
+    while (i < changes.length) {
+        // Group hunks whose base ranges overlap or touch
+        let gStart = changes[i].aStart;
+        let gEnd = changes[i].aStart + changes[i].aLen;
+        const group = [changes[i]];
+        i++;
+        while (i < changes.length && changes[i].aStart <= gEnd) {
+            gEnd = Math.max(gEnd, changes[i].aStart + changes[i].aLen);
+            group.push(changes[i]);
+            i++;
+        }
+
+        for (let l = basePos; l < gStart; l++) out.push(baseLines[l]);
+
+        const groupDelta = { mine: 0, theirs: 0 };
+        for (const h of group) groupDelta[h.side] += h.bLen - h.aLen;
+
+        const sideText = (side, lines) => lines.slice(
+            gStart + delta[side],
+            gEnd + delta[side] + groupDelta[side]
+        );
+        const mineChunk = sideText('mine', mineLines);
+        const theirChunk = sideText('theirs', theirLines);
+        const touchedMine = group.some(h => h.side === 'mine');
+        const touchedTheirs = group.some(h => h.side === 'theirs');
+
+        if (touchedMine && !touchedTheirs) {
+            out.push(...mineChunk);
+        } else if (touchedTheirs && !touchedMine) {
+            out.push(...theirChunk);
+        } else if (mineChunk.join('\n') === theirChunk.join('\n')) {
+            out.push(...mineChunk);
+        } else {
+            conflicts++;
+            out.push('<<<<<<< mine', ...mineChunk, '=======', ...theirChunk, '>>>>>>> theirs');
+        }
+
+        delta.mine += groupDelta.mine;
+        delta.theirs += groupDelta.theirs;
+        basePos = gEnd;
+    }
+    for (let l = basePos; l < baseLines.length; l++) out.push(baseLines[l]);
+
+    return { clean: conflicts === 0, text: out.join('\n'), conflicts };
+}
+
+module.exports = { diffLines, merge3, splitLines };
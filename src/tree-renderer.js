@@ -3,9 +3,11 @@
 // Used by both the project file explorer and the workspace directory browser.
 //
 // Options:
-//   items:       Array of { name, type: 'directory'|'file', collapsed?, children?, ... }
+//   items:       Array of { name, type: 'directory'|'file', collapsed?, children?, ignored?, ... }
+//                (ignored items are drawn greyed out)
 //   container:   DOM element (ul) to render into
 //   depth:       Current nesting depth (for indentation)
+//   pathPrefix:  Relative path of `items`' parent, '' or ending in '/'
 //   onToggleDir(item, expanded): Called when a directory is toggled
 //   onClickDir(item, li):        Called when a directory row is clicked (after toggle)
 //   onClickFile(item, li):       Called when a file row is clicked
@@ -14,18 +16,31 @@
 //   renderFileExtras(item, li):  Called to append extra elements to file rows (dirty dots, hover actions)
 //   renderDirExtras(item, li):   Called to append extra elements to dir rows
 //   getFileIcon(fileName):       Returns icon string for a file (default: 📄)
+//   getBadge(item, relPath):     Returns { text, color, title? } to badge a row (e.g. git status), or null
 //   fileIdAttr:                  If set, nameSpan gets data-file-id attribute
 //   activeFileId:                Highlight this file as active
 //   darkMode:                    true for dark theme (default), false for light
 
 function renderTree(opts) {
     const {
-        items, container, depth = 0,
+        items, container, depth = 0, pathPrefix = '',
         onToggleDir, onClickDir, onClickFile, onDblClickFile,
         onContextMenu, renderFileExtras, renderDirExtras,
-        getFileIcon, activeFileId, darkMode = true,
+        getFileIcon, getBadge, activeFileId, darkMode = true,
     } = opts;
 
+    // Status letter at the end of the row; the name takes the badge colour
+    function appendBadge(item, li, nameSpan) {
+        const badge = getBadge && getBadge(item, pathPrefix + item.name);
+        if (!badge) return;
+        nameSpan.style.color = badge.color;
+        const el = document.createElement('span');
+        el.textContent = badge.text;
+        el.title = badge.title || '';
+        el.style.cssText = `color:${badge.color};font-size:10px;font-weight:bold;margin-left:4px;flex-shrink:0;`;
+        li.appendChild(el);
+    }
+
     const hoverBg = darkMode ? 'rgba(255,255,255,0.08)' : '#f0f0f0';
 
     items.forEach(item => {
@@ -33,6 +48,7 @@ function renderTree(opts) {
         li.style.cssText = `padding:2px 4px;padding-left:${depth * 16 + 8}px;display:flex;align-items:center;user-select:none;border-radius:3px;cursor:pointer;`;
         li.onmouseenter = () => { if (!li.classList.contains('active-file') && !li.classList.contains('selected-dir')) li.style.background = hoverBg; };
         li.onmouseleave = () => { if (!li.classList.contains('active-file') && !li.classList.contains('selected-dir')) li.style.background = ''; };
+        if (item.ignored) li.style.opacity = '0.5';
 
         if (item.type === 'directory') {
             const collapsed = item.collapsed !== false; // default collapsed for items without the property
@@ -76,6 +92,7 @@ function renderTree(opts) {
             li.appendChild(toggle);
             li.appendChild(icon);
             li.appendChild(nameSpan);
+            appendBadge(item, li, nameSpan);
             if (renderDirExtras) renderDirExtras(item, li);
             container.appendChild(li);
 
@@ -89,6 +106,7 @@ function renderTree(opts) {
                     items: item.children,
                     container: childUl,
                     depth: depth + 1,
+                    pathPrefix: pathPrefix + item.name + '/',
                 });
             }
             container.appendChild(childUl);
@@ -124,6 +142,7 @@ function renderTree(opts) {
 
             li.appendChild(icon);
             li.appendChild(nameSpan);
+            appendBadge(item, li, nameSpan);
             if (renderFileExtras) renderFileExtras(item, li);
             if (item.id) li.setAttribute('data-tree-file-id', item.id);
             container.appendChild(li);
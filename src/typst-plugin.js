@@ -50,4 +50,14 @@ registerPlugin({
     id: 'typst',
     name: 'Typst',
     defaultFiles: [defaultTypstFile],
+    init(ctx) {
+        // The compiler mounts files at their project paths and fetches
+        // images/fonts from the workspace on demand
+        typstHandler.setContext(ctx);
+        ctx.wsClient.addMessageListener((msg) => {
+            if (msg.type === 'fsChanges') {
+                typstHandler.invalidateAssets(msg.changes.map(c => c.path.replace(/\\/g, '/')));
+            }
+        });
+    },
 });
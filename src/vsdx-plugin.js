@@ -462,14 +462,25 @@ class VsdxViewerComponent {
             this.buffer = await libs.saveVsdxLayerPermissions(this.buffer, this.pages);
             if (this.ctx && this.fileId && this.ctx.currentWorkspacePath && this.ctx.wsClient && this.ctx.wsClient.isConnected()) {
                 const relativePath = this.ctx.getRelativePath(this.fileId);
-                const result = await this.ctx.wsClient.wsRequest({
+                const fileData = this.ctx.projectFiles[this.fileId] || {};
+                const request = {
                     type: 'saveFile',
                     workspacePath: this.ctx.currentWorkspacePath,
                     relativePath,
                     content: bytesToBase64(this.buffer),
                     encoding: 'base64',
-                });
+                    expectedMtimeMs: fileData.diskMtimeMs,
+                };
+                let result = await this.ctx.wsClient.wsRequest(request);
+                if (result && result.code === 'conflict') {
+                    if (!confirm(`${this.fileName || relativePath} changed on disk since it was opened. Overwrite it anyway?`)) {
+                        throw new Error('File changed on disk');
+                    }
+                    delete request.expectedMtimeMs;
+                    result = await this.ctx.wsClient.wsRequest(request);
+                }
                 if (!result || !result.success) throw new Error((result && result.error) || 'Save failed');
+                if (typeof result.mtimeMs === 'number') fileData.diskMtimeMs = result.mtimeMs;
                 this.dirty = false;
                 if (this.ctx.clearDirty) this.ctx.clearDirty(this.fileId);
             } else {
@@ -7,6 +7,29 @@ const warn = logger.warn.bind(logger);
 
 let ws = null;
 let wsReady = null;
+// Token identity from serverConfig: { name, scopes }
+let authInfo = null;
+let _resolveAuth;
+const authReady = new Promise((resolve) => { _resolveAuth = resolve; });
+// Directories the server lets us open (see roots.js on the server)
+let serverRoots = [];
+// Our id in the server's client registry (targets for RPC requests)
+let clientId = null;
+
+// --- Connection state ---
+// 'connecting' (first attempt), 'connected', 'reconnecting' (the socket
+// dropped; retrying with exponential backoff) or 'offline' (no server at
+// startup, the app runs standalone and does not retry).
+let connectionState = 'connecting';
+let _wsUrl = null;
+let _reconnectTimer = null;
+let _reconnectAttempt = 0;
+let _nextRetryAt = null;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const _connectionListeners = new Set();
+// Run after a reconnect, before queued requests go out (see onReconnect)
+const _reconnectHooks = [];
 
 function connectWebSocket(url) {
     return new Promise((resolve) => {
@@ -26,7 +49,10 @@ function connectWebSocket(url) {
             };
             socket.onclose = (e) => {
                 log('Disconnected', e.code, e.reason);
+                if (ws !== socket) return; // never opened
                 ws = null;
+                _failPending('WebSocket connection lost');
+                _scheduleReconnect();
             };
             socket.onerror = (e) => {
                 warn('Connection error', e);
@@ -52,27 +78,156 @@ function connectWebSocket(url) {
         wsUrl = `${proto}//${window.location.host}/ws`;
     }
 
+    _wsUrl = wsUrl;
     wsReady = connectWebSocket(wsUrl);
+    // A dropped network is worth a retry as soon as it is back
+    window.addEventListener('online', reconnectNow);
 })();
 
+function _setConnectionState(state) {
+    connectionState = state;
+    const info = getConnectionInfo();
+    for (const fn of _connectionListeners) {
+        try { fn(info); } catch (_) {}
+    }
+}
+
+function _scheduleReconnect() {
+    clearTimeout(_reconnectTimer);
+    // 1s, 2s, 4s … capped at 30s, with some jitter so restarted servers
+    // aren't hit by every tab at once
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** _reconnectAttempt) * (0.8 + Math.random() * 0.4);
+    _reconnectAttempt++;
+    _nextRetryAt = Date.now() + delay;
+    _reconnectTimer = setTimeout(_reconnect, delay);
+    _setConnectionState('reconnecting');
+}
+
+async function _reconnect() {
+    clearTimeout(_reconnectTimer);
+    _reconnectTimer = null;
+    _nextRetryAt = null;
+    const socket = await connectWebSocket(_wsUrl);
+    if (!socket) {
+        _scheduleReconnect();
+        return;
+    }
+    log('Reconnected after', _reconnectAttempt, 'attempt(s)');
+    _reconnectAttempt = 0;
+    wsReady = Promise.resolve(socket);
+    _onConnected(socket);
+    for (const hook of _reconnectHooks) {
+        try {
+            await hook();
+        } catch (err) {
+            warn('Reconnect hook failed:', err);
+        }
+    }
+    _flushQueue();
+}
+
+// Retry now instead of waiting for the backoff timer
+function reconnectNow() {
+    if (connectionState !== 'reconnecting' || !_reconnectTimer) return;
+    _reconnect();
+}
+
+/**
+ * @returns {{ state: string, nextRetryAt: number|null, queued: number }}
+ */
+function getConnectionInfo() {
+    return { state: connectionState, nextRetryAt: _nextRetryAt, queued: _offlineQueue.length };
+}
+
+function getConnectionState() {
+    return connectionState;
+}
+
+// fn(getConnectionInfo()) on every state change
+function addConnectionListener(fn) { _connectionListeners.add(fn); }
+function removeConnectionListener(fn) { _connectionListeners.delete(fn); }
+
+// fn() runs after each reconnect, before queued saves are sent. The server
+// has forgotten this client by then (workspace, watchers), so this is where
+// that state is set up again.
+function onReconnect(fn) {
+    _reconnectHooks.push(fn);
+}
+
 // --- Request/response handling ---
 let _wsMsgId = 0;
-const _wsPendingCallbacks = {};
+const _wsPendingCallbacks = {}; // id -> { resolve, reject, type }
+
+// Requests that may still be sent late: while reconnecting they wait in
+// _offlineQueue (latest save per file wins) and go out once the socket is back
+const QUEUED_TYPES = new Set(['saveFile']);
+const _offlineQueue = []; // { key, msg, callbacks: [{ resolve, reject }] }
 
 function wsRequest(msg) {
     return new Promise((resolve, reject) => {
         if (!ws || ws.readyState !== WebSocket.OPEN) {
+            if (connectionState === 'reconnecting' && QUEUED_TYPES.has(msg.type)) {
+                _enqueue(msg, { resolve, reject });
+                return;
+            }
             reject(new Error('WebSocket not connected'));
             return;
         }
+        // Connected again, but the reconnect hooks are still running: an
+        // older save of the same file is waiting. Take its place, or it
+        // would reach the server after this one and look like a conflict.
+        if (QUEUED_TYPES.has(msg.type) && _offlineQueue.some(e => e.key === _queueKey(msg))) {
+            _enqueue(msg, { resolve, reject });
+            return;
+        }
         const id = ++_wsMsgId;
         msg.id = id;
         log('Sending', msg.type, 'id=' + id);
-        _wsPendingCallbacks[id] = resolve;
+        _wsPendingCallbacks[id] = { resolve, reject, type: msg.type };
         ws.send(JSON.stringify(msg));
     });
 }
 
+// Requests sent on a socket that closed will never be answered
+function _failPending(reason) {
+    for (const id of Object.keys(_wsPendingCallbacks)) {
+        const { reject, type } = _wsPendingCallbacks[id];
+        delete _wsPendingCallbacks[id];
+        const err = new Error(`${reason} before ${type} (id=${id}) was answered`);
+        err.code = 'disconnected';
+        reject(err);
+    }
+}
+
+function _queueKey(msg) {
+    return `${msg.type}:${msg.workspacePath || ''}:${msg.relativePath || ''}`;
+}
+
+function _enqueue(msg, callback) {
+    const key = _queueKey(msg);
+    const entry = _offlineQueue.find(e => e.key === key);
+    if (entry) {
+        entry.msg = msg;
+        entry.callbacks.push(callback);
+    } else {
+        _offlineQueue.push({ key, msg, callbacks: [callback] });
+    }
+    log('Queued', msg.type, msg.relativePath || '', 'until reconnected');
+    _setConnectionState(connectionState);
+}
+
+function _flushQueue() {
+    const entries = _offlineQueue.splice(0);
+    if (entries.length) log('Sending', entries.length, 'queued request(s)');
+    for (const { msg, callbacks } of entries) {
+        wsRequest(msg).then(
+            result => callbacks.forEach(c => c.resolve(result)),
+            err => callbacks.forEach(c => c.reject(err)),
+        );
+    }
+    _setConnectionState('connected');
+}
+
 // Generic message listeners (for terminal, etc.)
 const _messageListeners = new Set();
 
@@ -141,7 +296,11 @@ function _setupWsResponseHandler(socket) {
             const msg = JSON.parse(event.data);
             if (msg.type === 'serverConfig') {
                 if (msg.debug) setEnabled(true);
-                log('Server config received, debug:', msg.debug);
+                authInfo = msg.auth || null;
+                serverRoots = msg.roots || [];
+                clientId = msg.clientId || null;
+                _resolveAuth(authInfo);
+                log('Server config received, debug:', msg.debug, 'auth:', authInfo && authInfo.name);
                 return;
             }
             // Don't log noisy terminal data
@@ -149,7 +308,7 @@ function _setupWsResponseHandler(socket) {
                 log('Received', msg.type || '(no type)', 'id=' + (msg.id || 'none'));
             }
             if (msg.id && _wsPendingCallbacks[msg.id]) {
-                _wsPendingCallbacks[msg.id](msg);
+                _wsPendingCallbacks[msg.id].resolve(msg);
                 delete _wsPendingCallbacks[msg.id];
             }
             // Notify generic listeners
@@ -160,7 +319,41 @@ function _setupWsResponseHandler(socket) {
     });
 }
 
-wsReady.then(socket => { if (socket) _setupWsResponseHandler(socket); });
+function _onConnected(socket) {
+    _setupWsResponseHandler(socket);
+    // Register as an editor tab, so RPC requests without a target come to
+    // the tab that was focused last
+    wsRawSend({ type: 'register', role: 'browser', userAgent: navigator.userAgent, focused: document.hasFocus() });
+    _setConnectionState('connected');
+}
+
+wsReady.then(socket => {
+    if (!socket) {
+        _resolveAuth(null);
+        _setConnectionState('offline');
+        return;
+    }
+    _onConnected(socket);
+    window.addEventListener('focus', () => wsRawSend({ type: 'clientFocus' }));
+});
+
+// --- Ignored entries (localStorage) ---
+// Whether workspace listings include paths matched by .gitignore/.editorignore
+// (flagged `ignored` and shown greyed out) instead of leaving them out.
+
+const SHOW_IGNORED_KEY = 'gl-show-ignored';
+
+function getShowIgnored() {
+    try {
+        return localStorage.getItem(SHOW_IGNORED_KEY) === '1';
+    } catch (_) {
+        return false;
+    }
+}
+
+function setShowIgnored(value) {
+    localStorage.setItem(SHOW_IGNORED_KEY, value ? '1' : '0');
+}
 
 // --- Workspace history (localStorage) ---
 
@@ -296,12 +489,23 @@ function showWorkspaceSelector(onOpen) {
             });
         }
 
-        if (history.favorites.length === 0 && history.recent.length === 0) {
+        if (serverRoots.length > 0) {
+            const rootHeader = document.createElement('div');
+            rootHeader.textContent = 'Allowed Roots';
+            rootHeader.style.cssText = 'padding:6px 16px;font-size:12px;font-weight:bold;color:#999;text-transform:uppercase;margin-top:8px;';
+            listContainer.appendChild(rootHeader);
+
+            serverRoots.forEach(p => {
+                listContainer.appendChild(_makeHistoryRow(p, false, false));
+            });
+        }
+
+        if (history.favorites.length === 0 && history.recent.length === 0 && serverRoots.length === 0) {
             listContainer.innerHTML = '<div style="padding:16px;color:#999;text-align:center;">No recent workspaces. Browse to a directory above.</div>';
         }
     }
 
-    function _makeHistoryRow(dirPath, isFav) {
+    function _makeHistoryRow(dirPath, isFav, removable = true) {
         const row = document.createElement('div');
         row.style.cssText = 'padding:6px 16px;cursor:pointer;font-family:monospace;font-size:13px;display:flex;align-items:center;gap:8px;';
         row.onmouseenter = () => row.style.background = '#f0f0f0';
@@ -334,13 +538,13 @@ function showWorkspaceSelector(onOpen) {
 
         row.appendChild(star);
         row.appendChild(pathSpan);
-        row.appendChild(removeBtn);
+        if (removable) row.appendChild(removeBtn);
         return row;
     }
 
     async function loadDirItems(dirPath) {
         const result = await wsRequest({ type: 'listDir', path: dirPath });
-        if (result.error) return [];
+        if (result.error) return { error: result.error };
         // Convert listDir items to tree-renderer format (dirs only, files as count)
         const dirs = result.items.filter(i => i.isDirectory).map(i => ({
             name: i.name,
@@ -399,7 +603,8 @@ function showWorkspaceSelector(onOpen) {
         try {
             const data = await loadDirItems(dirPath);
             if (!data.resolvedPath) {
-                listContainer.innerHTML = '<div style="padding:16px;color:red;">Failed to load directory</div>';
+                listContainer.innerHTML = '<div style="padding:16px;color:red;"></div>';
+                listContainer.firstChild.textContent = data.error || 'Failed to load directory';
                 return;
             }
             currentDir = data.resolvedPath;
@@ -453,7 +658,7 @@ function showWorkspaceSelector(onOpen) {
         openBtn.disabled = true;
         openBtn.textContent = 'Loading...';
         try {
-            const result = await wsRequest({ type: 'openWorkspace', path: currentDir });
+            const result = await wsRequest({ type: 'openWorkspace', path: currentDir, lazy: true, includeIgnored: getShowIgnored() });
             log('Workspace loaded:', result.path, result.children ? result.children.length + ' entries' : 'error: ' + result.error);
             addRecentWorkspace(currentDir);
             overlay.remove();
@@ -472,10 +677,13 @@ function showWorkspaceSelector(onOpen) {
 
 // --- Send preview files via WS ---
 
-async function sendPreviewFiles(files) {
-    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+// files: { relativePath: content }. Paths not in `files` are served from
+// workspacePath on disk. False when the preview has to go another way
+// (offline, or a token without 'edit').
+async function sendPreviewFiles(files, workspacePath) {
+    if (!ws || ws.readyState !== WebSocket.OPEN || !hasScope('edit')) return false;
     log('Sending preview files:', Object.keys(files).length, 'files');
-    await wsRequest({ type: 'updateFiles', files });
+    await wsRequest({ type: 'updateFiles', files, workspacePath: workspacePath || undefined });
     return true;
 }
 
@@ -483,15 +691,41 @@ function isConnected() {
     return ws && ws.readyState === WebSocket.OPEN;
 }
 
+function getClientId() {
+    return clientId;
+}
+
+function getAuth() {
+    return authInfo;
+}
+
+// Whether the connection's token carries a scope ('read', 'edit', 'terminal', 'rpc-eval')
+function hasScope(scope) {
+    return !!authInfo && authInfo.scopes.includes(scope);
+}
+
 module.exports = {
     get wsReady() { return wsReady; },
+    // Resolves to getAuth() once the server has said who we are (null offline)
+    authReady,
     wsRequest,
     wsRawSend,
     readFileRange,
     statFile,
+    getShowIgnored,
+    setShowIgnored,
     showWorkspaceSelector,
     sendPreviewFiles,
     isConnected,
+    getConnectionState,
+    getConnectionInfo,
+    addConnectionListener,
+    removeConnectionListener,
+    onReconnect,
+    reconnectNow,
+    getAuth,
+    hasScope,
+    getClientId,
     addMessageListener,
     removeMessageListener,
 };
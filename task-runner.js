@@ -0,0 +1,210 @@
+// --- Task runner ---
+// Runs the commands a workspace defines in `.editortasks.json` and streams
+// their output. Output lines that match a task's problem matcher become
+// problems (file, line, column, severity, message); their paths are made
+// workspace-relative so the client can open them.
+//
+//   { "tasks": [{ "name": "build", "command": "npm run build", "cwd": "web",
+//                 "env": { "NODE_ENV": "production" }, "problemMatcher": "gcc" }] }
+//
+// `problemMatcher` is a built-in name, or an object (or array of objects)
+// { regexp, file, line, column?, severity?, message } whose numbers are
+// capture groups of `regexp`.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const roots = require('./roots');
+
+const TASKS_FILE = '.editortasks.json';
+const MAX_PROBLEMS = 1000;
+const MAX_LINE_LENGTH = 8192;
+const ANSI_RE = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+const BUILTIN_MATCHERS = {
+  // src/app.c:12:5: error: message (gcc, clang, go vet, many linters)
+  gcc: { regexp: '^(.+?):(\\d+):(\\d+):\\s+(?:fatal\\s+)?(error|warning|note|info):\\s+(.*)$', file: 1, line: 2, column: 3, severity: 4, message: 5 },
+  // src/app.ts(12,5): error TS2322: message
+  tsc: { regexp: '^(.+?)\\((\\d+),(\\d+)\\):\\s+(error|warning)\\s+(?:TS\\d+:\\s+)?(.*)$', file: 1, line: 2, column: 3, severity: 4, message: 5 },
+  // src/app.js:12:5: message (eslint --format unix, node stack-less errors)
+  unix: { regexp: '^([^\\s:]+):(\\d+):(\\d+):\\s+(.*)$', file: 1, line: 2, column: 3, message: 4 },
+};
+
+class TaskError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function compileMatcher(spec, taskName) {
+  if (typeof spec === 'string') {
+    if (!BUILTIN_MATCHERS[spec]) throw new TaskError(`Task "${taskName}": unknown problem matcher "${spec}"`, 'EINVAL');
+    spec = BUILTIN_MATCHERS[spec];
+  }
+  if (!spec || typeof spec.regexp !== 'string' || !spec.file || !spec.line) {
+    throw new TaskError(`Task "${taskName}": a problem matcher needs "regexp", "file" and "line"`, 'EINVAL');
+  }
+  let re;
+  try {
+    re = new RegExp(spec.regexp);
+  } catch (err) {
+    throw new TaskError(`Task "${taskName}": ${err.message}`, 'EINVAL');
+  }
+  return { re, file: spec.file, line: spec.line, column: spec.column, severity: spec.severity, message: spec.message };
+}
+
+function normalizeTask(entry, index) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name) throw new TaskError(`Task ${index}: "name" is required`, 'EINVAL');
+  if (typeof entry.command !== 'string' || !entry.command) throw new TaskError(`Task "${entry.name}": "command" is required`, 'EINVAL');
+  if (entry.env !== undefined && (typeof entry.env !== 'object' || Array.isArray(entry.env))) {
+    throw new TaskError(`Task "${entry.name}": "env" must be an object`, 'EINVAL');
+  }
+  const specs = entry.problemMatcher === undefined ? [] : [].concat(entry.problemMatcher);
+  return {
+    name: entry.name,
+    command: entry.command,
+    cwd: typeof entry.cwd === 'string' ? entry.cwd : '',
+    env: entry.env || {},
+    matchers: specs.map(spec => compileMatcher(spec, entry.name)),
+  };
+}
+
+/**
+ * Read a workspace's task definitions; none if it has no tasks file.
+ * @returns {Promise<object[]>}
+ */
+async function loadTasks(workspaceRoot) {
+  let text;
+  try {
+    text = await fs.promises.readFile(path.join(workspaceRoot, TASKS_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new TaskError(`${TASKS_FILE}: ${err.message}`, 'EINVAL');
+  }
+  if (!data || !Array.isArray(data.tasks)) throw new TaskError(`${TASKS_FILE}: expected { "tasks": [...] }`, 'EINVAL');
+  const tasks = data.tasks.map(normalizeTask);
+  const names = new Set();
+  for (const task of tasks) {
+    if (names.has(task.name)) throw new TaskError(`${TASKS_FILE}: duplicate task "${task.name}"`, 'EINVAL');
+    names.add(task.name);
+  }
+  return tasks;
+}
+
+// What the client gets to see of a task
+function describeTask(task) {
+  return { name: task.name, command: task.command, cwd: task.cwd, hasProblemMatcher: task.matchers.length > 0 };
+}
+
+function taskCwd(workspaceRoot, task) {
+  const cwd = path.resolve(workspaceRoot, task.cwd);
+  if (cwd !== workspaceRoot && !cwd.startsWith(workspaceRoot + path.sep)) {
+    throw new TaskError(`Task "${task.name}": cwd is outside the workspace`, 'EINVAL');
+  }
+  roots.assertAllowed(cwd, 'task directory');
+  return cwd;
+}
+
+function taskEnv(task) {
+  const env = { ...process.env };
+  for (const [key, value] of Object.entries(task.env)) {
+    if (value === null) delete env[key];
+    else env[key] = String(value);
+  }
+  return env;
+}
+
+const SEVERITIES = { error: 'error', fatal: 'error', warning: 'warning', warn: 'warning', note: 'info', info: 'info' };
+
+function matchProblem(task, line, workspaceRoot, cwd) {
+  const text = line.replace(ANSI_RE, '');
+  for (const matcher of task.matchers) {
+    const m = matcher.re.exec(text);
+    if (!m || !m[matcher.file]) continue;
+    const file = path.resolve(cwd, m[matcher.file].trim());
+    const relative = path.relative(workspaceRoot, file);
+    const inside = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    return {
+      path: inside ? relative.split(path.sep).join('/') : null,
+      file,
+      line: Number(m[matcher.line]) || 1,
+      column: matcher.column ? Number(m[matcher.column]) || 1 : 1,
+      severity: SEVERITIES[String(matcher.severity ? m[matcher.severity] : '').toLowerCase()] || 'error',
+      message: matcher.message ? (m[matcher.message] || '').trim() : text.trim(),
+    };
+  }
+  return null;
+}
+
+/**
+ * Start a task. Output arrives in chunks as it is written; problems as soon
+ * as their line is complete.
+ * @param {string} workspaceRoot - Absolute, resolved workspace path.
+ * @param {object} task - From loadTasks().
+ * @param {{ onOutput: (data: string) => void, onProblem: (problem: object) => void,
+ *           onExit: (result: { exitCode: number|null, signal: string|null, duration: number, error?: string }) => void }} handlers
+ * @returns {{ pid: number, startedAt: number, stop: () => void }}
+ */
+function runTask(workspaceRoot, task, { onOutput, onProblem, onExit }) {
+  const cwd = taskCwd(workspaceRoot, task);
+  const startedAt = Date.now();
+  // Its own process group, so stop() also ends what the shell started
+  const child = spawn(task.command, [], {
+    cwd, env: taskEnv(task), shell: true, detached: true, stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let problems = 0;
+  let finished = false;
+  const partial = { stdout: '', stderr: '' };
+
+  const scanLine = (line) => {
+    if (problems >= MAX_PROBLEMS || !task.matchers.length) return;
+    const problem = matchProblem(task, line, workspaceRoot, cwd);
+    if (problem) {
+      problems++;
+      onProblem(problem);
+    }
+  };
+
+  const read = (stream) => (data) => {
+    onOutput(data);
+    const lines = (partial[stream] + data).split(/\r?\n/);
+    partial[stream] = lines.pop().slice(-MAX_LINE_LENGTH);
+    lines.forEach(scanLine);
+  };
+  // Decoded by the streams, so a character split across chunks stays whole
+  child.stdout.setEncoding('utf8');
+  child.stderr.setEncoding('utf8');
+  child.stdout.on('data', read('stdout'));
+  child.stderr.on('data', read('stderr'));
+
+  const finish = (result) => {
+    if (finished) return;
+    finished = true;
+    for (const rest of Object.values(partial)) if (rest) scanLine(rest);
+    onExit({ ...result, duration: Date.now() - startedAt });
+  };
+  child.on('error', (err) => finish({ exitCode: null, signal: null, error: err.message }));
+  child.on('close', (exitCode, signal) => finish({ exitCode, signal }));
+
+  return {
+    pid: child.pid,
+    startedAt,
+    stop() {
+      if (finished || !child.pid) return;
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+      } catch (_) {
+        child.kill('SIGTERM');
+      }
+    },
+  };
+}
+
+module.exports = { TASKS_FILE, BUILTIN_MATCHERS, TaskError, loadTasks, describeTask, runTask };
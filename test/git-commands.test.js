@@ -0,0 +1,145 @@
+// --- git-commands tests ---
+// Run against a throwaway repository whose workspace is a subdirectory, so
+// the path prefix handling is covered too. `npm test` runs this file.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const git = require('../git-commands');
+
+// Commits made by git-commands need an identity; keep user config out
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: os.devNull,
+});
+
+const ORIGINAL = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+let top;
+let workspace;
+
+function sh(...args) {
+  return execFileSync('git', args, { cwd: top, encoding: 'utf8' });
+}
+
+function write(name, lines) {
+  fs.writeFileSync(path.join(workspace, name), lines.join('\n') + '\n');
+}
+
+// The patch for one hunk, as the Git panel stages it
+function hunkPatch(file, index) {
+  return file.header + file.hunks[index].text;
+}
+
+before(() => {
+  top = fs.mkdtempSync(path.join(os.tmpdir(), 'git-commands-'));
+  workspace = path.join(top, 'app');
+  fs.mkdirSync(workspace);
+  sh('init', '-q', '-b', 'main');
+  write('a.txt', ORIGINAL);
+  fs.writeFileSync(path.join(top, 'outside.txt'), 'not in the workspace\n');
+  sh('add', '-A');
+  sh('commit', '-q', '-m', 'initial');
+});
+
+after(() => {
+  fs.rmSync(top, { recursive: true, force: true });
+});
+
+test('status reports workspace files only, relative to the workspace', async () => {
+  const edited = [...ORIGINAL];
+  edited[1] = 'line 2 changed';
+  edited[17] = 'line 18 changed';
+  write('a.txt', edited);
+  write('b.txt', ['new']);
+  fs.writeFileSync(path.join(top, 'outside.txt'), 'changed\n');
+
+  const result = await git.status(workspace);
+  assert.strictEqual(result.isRepo, true);
+  assert.strictEqual(result.branch, 'main');
+  const byPath = Object.fromEntries(result.files.map(f => [f.relativePath, f]));
+  assert.deepStrictEqual(Object.keys(byPath).sort(), ['a.txt', 'b.txt']);
+  assert.strictEqual(byPath['a.txt'].status, 'modified');
+  assert.strictEqual(byPath['a.txt'].unstaged, true);
+  assert.strictEqual(byPath['a.txt'].staged, false);
+  assert.strictEqual(byPath['b.txt'].status, 'untracked');
+});
+
+test('diff splits a file into hunks', async () => {
+  const { files } = await git.diff(workspace, { relativePath: 'a.txt' });
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0].relativePath, 'a.txt');
+  assert.strictEqual(files[0].hunks.length, 2);
+  assert.match(files[0].hunks[0].text, /^\+line 2 changed$/m);
+  assert.match(files[0].hunks[1].text, /^\+line 18 changed$/m);
+});
+
+test('stage and unstage a single hunk', async () => {
+  const { files } = await git.diff(workspace, { relativePath: 'a.txt' });
+  await git.stage(workspace, { patch: hunkPatch(files[0], 0) });
+
+  let staged = (await git.diff(workspace, { relativePath: 'a.txt', staged: true })).files;
+  let unstaged = (await git.diff(workspace, { relativePath: 'a.txt' })).files;
+  assert.strictEqual(staged[0].hunks.length, 1);
+  assert.match(staged[0].hunks[0].text, /^\+line 2 changed$/m);
+  assert.strictEqual(unstaged[0].hunks.length, 1);
+  assert.match(unstaged[0].hunks[0].text, /^\+line 18 changed$/m);
+
+  await git.unstage(workspace, { patch: hunkPatch(staged[0], 0) });
+  staged = (await git.diff(workspace, { relativePath: 'a.txt', staged: true })).files;
+  unstaged = (await git.diff(workspace, { relativePath: 'a.txt' })).files;
+  assert.strictEqual(staged.length, 0);
+  assert.strictEqual(unstaged[0].hunks.length, 2);
+});
+
+test('stage and unstage whole paths', async () => {
+  await git.stage(workspace, { paths: ['b.txt'] });
+  let b = (await git.status(workspace)).files.find(f => f.relativePath === 'b.txt');
+  assert.strictEqual(b.status, 'added');
+  assert.strictEqual(b.staged, true);
+
+  await git.unstage(workspace, { paths: ['b.txt'] });
+  b = (await git.status(workspace)).files.find(f => f.relativePath === 'b.txt');
+  assert.strictEqual(b.status, 'untracked');
+});
+
+test('show returns the committed version', async () => {
+  const head = await git.show(workspace, { relativePath: 'a.txt' });
+  assert.strictEqual(head.exists, true);
+  assert.strictEqual(head.content, ORIGINAL.join('\n') + '\n');
+
+  const untracked = await git.show(workspace, { relativePath: 'b.txt' });
+  assert.deepStrictEqual(untracked, { content: '', exists: false });
+});
+
+test('blame attributes lines to their commits', async () => {
+  const { files } = await git.diff(workspace, { relativePath: 'a.txt' });
+  await git.stage(workspace, { patch: hunkPatch(files[0], 0) });
+  const { hash } = await git.commit(workspace, { message: 'change line 2' });
+  const initial = sh('rev-list', '--max-parents=0', 'HEAD').trim();
+
+  const { lines } = await git.blame(workspace, { relativePath: 'a.txt' });
+  assert.strictEqual(lines.length, 20);
+  assert.strictEqual(lines[1].hash, hash);
+  assert.strictEqual(lines[1].text, 'line 2 changed');
+  assert.strictEqual(lines[1].summary, 'change line 2');
+  assert.strictEqual(lines[0].hash, initial);
+  // Uncommitted lines belong to the all-zero hash
+  assert.strictEqual(lines[17].hash, '0'.repeat(40));
+});
+
+test('paths outside the workspace are refused', async () => {
+  await assert.rejects(git.show(workspace, { relativePath: '../outside.txt' }), { code: 'EINVAL' });
+  await assert.rejects(git.diff(workspace, { relativePath: 'sub/../../outside.txt' }), { code: 'EINVAL' });
+  await assert.rejects(git.stage(workspace, { paths: ['..'] }), { code: 'EINVAL' });
+  // Still fine when it stays inside
+  const head = await git.show(workspace, { relativePath: 'sub/../a.txt' });
+  assert.strictEqual(head.exists, true);
+});
+
+test('refs that look like options are refused', async () => {
+  await assert.rejects(git.show(workspace, { relativePath: 'a.txt', ref: '--output=x' }), { code: 'EINVAL' });
+});
@@ -0,0 +1,36 @@
+// --- search-text tests ---
+// Matching as the workspace search and the search dialog use it.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildSearchRegex, searchText, buildReplacement, replaceLines } = require('../src/search-text');
+
+function lines(content, query) {
+  const re = buildSearchRegex({ query, regex: true, caseSensitive: true });
+  return searchText(content, re).matches.map(m => [m.line, m.ranges]);
+}
+
+test('^ anchors at the start of every line', () => {
+  assert.deepStrictEqual(lines("// h\nimport x from 'y';\n", '^import'), [[2, [{ start: 0, end: 6 }]]]);
+});
+
+test('$ anchors at the end of every line, CRLF included', () => {
+  assert.deepStrictEqual(lines('a;\nb;\nc\n', ';$'), [[1, [{ start: 1, end: 2 }]], [2, [{ start: 1, end: 2 }]]]);
+  assert.deepStrictEqual(lines('a;\r\nb\r\n', ';$'), [[1, [{ start: 1, end: 2 }]]]);
+});
+
+test('files without a match report none', () => {
+  assert.deepStrictEqual(lines('abc\ndef\n', '^x'), []);
+});
+
+// What Replace in Files does: search, then replace on the matched lines
+function replaceAll(content, query, replacement) {
+  const re = buildSearchRegex({ query, regex: true, caseSensitive: true });
+  const hunks = searchText(content, re).matches;
+  return replaceLines(content, re, buildReplacement(replacement, true), hunks);
+}
+
+test('anchored replaces change every matching line', () => {
+  assert.deepStrictEqual(replaceAll('  a\n\tb\nc\n', '^\\s+', ''), { content: 'a\nb\nc\n', replaced: 2, stale: 0 });
+  assert.deepStrictEqual(replaceAll('a;\r\nb;\r\nc\r\n', ';$', ''), { content: 'a\r\nb\r\nc\r\n', replaced: 2, stale: 0 });
+});
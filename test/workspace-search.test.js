@@ -0,0 +1,52 @@
+// --- workspace-search tests ---
+// searchFilesInWorker over a throwaway directory.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { searchFilesInWorker } = require('../workspace-search');
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-search-'));
+  fs.writeFileSync(path.join(root, 'a.js'), "// h\nimport x from 'y';\n");
+  fs.writeFileSync(path.join(root, 'slow.txt'), 'a'.repeat(40) + '!\n');
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function search(opts, timeoutMs, isCancelled = () => false) {
+  const files = {};
+  const onFile = (relPath, matches) => { files[relPath] = matches.map(m => m.line); };
+  return searchFilesInWorker(root, opts, { onFile, isCancelled }, timeoutMs)
+    .then(result => ({ result, files }));
+}
+
+test('results stream from the worker', async () => {
+  const { result, files } = await search({ query: '^import', regex: true });
+  assert.deepStrictEqual(files, { 'a.js': [2] });
+  assert.strictEqual(result.matchCount, 1);
+  assert.strictEqual(result.searchedCount, 2);
+  assert.strictEqual(result.timedOut, false);
+});
+
+test('a catastrophically backtracking pattern is stopped', async () => {
+  const started = Date.now();
+  const { result } = await search({ query: '^(a+)+$', regex: true }, 300);
+  assert.strictEqual(result.timedOut, true);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('cancelling stops the search', async () => {
+  const { result } = await search({ query: '^(a+)+$', regex: true }, 10000, () => true);
+  assert.strictEqual(result.cancelled, true);
+});
+
+test('an invalid regex is refused up front', () => {
+  assert.throws(() => searchFilesInWorker(root, { query: '(', regex: true }, { onFile() {}, isCancelled: () => false }));
+});
@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { getIgnoreMatcher } = require('./ignore-rules');
+const { buildSearchRegex, searchText, createPathFilter } = require('./src/search-text');
+
+// --- Workspace content search ---
+// Walks a workspace on disk and reports matching lines file by file, so the
+// caller can stream results while the walk continues. Skips the same entries
+// as workspace loading: dot-entries, ignored paths, files served over HTTP,
+// oversized files, and anything that looks binary.
+//
+// The server runs it in a worker thread (searchFilesInWorker): the regex
+// comes from the client and may backtrack catastrophically, and only a
+// separate thread can be stopped in the middle of one match.
+
+// A NUL byte in the first few KB marks a file as binary
+const BINARY_SNIFF_BYTES = 8000;
+const SEARCH_TIMEOUT_MS = 20_000;
+const CANCEL_POLL_MS = 100;
+
+function looksBinary(buf) {
+  return buf.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+/**
+ * @param {string} workspaceRoot absolute workspace path
+ * @param {object} opts query, regex, caseSensitive, wholeWord, include,
+ *   exclude, contextLines, maxResults, overrides ({ relPath: content } used
+ *   instead of the disk copy), skipExtensions (Set), maxFileSize
+ * @param {{ onFile: (relPath: string, matches: object[]) => void, isCancelled: () => boolean }} hooks
+ * @returns {Promise<{ fileCount: number, matchCount: number, searchedCount: number, truncated: boolean, cancelled: boolean }>}
+ */
+async function searchFiles(workspaceRoot, opts, { onFile, isCancelled }) {
+  const re = buildSearchRegex(opts);
+  const filter = createPathFilter(opts.include, opts.exclude);
+  const matcher = getIgnoreMatcher(workspaceRoot);
+  const overrides = opts.overrides || {};
+  const contextLines = Math.max(0, Math.min(Number(opts.contextLines) || 0, 10));
+  const maxResults = opts.maxResults || Infinity;
+  const result = { fileCount: 0, matchCount: 0, searchedCount: 0, truncated: false, cancelled: false };
+
+  async function readText(relPath, filePath) {
+    if (Object.prototype.hasOwnProperty.call(overrides, relPath)) return overrides[relPath];
+    const ext = relPath.split('.').pop().toLowerCase();
+    if (opts.skipExtensions && opts.skipExtensions.has(ext)) return null;
+    const stat = await fs.promises.stat(filePath);
+    if (opts.maxFileSize && stat.size > opts.maxFileSize) return null;
+    const buf = await fs.promises.readFile(filePath);
+    return looksBinary(buf) ? null : buf.toString('utf-8');
+  }
+
+  // Returns false once the walk should stop (cancelled or result cap hit)
+  async function walk(dirRel) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(workspaceRoot, dirRel), { withFileTypes: true });
+    } catch (_) {
+      return true; // unreadable directory: skip it
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (isCancelled()) {
+        result.cancelled = true;
+        return false;
+      }
+      if (entry.name.startsWith('.')) continue;
+      const relPath = dirRel ? dirRel + '/' + entry.name : entry.name;
+      const isDir = entry.isDirectory();
+      if (matcher.isIgnored(relPath, isDir)) continue;
+
+      if (isDir) {
+        if (filter.skipDirectory(relPath)) continue;
+        if (!(await walk(relPath))) return false;
+        continue;
+      }
+      if (!entry.isFile() || !filter.acceptFile(relPath)) continue;
+
+      let content;
+      try {
+        content = await readText(relPath, path.join(workspaceRoot, relPath));
+      } catch (_) {
+        continue; // vanished or unreadable since readdir
+      }
+      if (content == null) continue;
+      result.searchedCount++;
+
+      const { matches, truncated } = searchText(content, re, {
+        contextLines,
+        maxMatches: maxResults - result.matchCount,
+      });
+      if (matches.length > 0) {
+        result.fileCount++;
+        result.matchCount += matches.length;
+        onFile(relPath, matches);
+      }
+      if (truncated || result.matchCount >= maxResults) {
+        result.truncated = true;
+        return false;
+      }
+    }
+    return true;
+  }
+
+  await walk('');
+  return result;
+}
+
+/**
+ * searchFiles() in a worker thread, stopped once isCancelled() turns true
+ * or after `timeoutMs`. Results of a stopped search are partial and carry
+ * `cancelled` or `timedOut`. Throws for an invalid query.
+ * @returns {Promise<{ fileCount: number, matchCount: number, searchedCount: number, truncated: boolean, cancelled: boolean, timedOut: boolean }>}
+ */
+function searchFilesInWorker(workspaceRoot, opts, { onFile, isCancelled }, timeoutMs = SEARCH_TIMEOUT_MS) {
+  buildSearchRegex(opts); // a bad query fails here, not in the thread
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { workspaceRoot, opts } });
+    // Counted here too, for a search that never reports its own result
+    const partial = { fileCount: 0, matchCount: 0, searchedCount: 0, truncated: false, cancelled: false, timedOut: false };
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearInterval(poll);
+      worker.terminate();
+      if (err) reject(err);
+      else resolve(result);
+    };
+    const stop = (reason) => finish(null, { ...partial, [reason]: true });
+    const timer = setTimeout(() => stop('timedOut'), timeoutMs);
+    const poll = setInterval(() => { if (isCancelled()) stop('cancelled'); }, CANCEL_POLL_MS);
+
+    worker.on('message', (msg) => {
+      if (settled) return;
+      if (msg.type === 'file') {
+        partial.fileCount++;
+        partial.matchCount += msg.matches.length;
+        onFile(msg.relPath, msg.matches);
+      } else if (msg.type === 'done') {
+        finish(null, { ...msg.result, timedOut: false });
+      } else if (msg.type === 'error') {
+        finish(new Error(msg.error));
+      }
+    });
+    worker.on('error', err => finish(err));
+    worker.on('exit', code => finish(new Error(`Search stopped unexpectedly (exit code ${code})`)));
+  });
+}
+
+// Worker side of searchFilesInWorker()
+if (!isMainThread && workerData && workerData.workspaceRoot) {
+  searchFiles(workerData.workspaceRoot, workerData.opts, {
+    onFile: (relPath, matches) => parentPort.postMessage({ type: 'file', relPath, matches }),
+    isCancelled: () => false,
+  }).then(
+    result => parentPort.postMessage({ type: 'done', result }),
+    err => parentPort.postMessage({ type: 'error', error: err.message }),
+  );
+}
+
+module.exports = { searchFiles, searchFilesInWorker };
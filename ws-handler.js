@@ -1,16 +1,31 @@
 const path = require('path');
 const fs = require('fs');
-const pty = require('node-pty');
+const crypto = require('crypto');
+const { getIgnoreMatcher, isIgnoreFileName } = require('./ignore-rules');
+const { searchFilesInWorker } = require('./workspace-search');
+const git = require('./git-commands');
+const { hasScope } = require('./auth');
+const roots = require('./roots');
+const ptySessions = require('./pty-sessions');
+const tasks = require('./task-runner');
+const { eventMatches } = require('./src/app-events');
 
 function log(...args) { console.log('[WS]', ...args); }
 function warn(...args) { console.warn('[WS]', ...args); }
 
-// Active PTY sessions keyed by session ID
-const ptyProcesses = new Map();
-
 // Active file watchers keyed by WebSocket
 const fileWatchers = new Map();
 
+// Running workspace searches keyed by searchId -> { ws, cancelled }
+const activeSearches = new Map();
+
+// Running tasks keyed by runId -> { ws, name, run }
+const activeTasks = new Map();
+let taskCounter = 0;
+
+// Default cap on matching lines per search
+const MAX_SEARCH_RESULTS = 2000;
+
 // Files served via HTTP with specialized viewers (not loaded into memory as text)
 const SERVED_EXTENSIONS = new Set([
   'pdf',
@@ -32,6 +47,31 @@ const SERVED_EXTENSIONS = new Set([
 const MAX_FILE_SIZE = 5 * 1024 * 1024;
 const MAX_RANGE_READ_SIZE = 8 * 1024 * 1024;
 
+// Lazy workspace listings are sent in pages of this many entries
+const DIR_PAGE_SIZE = 500;
+
+// Content hash used for optimistic-concurrency checks. Always computed over
+// the raw bytes so text and base64 saves agree on the same value.
+function hashBytes(buf) {
+  return crypto.createHash('sha1').update(buf).digest('hex');
+}
+
+// Current on-disk version of a file, or null if it does not exist.
+async function readFileVersion(filePath, withHash) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const version = { mtimeMs: stat.mtimeMs };
+  if (withHash && stat.isFile()) {
+    version.hash = hashBytes(await fs.promises.readFile(filePath));
+  }
+  return version;
+}
+
 function resolveWorkspaceFile(workspacePath, relativePath) {
   if (!workspacePath || !relativePath) throw new Error('Missing required fields');
   const workspaceRoot = path.resolve(workspacePath);
@@ -39,81 +79,388 @@ function resolveWorkspaceFile(workspacePath, relativePath) {
   if (!filePath.startsWith(workspaceRoot + path.sep) && filePath !== workspaceRoot) {
     throw new Error('Path traversal blocked');
   }
+  // A symlink inside the workspace may still point outside every root
+  roots.assertAllowed(filePath, 'workspace file');
   return { workspaceRoot, filePath };
 }
 
-/**
- * Attach WebSocket message handlers to a client socket.
- * @param {WebSocket} ws - The client WebSocket connection.
- * @param {Map} previewFiles - Shared in-memory preview file store.
- */
+// One page of a directory's immediate children for lazy workspaces: names,
+// sizes and mtimes only. Text files and directories are marked `lazy` so the
+// client knows to fetch their content / children on demand. Entries are
+// sorted the same way as openWorkspace so offsets stay stable between pages.
+// Ignored entries are left out, or flagged `ignored` with `includeIgnored`.
+async function listDirPage(workspaceRoot, dirRel, offset, limit, includeIgnored) {
+  const matcher = getIgnoreMatcher(workspaceRoot);
+  const dirPath = path.join(workspaceRoot, dirRel);
+  const childRel = (name) => (dirRel ? dirRel + '/' + name : name);
+  // Everything below an ignored directory is ignored too
+  const parentIgnored = !!dirRel && matcher.isIgnored(dirRel, true);
+  const dirents = (await fs.promises.readdir(dirPath, { withFileTypes: true }))
+    .filter(entry => !entry.name.startsWith('.') && (entry.isDirectory() || entry.isFile()))
+    .map(entry => ({ entry, ignored: parentIgnored || matcher.isIgnored(childRel(entry.name), entry.isDirectory()) }))
+    .filter(({ ignored }) => includeIgnored || !ignored);
+  dirents.sort(({ entry: a }, { entry: b }) => {
+    if (a.isDirectory() !== b.isDirectory()) return a.isDirectory() ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  const page = dirents.slice(offset, offset + limit);
+  const entries = [];
+  for (const { entry, ignored } of page) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(path.join(dirPath, entry.name));
+    } catch (err) {
+      warn(`Skipping ${entry.name}: ${err.message}`);
+      continue;
+    }
+    if (entry.isDirectory()) {
+      entries.push({ name: entry.name, type: 'directory', mtimeMs: stat.mtimeMs, lazy: true, ...(ignored && { ignored }) });
+      continue;
+    }
+    const ext = entry.name.split('.').pop().toLowerCase();
+    const item = { name: entry.name, type: 'file', size: stat.size, mtimeMs: stat.mtimeMs };
+    if (SERVED_EXTENSIONS.has(ext)) {
+      item.viewType = ext;
+      item.content = null;
+    } else if (stat.size > MAX_FILE_SIZE) {
+      item.viewType = 'binary';
+      item.content = null;
+    } else {
+      item.lazy = true;
+    }
+    if (ignored) item.ignored = true;
+    entries.push(item);
+  }
+  const nextOffset = offset + page.length;
+  return { entries, total: dirents.length, nextOffset, hasMore: nextOffset < dirents.length };
+}
+
+// Move a file or directory, falling back to copy + remove when the
+// destination is on another device (rename(2) fails with EXDEV).
+async function movePath(src, dest) {
+  try {
+    await fs.promises.rename(src, dest);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.cp(src, dest, { recursive: true, errorOnExist: true, force: false });
+    await fs.promises.rm(src, { recursive: true });
+  }
+}
+
+async function pathExists(p) {
+  try {
+    await fs.promises.lstat(p);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Deleted entries are moved here when the client asks for a recoverable delete.
+// Dot-prefixed, so it is skipped by openWorkspace and the watcher; it is
+// also a default ignore rule (ignore-rules.js), and a `*` .gitignore inside
+// keeps it out of git status.
+const TRASH_DIR = '.trash';
+
+async function ensureTrashDir(workspaceRoot) {
+  const dir = path.join(workspaceRoot, TRASH_DIR);
+  await fs.promises.mkdir(dir, { recursive: true });
+  try {
+    await fs.promises.writeFile(path.join(dir, '.gitignore'), '*\n', { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+}
+
+// --- Permissions ---
+// Scope each message type needs (see auth.js). A function picks the scope
+// from the message. Anything not listed needs 'edit', so a new handler is
+// never readable by a read-only token by accident.
+const MESSAGE_SCOPES = {
+  clientLog: 'read',
+  // The preview store is shared and served from our own origin: whoever
+  // fills it can run script in every tab that opens it
+  updateFiles: 'edit',
+  listDir: 'read',
+  openWorkspace: 'read',
+  listWorkspaceDir: 'read',
+  readFile: 'read',
+  readFileRange: 'read',
+  statFile: 'read',
+  getThumbnail: 'read',
+  refreshWatch: 'read',
+  refreshFile: 'read',
+  searchWorkspace: 'read',
+  searchCancel: 'read',
+  gitStatus: 'read',
+  gitDiff: 'read',
+  gitLog: 'read',
+  gitBlame: 'read',
+  gitShow: 'read',
+  gitBranch: (msg) => (msg.create ? 'edit' : 'read'),
+  termSpawn: 'terminal',
+  termAttach: 'terminal',
+  termList: 'terminal',
+  termProfiles: 'terminal',
+  termCwd: 'terminal',
+  termInput: 'terminal',
+  termResize: 'terminal',
+  termKill: 'terminal',
+  // Tasks run arbitrary commands, like a terminal
+  taskList: 'read',
+  taskRun: 'terminal',
+  taskStop: 'terminal',
+  // window.app can write files; clientEval can do anything the page can
+  clientAction: 'edit',
+  clientEval: 'rpc-eval',
+  // Answering a request takes the scope needed to send it
+  clientActionResult: 'edit',
+  clientEvalResult: 'rpc-eval',
+  register: 'read',
+  clientFocus: 'read',
+  listClients: 'read',
+  subscribe: 'read',
+  unsubscribe: 'read',
+  appEvent: 'read',
+};
+
+function requiredScope(msg) {
+  const scope = MESSAGE_SCOPES[msg.type];
+  return typeof scope === 'function' ? scope(msg) : (scope || 'edit');
+}
+
+function denyMessage(ws, msg, scope) {
+  warn(`Denied ${msg.type} for ${ws.identity ? ws.identity.name : 'anonymous'}: needs '${scope}'`);
+  // RPC callers wait for a *Result message, everyone else for the id
+  const type = msg.type === 'clientAction' || msg.type === 'clientEval' ? msg.type + 'Result' : 'error';
+  if (msg.id) {
+    reply(ws, { type, success: false, error: `Permission denied: ${msg.type} needs the '${scope}' scope`, code: 'EPERM', id: msg.id });
+  }
+}
+
+// Absolute paths a message names directly: `path` (listDir, openWorkspace,
+// mkdir, getThumbnail) and `workspacePath`. Paths relative to the workspace
+// are checked again by resolveWorkspaceFile once joined.
+function checkMessagePaths(ws, msg) {
+  const who = `${msg.type} for ${ws.identity ? ws.identity.name : 'anonymous'}`;
+  try {
+    if (typeof msg.path === 'string' && msg.path) roots.assertAllowed(msg.path, who);
+    if (typeof msg.workspacePath === 'string' && msg.workspacePath) roots.assertAllowed(msg.workspacePath, who);
+    return true;
+  } catch (err) {
+    if (!(err instanceof roots.ForbiddenPathError)) throw err;
+    if (msg.id) reply(ws, { type: 'error', success: false, error: err.message, code: err.code, id: msg.id });
+    return false;
+  }
+}
+
+// --- Client registry ---
+// Every socket gets an id on connect. Clients then `register` a role:
+// 'browser' for editor tabs (which answer RPC requests) and 'agent' for
+// scripts driving them; sockets that never register stay 'unknown'.
+// Browsers report focus changes with `clientFocus`, so requests can go to
+// the tab the user touched last.
+const connectedClients = new Set();
+let nextClientNumber = 1;
+const CLIENT_ROLES = ['browser', 'agent'];
+
+// RPC requests carry eval source and file contents, and their results are
+// trusted as the page's: only tokens that could send both kinds may answer
+// them, and so act as a browser.
+function canAnswerRpc(ws) {
+  return hasScope(ws.identity, 'edit') && hasScope(ws.identity, 'rpc-eval');
+}
+
+function describeClient(ws) {
+  const { id, role, workspacePath, userAgent, connectedAt, focusedAt } = ws.client;
+  return { id, role, name: ws.identity ? ws.identity.name : null, workspacePath, userAgent, connectedAt, focusedAt };
+}
+
+function findClient(id) {
+  for (const client of connectedClients) {
+    if (client.client.id === id) return client;
+  }
+  return null;
+}
+
+// --- Server events ---
+// Clients `subscribe` to event names ('client.connected'), prefixes
+// ('client.*') or everything ('*'), and receive
+// `{ type: 'event', event, data, source?, time }` pushes. The server emits
+// the client.* events; browsers publish their window.app events (file.*,
+// tab.*, ...) with `appEvent`, tagged with their id as `source`. So that
+// browsers only send what someone listens for, they are told the union of
+// all subscriptions in `eventInterest` whenever it changes. Patterns match
+// as in the browser's event bus (eventMatches, src/app-events.js).
+
+function emitEvent(event, data, source) {
+  const payload = JSON.stringify({ type: 'event', event, data, source, time: Date.now() });
+  for (const client of connectedClients) {
+    if (client.readyState !== 1 || !eventMatches(client.subscriptions, event)) continue;
+    try { client.send(payload); } catch (_) { /* ignore */ }
+  }
+}
+
+let eventInterest = [];
+
+function currentInterest() {
+  const patterns = new Set();
+  for (const client of connectedClients) {
+    for (const pattern of client.subscriptions) patterns.add(pattern);
+  }
+  return [...patterns].sort();
+}
+
+function sendEventInterest(ws) {
+  reply(ws, { type: 'eventInterest', patterns: eventInterest });
+}
+
+function updateEventInterest() {
+  const patterns = currentInterest();
+  if (patterns.join('\n') === eventInterest.join('\n')) return;
+  eventInterest = patterns;
+  for (const client of connectedClients) {
+    if (client.readyState === 1 && client.client.role === 'browser') sendEventInterest(client);
+  }
+}
+
 // --- RPC relay state ---
 // Any connected client can send a `clientAction` / `clientEval` request and
-// the server forwards it to all OTHER connected clients. The first client
-// to reply with `clientActionResult` / `clientEvalResult` wins; the server
-// routes the response back to the original requester by id.
-const connectedClients = new Set();
-const rpcRequests = new Map(); // id -> { origin: ws, timeout: handle }
+// the server forwards it to the client named by `target`:
+//   - a client id from `listClients`
+//   - 'focused' (the default): the browser focused most recently, else the
+//     one that connected last; without browsers, an unregistered client
+//   - 'broadcast': every other client, first reply wins
+// Only clients for which canAnswerRpc() holds are ever picked. Only a client
+// the request went to can answer it; the server routes the response back to
+// the original requester by id.
+const rpcRequests = new Map(); // id -> { origin: ws, targets: Set<ws>, timeout: handle }
 const RPC_TIMEOUT_MS = 30_000;
 
+function rpcError(ws, msg, error) {
+  try {
+    ws.send(JSON.stringify({ type: msg.type + 'Result', id: msg.id, error }));
+  } catch (_) { /* socket may be gone */ }
+}
+
+// Sockets a request goes to, or an error string
+function rpcTargets(ws, target = 'focused') {
+  const others = [...connectedClients].filter(c => c !== ws && c.readyState === 1 /* OPEN */ && canAnswerRpc(c));
+  if (target === 'broadcast') {
+    return others.length ? others : 'No other clients connected to handle RPC';
+  }
+  if (target === 'focused') {
+    let candidates = others.filter(c => c.client.role === 'browser');
+    if (!candidates.length) candidates = others.filter(c => c.client.role === 'unknown');
+    if (!candidates.length) return 'No other clients connected to handle RPC';
+    candidates.sort((a, b) => (b.client.focusedAt - a.client.focusedAt) || (b.client.connectedAt - a.client.connectedAt));
+    return [candidates[0]];
+  }
+  const client = findClient(target);
+  if (!client || client.readyState !== 1) return `Unknown client: ${target}`;
+  if (client === ws) return 'A client cannot send RPC requests to itself';
+  if (!canAnswerRpc(client)) return `Client ${target} may not answer RPC requests`;
+  return [client];
+}
+
 function relayRpcRequest(ws, msg) {
   if (!msg.id) return;
+  const targets = rpcTargets(ws, msg.target);
+  if (typeof targets === 'string') {
+    rpcError(ws, msg, targets);
+    return;
+  }
   // Register origin and set a cleanup timeout
   const timeout = setTimeout(() => {
     if (rpcRequests.has(msg.id)) {
       rpcRequests.delete(msg.id);
-      try {
-        ws.send(JSON.stringify({
-          type: msg.type + 'Result',
-          id: msg.id,
-          error: 'RPC timeout — no client responded',
-        }));
-      } catch (_) { /* socket may be gone */ }
+      rpcError(ws, msg, 'RPC timeout — no client responded');
     }
   }, RPC_TIMEOUT_MS);
-  rpcRequests.set(msg.id, { origin: ws, timeout });
+  const entry = { origin: ws, type: msg.type, targets: new Set(), timeout };
+  rpcRequests.set(msg.id, entry);
 
-  const payload = JSON.stringify(msg);
-  let delivered = 0;
-  for (const client of connectedClients) {
-    if (client === ws) continue;
-    if (client.readyState !== 1 /* OPEN */) continue;
-    try { client.send(payload); delivered++; } catch (_) { /* ignore */ }
+  const payload = JSON.stringify({ ...msg, from: ws.client.id });
+  for (const client of targets) {
+    try { client.send(payload); entry.targets.add(client); } catch (_) { /* ignore */ }
   }
-  if (delivered === 0) {
+  if (entry.targets.size === 0) {
     clearTimeout(timeout);
     rpcRequests.delete(msg.id);
-    try {
-      ws.send(JSON.stringify({
-        type: msg.type + 'Result',
-        id: msg.id,
-        error: 'No other clients connected to handle RPC',
-      }));
-    } catch (_) { /* ignore */ }
+    rpcError(ws, msg, 'No other clients connected to handle RPC');
   }
 }
 
 function relayRpcResult(ws, msg) {
   if (!msg.id) return;
   const entry = rpcRequests.get(msg.id);
-  if (!entry) return; // late or unknown
+  // Late, unknown, not asked, or the result of another kind of request
+  if (!entry || !entry.targets.has(ws) || msg.type !== entry.type + 'Result') return;
   clearTimeout(entry.timeout);
   rpcRequests.delete(msg.id);
   try { entry.origin.send(JSON.stringify(msg)); } catch (_) { /* ignore */ }
 }
 
-function handleConnection(ws, previewFiles) {
-  log('Client connected');
+// Drop a closing socket from the RPC bookkeeping: its own requests are
+// abandoned, and requests waiting only on it fail now rather than time out.
+function forgetRpcClient(ws) {
+  for (const [id, entry] of rpcRequests) {
+    if (entry.origin === ws) {
+      clearTimeout(entry.timeout);
+      rpcRequests.delete(id);
+      continue;
+    }
+    if (entry.targets.delete(ws) && entry.targets.size === 0) {
+      clearTimeout(entry.timeout);
+      rpcRequests.delete(id);
+      rpcError(entry.origin, { type: entry.type, id }, `Client ${ws.client.id} disconnected before replying`);
+    }
+  }
+}
+
+/**
+ * Attach WebSocket message handlers to a client socket.
+ * @param {WebSocket} ws - The client WebSocket connection.
+ * @param {{ files: Map<string, string>, root: string|null }} preview - Shared preview file store.
+ * @param {{ name: string, scopes: string[] }} identity - Token the socket authenticated with.
+ * @param {import('http').IncomingMessage} [req] - The upgrade request.
+ */
+function handleConnection(ws, preview, identity, req) {
+  ws.identity = identity;
+  ws.client = {
+    id: `client-${nextClientNumber++}`,
+    role: 'unknown',
+    workspacePath: null,
+    userAgent: (req && req.headers['user-agent']) || null,
+    connectedAt: Date.now(),
+    focusedAt: 0,
+  };
+  ws.subscriptions = new Set();
+  log('Client connected:', ws.client.id, identity ? `as ${identity.name} [${identity.scopes.join(', ')}]` : '');
   connectedClients.add(ws);
 
   // Send server config to client on connect
-  const config = { type: 'serverConfig', debug: process.env.NODE_ENV !== 'production' };
+  const config = {
+    type: 'serverConfig',
+    debug: process.env.NODE_ENV !== 'production',
+    auth: identity ? { name: identity.name, scopes: identity.scopes } : null,
+    roots: roots.getRoots(),
+    clientId: ws.client.id,
+  };
   ws.send(JSON.stringify(config));
+  emitEvent('client.connected', describeClient(ws));
 
   ws.on('message', async (data) => {
     try {
       const msg = JSON.parse(data);
 
+      const scope = requiredScope(msg);
+      if (!hasScope(ws.identity, scope)) {
+        denyMessage(ws, msg, scope);
+        return;
+      }
+
       // RPC relay: requests go out to peers, results come back to origin
       if (msg.type === 'clientAction' || msg.type === 'clientEval') {
         log(`<- ${msg.type}`, msg.id ? `id=${msg.id}` : '', msg.method || '');
@@ -127,10 +474,11 @@ function handleConnection(ws, previewFiles) {
 
       const handler = messageHandlers[msg.type];
       if (handler) {
-        if (msg.type !== 'clientLog' && msg.type !== 'termInput' && msg.type !== 'termResize') {
+        if (!checkMessagePaths(ws, msg)) return;
+        if (msg.type !== 'clientLog' && msg.type !== 'termInput' && msg.type !== 'termResize' && msg.type !== 'appEvent') {
           log(`<- ${msg.type}`, msg.id ? `id=${msg.id}` : '', msg.path || '');
         }
-        await handler(ws, msg, previewFiles);
+        await handler(ws, msg, preview);
       } else {
         warn('Unknown message type:', msg.type);
       }
@@ -147,28 +495,52 @@ function handleConnection(ws, previewFiles) {
   });
 
   ws.on('close', () => {
-    log('Client disconnected');
+    log('Client disconnected:', ws.client.id);
     connectedClients.delete(ws);
-    // Fail any in-flight RPC requests that originated here
-    for (const [id, entry] of rpcRequests) {
-      if (entry.origin === ws) {
-        clearTimeout(entry.timeout);
-        rpcRequests.delete(id);
-      }
+    forgetRpcClient(ws);
+    emitEvent('client.disconnected', describeClient(ws));
+    updateEventInterest();
+    // PTY sessions keep running until reattached or idle (pty-sessions.js)
+    ptySessions.detachAll(ws);
+    // Stop any searches still walking for this client
+    for (const search of activeSearches.values()) {
+      if (search.ws === ws) search.cancelled = true;
     }
-    // Clean up any PTY sessions for this client
-    for (const [id, proc] of ptyProcesses) {
-      if (proc._ws === ws) {
-        proc.kill();
-        ptyProcesses.delete(id);
-        log('PTY session killed:', id);
-      }
+    // Nobody is left to see their output
+    for (const task of activeTasks.values()) {
+      if (task.ws === ws) task.run.stop();
     }
     // Clean up file watchers
     stopWatching(ws);
   });
 }
 
+// Working directory for a new terminal, checked against the allowed roots
+// when it is inside a workspace
+async function terminalCwd(msg, profile) {
+  if (!msg.workspacePath) return msg.cwd || process.env.HOME || '/';
+  const relative = typeof msg.cwd === 'string' ? msg.cwd : profile.cwd;
+  const dir = relative ? resolveWorkspaceFile(msg.workspacePath, relative).filePath : path.resolve(msg.workspacePath);
+  let stat;
+  try {
+    stat = await fs.promises.stat(dir);
+  } catch (_) {
+    throw new Error(`No such directory: ${relative || dir}`);
+  }
+  if (!stat.isDirectory()) throw new Error(`Not a directory: ${relative || dir}`);
+  return dir;
+}
+
+function ownerOf(ws) {
+  return ws.identity ? ws.identity.name : null;
+}
+
+// A PTY session started with the same token as `ws`, or null
+function ownSession(ws, sessionId) {
+  const session = ptySessions.get(sessionId);
+  return session && session.owner === ownerOf(ws) ? session : null;
+}
+
 function reply(ws, msg) {
   log(`-> ${msg.type}`, msg.id ? `id=${msg.id}` : '', msg.error ? `ERROR: ${msg.error}` : '');
   ws.send(JSON.stringify(msg));
@@ -177,16 +549,19 @@ function reply(ws, msg) {
 /**
  * Recursively collect all subdirectories for individual inotify watches.
  * fs.watch({recursive: true}) is unreliable on Linux, so we watch each
- * directory individually for proper inotify coverage.
+ * directory individually for proper inotify coverage. Ignored directories
+ * (see ignore-rules.js) are not descended into.
  */
 async function collectDirectories(dir) {
   const dirs = [dir];
+  const matcher = getIgnoreMatcher(dir);
   async function walk(current) {
     try {
       const entries = await fs.promises.readdir(current, { withFileTypes: true });
       for (const entry of entries) {
         if (entry.isDirectory() && !entry.name.startsWith('.')) {
           const fullPath = path.join(current, entry.name);
+          if (matcher.isIgnored(path.relative(dir, fullPath), true)) continue;
           dirs.push(fullPath);
           await walk(fullPath);
         }
@@ -208,8 +583,14 @@ function startWatching(ws, workspacePath) {
     // Debounce: batch changes over 300ms
     let pendingChanges = new Map(); // relativePath -> { eventType, content? }
     let debounceTimer = null;
+    let rulesChanged = false;
 
     const flush = async () => {
+      // Directories an edited ignore file no longer hides need watches too
+      if (rulesChanged) {
+        rulesChanged = false;
+        await watchNewDirectories();
+      }
       if (pendingChanges.size === 0) return;
       const changes = [];
       for (const [relativePath, changeInfo] of pendingChanges) {
@@ -222,8 +603,11 @@ function startWatching(ws, workspacePath) {
             const stat = await fs.promises.stat(fullPath);
             if (stat.isFile() && stat.size <= MAX_FILE_SIZE) {
               const ext = relativePath.split('.').pop().toLowerCase();
+              entry.mtimeMs = stat.mtimeMs;
               if (!SERVED_EXTENSIONS.has(ext)) {
-                entry.content = await fs.promises.readFile(fullPath, 'utf-8');
+                const buf = await fs.promises.readFile(fullPath);
+                entry.content = buf.toString('utf-8');
+                entry.hash = hashBytes(buf);
               }
             }
           } catch (err) {
@@ -242,36 +626,46 @@ function startWatching(ws, workspacePath) {
 
     // Track all individual inotify watchers for cleanup
     const watchers = [];
+    const matcher = getIgnoreMatcher(resolvedWorkspace);
+
+    // Rules changed: drop the cached ones and let the client re-list
+    const ignoreFileChanged = (dirRel, relativePath) => {
+      matcher.invalidate(dirRel);
+      rulesChanged = true;
+      pendingChanges.set(relativePath, { eventType: 'rename', shouldReadContent: false });
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(flush, 300);
+    };
 
     const addWatcher = (dirPath) => {
       try {
         const watcher = fs.watch(dirPath, (eventType, filename) => {
           if (!filename) return;
-          // Skip dot-files and common noise
-          if (filename.startsWith('.')) return;
-          if (filename.includes('node_modules')) return;
-
           const fullPath = path.join(dirPath, filename);
           const relativePath = path.relative(resolvedWorkspace, fullPath);
 
+          if (isIgnoreFileName(filename)) {
+            ignoreFileChanged(path.relative(resolvedWorkspace, dirPath).split(path.sep).join('/'), relativePath);
+            return;
+          }
+          // Skip dot-files and ignored paths
+          if (filename.startsWith('.')) return;
+
           // Determine if we should read the content
-          let shouldReadContent = false;
-          if (eventType === 'change') {
-            shouldReadContent = true;
-          } else if (eventType === 'rename') {
-            // Check if file exists (created) or doesn't (deleted)
-            try {
-              fs.accessSync(fullPath);
-              shouldReadContent = true; // File exists = created
-            } catch {
-              shouldReadContent = false; // File doesn't exist = deleted
-            }
+          let stat = null;
+          try {
+            stat = fs.statSync(fullPath);
+          } catch {
+            // Doesn't exist any more = deleted
           }
+          if (matcher.isIgnored(relativePath, !!stat && stat.isDirectory())) return;
+          const shouldReadContent = eventType === 'change' || (eventType === 'rename' && !!stat);
 
           pendingChanges.set(relativePath, { eventType, shouldReadContent });
           clearTimeout(debounceTimer);
           debounceTimer = setTimeout(flush, 300);
         });
+        watcher._dirPath = dirPath;
 
         watcher.on('error', (err) => {
           warn('Watcher error on', dirPath, ':', err.message);
@@ -283,14 +677,38 @@ function startWatching(ws, workspacePath) {
       }
     };
 
+    // Add watches for directories that have none yet; resolves to how many
+    const watchNewDirectories = async () => {
+      const dirs = await collectDirectories(resolvedWorkspace);
+      const info = fileWatchers.get(ws);
+      if (!info || info.watchers !== watchers) return 0; // stopped meanwhile
+      const existing = new Set(watchers.map(w => w._dirPath).filter(Boolean));
+      const added = dirs.filter(dir => !existing.has(dir));
+      added.forEach(addWatcher);
+      return added.length;
+    };
+
+    // .git/info/exclude lives under a dot-directory the walk skips
+    const gitInfoDir = path.join(resolvedWorkspace, '.git', 'info');
+    if (fs.existsSync(gitInfoDir)) {
+      try {
+        const watcher = fs.watch(gitInfoDir, (eventType, filename) => {
+          if (filename === 'exclude') ignoreFileChanged('', '.git/info/exclude');
+        });
+        watcher.on('error', (err) => warn('Watcher error on', gitInfoDir, ':', err.message));
+        watchers.push(watcher);
+      } catch (err) {
+        warn('Failed to watch directory:', gitInfoDir, err.message);
+      }
+    }
+
+    // Store watchers for cleanup (and refreshWatch, which adds more)
+    fileWatchers.set(ws, { watchers, flush, debounceTimer, watchNewDirectories });
+
     // Watch all directories individually for proper inotify coverage
-    collectDirectories(resolvedWorkspace).then((dirs) => {
-      dirs.forEach(addWatcher);
-      log(`Watching workspace: ${resolvedWorkspace} (${dirs.length} directories)`);
+    watchNewDirectories().then((count) => {
+      log(`Watching workspace: ${resolvedWorkspace} (${count} directories)`);
     });
-
-    // Store watchers for cleanup
-    fileWatchers.set(ws, { watchers, flush, debounceTimer });
   } catch (err) {
     warn('Failed to start file watcher:', err.message);
   }
@@ -306,23 +724,111 @@ function stopWatching(ws) {
   }
 }
 
+// git* handlers all reply `{ type, success, ...result }`, or the error
+// (with `code`, e.g. 'ENOTREPO') on failure.
+function gitHandler(type, run) {
+  return async (ws, msg) => {
+    try {
+      if (!msg.workspacePath) throw new Error('Missing required fields');
+      const result = await run(path.resolve(msg.workspacePath), msg);
+      reply(ws, { type, success: true, ...result, id: msg.id });
+    } catch (err) {
+      reply(ws, { type, success: false, error: err.message, code: err.code, id: msg.id });
+    }
+  };
+}
+
 const messageHandlers = {
   clientLog(ws, msg) {
     const prefix = `[Client:${msg.level || 'log'}]`;
     console.log(prefix, msg.message);
   },
 
-  updateFiles(ws, msg, previewFiles) {
+  // --- Client registry handlers ---
+
+  // Request:  { type: 'register', role: 'browser' | 'agent', workspacePath?, userAgent?, id }
+  // Response: { type: 'registered', success, client, id }
+  register(ws, msg) {
+    if (!CLIENT_ROLES.includes(msg.role)) {
+      reply(ws, { type: 'registered', success: false, error: `role must be one of: ${CLIENT_ROLES.join(', ')}`, id: msg.id });
+      return;
+    }
+    if (msg.role === 'browser' && !canAnswerRpc(ws)) {
+      warn(`Denied register as browser for ${ws.identity ? ws.identity.name : 'anonymous'}: needs 'edit' and 'rpc-eval'`);
+      reply(ws, { type: 'registered', success: false, error: "Registering as a browser needs the 'edit' and 'rpc-eval' scopes", code: 'EPERM', id: msg.id });
+      return;
+    }
+    ws.client.role = msg.role;
+    if (typeof msg.workspacePath === 'string') ws.client.workspacePath = msg.workspacePath;
+    if (typeof msg.userAgent === 'string') ws.client.userAgent = msg.userAgent;
+    if (msg.focused) ws.client.focusedAt = Date.now();
+    log(`Registered ${ws.client.id} as ${msg.role}`);
+    reply(ws, { type: 'registered', success: true, client: describeClient(ws), id: msg.id });
+    emitEvent('client.registered', describeClient(ws));
+    if (msg.role === 'browser' && eventInterest.length) sendEventInterest(ws);
+  },
+
+  // Sent by browsers when their window gains focus; no response
+  clientFocus(ws) {
+    if (ws.client.role !== 'browser') return;
+    ws.client.focusedAt = Date.now();
+    emitEvent('client.focused', { id: ws.client.id });
+  },
+
+  // Response: { type: 'clientList', success, self, clients: [{ id, role, name, workspacePath, userAgent, connectedAt, focusedAt }], id }
+  listClients(ws, msg) {
+    const clients = [...connectedClients].map(describeClient);
+    reply(ws, { type: 'clientList', success: true, self: ws.client.id, clients, id: msg.id });
+  },
+
+  // Request:  { type: 'subscribe', events: ['client.*', ...], id }
+  // Response: { type: 'subscribed', success, events, id }, then `event` pushes
+  subscribe(ws, msg) {
+    const events = Array.isArray(msg.events) ? msg.events.filter(e => typeof e === 'string' && e) : [];
+    if (!events.length) {
+      reply(ws, { type: 'subscribed', success: false, error: 'Missing events', id: msg.id });
+      return;
+    }
+    for (const event of events) ws.subscriptions.add(event);
+    reply(ws, { type: 'subscribed', success: true, events: [...ws.subscriptions], id: msg.id });
+    updateEventInterest();
+  },
+
+  // Request:  { type: 'unsubscribe', events?, id } (all of them without `events`)
+  unsubscribe(ws, msg) {
+    if (Array.isArray(msg.events)) {
+      for (const event of msg.events) ws.subscriptions.delete(event);
+    } else {
+      ws.subscriptions.clear();
+    }
+    reply(ws, { type: 'unsubscribed', success: true, events: [...ws.subscriptions], id: msg.id });
+    updateEventInterest();
+  },
+
+  // Sent by browsers for window.app events; no response
+  // Request: { type: 'appEvent', event: 'file.saved', data }
+  appEvent(ws, msg) {
+    if (ws.client.role !== 'browser' || typeof msg.event !== 'string' || !msg.event) return;
+    // client.* belongs to the server
+    if (msg.event.startsWith('client.')) return;
+    emitEvent(msg.event, msg.data, ws.client.id);
+  },
+
+  // Request: { type: 'updateFiles', files: { relativePath: content }, workspacePath?, id }
+  // Replaces the preview files; other paths are served from workspacePath
+  updateFiles(ws, msg, preview) {
     const count = Object.keys(msg.files).length;
-    for (const [fileName, content] of Object.entries(msg.files)) {
-      previewFiles.set(fileName, content);
+    preview.files.clear();
+    for (const [relativePath, content] of Object.entries(msg.files)) {
+      preview.files.set(relativePath, content);
     }
-    log(`Updated ${count} preview files in memory`);
+    preview.root = typeof msg.workspacePath === 'string' && msg.workspacePath ? path.resolve(msg.workspacePath) : null;
+    log(`Updated ${count} preview files in memory${preview.root ? ` (assets from ${preview.root})` : ''}`);
     reply(ws, { type: 'filesUpdated', id: msg.id });
   },
 
   async listDir(ws, msg) {
-    const dirPath = path.resolve(msg.path || process.env.HOME || '/');
+    const dirPath = path.resolve(msg.path || roots.getRoots()[0]);
     try {
       const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
       const items = entries
@@ -339,12 +845,30 @@ const messageHandlers = {
     }
   },
 
+  // With `lazy: true` only the first page of the root directory is returned
+  // (see listDirPage); the rest of the tree comes from listWorkspaceDir and
+  // file contents from readFile. Without it the whole tree is read eagerly.
+  // Either way, paths matched by ignore-rules.js are skipped unless
+  // `includeIgnored` is set (lazy mode only), which flags them instead.
   async openWorkspace(ws, msg) {
     const dirPath = path.resolve(msg.path);
-    log(`Opening workspace: ${dirPath}`);
+    log(`Opening workspace: ${dirPath}${msg.lazy ? ' (lazy)' : ''}`);
+
+    if (msg.lazy) {
+      try {
+        const listing = await listDirPage(dirPath, '', 0, msg.limit || DIR_PAGE_SIZE, !!msg.includeIgnored);
+        reply(ws, { type: 'workspaceLoaded', path: dirPath, lazy: true, children: listing.entries, total: listing.total, nextOffset: listing.nextOffset, hasMore: listing.hasMore, id: msg.id });
+        ws.client.workspacePath = dirPath;
+        startWatching(ws, dirPath);
+      } catch (err) {
+        reply(ws, { type: 'workspaceLoaded', path: dirPath, children: [], error: err.message, id: msg.id });
+      }
+      return;
+    }
 
     let fileCount = 0;
     let skipped = 0;
+    const matcher = getIgnoreMatcher(dirPath);
 
     async function readDir(dir) {
       const entries = await fs.promises.readdir(dir, { withFileTypes: true });
@@ -352,38 +876,37 @@ const messageHandlers = {
       for (const entry of entries) {
         if (entry.name.startsWith('.')) continue;
         const fullPath = path.join(dir, entry.name);
+        if (matcher.isIgnored(path.relative(dirPath, fullPath), entry.isDirectory())) continue;
         if (entry.isDirectory()) {
           const subChildren = await readDir(fullPath);
           children.push({ name: entry.name, type: 'directory', children: subChildren });
         } else if (entry.isFile()) {
           const ext = entry.name.split('.').pop().toLowerCase();
+          // Stat first — avoid slurping multi-GB files into memory
+          let stat;
+          try {
+            stat = await fs.promises.stat(fullPath);
+          } catch (statErr) {
+            warn(`Skipping ${fullPath}: ${statErr.message}`);
+            skipped++;
+            continue;
+          }
           if (SERVED_EXTENSIONS.has(ext)) {
             // Reference-only file — served via HTTP, not loaded into memory
-            children.push({ name: entry.name, type: 'file', viewType: ext, content: null });
+            children.push({ name: entry.name, type: 'file', viewType: ext, content: null, size: stat.size, mtimeMs: stat.mtimeMs });
+            fileCount++;
+          } else if (stat.size > MAX_FILE_SIZE) {
+            // Too large to load as text — reference-only, viewable via hex editor
+            children.push({ name: entry.name, type: 'file', viewType: 'binary', content: null, size: stat.size, mtimeMs: stat.mtimeMs });
             fileCount++;
           } else {
-            // Stat first — avoid slurping multi-GB files into memory
-            let stat;
-            try {
-              stat = await fs.promises.stat(fullPath);
-            } catch (statErr) {
-              warn(`Skipping ${fullPath}: ${statErr.message}`);
-              skipped++;
-              continue;
-            }
-            if (stat.size > MAX_FILE_SIZE) {
-              // Too large to load as text — reference-only, viewable via hex editor
-              children.push({ name: entry.name, type: 'file', viewType: 'binary', content: null, size: stat.size });
-              fileCount++;
-              continue;
-            }
             try {
-              const content = await fs.promises.readFile(fullPath, 'utf-8');
-              children.push({ name: entry.name, type: 'file', content });
+              const buf = await fs.promises.readFile(fullPath);
+              children.push({ name: entry.name, type: 'file', content: buf.toString('utf-8'), mtimeMs: stat.mtimeMs, hash: hashBytes(buf) });
               fileCount++;
             } catch (readErr) {
-              // File can't be read as text — treat as binary, viewable via hex editor
-              children.push({ name: entry.name, type: 'file', viewType: 'binary', content: null, size: stat.size });
+              // File can't be read — treat as binary, viewable via hex editor
+              children.push({ name: entry.name, type: 'file', viewType: 'binary', content: null, size: stat.size, mtimeMs: stat.mtimeMs });
               fileCount++;
             }
           }
@@ -401,6 +924,7 @@ const messageHandlers = {
       const children = await readDir(dirPath);
       log(`Workspace loaded: ${fileCount} files, ${skipped} skipped`);
       reply(ws, { type: 'workspaceLoaded', path: dirPath, children, id: msg.id });
+      ws.client.workspacePath = dirPath;
 
       // Start watching the workspace for changes
       startWatching(ws, dirPath);
@@ -409,70 +933,170 @@ const messageHandlers = {
     }
   },
 
+  // Request:  { type: 'listWorkspaceDir', workspacePath, relativePath, offset?, limit?, includeIgnored?, id }
+  // Response: { type: 'workspaceDirListing', success, relativePath, entries, total, nextOffset, hasMore, id }
+  async listWorkspaceDir(ws, msg) {
+    let workspaceRoot, filePath;
+    try {
+      ({ workspaceRoot, filePath } = resolveWorkspaceFile(msg.workspacePath, msg.relativePath || '.'));
+    } catch (err) {
+      reply(ws, { type: 'workspaceDirListing', success: false, error: err.message, code: err.code, id: msg.id });
+      return;
+    }
+    const offset = Math.max(0, Number(msg.offset) || 0);
+    const limit = Math.min(Math.max(1, Number(msg.limit) || DIR_PAGE_SIZE), 5000);
+    try {
+      const dirRel = path.relative(workspaceRoot, filePath).split(path.sep).join('/');
+      const listing = await listDirPage(workspaceRoot, dirRel, offset, limit, !!msg.includeIgnored);
+      reply(ws, { type: 'workspaceDirListing', success: true, relativePath: msg.relativePath || '', ...listing, id: msg.id });
+    } catch (err) {
+      reply(ws, { type: 'workspaceDirListing', success: false, error: err.message, id: msg.id });
+    }
+  },
+
   // --- Terminal (PTY) handlers ---
 
-  termSpawn(ws, msg) {
-    const id = msg.sessionId || ('pty-' + Date.now());
-    const shell = process.env.SHELL || '/bin/bash';
-    const cwd = msg.cwd || process.env.HOME || '/';
-    const cols = msg.cols || 80;
-    const rows = msg.rows || 24;
+  // Sessions outlive the socket: see pty-sessions.js. Each is visible only
+  // to clients signed in with the token that started it.
 
+  // Request: { type: 'termSpawn', sessionId?, profile?, workspacePath?, cwd?, cols?, rows?, id }
+  // With a workspacePath, `cwd` (else the profile's cwd) is relative to it;
+  // without one the shell starts in `cwd` or $HOME.
+  async termSpawn(ws, msg) {
+    const id = msg.sessionId || ('pty-' + Date.now());
     try {
-      const proc = pty.spawn(shell, [], {
-        name: 'xterm-256color',
-        cols, rows, cwd,
-        env: { ...process.env, TERM: 'xterm-256color' },
-      });
-      proc._ws = ws;
-      ptyProcesses.set(id, proc);
-
-      proc.onData((data) => {
-        if (ws.readyState === 1) {
-          ws.send(JSON.stringify({ type: 'termData', sessionId: id, data }));
-        }
-      });
-
-      proc.onExit(({ exitCode }) => {
-        ptyProcesses.delete(id);
-        if (ws.readyState === 1) {
-          ws.send(JSON.stringify({ type: 'termExit', sessionId: id, exitCode }));
-        }
-        log('PTY exited:', id, 'code:', exitCode);
+      const profile = ptySessions.getProfile(msg.profile);
+      if (!profile) throw new Error(`Unknown terminal profile: ${msg.profile}`);
+      const cwd = await terminalCwd(msg, profile);
+      ptySessions.spawn(id, {
+        ws,
+        owner: ownerOf(ws),
+        profile,
+        cwd,
+        cols: msg.cols || 80,
+        rows: msg.rows || 24,
       });
-
-      log('PTY spawned:', id, shell, 'at', cwd);
-      reply(ws, { type: 'termSpawned', sessionId: id, id: msg.id });
+      reply(ws, { type: 'termSpawned', sessionId: id, profile: profile.name, cwd, id: msg.id });
     } catch (err) {
       warn('PTY spawn failed:', err.message);
       reply(ws, { type: 'termSpawned', sessionId: id, error: err.message, id: msg.id });
     }
   },
 
+  // Request: { type: 'termAttach', sessionId, cols?, rows?, id }
+  // Reply carries the scrollback to replay; output then streams as termData.
+  // A session that exited while detached is attached once, to show its end.
+  termAttach(ws, msg) {
+    const session = ownSession(ws, msg.sessionId);
+    if (!session) {
+      reply(ws, { type: 'termAttached', sessionId: msg.sessionId, error: 'No such session', code: 'ENOENT', id: msg.id });
+      return;
+    }
+    const { scrollback } = ptySessions.attach(session, ws);
+    if (msg.cols && msg.rows) ptySessions.resize(session, msg.cols, msg.rows);
+    reply(ws, {
+      type: 'termAttached',
+      sessionId: session.id,
+      scrollback,
+      exited: session.exited,
+      exitCode: session.exitCode,
+      id: msg.id,
+    });
+  },
+
+  // Reply: { cwd } - where the shell is now, for resolving paths in its output
+  async termCwd(ws, msg) {
+    const session = ownSession(ws, msg.sessionId);
+    if (!session) {
+      reply(ws, { type: 'termCwd', sessionId: msg.sessionId, error: 'No such session', code: 'ENOENT', id: msg.id });
+      return;
+    }
+    reply(ws, { type: 'termCwd', sessionId: session.id, cwd: await ptySessions.currentCwd(session), id: msg.id });
+  },
+
+  // Reply: { profiles: [{ name, shell, args, cwd }] }, `default` first
+  termProfiles(ws, msg) {
+    reply(ws, { type: 'termProfiles', profiles: ptySessions.listProfiles(), id: msg.id });
+  },
+
+  // Reply: { sessions: [{ sessionId, pid, profile, shell, cwd, attached, exited, expiresAt, … }] }
+  termList(ws, msg) {
+    reply(ws, { type: 'termList', sessions: ptySessions.list(ownerOf(ws)), id: msg.id });
+  },
+
   termInput(ws, msg) {
-    const proc = ptyProcesses.get(msg.sessionId);
-    if (proc) {
-      proc.write(msg.data);
+    const session = ptySessions.get(msg.sessionId);
+    if (session && session.ws === ws && !session.exited) {
+      session.proc.write(msg.data);
     }
   },
 
   termResize(ws, msg) {
-    const proc = ptyProcesses.get(msg.sessionId);
-    if (proc && msg.cols && msg.rows) {
-      proc.resize(msg.cols, msg.rows);
+    const session = ptySessions.get(msg.sessionId);
+    if (session && session.ws === ws && msg.cols && msg.rows) {
+      ptySessions.resize(session, msg.cols, msg.rows);
     }
   },
 
   termKill(ws, msg) {
-    const proc = ptyProcesses.get(msg.sessionId);
-    if (proc) {
-      proc.kill();
-      ptyProcesses.delete(msg.sessionId);
-      log('PTY killed:', msg.sessionId);
-    }
+    const session = ownSession(ws, msg.sessionId);
+    if (session) ptySessions.kill(session);
     reply(ws, { type: 'termKilled', sessionId: msg.sessionId, id: msg.id });
   },
 
+  // --- Tasks (see task-runner.js) ---
+
+  // Reply: { tasks: [{ name, command, cwd, hasProblemMatcher }], running: [{ runId, name, startedAt }] }
+  async taskList(ws, msg) {
+    try {
+      if (!msg.workspacePath) throw new Error('Missing required fields');
+      const defined = await tasks.loadTasks(path.resolve(msg.workspacePath));
+      const running = [...activeTasks.entries()]
+        .filter(([, task]) => task.ws === ws)
+        .map(([runId, task]) => ({ runId, name: task.name, startedAt: task.run.startedAt }));
+      reply(ws, { type: 'taskList', success: true, tasks: defined.map(tasks.describeTask), running, id: msg.id });
+    } catch (err) {
+      reply(ws, { type: 'taskList', success: false, error: err.message, code: err.code, id: msg.id });
+    }
+  },
+
+  // Request: { type: 'taskRun', workspacePath, name, id }
+  // Reply: { runId, name, command, startedAt }, then taskOutput { runId, data },
+  // taskProblem { runId, problem } and finally taskExit { runId, exitCode, signal, duration, error? }
+  async taskRun(ws, msg) {
+    try {
+      if (!msg.workspacePath || !msg.name) throw new Error('Missing required fields');
+      const workspaceRoot = path.resolve(msg.workspacePath);
+      const task = (await tasks.loadTasks(workspaceRoot)).find(t => t.name === msg.name);
+      if (!task) throw new tasks.TaskError(`No task named "${msg.name}"`, 'ENOENT');
+      const runId = `task-${Date.now()}-${++taskCounter}`;
+      const send = (event) => {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ ...event, runId }));
+      };
+      const run = tasks.runTask(workspaceRoot, task, {
+        onOutput: (data) => send({ type: 'taskOutput', data }),
+        onProblem: (problem) => send({ type: 'taskProblem', problem }),
+        onExit: (result) => {
+          activeTasks.delete(runId);
+          const outcome = result.error || (result.signal ? `signal ${result.signal}` : `exit ${result.exitCode}`);
+          log(`Task ${task.name} (${runId}) finished: ${outcome}, ${result.duration} ms`);
+          send({ type: 'taskExit', ...result });
+        },
+      });
+      activeTasks.set(runId, { ws, name: task.name, run });
+      log(`Task ${task.name} (${runId}) started: ${task.command}`);
+      reply(ws, { type: 'taskStarted', success: true, runId, name: task.name, command: task.command, startedAt: run.startedAt, id: msg.id });
+    } catch (err) {
+      reply(ws, { type: 'taskStarted', success: false, error: err.message, code: err.code, id: msg.id });
+    }
+  },
+
+  taskStop(ws, msg) {
+    const task = activeTasks.get(msg.runId);
+    if (task && task.ws === ws) task.run.stop();
+    if (msg.id) reply(ws, { type: 'taskStopped', success: !!(task && task.ws === ws), runId: msg.runId, id: msg.id });
+  },
+
   async mkdir(ws, msg) {
     if (!msg.path) {
       reply(ws, { type: 'mkdirResult', success: false, error: 'Missing path', id: msg.id });
@@ -495,10 +1119,19 @@ const messageHandlers = {
     }
     try {
       const { filePath } = resolveWorkspaceFile(msg.workspacePath, msg.relativePath);
-      const content = await fs.promises.readFile(filePath, 'utf-8');
-      reply(ws, { type: 'fileContent', success: true, content, relativePath: msg.relativePath, id: msg.id });
+      const stat = await fs.promises.stat(filePath);
+      const buf = await fs.promises.readFile(filePath);
+      reply(ws, {
+        type: 'fileContent',
+        success: true,
+        content: buf.toString('utf-8'),
+        relativePath: msg.relativePath,
+        mtimeMs: stat.mtimeMs,
+        hash: hashBytes(buf),
+        id: msg.id,
+      });
     } catch (err) {
-      reply(ws, { type: 'fileContent', success: false, error: err.message, id: msg.id });
+      reply(ws, { type: 'fileContent', success: false, error: err.message, code: err.code, id: msg.id });
     }
   },
 
@@ -541,7 +1174,7 @@ const messageHandlers = {
         id: msg.id,
       });
     } catch (err) {
-      reply(ws, { type: 'fileRange', success: false, error: err.message, id: msg.id });
+      reply(ws, { type: 'fileRange', success: false, error: err.message, code: err.code, id: msg.id });
     } finally {
       if (fileHandle) {
         try { await fileHandle.close(); } catch (_) { /* ignore */ }
@@ -564,7 +1197,7 @@ const messageHandlers = {
         id: msg.id,
       });
     } catch (err) {
-      reply(ws, { type: 'fileStat', success: false, error: err.message, id: msg.id });
+      reply(ws, { type: 'fileStat', success: false, error: err.message, code: err.code, id: msg.id });
     }
   },
 
@@ -584,16 +1217,42 @@ const messageHandlers = {
       return;
     }
     try {
-      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
-      if (msg.encoding === 'base64') {
-        await fs.promises.writeFile(filePath, Buffer.from(msg.content, 'base64'));
-      } else {
-        await fs.promises.writeFile(filePath, msg.content, 'utf-8');
+      roots.assertAllowed(filePath, 'saveFile');
+      // Optimistic concurrency: refuse to overwrite a file that moved on since
+      // the client last read it. A missing file is not a conflict.
+      const expectsHash = typeof msg.expectedHash === 'string';
+      const expectsMtime = typeof msg.expectedMtimeMs === 'number';
+      if (expectsHash || expectsMtime) {
+        const current = await readFileVersion(filePath, expectsHash);
+        const moved = current && (expectsHash
+          ? current.hash !== msg.expectedHash
+          : current.mtimeMs !== msg.expectedMtimeMs);
+        if (moved) {
+          warn(`Save conflict: ${relativePath} changed on disk`);
+          reply(ws, {
+            type: 'fileSaved',
+            success: false,
+            code: 'conflict',
+            error: 'File changed on disk since it was last read',
+            relativePath,
+            mtimeMs: current.mtimeMs,
+            hash: current.hash,
+            id: msg.id,
+          });
+          return;
+        }
       }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const buf = msg.encoding === 'base64'
+        ? Buffer.from(msg.content, 'base64')
+        : Buffer.from(msg.content, 'utf-8');
+      await fs.promises.writeFile(filePath, buf);
+      const stat = await fs.promises.stat(filePath);
       log(`Saved: ${filePath}`);
-      reply(ws, { type: 'fileSaved', success: true, relativePath, id: msg.id });
+      reply(ws, { type: 'fileSaved', success: true, relativePath, mtimeMs: stat.mtimeMs, hash: hashBytes(buf), id: msg.id });
     } catch (err) {
-      reply(ws, { type: 'fileSaved', success: false, error: err.message, id: msg.id });
+      reply(ws, { type: 'fileSaved', success: false, error: err.message, code: err.code, id: msg.id });
     }
   },
 
@@ -626,17 +1285,189 @@ const messageHandlers = {
       return;
     }
     try {
+      roots.assertAllowed(oldPath, 'renameFile');
+      roots.assertAllowed(newPath, 'renameFile');
       await fs.promises.access(oldPath);
       try { await fs.promises.access(newPath); return reply(ws, { type: 'fileRenamed', success: false, error: 'Destination exists', id: msg.id }); } catch (_) { /* expected */ }
       await fs.promises.mkdir(path.dirname(newPath), { recursive: true });
-      await fs.promises.rename(oldPath, newPath);
+      await movePath(oldPath, newPath);
       log(`Renamed: ${oldPath} -> ${newPath}`);
       reply(ws, { type: 'fileRenamed', success: true, oldRelativePath: msg.oldRelativePath, newRelativePath: msg.newRelativePath, id: msg.id });
     } catch (err) {
-      reply(ws, { type: 'fileRenamed', success: false, error: err.message, id: msg.id });
+      reply(ws, { type: 'fileRenamed', success: false, error: err.message, code: err.code, id: msg.id });
+    }
+  },
+
+  // Request:  { type: 'deleteFile', workspacePath, relativePath, trash?, id }
+  // Response: { type: 'fileDeleted', success, relativePath, isDirectory, trashPath?, id }
+  //
+  // Works for files and directories (recursively). With `trash: true` the entry
+  // is moved to .trash/<timestamp>/<relativePath> instead of being removed;
+  // `trashPath` is workspace-relative, so a renameFile back to `relativePath`
+  // undoes the delete.
+  async deleteFile(ws, msg) {
+    let workspaceRoot, filePath;
+    try {
+      ({ workspaceRoot, filePath } = resolveWorkspaceFile(msg.workspacePath, msg.relativePath));
+    } catch (err) {
+      reply(ws, { type: 'fileDeleted', success: false, error: err.message, code: err.code, id: msg.id });
+      return;
+    }
+    if (filePath === workspaceRoot) {
+      reply(ws, { type: 'fileDeleted', success: false, error: 'Refusing to delete the workspace root', id: msg.id });
+      return;
+    }
+    try {
+      const stat = await fs.promises.lstat(filePath);
+      const isDirectory = stat.isDirectory();
+      const relativePath = path.relative(workspaceRoot, filePath).split(path.sep).join('/');
+      if (msg.trash) {
+        const trashPath = [TRASH_DIR, new Date().toISOString().replace(/[:.]/g, '-'), relativePath].join('/');
+        const dest = path.join(workspaceRoot, trashPath);
+        await ensureTrashDir(workspaceRoot);
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        await movePath(filePath, dest);
+        log(`Moved to trash: ${filePath} -> ${dest}`);
+        reply(ws, { type: 'fileDeleted', success: true, relativePath, isDirectory, trashPath, id: msg.id });
+      } else {
+        await fs.promises.rm(filePath, { recursive: isDirectory });
+        log(`Deleted: ${filePath}`);
+        reply(ws, { type: 'fileDeleted', success: true, relativePath, isDirectory, id: msg.id });
+      }
+    } catch (err) {
+      reply(ws, { type: 'fileDeleted', success: false, error: err.message, code: err.code, id: msg.id });
+    }
+  },
+
+  // Request:  { type: 'copyFile', workspacePath, sourceRelativePath, destRelativePath, id }
+  // Response: { type: 'fileCopied', success, sourceRelativePath, destRelativePath, isDirectory, id }
+  //
+  // Directories are copied recursively. Never overwrites an existing destination.
+  async copyFile(ws, msg) {
+    let srcPath, destPath;
+    try {
+      srcPath = resolveWorkspaceFile(msg.workspacePath, msg.sourceRelativePath).filePath;
+      destPath = resolveWorkspaceFile(msg.workspacePath, msg.destRelativePath).filePath;
+    } catch (err) {
+      warn(`Copy rejected: ${msg.sourceRelativePath} -> ${msg.destRelativePath}: ${err.message}`);
+      reply(ws, { type: 'fileCopied', success: false, error: err.message, code: err.code, id: msg.id });
+      return;
+    }
+    if (destPath === srcPath || destPath.startsWith(srcPath + path.sep)) {
+      reply(ws, { type: 'fileCopied', success: false, error: 'Cannot copy a directory into itself', id: msg.id });
+      return;
+    }
+    try {
+      const stat = await fs.promises.stat(srcPath);
+      if (await pathExists(destPath)) {
+        reply(ws, { type: 'fileCopied', success: false, error: 'Destination exists', id: msg.id });
+        return;
+      }
+      await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+      await fs.promises.cp(srcPath, destPath, { recursive: true, errorOnExist: true, force: false });
+      log(`Copied: ${srcPath} -> ${destPath}`);
+      reply(ws, {
+        type: 'fileCopied',
+        success: true,
+        sourceRelativePath: msg.sourceRelativePath,
+        destRelativePath: msg.destRelativePath,
+        isDirectory: stat.isDirectory(),
+        id: msg.id,
+      });
+    } catch (err) {
+      reply(ws, { type: 'fileCopied', success: false, error: err.message, code: err.code, id: msg.id });
     }
   },
 
+  // Content search over the workspace on disk. Each file with matches is
+  // streamed as `searchResults` (no id, so it does not settle the request);
+  // the reply is `searchDone`. `overrides` maps relative paths to unsaved
+  // buffer contents to search instead of the disk copy.
+  async searchWorkspace(ws, msg) {
+    const searchId = msg.searchId || msg.id;
+    if (!msg.workspacePath || !msg.query) {
+      reply(ws, { type: 'searchDone', success: false, searchId, error: 'Missing required fields', id: msg.id });
+      return;
+    }
+    const search = { ws, cancelled: false };
+    activeSearches.set(searchId, search);
+    try {
+      const result = await searchFilesInWorker(path.resolve(msg.workspacePath), {
+        query: msg.query,
+        regex: !!msg.regex,
+        caseSensitive: !!msg.caseSensitive,
+        wholeWord: !!msg.wholeWord,
+        include: msg.include,
+        exclude: msg.exclude,
+        contextLines: msg.contextLines,
+        maxResults: Math.min(Number(msg.maxResults) || MAX_SEARCH_RESULTS, 20000),
+        overrides: msg.overrides,
+        skipExtensions: SERVED_EXTENSIONS,
+        maxFileSize: MAX_FILE_SIZE,
+      }, {
+        onFile: (relativePath, matches) => {
+          ws.send(JSON.stringify({ type: 'searchResults', searchId, relativePath, matches }));
+        },
+        isCancelled: () => search.cancelled,
+      });
+      log(`Search "${msg.query}": ${result.matchCount} match(es) in ${result.fileCount} file(s)${result.cancelled ? ' (cancelled)' : ''}${result.timedOut ? ' (timed out)' : ''}`);
+      reply(ws, { type: 'searchDone', success: true, searchId, ...result, id: msg.id });
+    } catch (err) {
+      reply(ws, { type: 'searchDone', success: false, searchId, error: err.message, id: msg.id });
+    } finally {
+      activeSearches.delete(searchId);
+    }
+  },
+
+  searchCancel(ws, msg) {
+    const search = activeSearches.get(msg.searchId);
+    if (search && search.ws === ws) search.cancelled = true;
+    if (msg.id) reply(ws, { type: 'searchCancelled', success: !!search, searchId: msg.searchId, id: msg.id });
+  },
+
+  // --- Git (see git-commands.js); paths are workspace-relative ---
+
+  gitStatus: gitHandler('gitStatus', (root) => git.status(root)),
+
+  gitDiff: gitHandler('gitDiff', (root, msg) => git.diff(root, {
+    relativePath: msg.relativePath, staged: !!msg.staged, contextLines: msg.contextLines,
+  })),
+
+  // { paths } stages whole files, { patch } stages hunks from gitDiff
+  gitStage: gitHandler('gitStaged', async (root, msg) => {
+    await git.stage(root, { paths: msg.paths, patch: msg.patch });
+  }),
+
+  gitUnstage: gitHandler('gitUnstaged', async (root, msg) => {
+    await git.unstage(root, { paths: msg.paths, patch: msg.patch });
+  }),
+
+  gitCommit: gitHandler('gitCommitted', (root, msg) => git.commit(root, {
+    message: msg.message, amend: !!msg.amend, all: !!msg.all,
+  })),
+
+  gitLog: gitHandler('gitLog', (root, msg) => git.log(root, {
+    relativePath: msg.relativePath, limit: msg.limit, skip: msg.skip, ref: msg.ref,
+  })),
+
+  gitBranch: gitHandler('gitBranches', (root, msg) => git.branch(root, {
+    create: !!msg.create, name: msg.name, startPoint: msg.startPoint,
+  })),
+
+  gitCheckout: gitHandler('gitCheckedOut', async (root, msg) => {
+    await git.checkout(root, { ref: msg.ref, create: !!msg.create });
+    return { ref: msg.ref };
+  }),
+
+  gitBlame: gitHandler('gitBlame', (root, msg) => git.blame(root, {
+    relativePath: msg.relativePath, ref: msg.ref,
+  })),
+
+  gitShow: gitHandler('gitFileContent', async (root, msg) => ({
+    relativePath: msg.relativePath,
+    ...await git.show(root, { relativePath: msg.relativePath, ref: msg.ref || 'HEAD' }),
+  })),
+
   async refreshWatch(ws, msg) {
     // Re-scan workspace directories and add watches for new ones
     const watcherInfo = fileWatchers.get(ws);
@@ -645,48 +1476,7 @@ const messageHandlers = {
       return;
     }
 
-    const resolvedWorkspace = path.resolve(msg.workspacePath);
-    const newDirs = await collectDirectories(resolvedWorkspace);
-    const existingDirs = new Set(watcherInfo.watchers.map(w => w._dirPath).filter(Boolean));
-
-    let addedCount = 0;
-    for (const dir of newDirs) {
-      if (!existingDirs.has(dir)) {
-        // Add watcher for new directory
-        try {
-          const watcher = fs.watch(dir, (eventType, filename) => {
-            if (!filename) return;
-            if (filename.startsWith('.')) return;
-            if (filename.includes('node_modules')) return;
-
-            const fullPath = path.join(dir, filename);
-            const relativePath = path.relative(resolvedWorkspace, fullPath);
-            let shouldReadContent = eventType === 'change';
-            if (eventType === 'rename') {
-              try {
-                fs.accessSync(fullPath);
-                shouldReadContent = true;
-              } catch {
-                shouldReadContent = false;
-              }
-            }
-
-            watcherInfo.pendingChanges.set(relativePath, { eventType, shouldReadContent });
-            clearTimeout(watcherInfo.debounceTimer);
-            watcherInfo.debounceTimer = setTimeout(watcherInfo.flush, 300);
-          });
-          watcher._dirPath = dir;
-          watcher.on('error', (err) => {
-            warn('Watcher error on', dir, ':', err.message);
-          });
-          watcherInfo.watchers.push(watcher);
-          addedCount++;
-        } catch (err) {
-          warn('Failed to watch new directory:', dir, err.message);
-        }
-      }
-    }
-
+    const addedCount = await watcherInfo.watchNewDirectories();
     log(`Watch refreshed: ${addedCount} new directories added`);
     reply(ws, { type: 'watchRefreshed', success: true, added: addedCount, total: watcherInfo.watchers.length, id: msg.id });
   },
@@ -706,6 +1496,7 @@ const messageHandlers = {
     }
 
     try {
+      roots.assertAllowed(filePath, 'refreshFile');
       const stat = await fs.promises.stat(filePath);
       if (!stat.isFile()) {
         reply(ws, { type: 'fileRefreshed', success: false, error: 'Not a file', id: msg.id });
@@ -718,15 +1509,23 @@ const messageHandlers = {
 
       const ext = msg.relativePath.split('.').pop().toLowerCase();
       if (SERVED_EXTENSIONS.has(ext)) {
-        reply(ws, { type: 'fileRefreshed', success: true, relativePath: msg.relativePath, content: null, servedViaHttp: true, id: msg.id });
+        reply(ws, { type: 'fileRefreshed', success: true, relativePath: msg.relativePath, content: null, servedViaHttp: true, mtimeMs: stat.mtimeMs, id: msg.id });
         return;
       }
 
-      const content = await fs.promises.readFile(filePath, 'utf-8');
+      const buf = await fs.promises.readFile(filePath);
       log(`Refreshed file: ${filePath}`);
-      reply(ws, { type: 'fileRefreshed', success: true, relativePath: msg.relativePath, content, id: msg.id });
+      reply(ws, {
+        type: 'fileRefreshed',
+        success: true,
+        relativePath: msg.relativePath,
+        content: buf.toString('utf-8'),
+        mtimeMs: stat.mtimeMs,
+        hash: hashBytes(buf),
+        id: msg.id,
+      });
     } catch (err) {
-      reply(ws, { type: 'fileRefreshed', success: false, error: err.message, id: msg.id });
+      reply(ws, { type: 'fileRefreshed', success: false, error: err.message, code: err.code, id: msg.id });
     }
   },
 };